@@ -3,20 +3,30 @@
 import { useState, useEffect } from 'react';
 import Table from '../components/Table';
 import NavBar from '../components/NavBar';
+import AuditTimeline from '../components/AuditTimeline';
+import RecipeImport from '../components/RecipeImport';
+import useCurrentUser from '../util/CurrentUser';
+
+const PAGE_SIZE = 25;
 
 const Admin = () => {
+  const { user, loading: userLoading } = useCurrentUser();
+  const isAdmin = Boolean(user) && user.UserRole === 'admin';
   const [tables, setTables] = useState([]); // List of available tables
   const [selectedTable, setSelectedTable] = useState(''); // Currently selected table
   const [tableData, setTableData] = useState([]); // Data for the selected table
   const [availableColumns, setAvailableColumns] = useState([]); // All columns of the selected table
   const [configuredColumns, setConfiguredColumns] = useState([]); // Columns being configured
   const [visibleColumns, setVisibleColumns] = useState([]); // Columns currently visible
+  const [page, setPage] = useState(1); // Page of rows being shown
+  const [totalRows, setTotalRows] = useState(0); // Rows in the table across all pages
   const [loading, setLoading] = useState(false); // Loading state
   const [error, setError] = useState(null); // Error state
 
   // Fetch available tables
   useEffect(() => {
     const fetchTables = async () => {
+      if (!isAdmin) return;
       try {
         const response = await fetch('/api/tables');
         if (!response.ok) {
@@ -33,7 +43,25 @@ const Admin = () => {
     };
 
     fetchTables();
-  }, []);
+  }, [isAdmin]);
+
+  // Fetch one page of rows with the given columns
+  const fetchRows = async (columns, pageNumber) => {
+    const params = new URLSearchParams({
+      table: selectedTable,
+      columns: columns.join(','),
+      limit: PAGE_SIZE,
+      offset: (pageNumber - 1) * PAGE_SIZE,
+    });
+    const dataResponse = await fetch(`/api/table-data?${params}`);
+    if (!dataResponse.ok) {
+      throw new Error(`Failed to fetch data for table ${selectedTable}`);
+    }
+    const dataJson = await dataResponse.json();
+    setTableData(dataJson.data || []);
+    setTotalRows(dataJson.total || 0);
+    setPage(pageNumber);
+  };
 
   // Fetch data and columns for the selected table
   useEffect(() => {
@@ -51,13 +79,8 @@ const Admin = () => {
         setConfiguredColumns(columns); //all columns initially
         setVisibleColumns(columns); // Show all columns initially
 
-        // Fetch data for the selected columns
-        const dataResponse = await fetch(`/api/table-data?table=${selectedTable}&columns=${columns.join(',')}`);
-        if (!dataResponse.ok) {
-          throw new Error(`Failed to fetch data for table ${selectedTable}`);
-        }
-        const dataJson = await dataResponse.json();
-        setTableData(dataJson.data || []);
+        // Fetch the first page of data for the selected columns
+        await fetchRows(columns, 1);
         setError(null);
       } catch (error) {
         console.error('Error fetching table data:', error);
@@ -85,13 +108,7 @@ const Admin = () => {
   const handleRefreshData = async () => {
     setLoading(true);
     try {
-      const columnsQuery = configuredColumns.join(','); 
-      const dataResponse = await fetch(`/api/table-data?table=${selectedTable}&columns=${columnsQuery}`);
-      if (!dataResponse.ok) {
-        throw new Error(`Failed to fetch data for table ${selectedTable}`);
-      }
-      const dataJson = await dataResponse.json();
-      setTableData(dataJson.data || []);
+      await fetchRows(configuredColumns, 1);
       setVisibleColumns(configuredColumns); // Update visible columns after refresh
       setError(null);
     } catch (error) {
@@ -102,6 +119,28 @@ const Admin = () => {
     }
   };
 
+  const handlePageChange = async (pageNumber) => {
+    setLoading(true);
+    try {
+      await fetchRows(visibleColumns, pageNumber);
+      setError(null);
+    } catch (error) {
+      console.error('Error fetching table page:', error);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!userLoading && !isAdmin) {
+    return (
+      <div style={{ padding: '20px' }}>
+        <NavBar />
+        <p>Only admins can view this page.</p>
+      </div>
+    );
+  }
+
   return (
     <div style={{ padding: '20px' }}>
       <NavBar />
@@ -142,9 +181,18 @@ const Admin = () => {
             ))}
           </div>
           <button onClick={handleRefreshData}>Refresh Data</button>
-          <Table tableData={tableData} tableName={selectedTable} columns={visibleColumns} />
+          <Table
+            tableData={tableData}
+            tableName={selectedTable}
+            columns={visibleColumns}
+            page={page}
+            totalPages={Math.ceil(totalRows / PAGE_SIZE)}
+            onPageChange={handlePageChange}
+          />
         </div>
       )}
+      {isAdmin && <RecipeImport user={user} />}
+      {isAdmin && <AuditTimeline />}
     </div>
   );
 };
@@ -0,0 +1,140 @@
+import React, { useState, useEffect } from 'react';
+import { Group, Pagination, Select, TextInput } from '@mantine/core';
+import './AuditTimeline.css';
+
+const PAGE_SIZE = 20;
+
+// Entity names written by the server's audit log (server/db/audit.js)
+const ENTITY_OPTIONS = [
+  { value: 'recipe', label: 'Recipes' },
+  { value: 'step', label: 'Steps' },
+  { value: 'image', label: 'Images' },
+  { value: 'recipeLike', label: 'Likes' },
+  { value: 'user', label: 'Users' },
+  { value: 'pantry', label: 'Pantries' },
+  { value: 'pantryMember', label: 'Pantry members' },
+  { value: 'ingredient', label: 'Ingredients' },
+  { value: 'foodItem', label: 'Food items' },
+];
+
+const ACTION_OPTIONS = [
+  { value: 'create', label: 'Created' },
+  { value: 'update', label: 'Updated' },
+  { value: 'delete', label: 'Deleted' },
+];
+
+const formatValue = (value) => (value === null ? '—' : JSON.stringify(value, null, 2));
+
+// Timeline of changes from /api/audit, newest first, for the admin page
+const AuditTimeline = () => {
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [users, setUsers] = useState([]);
+  const [filters, setFilters] = useState({ entity: null, action: null, actor: null, key: '', from: '', to: '' });
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchUsers = async () => {
+      try {
+        const response = await fetch('/api/users?columns=UserID,UserName&sort=name');
+        if (!response.ok) {
+          throw new Error('Failed to fetch users');
+        }
+        const { data } = await response.json();
+        setUsers(data.map((user) => ({ value: String(user.USERID), label: user.USERNAME })));
+      } catch (error) {
+        console.error('Error fetching users:', error);
+      }
+    };
+
+    fetchUsers();
+  }, []);
+
+  useEffect(() => {
+    const fetchEntries = async () => {
+      const params = new URLSearchParams({
+        ...(filters.entity && { entity: filters.entity }),
+        ...(filters.action && { action: filters.action }),
+        ...(filters.actor && { actor: filters.actor }),
+        ...(filters.key && { key: filters.key }),
+        ...(filters.from && { from: filters.from }),
+        ...(filters.to && { to: filters.to }),
+        limit: PAGE_SIZE,
+        offset: (page - 1) * PAGE_SIZE,
+      });
+      try {
+        const response = await fetch(`/api/audit?${params}`);
+        const body = await response.json();
+        if (!response.ok) {
+          const fieldMessages = Object.entries(body.fields || {}).map(([field, message]) => `${field}: ${message}`);
+          throw new Error([body.error, ...fieldMessages].join(' — '));
+        }
+        setEntries(body.data);
+        setTotal(body.total);
+        setError(null);
+      } catch (error) {
+        console.error('Error fetching audit log:', error);
+        setError(error.message);
+      }
+    };
+
+    fetchEntries();
+  }, [filters, page]);
+
+  const updateFilter = (name, value) => {
+    setFilters({ ...filters, [name]: value });
+    setPage(1);
+  };
+
+  return (
+    <div className="audit-timeline">
+      <h2>Audit Log</h2>
+      <Group mb="md">
+        <Select label="Entity" placeholder="Any" data={ENTITY_OPTIONS} value={filters.entity}
+          onChange={(value) => updateFilter('entity', value)} clearable />
+        <Select label="Action" placeholder="Any" data={ACTION_OPTIONS} value={filters.action}
+          onChange={(value) => updateFilter('action', value)} clearable />
+        <Select label="User" placeholder="Anyone" data={users} value={filters.actor}
+          onChange={(value) => updateFilter('actor', value)} searchable clearable />
+        <TextInput label="Key" placeholder="e.g. RecipeID=3" value={filters.key}
+          onChange={(e) => updateFilter('key', e.currentTarget.value)} />
+        <TextInput label="From" type="date" value={filters.from}
+          onChange={(e) => updateFilter('from', e.currentTarget.value)} />
+        <TextInput label="To" type="date" value={filters.to}
+          onChange={(e) => updateFilter('to', e.currentTarget.value)} />
+      </Group>
+      {error && <p>Error: {error}</p>}
+      {!error && entries.length === 0 && <p>No changes match these filters.</p>}
+      <ol className="audit-entries">
+        {entries.map((entry) => (
+          <li key={entry.AUDITID}>
+            <p>
+              <strong>{new Date(entry.CHANGEDAT).toLocaleString()}</strong>{' '}
+              {entry.ACTORNAME || 'System'} {entry.ACTION}d {entry.ENTITY} ({entry.ENTITYKEY})
+            </p>
+            <div className="audit-values">
+              {entry.ACTION !== 'create' && (
+                <div>
+                  <span>Before</span>
+                  <pre>{formatValue(entry.OLDVALUE)}</pre>
+                </div>
+              )}
+              {entry.ACTION !== 'delete' && (
+                <div>
+                  <span>After</span>
+                  <pre>{formatValue(entry.NEWVALUE)}</pre>
+                </div>
+              )}
+            </div>
+          </li>
+        ))}
+      </ol>
+      {total > PAGE_SIZE && (
+        <Pagination total={Math.ceil(total / PAGE_SIZE)} value={page} onChange={setPage} mt="md" />
+      )}
+    </div>
+  );
+};
+
+export default AuditTimeline;
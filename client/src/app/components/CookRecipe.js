@@ -0,0 +1,86 @@
+import React, { useState, useEffect } from 'react';
+import { Button, Group, NumberInput, Paper, Select, Text, Title } from '@mantine/core';
+import { formatQuantity, unitSystem } from '../util/Units';
+
+// "I cooked this": takes what the recipe needs out of one of the user's
+// pantries, lots expiring first, then says what the pantry was short of
+const CookRecipe = ({ recipeID, user }) => {
+  const [pantries, setPantries] = useState([]);
+  const [pantryID, setPantryID] = useState(null);
+  const [servings, setServings] = useState(1);
+  const [cooked, setCooked] = useState(null);
+  const [message, setMessage] = useState(null);
+  const amount = (quantity, unit) => formatQuantity(quantity, unit, unitSystem(user));
+
+  useEffect(() => {
+    const fetchPantries = async () => {
+      try {
+        const response = await fetch(`/api/pantry/${user.UserID}`);
+        const { data } = await response.json();
+        setPantries(data || []);
+        setPantryID((current) => current || (data && data[0] ? String(data[0].PANTRYID) : null));
+      } catch (error) {
+        console.error('Error fetching pantries:', error);
+      }
+    };
+
+    fetchPantries();
+  }, [user]);
+
+  const cook = async () => {
+    try {
+      const response = await fetch(`/api/recipe/${recipeID}/cook`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ PantryID: Number(pantryID), servings }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setMessage(data.fields ? Object.values(data.fields).join(' ') : data.error);
+        setCooked(null);
+        return;
+      }
+      setCooked(data.data);
+      setMessage(null);
+    } catch (error) {
+      console.error('Error cooking recipe:', error);
+      setMessage('Error updating the pantry. Please try again.');
+    }
+  };
+
+  if (pantries.length === 0) {
+    return null;
+  }
+
+  return (
+    <Paper withBorder p="md" my="md" maw={600}>
+      <Title order={3} mb="xs">I cooked this</Title>
+      <Group align="flex-end">
+        <Select label="From pantry" allowDeselect={false}
+          data={pantries.map((pantry) => ({ value: String(pantry.PANTRYID), label: pantry.CATEGORY }))}
+          value={pantryID} onChange={setPantryID} />
+        <NumberInput label="Servings" w={110} min={0.1} max={100} step={0.5} decimalScale={2}
+          value={servings} onChange={(value) => setServings(Number(value) || 1)} />
+        <Button onClick={cook} disabled={!pantryID}>Take from pantry</Button>
+      </Group>
+      {message && <Text mt="sm" c="red">{message}</Text>}
+      {cooked && (
+        <Text size="sm" mt="sm">
+          {cooked.ingredients.length === 0
+            ? 'Recorded. The recipe lists no ingredients to take.'
+            : `Taken from ${cooked.Category}: ${cooked.ingredients
+              .filter((item) => item.Used > 0)
+              .map((item) => `${amount(item.Used, item.Unit)} ${item.FoodName}`)
+              .join(', ') || 'nothing'}.`}
+        </Text>
+      )}
+      {cooked && cooked.shortfalls.length > 0 && (
+        <Text size="sm" mt={4} c="orange">
+          Short of: {cooked.shortfalls.map((item) => `${amount(item.Short, item.Unit)} ${item.FoodName} (needed ${amount(item.Needed, item.Unit)})`).join(', ')}
+        </Text>
+      )}
+    </Paper>
+  );
+};
+
+export default CookRecipe;
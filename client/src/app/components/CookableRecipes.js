@@ -0,0 +1,74 @@
+import React, { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { Badge, Group, Paper, Text, Title } from '@mantine/core';
+import { formatQuantity } from '../util/Units';
+
+const percent = (coverage) => `${Math.round(coverage * 100)}%`;
+
+const RecipeMatch = ({ match, system }) => (
+  <Paper withBorder p="sm" mb="xs">
+    <Group justify="space-between">
+      <Link href={`/recipes/${match.RecipeID}`}>{match.RecipeName}</Link>
+      <Group gap="xs">
+        <Badge variant="light">{match.Cuisine}</Badge>
+        <Badge variant="light" color="gray">{match.CookingTime}</Badge>
+        <Badge color={match.missing.length === 0 ? 'green' : 'yellow'}>{percent(match.coverage)} in stock</Badge>
+      </Group>
+    </Group>
+    {match.missing.length > 0 && (
+      <Text size="sm" mt={4}>
+        Missing: {match.missing.map((item) => `${formatQuantity(item.Short, item.Unit, system)} ${item.FoodName} (have ${formatQuantity(item.Have, item.Unit, system)})`).join(', ')}
+      </Text>
+    )}
+  </Paper>
+);
+
+// "What can I cook?" for a pantry: recipes its unexpired stock covers, and
+// ones missing one or two ingredients. `reloadKey` changes when the stock does;
+// `system` is the unit system amounts are shown in.
+const CookableRecipes = ({ pantryID, reloadKey, system }) => {
+  const [matches, setMatches] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchMatches = async () => {
+      try {
+        const response = await fetch(`/api/pantry/${pantryID}/cookable`);
+        if (!response.ok) {
+          throw new Error('Failed to fetch recipe suggestions');
+        }
+        const { data } = await response.json();
+        setMatches(data);
+        setError(null);
+      } catch (error) {
+        console.error('Error fetching recipe suggestions:', error);
+        setError(error.message);
+      }
+    };
+
+    fetchMatches();
+  }, [pantryID, reloadKey]);
+
+  if (error) {
+    return <p>Error: {error}</p>;
+  }
+  if (!matches) {
+    return null;
+  }
+
+  return (
+    <div>
+      <Title order={2}>What can I cook?</Title>
+      <Title order={4} mt="sm">Cook now</Title>
+      {matches.cookNow.length > 0
+        ? matches.cookNow.map((match) => <RecipeMatch key={match.RecipeID} match={match} system={system} />)
+        : <Text size="sm">Nothing yet: no recipe is fully covered by this pantry.</Text>}
+      <Title order={4} mt="sm">Missing 1–2 items</Title>
+      {matches.missingFew.length > 0
+        ? matches.missingFew.map((match) => <RecipeMatch key={match.RecipeID} match={match} system={system} />)
+        : <Text size="sm">No recipes are one or two items away.</Text>}
+    </div>
+  );
+};
+
+export default CookableRecipes;
@@ -0,0 +1,100 @@
+import React, { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { Badge, Group, Paper, SegmentedControl, Text, Title } from '@mantine/core';
+import { EXPIRING_SOON_DAYS, expiryLabel } from './ExpiryBadge';
+import { formatQuantity, unitSystem } from '../util/Units';
+
+const WINDOWS = [
+  { value: '0', label: 'Today' },
+  { value: String(EXPIRING_SOON_DAYS), label: `${EXPIRING_SOON_DAYS} days` },
+  { value: '7', label: 'A week' },
+];
+
+// A recipe that uses up food about to expire
+const UseUpRecipe = ({ match }) => (
+  <Paper withBorder p="xs" mb={4}>
+    <Group justify="space-between">
+      <Link href={`/recipes/${match.RecipeID}`}>{match.RecipeName}</Link>
+      <Badge color={match.missing.length === 0 ? 'green' : 'yellow'} variant="light">
+        {Math.round(match.coverage * 100)}% in stock
+      </Badge>
+    </Group>
+    <Text size="xs" c="dimmed">Uses {match.uses.map((use) => use.FoodName).join(', ')}</Text>
+  </Paper>
+);
+
+// Dashboard widget: what has expired or is about to in all of the user's
+// pantries, by pantry, with recipes that use up the food expiring soonest
+const ExpiringSoon = ({ user }) => {
+  const [days, setDays] = useState(String(EXPIRING_SOON_DAYS));
+  const [expiring, setExpiring] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchExpiring = async () => {
+      try {
+        const response = await fetch(`/api/users/${user.UserID}/expiring?days=${days}`);
+        if (!response.ok) {
+          throw new Error('Failed to fetch expiring food');
+        }
+        const { data } = await response.json();
+        setExpiring(data);
+        setError(null);
+      } catch (error) {
+        console.error('Error fetching expiring food:', error);
+        setError(error.message);
+      }
+    };
+
+    fetchExpiring();
+  }, [user, days]);
+
+  if (error) {
+    return <p>Error: {error}</p>;
+  }
+  if (!expiring) {
+    return null;
+  }
+
+  return (
+    <Paper withBorder p="md" my="md">
+      <Group justify="space-between" mb="xs">
+        <Title order={3}>Expiring soon</Title>
+        <SegmentedControl size="xs" data={WINDOWS} value={days} onChange={setDays} />
+      </Group>
+      {expiring.pantries.length === 0 ? (
+        <Text size="sm">Nothing in your pantries expires {days === '0' ? 'today' : `in the next ${days} days`}.</Text>
+      ) : (
+        <>
+          <Group gap="xs" mb="sm">
+            {expiring.counts.expired > 0 && <Badge color="red">{expiring.counts.expired} expired</Badge>}
+            {expiring.counts.expiring > 0 && <Badge color="yellow">{expiring.counts.expiring} expiring</Badge>}
+          </Group>
+          {expiring.pantries.map((pantry) => (
+            <div key={pantry.PantryID}>
+              <Link href={`/pantries/${pantry.PantryID}`}><strong>{pantry.Category}</strong></Link>
+              <ul className="expiring-items">
+                {pantry.items.map((item, index) => (
+                  <li key={index}>
+                    {item.FoodName}, {formatQuantity(item.Quantity, item.Unit, unitSystem(user))}{' '}
+                    <Text span size="sm" c={item.Status === 'expired' ? 'red' : 'orange'}>
+                      {expiryLabel(item.DaysLeft)}
+                    </Text>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))}
+        </>
+      )}
+      {expiring.suggestions.length > 0 && (
+        <>
+          <Title order={4} mt="sm" mb="xs">Use them up</Title>
+          {expiring.suggestions.map((match) => <UseUpRecipe key={match.RecipeID} match={match} />)}
+        </>
+      )}
+    </Paper>
+  );
+};
+
+export default ExpiringSoon;
@@ -0,0 +1,35 @@
+import React from 'react';
+import dayjs from 'dayjs';
+import { Badge } from '@mantine/core';
+
+// The window the server's expiring-soon alerts use unless asked for another
+export const EXPIRING_SOON_DAYS = 3;
+
+// Whole days from today until an expiry date; negative once it has passed
+export const daysLeft = (expiryDate) => dayjs(expiryDate).startOf('day').diff(dayjs().startOf('day'), 'day');
+
+export const expiryLabel = (days) => {
+  if (days < 0) {
+    return days === -1 ? 'Expired yesterday' : `Expired ${-days} days ago`;
+  }
+  if (days === 0) {
+    return 'Expires today';
+  }
+  return days === 1 ? 'Expires tomorrow' : `Expires in ${days} days`;
+};
+
+// A red badge for food past its expiry date and a yellow one for food
+// expiring within `soonDays` days; nothing for the rest
+const ExpiryBadge = ({ expiryDate, soonDays = EXPIRING_SOON_DAYS }) => {
+  const days = daysLeft(expiryDate);
+  if (days > soonDays) {
+    return null;
+  }
+  return (
+    <Badge color={days < 0 ? 'red' : 'yellow'} variant="filled" size="sm">
+      {expiryLabel(days)}
+    </Badge>
+  );
+};
+
+export default ExpiryBadge;
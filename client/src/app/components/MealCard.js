@@ -0,0 +1,32 @@
+import React from 'react';
+import Link from 'next/link';
+import { ActionIcon, Group, NumberInput, Paper, Text } from '@mantine/core';
+import { IconX } from '@tabler/icons-react';
+
+// A planned meal in the planner's week grid: the recipe card's picture, name,
+// cuisine, time and level, shrunk to fit a slot. It can be dragged to
+// another slot; `onServings` and `onRemove` change or drop it.
+const MealCard = ({ meal, onDragStart, onServings, onRemove }) => (
+  <Paper withBorder p={6} mb={6} className={`meal-card${meal.Deleted ? ' meal-card-deleted' : ''}`}
+    draggable onDragStart={onDragStart}>
+    {meal.ImageURL && <img src={meal.ImageURL} alt={meal.RecipeName} className="meal-card-image" />}
+    <Group justify="space-between" wrap="nowrap" gap={4}>
+      <Link href={`/recipes/${meal.RecipeID}`} className="meal-card-name">{meal.RecipeName}</Link>
+      <ActionIcon variant="subtle" color="red" size="sm" onClick={onRemove} aria-label="Remove meal">
+        <IconX size={14} />
+      </ActionIcon>
+    </Group>
+    <Text size="xs" c="dimmed">
+      {meal.Deleted ? 'Recipe deleted' : `${meal.Cuisine} · ${meal.CookingTime} · level ${meal.RecipeLevel ?? '?'}`}
+    </Text>
+    <NumberInput size="xs" aria-label="Servings" suffix=" ×" min={0.1} max={100} step={0.5} decimalScale={2}
+      value={meal.Servings} onBlur={(e) => {
+        const servings = parseFloat(e.currentTarget.value);
+        if (servings > 0 && servings !== meal.Servings) {
+          onServings(servings);
+        }
+      }} />
+  </Paper>
+);
+
+export default MealCard;
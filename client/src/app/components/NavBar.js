@@ -1,10 +1,45 @@
+'use client';
+
 import { Button } from '@mantine/core'
 import React from 'react'
 import Link from 'next/link';
+import { useRouter } from 'next/navigation';
 import styles from './NavBar.css'
+import useCurrentUser from '../util/CurrentUser';
+import { unitSystem } from '../util/Units';
 
 
 const NavBar = () => {
+    const { user } = useCurrentUser();
+    const router = useRouter();
+
+    const logout = async () => {
+        try {
+            await fetch('/api/logout', { method: 'POST' });
+        } catch (error) {
+            console.error('Error logging out:', error);
+        }
+        router.push('/');
+    };
+
+    // Every page reads the preference when it loads, so reload to show the
+    // quantities in the other system
+    const switchUnits = async () => {
+        const PreferredUnits = unitSystem(user) === 'metric' ? 'imperial' : 'metric';
+        try {
+            const response = await fetch(`/api/users/${user.UserID}/preferences`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ PreferredUnits }),
+            });
+            if (response.ok) {
+                window.location.reload();
+            }
+        } catch (error) {
+            console.error('Error saving the unit preference:', error);
+        }
+    };
+
     return (
         <header className="header">
             <div className="container">
@@ -20,23 +55,45 @@ const NavBar = () => {
                     </Button>
                 </Link>
                 
-                <Link href="/pantries" passHref>
-                    <Button variant="filled" color="rgba(101, 85, 143, 1)"
-                        size="lg" radius="xl" component='a'>Pantries
-                    </Button>
-                </Link>
+                {user && (
+                    <Link href="/pantries" passHref>
+                        <Button variant="filled" color="rgba(101, 85, 143, 1)"
+                            size="lg" radius="xl" component='a'>Pantries
+                        </Button>
+                    </Link>
+                )}
 
-                <Link href="/myrecipes" passHref>
-                    <Button variant="filled" color="rgba(101, 85, 143, 1)"
-                        size="lg" radius="xl" component='a'>My Recipes
-                    </Button>
-                </Link>
+                {user && (
+                    <Link href="/planner" passHref>
+                        <Button variant="filled" color="rgba(101, 85, 143, 1)"
+                            size="lg" radius="xl" component='a'>Planner
+                        </Button>
+                    </Link>
+                )}
 
-                <Link href="/newrecipes" passHref>
-                    <Button variant="filled" color="rgba(101, 85, 143, 1)"
-                        size="lg" radius="xl" component='a'>Contribute
-                    </Button>
-                </Link>
+                {user && (
+                    <Link href="/shopping" passHref>
+                        <Button variant="filled" color="rgba(101, 85, 143, 1)"
+                            size="lg" radius="xl" component='a'>Shopping List
+                        </Button>
+                    </Link>
+                )}
+
+                {user && (
+                    <Link href="/myrecipes" passHref>
+                        <Button variant="filled" color="rgba(101, 85, 143, 1)"
+                            size="lg" radius="xl" component='a'>My Recipes
+                        </Button>
+                    </Link>
+                )}
+
+                {user && (
+                    <Link href="/newrecipes" passHref>
+                        <Button variant="filled" color="rgba(101, 85, 143, 1)"
+                            size="lg" radius="xl" component='a'>Contribute
+                        </Button>
+                    </Link>
+                )}
 
                 <Link href="/stats" passHref>
                     <Button variant="filled" color="rgba(101, 85, 143, 1)"
@@ -44,11 +101,27 @@ const NavBar = () => {
                     </Button>
                 </Link>
 
-                <Link href="/admin" passHref>
-                    <Button variant="filled" color="rgba(101, 85, 143, 1)"
-                        size="lg" radius="xl" component='a'>Admin
+                {user && user.UserRole === 'admin' && (
+                    <Link href="/admin" passHref>
+                        <Button variant="filled" color="rgba(101, 85, 143, 1)"
+                            size="lg" radius="xl" component='a'>Admin
+                        </Button>
+                    </Link>
+                )}
+
+                {user && (
+                    <Button variant="outline" color="rgba(101, 85, 143, 1)"
+                        size="lg" radius="xl" onClick={switchUnits}
+                        title="Switch between metric and imperial units">
+                        {unitSystem(user) === 'metric' ? 'Metric' : 'Imperial'}
                     </Button>
-                </Link>
+                )}
+
+                {user && (
+                    <Button variant="outline" color="rgba(101, 85, 143, 1)"
+                        size="lg" radius="xl" onClick={logout}>Log out {user.UserName}
+                    </Button>
+                )}
             </div>
         </header>
     )
@@ -0,0 +1,65 @@
+import React from 'react';
+import { Badge, Group, Paper, Progress, Text, Title } from '@mantine/core';
+
+const GROUP_COLORS = {
+  Vegetable: 'green',
+  Carbohydrate: 'yellow',
+  Meat: 'red',
+  Fat: 'orange',
+};
+
+const groupColor = (group) => GROUP_COLORS[group] || 'gray';
+
+// Health score badge: green from 70, yellow from 40, red below
+export const HealthBadge = ({ score }) => {
+  if (score === null || score === undefined) {
+    return null;
+  }
+  const color = score >= 70 ? 'green' : score >= 40 ? 'yellow' : 'red';
+  return <Badge color={color} variant="light">Health {score}/100</Badge>;
+};
+
+// The `nutrition` GET /api/recipe/:id sends with a recipe: calories per
+// serving and in all, where they come from by food group, and the health score.
+// Calories are null if no ingredient could be counted, and at least the
+// figure shown if only some were.
+const NutritionFacts = ({ nutrition }) => (
+  <Paper withBorder p="md" my="md" maw={600}>
+    <Group justify="space-between" mb="xs">
+      <Title order={3}>Nutrition</Title>
+      <HealthBadge score={nutrition.HealthScore} />
+    </Group>
+    {nutrition.Calories === null ? (
+      <Text c="dimmed">Calories unknown</Text>
+    ) : (
+      <Text>
+        {nutrition.uncounted.length > 0 && 'At least '}
+        <strong>{Math.round(nutrition.CaloriesPerServing)} kcal</strong> per serving
+        {' '}({Math.round(nutrition.Calories)} kcal for {nutrition.Serves} {nutrition.Serves === 1 ? 'serving' : 'servings'})
+      </Text>
+    )}
+    {nutrition.groups.length > 0 && (
+      <>
+        <Progress.Root size="lg" mt="sm">
+          {nutrition.groups.map((group) => (
+            <Progress.Section key={group.FoodGroup} value={group.Share * 100} color={groupColor(group.FoodGroup)} />
+          ))}
+        </Progress.Root>
+        <Group gap="xs" mt={4}>
+          {nutrition.groups.map((group) => (
+            <Badge key={group.FoodGroup} color={groupColor(group.FoodGroup)} variant="dot">
+              {group.FoodGroup} {Math.round(group.Share * 100)}%
+            </Badge>
+          ))}
+        </Group>
+      </>
+    )}
+    {nutrition.uncounted.length > 0 && (
+      <Text size="xs" c="dimmed" mt="xs">
+        Not counted (calories unknown in that unit): {nutrition.uncounted.join(', ')}
+      </Text>
+    )}
+  </Paper>
+);
+
+export default NutritionFacts;
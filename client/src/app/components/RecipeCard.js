@@ -2,7 +2,7 @@ import "../recipes/Recipes.css";
 import Link from 'next/link';
 import { ActionIcon, Image, Paper, Title, Button } from '@mantine/core';
 import { Carousel } from '@mantine/carousel'
-import { IconHeart } from '@tabler/icons-react';
+import { IconHeart, IconShoppingCartCheck, IconShoppingCartPlus } from '@tabler/icons-react';
 import '@mantine/carousel/styles.css';
 
 const blackOutline = {
@@ -40,7 +40,20 @@ function Card({ image, title, category }) {
   );
 }
 
-const RecipeCard = ({ id, name, level, cuisine, time, imageUrl, caption, liked, callback }) => {
+// Where a search matched, with the matching words highlighted
+function Snippet({ snippet }) {
+  return (
+    <p className="recipe-snippet">
+      {snippet.parts.map((part, index) => (part.highlight
+        ? <mark key={index}>{part.text}</mark>
+        : <span key={index}>{part.text}</span>))}
+    </p>
+  );
+}
+
+// `onShoppingToggle`, when given, adds the recipe to or removes it from the
+// shopping list; `onShoppingList` says whether it is on it
+const RecipeCard = ({ id, name, level, cuisine, time, calories, partialCalories, imageUrl, caption, liked, callback, snippet, onShoppingList, onShoppingToggle }) => {
   const imageArray = Array.isArray(imageUrl) ? imageUrl : [imageUrl];
 
   const slides = imageArray.map((url, index) => (
@@ -54,12 +67,23 @@ const RecipeCard = ({ id, name, level, cuisine, time, imageUrl, caption, liked,
   ));
   return (
     <div className="recipe-container">
-      <ActionIcon 
-        variant={liked ? "primary" : "light"}
-        onClick={() => {callback(id);}}
-        className="recipe-heart">
-        <IconHeart size={20} stroke={2} />
-      </ActionIcon>
+      {callback && (
+        <ActionIcon 
+          variant={liked ? "primary" : "light"}
+          onClick={() => {callback(id);}}
+          className="recipe-heart">
+          <IconHeart size={20} stroke={2} />
+        </ActionIcon>
+      )}
+      {onShoppingToggle && (
+        <ActionIcon
+          variant={onShoppingList ? "primary" : "light"}
+          onClick={() => {onShoppingToggle(id);}}
+          title={onShoppingList ? "Remove from shopping list" : "Add to shopping list"}
+          className="recipe-cart">
+          {onShoppingList ? <IconShoppingCartCheck size={20} stroke={2} /> : <IconShoppingCartPlus size={20} stroke={2} />}
+        </ActionIcon>
+      )}
       <div className="recipe-card">
         <Carousel withIndicators>{slides}</Carousel>
         <Link href={`/recipes/${id}`} style={{textDecoration: 'none', color: '#3B3C36 '}} passHref>
@@ -70,10 +94,16 @@ const RecipeCard = ({ id, name, level, cuisine, time, imageUrl, caption, liked,
             <p>
               <strong>Level:</strong> {level}
             </p>
+            {snippet && <Snippet snippet={snippet} />}
           </div>
 
           <div className="recipe-info">
             <p>
+              {calories !== null && calories !== undefined && (
+                <span title={partialCalories ? 'Some ingredients could not be counted' : undefined}>
+                  <strong>Per serving:</strong> {partialCalories ? 'at least ' : ''}{Math.round(calories)} kcal
+                </span>
+              )}
             </p>
             <p>
               <strong>Time (D HH:MM):</strong> {time}
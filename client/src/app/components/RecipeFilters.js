@@ -0,0 +1,111 @@
+import React, { useState, useEffect } from 'react';
+import { Button, Checkbox, Fieldset, Group, MultiSelect, NumberInput, Select, TextInput } from '@mantine/core';
+
+// Filters of GET /api/recipes, as they appear in the page URL. Lists are
+// comma-separated, e.g. ?cuisine=Italian,Greek&maxTime=0+00:45&liked=true
+const LIST_FILTERS = ['cuisine', 'include', 'exclude'];
+const VALUE_FILTERS = ['maxTime', 'minLevel', 'maxLevel', 'user', 'minLikes', 'maxCalories', 'minHealthScore'];
+
+export const FILTER_KEYS = [...LIST_FILTERS, ...VALUE_FILTERS, 'liked'];
+
+export const NO_FILTERS = {
+  cuisine: [], include: [], exclude: [],
+  maxTime: '', minLevel: '', maxLevel: '', user: null, minLikes: '',
+  maxCalories: '', minHealthScore: '',
+  liked: false,
+};
+
+// Reads the filters out of the page's URLSearchParams
+export const filtersFromParams = (params) => ({
+  ...Object.fromEntries(LIST_FILTERS.map((key) => [key, params.get(key) ? params.get(key).split(',') : []])),
+  ...Object.fromEntries(VALUE_FILTERS.map((key) => [key, params.get(key) || NO_FILTERS[key]])),
+  liked: params.get('liked') === 'true',
+});
+
+// The filters that are set, as query string values
+export const filterParams = (filters) => Object.fromEntries(FILTER_KEYS
+  .map((key) => [key, Array.isArray(filters[key]) ? filters[key].join(',') : filters[key]])
+  .filter(([key, value]) => value !== '' && value !== null && value !== false)
+  .map(([key, value]) => [key, String(value)]));
+
+// Filter panel for the Recipes page. `onChange` gets the whole new set of filters.
+const RecipeFilters = ({ filters, onChange, cuisineOptions, loggedIn }) => {
+  const [users, setUsers] = useState([]);
+  const [foodItems, setFoodItems] = useState([]);
+  const [maxTime, setMaxTime] = useState(filters.maxTime);
+
+  useEffect(() => {
+    const fetchOptions = async () => {
+      try {
+        const [usersResponse, foodResponse] = await Promise.all([
+          fetch('/api/users?columns=UserID,UserName&sort=name'),
+          fetch('/api/fooditems'),
+        ]);
+        if (!usersResponse.ok || !foodResponse.ok) {
+          throw new Error('Failed to fetch filter options');
+        }
+        const { data: userRows } = await usersResponse.json();
+        const { data: foodRows } = await foodResponse.json();
+        setUsers(userRows.map((user) => ({ value: String(user.USERID), label: user.USERNAME })));
+        setFoodItems(foodRows.map((item) => item.FOODNAME));
+      } catch (error) {
+        console.error('Error fetching filter options:', error);
+      }
+    };
+
+    fetchOptions();
+  }, []);
+
+  // Follow the URL, e.g. after Clear filters
+  useEffect(() => {
+    setMaxTime(filters.maxTime);
+  }, [filters.maxTime]);
+
+  const update = (name, value) => onChange({ ...filters, [name]: value });
+
+  // The time box is only applied once it holds a whole D HH:MM value
+  const handleMaxTime = (value) => {
+    setMaxTime(value);
+    if (value === '' || /^\d (?:[01]?\d|2[0-3]):[0-5]\d$/.test(value)) {
+      update('maxTime', value);
+    }
+  };
+
+  return (
+    <Fieldset legend="Filters" mb="md">
+      <Group align="flex-end">
+        <MultiSelect label="Cuisines" placeholder="Any" data={cuisineOptions} value={filters.cuisine}
+          onChange={(value) => update('cuisine', value)} searchable clearable />
+        <TextInput label="Max cooking time" placeholder="D HH:MM" value={maxTime}
+          onChange={(e) => handleMaxTime(e.currentTarget.value)} />
+        <NumberInput label="Level from" min={0} value={filters.minLevel} w={100}
+          onChange={(value) => update('minLevel', value)} />
+        <NumberInput label="to" min={0} value={filters.maxLevel} w={100}
+          onChange={(value) => update('maxLevel', value)} />
+        <Select label="Author" placeholder="Anyone" data={users} value={filters.user}
+          onChange={(value) => update('user', value)} searchable clearable />
+        <NumberInput label="Min likes" min={0} value={filters.minLikes} w={100}
+          onChange={(value) => update('minLikes', value)} />
+        <NumberInput label="Max kcal per serving" min={0} step={50} value={filters.maxCalories} w={150}
+          onChange={(value) => update('maxCalories', value)} />
+        <NumberInput label="Min health score" min={0} max={100} value={filters.minHealthScore} w={130}
+          onChange={(value) => update('minHealthScore', value)} />
+      </Group>
+      <Group align="flex-end" mt="sm">
+        <MultiSelect label="With ingredients" placeholder="Any" value={filters.include}
+          data={foodItems.filter((foodName) => !filters.exclude.includes(foodName))}
+          onChange={(value) => update('include', value)} searchable clearable />
+        <MultiSelect label="Without ingredients" placeholder="None" value={filters.exclude}
+          data={foodItems.filter((foodName) => !filters.include.includes(foodName))}
+          onChange={(value) => update('exclude', value)} searchable clearable />
+        {loggedIn && (
+          <Checkbox label="Liked by me" checked={filters.liked}
+            onChange={(e) => update('liked', e.currentTarget.checked)} mb={8} />
+        )}
+        <Button variant="subtle" onClick={() => onChange(NO_FILTERS)}>Clear filters</Button>
+      </Group>
+    </Fieldset>
+  );
+};
+
+export default RecipeFilters;
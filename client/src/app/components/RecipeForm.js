@@ -1,51 +1,40 @@
 'use client';
 
-import { useState, useEffect } from 'react';
-import { Button, TextInput, Textarea, Title, Group, Select, Text, Modal } from '@mantine/core';
+import { useState } from 'react';
+import { Button, TextInput, Textarea, Title, Group, Select, Text, NumberInput } from '@mantine/core';
 import styles from '../newrecipes/newrecipes.css';
+import FieldErrors from '../util/FieldErrors';
+import useCurrentUser from '../util/CurrentUser';
 
 const RecipeForm = () => {
   const [name, setName] = useState('');
   const [cuisine, setCuisine] = useState('');
   const [time, setTime] = useState('');
+  const [serves, setServes] = useState(1);
   const [image, setImage] = useState('');
   const [steps, setSteps] = useState(['']);
-  const [userID, setUserID] = useState(null);
+  const { user } = useCurrentUser();
   const [newRecipeSuccess, setNewRecipeSuccess] = useState('');
-  const [timeErrorModal, setTimeErrorModal] = useState(false);
-
-  useEffect(() => {
-    // Retrieve the UserID from local storage
-    const storedUserID = localStorage.getItem('selectedUser');
-    setUserID(storedUserID);
-  }, []);
-
-  const validateTimeFormat = (time) => {
-    // Regular expression to match the D HH:MM format
-    const regex = /^\d (?:[01]?\d|2[0-3]):[0-5]\d$/;
-    return regex.test(time);
-  };
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [formError, setFormError] = useState('');
 
   const handleSubmit = async (e) => {
     e.preventDefault();
 
-    if (!userID) {
-      console.error('No user ID available. Please log in.');
+    if (!user) {
+      setFormError('Please log in to add a recipe.');
       return;
     }
 
-    // Validate cooking time format
-    if (!validateTimeFormat(time)) {
-      setTimeErrorModal(true); 
-      return;
-    }
-
-    // Construct the new recipe data
+    // Construct the whole recipe; the server saves it in one transaction and
+    // credits it to the logged-in user
     const newRecipe = { 
       RecipeName: name, 
       Cuisine: cuisine, 
       CookingTime: time, 
-      UserID: userID 
+      Serves: serves,
+      steps,
+      images: image ? [{ ImageURL: image, Caption: `Image of ${name}` }] : []
     };
 
     try {
@@ -62,29 +51,25 @@ const RecipeForm = () => {
       if (response.ok) {
         console.log('Recipe created:', result);
 
-        // Optionally, add steps after creating the recipe
-        if (steps.length > 0) {
-          const recipeID = result.response.RecipeID;
-          await addStepsToRecipe(recipeID, steps);
-        }
-
-        // Add image with a default caption
-        if (image) {
-          const defaultCaption = `Image of ${name}`;
-          await addImageToRecipe(result.response.RecipeID, image, defaultCaption);
-        }
-
         // Reset form fields
         setName('');
         setCuisine('');
         setTime('');
+        setServes(1);
         setImage('');
         setSteps(['']);
 
+        setFieldErrors({});
+        setFormError('');
         setNewRecipeSuccess('Success!');
 
       } else {
+        // The server checks every field (e.g. the D HH:MM cooking time) and
+        // reports problems per field, which are shown next to the inputs
         console.error('Error creating recipe:', result.error);
+        setFieldErrors(FieldErrors(response, result));
+        setFormError(result.error);
+        setNewRecipeSuccess('');
       }
 
     } catch (error) {
@@ -93,44 +78,6 @@ const RecipeForm = () => {
     }
   };
 
-  // Function to add steps to the created recipe
-  const addStepsToRecipe = async (recipeID, steps) => {
-    try {
-      const response = await fetch(`/api/steps/${recipeID}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ steps })
-      });
-
-      if (!response.ok) {
-        console.error('Failed to add steps:', await response.json());
-      }
-    } catch (error) {
-      console.error('Error adding steps:', error);
-    }
-  };
-
-  // Function to add image to the recipe
-  const addImageToRecipe = async (recipeID, imageURL, caption) => {
-    try {
-      const response = await fetch('/api/images', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ recipeID, imageURL, caption })
-      });
-
-      if (!response.ok) {
-        console.error('Failed to add image:', await response.json());
-      }
-    } catch (error) {
-      console.error('Error adding image:', error);
-    }
-  };
-
   const handleStepChange = (index, value) => {
     const newSteps = [...steps];
     newSteps[index] = value;
@@ -149,6 +96,7 @@ const RecipeForm = () => {
           label="Recipe Name"
           value={name}
           onChange={(e) => setName(e.target.value)}
+          error={fieldErrors.RecipeName}
           required
         />
         <Select
@@ -168,18 +116,30 @@ const RecipeForm = () => {
             'Mexican',
             'Thai',
           ]}
+          error={fieldErrors.Cuisine}
           required
         />
         <TextInput
           label="Cooking Time (D HH:MM)"
           value={time}
           onChange={(e) => setTime(e.target.value)}
+          error={fieldErrors.CookingTime}
           required
         />
+        <NumberInput
+          label="Serves"
+          min={1}
+          max={100}
+          allowDecimal={false}
+          value={serves}
+          onChange={(value) => setServes(Number(value) || 1)}
+          error={fieldErrors.Serves}
+        />
         <TextInput
           label="Image URL"
           value={image}
           onChange={(e) => setImage(e.target.value)}
+          error={fieldErrors['images[0].ImageURL']}
           required
         />
         <h2 className="steps">Steps</h2>
@@ -189,6 +149,7 @@ const RecipeForm = () => {
             label={`Step ${index + 1}`}
             value={step}
             onChange={(e) => handleStepChange(index, e.target.value)}
+            error={fieldErrors[`steps[${index}]`]}
             required
           />
         ))}
@@ -199,16 +160,8 @@ const RecipeForm = () => {
           Add Recipe
         </Button>
         <Text c="green">{newRecipeSuccess}</Text>
+        <Text c="red">{formError}</Text>
       </form>
-
-      <Modal
-        opened={timeErrorModal}
-        onClose={() => setTimeErrorModal(false)}
-        title="Invalid Cooking Time"
-      >
-        <Text>Please enter the cooking time in the format D HH:MM.</Text>
-        <Button onClick={() => setTimeErrorModal(false)}>Close</Button>
-      </Modal>
     </div>
   );
 }
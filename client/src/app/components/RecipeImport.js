@@ -0,0 +1,131 @@
+import React, { useState, useEffect } from 'react';
+import { Button, Checkbox, FileInput, Group, Select, Table, Text } from '@mantine/core';
+
+const STATUS_COLORS = { created: 'green', skipped: 'dimmed', rejected: 'red' };
+
+// Explains a report row: the foods it added, why it was skipped, or what was wrong
+const describe = (row) => {
+  if (row.status === 'created') {
+    return row.createdFoodItems.length > 0 ? `New foods: ${row.createdFoodItems.join(', ')}` : '';
+  }
+  if (row.status === 'skipped') {
+    return row.reason;
+  }
+  return Object.entries(row.errors).map(([field, message]) => `${field}: ${message}`).join('; ');
+};
+
+// Bulk recipe import for the admin page: a JSON or CSV file, checked with a
+// dry run first if wanted, and a per-row report of what happened
+const RecipeImport = ({ user }) => {
+  const [file, setFile] = useState(null);
+  const [users, setUsers] = useState([]);
+  const [author, setAuthor] = useState(String(user.UserID));
+  const [dryRun, setDryRun] = useState(true);
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+  const [importing, setImporting] = useState(false);
+
+  useEffect(() => {
+    const fetchUsers = async () => {
+      try {
+        const response = await fetch('/api/users?columns=UserID,UserName&sort=name');
+        if (!response.ok) {
+          throw new Error('Failed to fetch users');
+        }
+        const { data } = await response.json();
+        setUsers(data.map((row) => ({ value: String(row.USERID), label: row.USERNAME })));
+      } catch (error) {
+        console.error('Error fetching users:', error);
+      }
+    };
+
+    fetchUsers();
+  }, []);
+
+  const handleImport = async () => {
+    if (!file) {
+      setError('Choose a .json or .csv file first.');
+      return;
+    }
+    setImporting(true);
+    try {
+      const text = await file.text();
+      let body;
+      if (file.name.toLowerCase().endsWith('.csv')) {
+        body = { csv: text };
+      } else {
+        try {
+          body = { recipes: JSON.parse(text) };
+        } catch {
+          throw new Error('The file is not valid JSON.');
+        }
+      }
+
+      const response = await fetch('/api/recipes/import', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...body, UserID: Number(author), dryRun }),
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        const fieldMessages = Object.values(result.fields || {});
+        throw new Error([result.error, ...fieldMessages].join(': '));
+      }
+      setReport(result.data);
+      setError(null);
+    } catch (error) {
+      console.error('Error importing recipes:', error);
+      setReport(null);
+      setError(error.message);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  return (
+    <div style={{ marginTop: '30px' }}>
+      <h2>Import Recipes</h2>
+      <Text c="dimmed" size="sm">
+        A JSON array of recipes, or a CSV file with the columns RecipeName, Cuisine, CookingTime, Steps,
+        Ingredients, ImageURLs and ImageCaptions. Separate several steps, ingredients or images with |,
+        and write ingredients as FoodName:Quantity with an optional unit, e.g. Olive oil:2 tbsp.
+      </Text>
+      <Group align="flex-end" mt="sm">
+        <FileInput label="File" placeholder="recipes.csv" accept=".json,.csv" value={file} onChange={setFile} clearable />
+        <Select label="Author" data={users} value={author} onChange={setAuthor} searchable allowDeselect={false} />
+        <Checkbox label="Dry run (save nothing)" checked={dryRun} onChange={(e) => setDryRun(e.currentTarget.checked)} />
+        <Button onClick={handleImport} loading={importing}>{dryRun ? 'Check' : 'Import'}</Button>
+      </Group>
+      {error && <p>Error: {error}</p>}
+      {report && (
+        <div>
+          <p>
+            {report.dryRun ? 'Would create' : 'Created'} {report.created}, skipped {report.skipped}, rejected {report.rejected}.
+          </p>
+          <Table>
+            <Table.Thead>
+              <Table.Tr>
+                <Table.Th>Row</Table.Th>
+                <Table.Th>Recipe</Table.Th>
+                <Table.Th>Result</Table.Th>
+                <Table.Th>Details</Table.Th>
+              </Table.Tr>
+            </Table.Thead>
+            <Table.Tbody>
+              {report.rows.map((row) => (
+                <Table.Tr key={row.row}>
+                  <Table.Td>{row.row}</Table.Td>
+                  <Table.Td>{row.RecipeName}</Table.Td>
+                  <Table.Td><Text c={STATUS_COLORS[row.status]}>{row.status}</Text></Table.Td>
+                  <Table.Td>{describe(row)}</Table.Td>
+                </Table.Tr>
+              ))}
+            </Table.Tbody>
+          </Table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RecipeImport;
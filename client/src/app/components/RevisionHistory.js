@@ -0,0 +1,171 @@
+import React, { useState, useEffect } from 'react';
+import { Button, Select, Table, Text } from '@mantine/core';
+import './RevisionHistory.css';
+
+const CHANGE_MARKS = { added: '+', removed: '−', changed: '~', unchanged: ' ' };
+
+const savedBy = (revision) => revision.SAVEDBYNAME || 'Before history was kept';
+
+// A recipe's saved revisions, a diff between any two and, for its author,
+// rollback to an older one. onRollback is called after a successful rollback.
+const RevisionHistory = ({ recipeID, canEdit, onRollback }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [from, setFrom] = useState(null);
+  const [to, setTo] = useState(null);
+  const [diff, setDiff] = useState(null);
+  const [message, setMessage] = useState('');
+
+  const fetchRevisions = async () => {
+    try {
+      const response = await fetch(`/api/recipe/${recipeID}/revisions`);
+      if (!response.ok) {
+        throw new Error('Failed to fetch revisions');
+      }
+      const { data } = await response.json();
+      setRevisions(data);
+      // Compare the latest revision with the one before it by default
+      setTo(data.length > 0 ? String(data[0].REVISION) : null);
+      setFrom(data.length > 1 ? String(data[1].REVISION) : null);
+    } catch (error) {
+      console.error('Error fetching revisions:', error);
+    }
+  };
+
+  useEffect(() => {
+    fetchRevisions();
+  }, [recipeID]);
+
+  useEffect(() => {
+    const fetchDiff = async () => {
+      if (!from || !to) {
+        setDiff(null);
+        return;
+      }
+      try {
+        const response = await fetch(`/api/recipe/${recipeID}/revisions/diff?from=${from}&to=${to}`);
+        if (!response.ok) {
+          throw new Error('Failed to compare revisions');
+        }
+        const { data } = await response.json();
+        setDiff(data);
+      } catch (error) {
+        console.error('Error comparing revisions:', error);
+      }
+    };
+
+    fetchDiff();
+  }, [recipeID, from, to]);
+
+  const handleRollback = async (revision) => {
+    try {
+      const response = await fetch(`/api/recipe/${recipeID}/revisions/${revision}/rollback`, { method: 'POST' });
+      if (!response.ok) {
+        throw new Error('Failed to roll back recipe');
+      }
+      const { data } = await response.json();
+      setMessage(`Restored revision ${revision} as revision ${data.Revision}.`);
+      await fetchRevisions();
+      if (onRollback) {
+        onRollback();
+      }
+    } catch (error) {
+      console.error('Error rolling back recipe:', error);
+      setMessage('Failed to roll back recipe.');
+    }
+  };
+
+  if (revisions.length === 0) {
+    return (
+      <div className="revision-history">
+        <h2>History</h2>
+        <Text c="dimmed">No earlier versions of this recipe have been saved.</Text>
+      </div>
+    );
+  }
+
+  const revisionOptions = revisions.map((revision) => ({
+    value: String(revision.REVISION),
+    label: `#${revision.REVISION} — ${new Date(revision.SAVEDAT).toLocaleString()}`,
+  }));
+
+  return (
+    <div className="revision-history">
+      <h2>History</h2>
+      <Text c="green">{message}</Text>
+      <Table>
+        <Table.Thead>
+          <Table.Tr>
+            <Table.Th>Revision</Table.Th>
+            <Table.Th>Saved</Table.Th>
+            <Table.Th>By</Table.Th>
+            <Table.Th></Table.Th>
+          </Table.Tr>
+        </Table.Thead>
+        <Table.Tbody>
+          {revisions.map((revision, index) => (
+            <Table.Tr key={revision.REVISION}>
+              <Table.Td>
+                #{revision.REVISION}
+                {revision.RESTOREDFROM && ` (restored #${revision.RESTOREDFROM})`}
+              </Table.Td>
+              <Table.Td>{new Date(revision.SAVEDAT).toLocaleString()}</Table.Td>
+              <Table.Td>{savedBy(revision)}</Table.Td>
+              <Table.Td>
+                {canEdit && index > 0 && (
+                  <Button size="xs" variant="light" onClick={() => handleRollback(revision.REVISION)}>
+                    Restore this version
+                  </Button>
+                )}
+              </Table.Td>
+            </Table.Tr>
+          ))}
+        </Table.Tbody>
+      </Table>
+
+      {revisions.length > 1 && (
+        <div className="revision-diff">
+          <div className="revision-diff-select">
+            <Select label="Compare" data={revisionOptions} value={from} onChange={setFrom} />
+            <Select label="with" data={revisionOptions} value={to} onChange={setTo} />
+          </div>
+          {diff && (
+            <div>
+              {diff.fields.map((field) => (
+                <p key={field.field}>
+                  <strong>{field.field}:</strong> <del>{field.from}</del> → <ins>{field.to}</ins>
+                </p>
+              ))}
+              <h3>Steps</h3>
+              <ol className="revision-steps">
+                {diff.steps.map((step, index) => (
+                  <li key={index} className={`change-${step.change}`}>
+                    {CHANGE_MARKS[step.change]} {step.text}
+                  </li>
+                ))}
+              </ol>
+              {[...diff.images, ...diff.ingredients].length > 0 && <h3>Images and ingredients</h3>}
+              <ul className="revision-parts">
+                {diff.images.map((image) => (
+                  <li key={image.ImageURL} className={`change-${image.change}`}>
+                    {CHANGE_MARKS[image.change]} Image {image.ImageURL}: {image.from ?? ''}{image.change === 'changed' && ' → '}{image.to ?? ''}
+                  </li>
+                ))}
+                {diff.ingredients.map((ingredient) => (
+                  <li key={ingredient.FoodName} className={`change-${ingredient.change}`}>
+                    {CHANGE_MARKS[ingredient.change]} {ingredient.FoodName}: {ingredient.from ?? ''}{ingredient.change === 'changed' && ' → '}{ingredient.to ?? ''}
+                  </li>
+                ))}
+              </ul>
+              {diff.fields.length === 0 && diff.images.length === 0 && diff.ingredients.length === 0
+                && diff.steps.every((step) => step.change === 'unchanged') && (
+                <Text c="dimmed">These revisions are the same.</Text>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RevisionHistory;
@@ -0,0 +1,83 @@
+'use client';
+
+import { useState } from 'react';
+import Link from 'next/link';
+import { Button, FileInput, Group, Text, Title } from '@mantine/core';
+import useCurrentUser from '../util/CurrentUser';
+
+// Creates a recipe from another site's schema.org Recipe: a .json/.jsonld file
+// with the JSON-LD, or the recipe page saved as .html
+const SchemaOrgImport = () => {
+  const { user } = useCurrentUser();
+  const [file, setFile] = useState(null);
+  const [imported, setImported] = useState(null);
+  const [error, setError] = useState(null);
+  const [importing, setImporting] = useState(false);
+
+  const handleImport = async () => {
+    if (!user) {
+      setError('Please log in to import a recipe.');
+      return;
+    }
+    if (!file) {
+      setError('Choose a JSON-LD or saved HTML file first.');
+      return;
+    }
+    setImporting(true);
+    try {
+      const text = await file.text();
+      let body;
+      if (/\.html?$/i.test(file.name)) {
+        body = { html: text };
+      } else {
+        try {
+          body = { document: JSON.parse(text) };
+        } catch {
+          throw new Error('The file is not valid JSON.');
+        }
+      }
+
+      const response = await fetch('/api/recipe/import', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        const fieldMessages = Object.entries(result.fields || {}).map(([field, message]) => `${field}: ${message}`);
+        throw new Error([result.error, ...fieldMessages].join(' — '));
+      }
+      setImported(result.response);
+      setError(null);
+    } catch (error) {
+      console.error('Error importing recipe:', error);
+      setImported(null);
+      setError(error.message);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  return (
+    <div>
+      <Title order={3}>Import from another site</Title>
+      <Text size="sm">
+        Upload a schema.org recipe: a JSON-LD file, or a recipe page saved from your browser.
+      </Text>
+      <Group align="flex-end" mt="sm">
+        <FileInput label="File" placeholder="recipe.jsonld or recipe.html" accept=".json,.jsonld,.html,.htm"
+          value={file} onChange={setFile} clearable />
+        <Button onClick={handleImport} loading={importing}>Import</Button>
+      </Group>
+      {error && <Text c="red" mt="sm">{error}</Text>}
+      {imported && (
+        <Text mt="sm">
+          Imported <Link href={`/recipes/${imported.RecipeID}`}>{imported.RecipeName}</Link>
+          {imported.createdFoodItems.length > 0 && ` (new foods: ${imported.createdFoodItems.join(', ')})`}
+        </Text>
+      )}
+    </div>
+  );
+};
+
+export default SchemaOrgImport;
@@ -0,0 +1,56 @@
+import React from 'react';
+import { Paper, Table, Text, Title } from '@mantine/core';
+import { formatQuantity } from '../util/Units';
+
+// The items to buy, as the { FoodName, Quantity, Unit } a saved shopping list takes
+export const toBuyItems = (shoppingList) => shoppingList.groups
+  .flatMap((group) => group.items.map((item) => ({ FoodName: item.FoodName, Quantity: item.ToBuy, Unit: item.Unit })));
+
+// What to buy for one food group
+const GroupTable = ({ group, recipeNames, system }) => (
+  <Paper withBorder p="sm" mb="sm">
+    <Title order={4}>{group.FoodGroup}</Title>
+    <Table>
+      <Table.Thead>
+        <Table.Tr>
+          <Table.Th>Food</Table.Th>
+          <Table.Th>To buy</Table.Th>
+          <Table.Th>Needed</Table.Th>
+          <Table.Th>In stock</Table.Th>
+          <Table.Th>For</Table.Th>
+        </Table.Tr>
+      </Table.Thead>
+      <Table.Tbody>
+        {group.items.map((item) => (
+          <Table.Tr key={`${item.FoodName} ${item.Unit}`}>
+            <Table.Td>{item.FoodName}</Table.Td>
+            <Table.Td><strong>{formatQuantity(item.ToBuy, item.Unit, system)}</strong></Table.Td>
+            <Table.Td>{formatQuantity(item.Needed, item.Unit, system)}</Table.Td>
+            <Table.Td>{formatQuantity(item.Have, item.Unit, system)}</Table.Td>
+            <Table.Td>{item.recipes.map((id) => recipeNames[id]).join(', ')}</Table.Td>
+          </Table.Tr>
+        ))}
+      </Table.Tbody>
+    </Table>
+  </Paper>
+);
+
+// A computed shopping list ({ groups, inStock } from POST /api/shopping-list
+// or a meal plan's needs): what to buy by food group, then what is in stock,
+// with amounts in the `system` of units given
+const ShoppingNeeds = ({ shoppingList, recipeNames, system }) => (
+  <div>
+    {shoppingList.groups.length > 0
+      ? shoppingList.groups.map((group) => (
+        <GroupTable key={group.FoodGroup} group={group} recipeNames={recipeNames} system={system} />
+      ))
+      : <Text size="sm">Nothing: the pantries have everything these recipes need.</Text>}
+    {shoppingList.inStock.length > 0 && (
+      <Text size="sm" mt="sm">
+        Already in stock: {shoppingList.inStock.map((item) => `${item.FoodName} (${formatQuantity(item.Needed, item.Unit, system)} of ${formatQuantity(item.Have, item.Unit, system)})`).join(', ')}
+      </Text>
+    )}
+  </div>
+);
+
+export default ShoppingNeeds;
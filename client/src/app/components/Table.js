@@ -1,30 +1,36 @@
 import React, { useState } from 'react';
+import { Pagination } from '@mantine/core';
 import './Table.css'; 
 
-const Table = ({ tableData, tableName, columns }) => {
+const Table = ({ tableData, tableName, columns, page, totalPages, onPageChange }) => {
   if (!Array.isArray(tableData) || tableData.length === 0) {
     return <p>No data available for {tableName}.</p>;
   }
 
   return (
-    <table>
-      <thead>
-        <tr>
-          {columns.map((col) => (
-            <th key={col}>{col}</th>
-          ))}
-        </tr>
-      </thead>
-      <tbody>
-        {tableData.map((row, index) => (
-          <tr key={index} className={index % 2 === 0 ? 'even' : 'odd'}>
+    <div>
+      <table>
+        <thead>
+          <tr>
             {columns.map((col) => (
-              <td key={col}>{row[col]}</td>
+              <th key={col}>{col}</th>
             ))}
           </tr>
-        ))}
-      </tbody>
-    </table>
+        </thead>
+        <tbody>
+          {tableData.map((row, index) => (
+            <tr key={index} className={index % 2 === 0 ? 'even' : 'odd'}>
+              {columns.map((col) => (
+                <td key={col}>{row[col]}</td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {totalPages > 1 && (
+        <Pagination total={totalPages} value={page} onChange={onPageChange} mt="md" />
+      )}
+    </div>
   );
 };
 
@@ -1,9 +1,9 @@
 import { useState, useEffect } from 'react';
 import Link from 'next/link';
-import { Table, Radio, Button } from '@mantine/core';
+import { Table, Radio, Button, Pagination } from '@mantine/core';
 import styles from './Table.css';
 
-const UpdateTable = ({ recipes }) => {
+const UpdateTable = ({ recipes, page, totalPages, onPageChange }) => {
   const [selectedID, setSelectedID] = useState(null);
 
   const handleRadioChange = (recipeId) => {
@@ -48,6 +48,10 @@ const UpdateTable = ({ recipes }) => {
         <Table.Tbody>{rows}</Table.Tbody>
       </Table>
 
+      {totalPages > 1 && (
+        <Pagination total={totalPages} value={page} onChange={onPageChange} mt="md" />
+      )}
+
 
       {recipes.length > 0 ? (
         <div style={{ position: 'relative', top: '20px', left: '20px' }}>
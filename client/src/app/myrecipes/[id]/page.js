@@ -5,38 +5,29 @@ import NavBar from '../../components/NavBar';
 import { useParams } from 'next/navigation';
 import '../MyRecipes.css';
 import GroupRecipes from '@/app/util/GroupRecipes';
-import { TextInput, Textarea, Select, Button, Text } from '@mantine/core';
+import { TextInput, Textarea, Select, Button, Text, NumberInput } from '@mantine/core';
 import { useForm } from '@mantine/form';
 import { useRouter } from "next/navigation";
 import Link from 'next/link';
+import useCurrentUser from '@/app/util/CurrentUser';
+import RevisionHistory from '@/app/components/RevisionHistory';
 
 
 const EditRecipe = () => {
   const params = useParams();
   const id = params.id;
-  const selectedUser = localStorage.getItem('selectedUser');
+  const { user } = useCurrentUser();
   const [recipe, setRecipe] = useState({});
   const [cuisineOptions, setCuisineOptions] = useState([]);
-  const [users, setUsers] = useState([]);
   const [steps, setSteps] = useState([]);
+  const [ingredients, setIngredients] = useState([]);
   const [editRecipeSuccess, setEditRecipeSuccess] = useState('');
   const [deleteSuccess, setDeleteSuccess] = useState('');
+  // Bumped after a rollback so the recipe is fetched again
+  const [reloadKey, setReloadKey] = useState(0);
 
   const router = useRouter();
 
-  useEffect(() => {
-    const fetchUsers = async() => {
-      try {
-        const response = await fetch('/api/users');
-        const data = await response.json();
-        setUsers(data.data);
-      } catch (error) {
-        console.error('Error fetching users:', error);
-      }
-    };
-    fetchUsers();
-  }, []);
-
   useEffect(() => {
     const fetchCuisines = async () => {
       try {
@@ -64,7 +55,7 @@ const EditRecipe = () => {
         }
     };
     fetchRecipe();
-  }, [id]);
+  }, [id, reloadKey]);
 
   useEffect(() => {
     const fetchRecipeSteps = async () => {
@@ -80,13 +71,36 @@ const EditRecipe = () => {
       }
     };
     fetchRecipeSteps();
-  }, [id]);
+  }, [id, reloadKey]);
+
+  useEffect(() => {
+    // Ingredients aren't editable here, but the update replaces the whole recipe,
+    // so they are sent back unchanged
+    const fetchIngredients = async () => {
+      try {
+        const response = await fetch(`/api/recipe/${id}/fooditems`);
+        if (response.status === 404) {
+          setIngredients([]);
+          return;
+        }
+        if (!response.ok) {
+          throw new Error('Failed to fetch recipe ingredients');
+        }
+        const data = await response.json();
+        setIngredients(data.data.map((item) => ({ FoodName: item.FOODNAME, Quantity: item.QUANTITY, Unit: item.UNIT })));
+      } catch (error) {
+        console.error('Error fetching recipe ingredients:', error);
+      }
+    };
+    fetchIngredients();
+  }, [id, reloadKey]);
 
   const form = useForm({
     initialValues: {
       name: '',
       cuisine: '',
       time: '',
+      serves: '',
       image: '',
       steps: ''
     }
@@ -107,8 +121,7 @@ const EditRecipe = () => {
       RecipeName: values.name || recipe.RECIPENAME,
       Cuisine: values.cuisine || recipe.CUISINE,
       CookingTime: values.time || recipe.COOKINGTIME,
-      UserID: (values.user && values.user.split('.')[1].trim() !== recipe.USERNAME) ? values.user.split('.')[0] : recipe.USERID,
-      InstructionText: values.steps ? values.steps.split('\n') : steps.map(step => `${step[1]}`)
+      Serves: values.serves || recipe.SERVES
     };
   
     if (!validateTimeFormat(updatedRecipe.CookingTime)) {
@@ -116,19 +129,21 @@ const EditRecipe = () => {
       return;
     }
   
-    const updatedImages = {
-      ImageURL: values.url ? values.url.split('\n') : recipe.IMAGEURL,
-      Caption: values.caption ? values.caption.split('\n') : recipe.CAPTION
-    };
+    const imageURLs = values.url ? values.url.split('\n') : (recipe.IMAGEURL || []);
+    const captions = values.caption ? values.caption.split('\n') : (recipe.CAPTION || []);
 
-    if (updatedImages.ImageURL.length !== updatedImages.Caption.length) {
+    if (imageURLs.length !== captions.length) {
       form.setFieldError('url', 'Number of image URLs must match number of captions.');
       form.setFieldError('caption', 'Number of image URLs must match number of captions.');
       return;
     }
 
-    const updatedSteps = values.steps && values.steps !== steps.map(step => `${step[1]}`).join('\n') ? { steps: values.steps.split('\n') } : { steps: steps.map((step) => step[1])};
-    
+    // The recipe, steps, images and ingredients are replaced in one request,
+    // so a failure can't leave the recipe half updated
+    updatedRecipe.steps = values.steps ? values.steps.split('\n').filter((step) => step.trim() !== '') : steps.map((step) => step[1]);
+    updatedRecipe.images = imageURLs.map((url, index) => ({ ImageURL: url, Caption: captions[index] }));
+    updatedRecipe.ingredients = ingredients;
+
     try {
       const response = await fetch(`/api/recipe/${id}`, {
         method: 'PUT',
@@ -142,76 +157,8 @@ const EditRecipe = () => {
         throw new Error('Failed to update recipe');
       }
     } catch (error) {
-      console.log("Failed to update");
-      setError(error);
-      return;
-    }
-
-    try {
-      const response = await fetch(`/api/steps/${id}`, {
-        method: 'DELETE',
-        headers: {
-          'Content-Type': 'application/json'
-        }});
-
-      if (!response.ok) {
-        throw new Error('Failed to delete steps');
-      }
-    } catch (error) {
-      console.log("Failed to delete steps");
-      setError(error);
-      return;
-    }
-
-    try {
-      const response = await fetch(`/api/steps/${id}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(updatedSteps)
-      });
-
-      if (!response.ok) {
-        throw new Error('Failed to add new steps');
-      }
-    } catch (error) {
-      console.log("Failed to add new steps");
-      setError(error);
-      return;
-    }
-
-    try {
-      const response = await fetch(`/api/images/${id}`, {
-        method: 'DELETE',
-        headers: {
-          'Content-Type': 'application/json'
-        }});
-
-      if (!response.ok) {
-        throw new Error('Failed to delete images');
-      }
-    } catch (error) {
-      console.log("Failed to delete images");
-      setError(error);
-      return;
-    }
-
-    try {
-      const response = await fetch(`/api/images/${id}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(updatedImages)
-      });
-
-      if (!response.ok) {
-        throw new Error('Failed to add new images');
-      }
-    } catch (error) {
-      console.log("Failed to add new images");
-      setError(error);
+      console.error('Failed to update recipe:', error);
+      setEditRecipeSuccess('');
       return;
     }
 
@@ -240,16 +187,19 @@ const EditRecipe = () => {
       if (!response.ok) {
         throw new Error('Failed to delete recipe');
       }
-      setDeleteSuccess('Success!');
+      setDeleteSuccess('Moved to the trash. You can restore it from My Recipes > Trash.');
       setTimeout(() => {
         router.push('/myrecipes');
-      }, 1000);
+      }, 2000);
     } catch (error) {
       console.error('Error deleting recipe:', error);
       setDeleteSuccess('');
     }
   }
 
+  // Only the author or an admin may change the recipe; the server checks this too
+  const canEdit = Boolean(user) && (user.UserID === recipe.USERID || user.UserRole === 'admin');
+
   return (
     <div>
       <NavBar/>
@@ -284,10 +234,13 @@ const EditRecipe = () => {
           />
           <br/>
 
-          <Select
-            label='Change author'
-            data={users.map(user => `${user.USERID}. ${user.USERNAME}`)}
-            {...form.getInputProps('user')}
+          <NumberInput
+            label="Serves"
+            placeholder={recipe.SERVES ? String(recipe.SERVES) : ''}
+            min={1}
+            max={100}
+            allowDecimal={false}
+            {...form.getInputProps('serves')}
           />
           <br/>
 
@@ -314,13 +267,19 @@ const EditRecipe = () => {
           />
           <br/>
           <Text c="green">{editRecipeSuccess}</Text>
-          <Button type="submit">Submit</Button>
+          {canEdit && <Button type="submit">Submit</Button>}
         </form>
 
         <br/>
         <Text c="green">{deleteSuccess}</Text>
-        <Button onClick={handleDelete} color='red'>Delete</Button>
-        
+        {canEdit ? (
+          <Button onClick={handleDelete} color='red'>Delete</Button>
+        ) : (
+          <Text c="dimmed">Only the author of this recipe can change it.</Text>
+        )}
+
+        <RevisionHistory recipeID={id} canEdit={canEdit} onRollback={() => setReloadKey(reloadKey + 1)} />
+
       </div>
     </div>
   );
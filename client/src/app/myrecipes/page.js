@@ -1,14 +1,20 @@
 'use client';
 
 import { useState, useEffect } from 'react';
+import Link from 'next/link';
 import NavBar from '../components/NavBar';
 import './MyRecipes.css';
 import UpdateTable from '../components/UpdateTable';
 import GroupRecipes from "../util/GroupRecipes";
+import useCurrentUser from "../util/CurrentUser";
+
+const PAGE_SIZE = 10;
 
 const MyRecipes = () => {
-  const selectedUser = localStorage.getItem('selectedUser');
+  const { user } = useCurrentUser();
   const [recipes, setRecipes] = useState([]);
+  const [page, setPage] = useState(1);
+  const [totalRecipes, setTotalRecipes] = useState(0);
 
   useEffect(() => {
     const fetchUsers = async() => {
@@ -38,25 +44,40 @@ const MyRecipes = () => {
 
   useEffect(() => {
     const fetchRecipes = async () => {  
+        if (!user) {
+            return;
+        }
         try {
-            const response = await fetch(`/api/recipes?user=${selectedUser}`);
+            const params = new URLSearchParams({
+                user: user.UserID,
+                limit: PAGE_SIZE,
+                offset: (page - 1) * PAGE_SIZE,
+            });
+            const response = await fetch(`/api/recipes?${params}`);
             if (!response.ok) {
                 throw new Error('Network response was not ok');
             }
-            const { data } = await response.json();
+            const { data, total } = await response.json();
             setRecipes(GroupRecipes(data));
+            setTotalRecipes(total);
         } catch (error) {
             console.error('Error fetching recipes:', error);
         }
     };
   
     fetchRecipes();
-  }, []);
+  }, [page, user]);
 
   return (
     <div>
       <NavBar/>
-      <UpdateTable recipes={recipes}/>
+      <Link href="/myrecipes/trash">Trash</Link>
+      <UpdateTable
+        recipes={recipes}
+        page={page}
+        totalPages={Math.ceil(totalRecipes / PAGE_SIZE)}
+        onPageChange={setPage}
+      />
     </div>
   );
 };
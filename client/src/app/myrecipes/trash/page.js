@@ -0,0 +1,106 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { Table, Button, Pagination, Text } from '@mantine/core';
+import NavBar from '../../components/NavBar';
+import useCurrentUser from '../../util/CurrentUser';
+
+const PAGE_SIZE = 10;
+
+// Deleted recipes stay here until they are restored or purged by the server
+const Trash = () => {
+  const { user } = useCurrentUser();
+  const [recipes, setRecipes] = useState([]);
+  const [page, setPage] = useState(1);
+  const [totalRecipes, setTotalRecipes] = useState(0);
+  const [message, setMessage] = useState('');
+
+  const fetchTrash = async (pageNumber) => {
+    try {
+      const params = new URLSearchParams({
+        limit: PAGE_SIZE,
+        offset: (pageNumber - 1) * PAGE_SIZE,
+      });
+      const response = await fetch(`/api/trash?${params}`);
+      if (!response.ok) {
+        throw new Error('Network response was not ok');
+      }
+      const { data, total } = await response.json();
+      setRecipes(data);
+      setTotalRecipes(total);
+    } catch (error) {
+      console.error('Error fetching trash:', error);
+    }
+  };
+
+  useEffect(() => {
+    if (user) {
+      fetchTrash(page);
+    }
+  }, [page, user]);
+
+  const handleRestore = async (recipe) => {
+    try {
+      const response = await fetch(`/api/recipe/${recipe.RECIPEID}/restore`, { method: 'POST' });
+      if (!response.ok) {
+        throw new Error('Failed to restore recipe');
+      }
+      setMessage(`Restored ${recipe.RECIPENAME}.`);
+      // Stay on this page unless restoring emptied it
+      const lastPage = Math.max(1, Math.ceil((totalRecipes - 1) / PAGE_SIZE));
+      if (page > lastPage) {
+        setPage(lastPage);
+      } else {
+        fetchTrash(page);
+      }
+    } catch (error) {
+      console.error('Error restoring recipe:', error);
+      setMessage('Failed to restore recipe.');
+    }
+  };
+
+  const rows = recipes.map((recipe) => (
+    <Table.Tr key={recipe.RECIPEID}>
+      <Table.Td>{recipe.RECIPENAME}</Table.Td>
+      <Table.Td>{recipe.CUISINE}</Table.Td>
+      <Table.Td>{new Date(recipe.DELETEDAT).toLocaleDateString()}</Table.Td>
+      <Table.Td>{recipe.PURGEAT ? new Date(recipe.PURGEAT).toLocaleDateString() : 'Kept (cooked or planned)'}</Table.Td>
+      <Table.Td>
+        <Button size="xs" onClick={() => handleRestore(recipe)}>Restore</Button>
+      </Table.Td>
+    </Table.Tr>
+  ));
+
+  return (
+    <div>
+      <NavBar/>
+      <h1>Trash</h1>
+      <Text c="dimmed">
+        Deleted recipes are kept here, with their steps, images, ingredients and likes, until the date shown. <Link href="/myrecipes">Back to My Recipes</Link>
+      </Text>
+      <Text c="green">{message}</Text>
+      {recipes.length === 0 ? (
+        <p>The trash is empty.</p>
+      ) : (
+        <Table>
+          <Table.Thead>
+            <Table.Tr>
+              <Table.Th>RecipeName</Table.Th>
+              <Table.Th>Cuisine</Table.Th>
+              <Table.Th>Deleted</Table.Th>
+              <Table.Th>Deleted for good on</Table.Th>
+              <Table.Th></Table.Th>
+            </Table.Tr>
+          </Table.Thead>
+          <Table.Tbody>{rows}</Table.Tbody>
+        </Table>
+      )}
+      {totalRecipes > PAGE_SIZE && (
+        <Pagination total={Math.ceil(totalRecipes / PAGE_SIZE)} value={page} onChange={setPage} mt="md" />
+      )}
+    </div>
+  );
+};
+
+export default Trash;
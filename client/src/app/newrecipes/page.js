@@ -1,11 +1,13 @@
 import RecipeForm from "../components/RecipeForm";
 import NavBar from "../components/NavBar";
+import SchemaOrgImport from "../components/SchemaOrgImport";
 
 const NewRecipe = () => {
     return (
         <div>
             <NavBar />
             <RecipeForm />
+            <SchemaOrgImport />
         </div>
     )
 }
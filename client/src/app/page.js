@@ -1,40 +1,48 @@
 
 'use client';
 
-import { useState, useEffect } from "react";
-import { Button, Select, Title, Divider, Group, Stack, TextInput, Text, Grid } from "@mantine/core";
+import { useState } from "react";
+import { Button, Title, Divider, Group, Stack, TextInput, PasswordInput, Text, Grid } from "@mantine/core";
 import NavBar from "./components/NavBar"
 import styles from "./page.module.css"
 import { useRouter } from "next/navigation";
+import FieldErrors from "./util/FieldErrors";
 
 export default function Home() {
-  const [users, setUsers] = useState([]);
-  const [selectedUser, setSelectedUser] = useState('');
+  const [loginName, setLoginName] = useState('');
+  const [loginPassword, setLoginPassword] = useState('');
+  const [loginError, setLoginError] = useState('');
   const [newUsername, setNewUsername] = useState('')
+  const [newPassword, setNewPassword] = useState('');
   const [newUserError, setNewUserError] = useState('');
+  const [newPasswordError, setNewPasswordError] = useState('');
   const [newUserSuccess, setNewUserSuccess] = useState('');
 
   const router = useRouter();
-  
 
-
-  const fetchUsers = async() => {
+  const submitLogin = async () => {
     try {
-      const response = await fetch('api/users');
+      const response = await fetch('api/login', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ UserName: loginName, Password: loginPassword }),
+      });
+
       const data = await response.json();
-      setUsers(data.data);
-      console.log(data.data);
+      if (!response.ok) {
+        setLoginError(response.status === 401 ? 'Wrong user name or password.' : data.error);
+        return;
+      }
+      setLoginError('');
+      goToRecipes();
     } catch (error) {
-      console.error('Error fetching users:', error);
+      console.error(error);
+      setLoginError('Could not log in. Please try again.');
     }
   };
 
-  useEffect(() => {
-    fetchUsers();
-  }, [])
-
-
-
   const submitUser = async () => {
     const validNames = /^[a-zA-Z]+$/.test(newUsername);
     if (!validNames || newUsername === '') {
@@ -43,38 +51,40 @@ export default function Home() {
     }
 
     try {
+      // Creating a user also logs them in
       const response = await fetch('api/user', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({ UserName: newUsername }),
+        body: JSON.stringify({ UserName: newUsername, Password: newPassword }),
       });
 
       const data = await response.json(); 
-      handleUserChange(data.response.UserID);
-      fetchUsers();
+      if (!response.ok) {
+        // Show the server's messages for the name and password fields, if it sent any
+        const fields = FieldErrors(response, data);
+        setNewUserError(fields.UserName || (response.status === 409 ? 'Username already taken.' : (fields.Password ? '' : data.error)));
+        setNewPasswordError(fields.Password || '');
+        setNewUserSuccess('');
+        return;
+      }
       setNewUserSuccess('Success!');
       setNewUserError('');
+      setNewPasswordError('');
+      goToRecipes();
       
     } catch (error) {
       console.error(error);
-      setNewUserError('Username already taken.');
-      setNewUserSuccess();
+      setNewUserError('Could not create user. Please try again.');
+      setNewUserSuccess('');
     }
   };
 
-
-
-
-  // Handle user selection
-  const handleUserChange = (userId) => {
-    console.log(userId);
-    localStorage.setItem('selectedUser', userId);
+  const goToRecipes = () => {
     setTimeout(() => {
       router.push('/recipes');
     }, 1000);
-    
   };
 
 
@@ -96,16 +106,23 @@ export default function Home() {
 
         <Grid.Col span={4}>
           <Group>
-            <Select
+            <TextInput
               label="Login to Existing User"
-              placeholder="Pick a user"
-              data={users.map((user, index) => `${user.USERID}. ${user.USERNAME}`)}
-              onChange={(value) => setSelectedUser(value.split('.')[0])}
+              placeholder="User name"
+              value={loginName}
+              onChange={(event) => setLoginName(event.currentTarget.value)}
+              className={styles.userSelect}
+            />
+            <PasswordInput
+              placeholder="Password"
+              value={loginPassword}
+              onChange={(event) => setLoginPassword(event.currentTarget.value)}
+              error={loginError}
               className={styles.userSelect}
             />
             <Button 
               color="rgba(101, 85, 143, 1)" 
-              onClick={() => handleUserChange(selectedUser)}
+              onClick={submitLogin}
               className={styles.userButton}
             >
               Login
@@ -125,6 +142,15 @@ export default function Home() {
               error={newUserError}
               onChange={(event) => { setNewUsername(event.currentTarget.value); }}
             />
+            <PasswordInput
+              withAsterisk
+              required
+              label='Password'
+              placeholder="At least 8 characters"
+              className={styles.userSelect}
+              error={newPasswordError}
+              onChange={(event) => { setNewPassword(event.currentTarget.value); }}
+            />
             <Button 
               color="rgba(101, 85, 143, 1)"
               sx={{ marginTop: '10px', width: '100%', textAlign: 'right' }}
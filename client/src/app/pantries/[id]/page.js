@@ -4,6 +4,11 @@ import { useParams } from "next/navigation";
 import { useState, useEffect } from "react";
 import { Button, TextInput, Modal, Select } from "@mantine/core";
 import NavBar from "../../components/NavBar";
+import FieldErrors from "../../util/FieldErrors";
+import CookableRecipes from "../../components/CookableRecipes";
+import ExpiryBadge from "../../components/ExpiryBadge";
+import useCurrentUser from "../../util/CurrentUser";
+import { DEFAULT_UNIT, UNIT_OPTIONS, formatQuantity, unitSystem } from "../../util/Units";
 
 // Helper function to add days to a date
 const addDays = (date, days) => {
@@ -15,19 +20,25 @@ const addDays = (date, days) => {
 const PantryDetails = () => {
   const params = useParams();
   const id = params.id;
+  const { user } = useCurrentUser();
 
   const [ingredients, setIngredients] = useState([]);
   const [foodItems, setFoodItems] = useState([]);
   const [newIngredient, setNewIngredient] = useState({
     foodName: "",
     quantity: "",
+    unit: DEFAULT_UNIT,
     expiryDate: null,
     shelfLife: "",
     calories: "",
     foodGroup: "",
   });
   const [openIngredientModal, setOpenIngredientModal] = useState(false);
+  const [fieldErrors, setFieldErrors] = useState({});
   const [alertModal, setAlertModal] = useState({ open: false, message: "" });
+  const [forbidden, setForbidden] = useState(false);
+  // Bumped when ingredients are added, so the recipe suggestions refresh
+  const [stockVersion, setStockVersion] = useState(0);
 
   // Fetch ingredients from the pantry
   const fetchIngredients = async () => {
@@ -36,6 +47,11 @@ const PantryDetails = () => {
         console.log("Fetching ingredients for pantry ID:", id);
         const response = await fetch(`/api/pantry/${id}/ingredients`);
 
+        if (response.status === 401 || response.status === 403) {
+          // Only the pantry's members (and admins) can see or add to it
+          setForbidden(true);
+          return;
+        }
         if (!response.ok) {
           throw new Error("Failed to fetch ingredients");
         }
@@ -88,7 +104,7 @@ const PantryDetails = () => {
   };
 
   const handleAddIngredient = async () => {
-    const { foodName, quantity, expiryDate, shelfLife, calories, foodGroup } =
+    const { foodName, quantity, unit, expiryDate, shelfLife, calories, foodGroup } =
       newIngredient;
 
     // Check if all fields are filled
@@ -118,7 +134,8 @@ const PantryDetails = () => {
         body: JSON.stringify({
           PantryID: id,
           FoodName: foodName,
-          Quantity: parseInt(quantity, 10),
+          Quantity: quantity,
+          Unit: unit,
           ExpiryDate: formattedExpiryDate,
           ShelfLife: shelfLife,
           Calories: parseInt(calories, 10),
@@ -126,10 +143,17 @@ const PantryDetails = () => {
         }),
       });
 
+      if (response.status === 400) {
+        // Keep the modal open and show the server's messages next to the fields
+        setFieldErrors(FieldErrors(response, await response.json()));
+        return;
+      }
       if (response.ok) {
+        setFieldErrors({});
         setNewIngredient({
           foodName: "",
           quantity: "",
+          unit: DEFAULT_UNIT,
           expiryDate: null,
           shelfLife: "",
           calories: "",
@@ -137,6 +161,7 @@ const PantryDetails = () => {
         });
         setOpenIngredientModal(false);
         fetchIngredients();
+        setStockVersion(stockVersion + 1);
         setAlertModal({
           open: true,
           message: "Ingredient added successfully!",
@@ -150,6 +175,16 @@ const PantryDetails = () => {
     }
   };
 
+  if (forbidden) {
+    return (
+      <div>
+        <NavBar />
+        <h1>Pantry Ingredients</h1>
+        <p>This pantry is not saved for you.</p>
+      </div>
+    );
+  }
+
   return (
     <div>
       <NavBar />
@@ -165,6 +200,7 @@ const PantryDetails = () => {
           placeholder="Select food name"
           value={newIngredient.foodName}
           onChange={handleFoodNameChange}
+          error={fieldErrors.FoodName}
           data={foodItems.map((item) => ({
             value: item.FOODNAME,
             label: item.FOODNAME,
@@ -177,6 +213,15 @@ const PantryDetails = () => {
           onChange={(e) =>
             setNewIngredient({ ...newIngredient, quantity: e.currentTarget.value })
           }
+          error={fieldErrors.Quantity}
+        />
+        <Select
+          label="Unit"
+          allowDeselect={false}
+          value={newIngredient.unit}
+          onChange={(value) => setNewIngredient({ ...newIngredient, unit: value })}
+          error={fieldErrors.Unit}
+          data={UNIT_OPTIONS}
         />
         <TextInput
           label="Expiry Date"
@@ -186,18 +231,21 @@ const PantryDetails = () => {
               ? newIngredient.expiryDate.toLocaleDateString()
               : ""
           }
+          error={fieldErrors.ExpiryDate}
           disabled
         />
         <TextInput
           label="Calories"
           placeholder="Calories"
           value={newIngredient.calories}
+          error={fieldErrors.Calories}
           disabled
         />
         <TextInput
           label="Food Group"
           placeholder="Food group"
           value={newIngredient.foodGroup}
+          error={fieldErrors.FoodGroup}
           disabled
         />
         <Button onClick={handleAddIngredient}>Submit</Button>
@@ -220,7 +268,8 @@ const PantryDetails = () => {
                 <strong>Food Name:</strong> {ingredient.FOODNAME}
               </p>
               <p>
-                <strong>Quantity:</strong> {ingredient.QUANTITY}
+                <strong>Quantity:</strong>{" "}
+                {formatQuantity(ingredient.QUANTITY, ingredient.UNIT, unitSystem(user))}
               </p>
               <p>
                 <strong>Date Added:</strong>{" "}
@@ -228,7 +277,8 @@ const PantryDetails = () => {
               </p>
               <p>
                 <strong>Expiry Date:</strong>{" "}
-                {new Date(ingredient.EXPIRYDATE).toLocaleDateString()}
+                {new Date(ingredient.EXPIRYDATE).toLocaleDateString()}{" "}
+                <ExpiryBadge expiryDate={ingredient.EXPIRYDATE} />
               </p>
             </li>
           ))
@@ -239,6 +289,7 @@ const PantryDetails = () => {
           </div>
         )}
       </ul>
+      {id && <CookableRecipes pantryID={id} reloadKey={stockVersion} system={unitSystem(user)} />}
     </div>
   );
 };
@@ -1,22 +1,26 @@
 'use client';
 
 import React, { useState, useEffect } from 'react';
-import { Button, TextInput, Modal } from '@mantine/core';
+import { Button, Group, Select, TextInput, Modal } from '@mantine/core';
 import NavBar from '../components/NavBar';
 import PantryCard from '../components/PantryCard';
+import ExpiringSoon from '../components/ExpiringSoon';
 import './Pantries.css';
+import useCurrentUser from '../util/CurrentUser';
 
 const Pantries = () => {
+  const { user } = useCurrentUser();
   const [pantries, setPantries] = useState([]);
   const [openPantryModal, setOpenPantryModal] = useState(false);
   const [newPantryCategory, setNewPantryCategory] = useState('');
   const [alertModal, setAlertModal] = useState({ open: false, message: '' });
-  const [pantryIdToAdd, setPantryIdToAdd] = useState(''); 
+  // Sharing a pantry: which of the user's pantries, and with whom
+  const [share, setShare] = useState({ PantryID: null, UserID: null });
+  const [users, setUsers] = useState([]);
   const fetchPantries = async () => {
-    const selectedUser = localStorage.getItem('selectedUser');
-    if (selectedUser) {
+    if (user) {
       try {
-        const response = await fetch(`/api/pantry/${selectedUser}`);
+        const response = await fetch(`/api/pantry/${user.UserID}`);
         const data = await response.json();
         setPantries(data.data || []);
         console.log(data.data);
@@ -28,21 +32,38 @@ const Pantries = () => {
 
   useEffect(() => {
     fetchPantries();
-  }, []);
+  }, [user]);
+
+  useEffect(() => {
+    const fetchUsers = async () => {
+      try {
+        const response = await fetch('/api/users?columns=UserID,UserName&sort=name');
+        const { data } = await response.json();
+        setUsers((data || [])
+          .filter((other) => !user || other.USERID !== user.UserID)
+          .map((other) => ({ value: String(other.USERID), label: other.USERNAME })));
+      } catch (error) {
+        console.error('Error fetching users:', error);
+      }
+    };
+
+    if (user) {
+      fetchUsers();
+    }
+  }, [user]);
 
   const handleAddPantry = async () => {
-    const selectedUser = localStorage.getItem('selectedUser');
     if (!newPantryCategory) {
       setAlertModal({ open: true, message: 'Please enter a pantry category.' });
       return;
     }
 
-    if (selectedUser) {
+    if (user) {
       try {
         const response = await fetch('/api/pantry', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ UserID: selectedUser, Category: newPantryCategory }),
+          body: JSON.stringify({ Category: newPantryCategory }),
         });
         if (response.ok) {
           setNewPantryCategory('');
@@ -59,37 +80,30 @@ const Pantries = () => {
     }
   };
 
-  const handleAddPantryById = async () => {
-    const selectedUser = localStorage.getItem('selectedUser');
-    if (!pantryIdToAdd) {
-      setAlertModal({ open: true, message: 'Please enter a pantry ID.' });
+  // Only members can share a pantry; the other user then finds it among theirs
+  const handleSharePantry = async () => {
+    if (!share.PantryID || !share.UserID) {
+      setAlertModal({ open: true, message: 'Please choose a pantry and a user.' });
       return;
     }
 
     try {
-      const response = await fetch(`/api/savedpantries/${pantryIdToAdd}`);
-      const data = await response.json();
-
-      if (data && data.ownerId !== selectedUser) {
-        // Check if pantry is not owned by the current user
-        const addResponse = await fetch('/api/userpantries', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ UserID: selectedUser, PantryID: pantryIdToAdd }),
-        });
-
-        if (addResponse.ok) {
-          fetchPantries(); // Refresh the pantry list
-          setAlertModal({ open: true, message: 'Pantry added to your collection!' });
-        } else {
-          setAlertModal({ open: true, message: 'Failed to add pantry. Please try again.' });
-        }
+      const response = await fetch('/api/userpantries', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ PantryID: Number(share.PantryID), UserID: Number(share.UserID) }),
+      });
+      if (response.ok) {
+        setShare({ PantryID: null, UserID: null });
+        setAlertModal({ open: true, message: 'Pantry shared!' });
+      } else if (response.status === 409) {
+        setAlertModal({ open: true, message: 'That user already has this pantry.' });
       } else {
-        setAlertModal({ open: true, message: 'The pantry does not exist or is already yours.' });
+        setAlertModal({ open: true, message: 'Failed to share the pantry. Please try again.' });
       }
     } catch (error) {
-      console.error('Error adding pantry by ID:', error);
-      setAlertModal({ open: true, message: 'Error adding pantry. Please try again.' });
+      console.error('Error sharing pantry:', error);
+      setAlertModal({ open: true, message: 'Error sharing the pantry. Please try again.' });
     }
   };
 
@@ -97,6 +111,7 @@ const Pantries = () => {
     <div className="pantries">
       <NavBar />
       <h1>My Pantries</h1>
+      {user && <ExpiringSoon user={user} />}
       <Button onClick={() => setOpenPantryModal(true)}>Add Pantry</Button>
       <Modal opened={openPantryModal} onClose={() => setOpenPantryModal(false)} title="Add New Pantry">
         <TextInput
@@ -108,13 +123,26 @@ const Pantries = () => {
         <Button onClick={handleAddPantry}>Submit</Button>
       </Modal>
 
-      <TextInput
-        label="Add Pantry by ID"
-        placeholder="Enter pantry ID"
-        value={pantryIdToAdd}
-        onChange={(e) => setPantryIdToAdd(e.currentTarget.value)}
-      />
-      <Button onClick={handleAddPantryById}>Add Pantry by ID</Button>
+      {pantries.length > 0 && (
+        <Group align="flex-end" mt="md">
+          <Select
+            label="Share pantry"
+            placeholder="Pantry"
+            data={pantries.map((pantry) => ({ value: String(pantry.PANTRYID), label: `${pantry.CATEGORY} (#${pantry.PANTRYID})` }))}
+            value={share.PantryID}
+            onChange={(value) => setShare({ ...share, PantryID: value })}
+          />
+          <Select
+            label="With"
+            placeholder="User"
+            data={users}
+            value={share.UserID}
+            onChange={(value) => setShare({ ...share, UserID: value })}
+            searchable
+          />
+          <Button onClick={handleSharePantry}>Share</Button>
+        </Group>
+      )}
 
       <Modal
         opened={alertModal.open}
@@ -0,0 +1,301 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import { useRouter } from 'next/navigation';
+import dayjs from 'dayjs';
+import { Button, Group, Paper, Select, Text, TextInput, Title } from '@mantine/core';
+import NavBar from '../components/NavBar';
+import MealCard from '../components/MealCard';
+import ShoppingNeeds, { toBuyItems } from '../components/ShoppingNeeds';
+import useCurrentUser from '../util/CurrentUser';
+import { unitSystem } from '../util/Units';
+import './Planner.css';
+
+const SLOTS = ['breakfast', 'lunch', 'dinner'];
+
+const DAY_FORMAT = 'YYYY-MM-DD';
+
+// Weeks start on Monday
+const mondayOf = (day) => dayjs(day).subtract((dayjs(day).day() + 6) % 7, 'day').format(DAY_FORMAT);
+
+// What is being dragged: a planned meal, or a recipe from the list beside the week
+const DRAG_TYPE = 'application/json';
+
+// Weekly meal planner: drag recipes into breakfast, lunch and dinner slots
+// and meals between slots. Below the week is what its meals need, against
+// the plan's pantry, which can be saved as a shopping list.
+const Planner = () => {
+  const router = useRouter();
+  const { user, loading } = useCurrentUser();
+  const [plans, setPlans] = useState([]);
+  const [planID, setPlanID] = useState(null);
+  const [plan, setPlan] = useState(null);
+  const [needs, setNeeds] = useState(null);
+  const [from, setFrom] = useState(mondayOf(dayjs()));
+  const [pantries, setPantries] = useState([]);
+  const [newPlan, setNewPlan] = useState({ PlanName: '', PantryID: null });
+  const [recipeQuery, setRecipeQuery] = useState('');
+  const [recipes, setRecipes] = useState([]);
+  const [message, setMessage] = useState(null);
+
+  const days = [...Array(7).keys()].map((offset) => dayjs(from).add(offset, 'day'));
+
+  const fetchPlans = async () => {
+    try {
+      const response = await fetch('/api/meal-plans');
+      const { data } = await response.json();
+      setPlans(data || []);
+      return data || [];
+    } catch (error) {
+      console.error('Error fetching meal plans:', error);
+      return [];
+    }
+  };
+
+  useEffect(() => {
+    const fetchOptions = async () => {
+      if (!user) {
+        return;
+      }
+      const planRows = await fetchPlans();
+      setPlanID((current) => current || (planRows[0] ? String(planRows[0].PlanID) : null));
+      try {
+        const response = await fetch(`/api/pantry/${user.UserID}`);
+        const { data } = await response.json();
+        setPantries(data || []);
+      } catch (error) {
+        console.error('Error fetching pantries:', error);
+      }
+    };
+
+    fetchOptions();
+  }, [user]);
+
+  const fetchWeek = async () => {
+    if (!planID) {
+      setPlan(null);
+      setNeeds(null);
+      return;
+    }
+    try {
+      const [planResponse, needsResponse] = await Promise.all([
+        fetch(`/api/meal-plans/${planID}?from=${from}`),
+        fetch(`/api/meal-plans/${planID}/needs?from=${from}`),
+      ]);
+      if (!planResponse.ok || !needsResponse.ok) {
+        throw new Error('Failed to fetch the meal plan');
+      }
+      setPlan((await planResponse.json()).data);
+      setNeeds((await needsResponse.json()).data);
+    } catch (error) {
+      console.error('Error fetching the meal plan:', error);
+      setMessage(error.message);
+    }
+  };
+
+  useEffect(() => {
+    fetchWeek();
+  }, [planID, from]);
+
+  // Recipes to drag into the week: a search, or the first ones by name. The
+  // last word being typed matches as a prefix.
+  useEffect(() => {
+    const fetchRecipes = async () => {
+      const query = recipeQuery.trim();
+      const params = new URLSearchParams({
+        columns: 'RecipeID,RecipeName,Cuisine,CookingTime',
+        limit: 20,
+        sort: query ? 'relevance' : 'name',
+        ...(query ? { q: /["*]$/.test(query) ? query : `${query}*` } : {}),
+      });
+      try {
+        const response = await fetch(`/api/recipes?${params}`);
+        const { data } = await response.json();
+        setRecipes(data || []);
+      } catch (error) {
+        console.error('Error fetching recipes:', error);
+      }
+    };
+
+    fetchRecipes();
+  }, [recipeQuery]);
+
+  // Sends a change to the plan and reloads the week
+  const send = async (url, method, body) => {
+    const response = await fetch(url, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      setMessage(data.fields ? Object.values(data.fields).join(' ') : data.error);
+      return null;
+    }
+    setMessage(null);
+    await fetchWeek();
+    return data;
+  };
+
+  const mealUrl = (meal) => `/api/meal-plans/${planID}/meals/${meal.MealID}`;
+
+  const handleDrop = (event, day, slot) => {
+    event.preventDefault();
+    const dragged = JSON.parse(event.dataTransfer.getData(DRAG_TYPE) || 'null');
+    const MealDate = day.format(DAY_FORMAT);
+    if (dragged && dragged.MealID) {
+      send(mealUrl(dragged), 'PATCH', { MealDate, Slot: slot });
+    } else if (dragged && dragged.RecipeID) {
+      send(`/api/meal-plans/${planID}/meals`, 'POST', { MealDate, Slot: slot, RecipeID: dragged.RecipeID });
+    }
+  };
+
+  const startDrag = (event, dragged) => {
+    event.dataTransfer.setData(DRAG_TYPE, JSON.stringify(dragged));
+  };
+
+  const createPlan = async () => {
+    const data = await send('/api/meal-plans', 'POST', {
+      PlanName: newPlan.PlanName,
+      PantryID: newPlan.PantryID ? Number(newPlan.PantryID) : undefined,
+    });
+    if (data) {
+      setNewPlan({ PlanName: '', PantryID: null });
+      await fetchPlans();
+      setPlanID(String(data.data.PlanID));
+    }
+  };
+
+  const deletePlan = async () => {
+    if (await send(`/api/meal-plans/${planID}`, 'DELETE')) {
+      // The reload after the delete can't find the plan any more
+      setMessage(null);
+      const planRows = await fetchPlans();
+      setPlanID(planRows[0] ? String(planRows[0].PlanID) : null);
+    }
+  };
+
+  const saveShoppingList = async () => {
+    const data = await send('/api/shopping-lists', 'POST', {
+      ListName: `${plan.PlanName}, week of ${from}`.slice(0, 50),
+      PantryID: plan.PantryID ?? undefined,
+      items: toBuyItems(needs),
+    });
+    if (data) {
+      router.push(`/shopping/${data.data.ListID}`);
+    }
+  };
+
+  if (!loading && !user) {
+    return (
+      <div>
+        <NavBar />
+        <p>Log in to plan your meals.</p>
+      </div>
+    );
+  }
+
+  const mealsIn = (day, slot) => (plan ? plan.meals : [])
+    .filter((meal) => meal.MealDate === day.format(DAY_FORMAT) && meal.Slot === slot);
+
+  return (
+    <div>
+      <NavBar />
+      <div className="planner">
+        <h1>Meal Planner</h1>
+
+        <Group align="flex-end" mb="md">
+          <Select label="Plan" placeholder="No plans yet" w={260}
+            data={plans.map((item) => ({
+              value: String(item.PlanID),
+              label: item.Category ? `${item.PlanName} (${item.Category})` : item.PlanName,
+            }))}
+            value={planID} onChange={setPlanID} />
+          <TextInput label="New plan" placeholder="Plan name" value={newPlan.PlanName}
+            onChange={(e) => setNewPlan({ ...newPlan, PlanName: e.currentTarget.value })} />
+          <Select label="Shared through pantry" placeholder="None" clearable
+            data={pantries.map((pantry) => ({ value: String(pantry.PANTRYID), label: pantry.CATEGORY }))}
+            value={newPlan.PantryID} onChange={(value) => setNewPlan({ ...newPlan, PantryID: value })} />
+          <Button variant="light" onClick={createPlan} disabled={!newPlan.PlanName.trim()}>Create plan</Button>
+          {plan && user && (plan.OwnerID === user.UserID || user.UserRole === 'admin') && (
+            <Button variant="outline" color="red" onClick={deletePlan}>Delete plan</Button>
+          )}
+        </Group>
+
+        {message && <Text mb="sm">{message}</Text>}
+
+        {plan && (
+          <>
+            <Group mb="sm">
+              <Button variant="subtle" onClick={() => setFrom(dayjs(from).subtract(7, 'day').format(DAY_FORMAT))}>‹ Previous week</Button>
+              <Button variant="subtle" onClick={() => setFrom(mondayOf(dayjs()))}>This week</Button>
+              <Button variant="subtle" onClick={() => setFrom(dayjs(from).add(7, 'day').format(DAY_FORMAT))}>Next week ›</Button>
+              <Text size="sm">Week of {dayjs(from).format('D MMM YYYY')}</Text>
+            </Group>
+
+            <div className="planner-layout">
+              <div className="planner-recipes">
+                <TextInput placeholder="Search recipes" value={recipeQuery}
+                  onChange={(e) => setRecipeQuery(e.currentTarget.value)} mb="xs" />
+                <Text size="xs" c="dimmed" mb="xs">Drag a recipe into a slot</Text>
+                {recipes.map((recipe) => (
+                  <Paper key={recipe.RECIPEID} withBorder p={6} mb={4} className="planner-recipe" draggable
+                    onDragStart={(e) => startDrag(e, { RecipeID: recipe.RECIPEID })}>
+                    <Text size="sm">{recipe.RECIPENAME}</Text>
+                    <Text size="xs" c="dimmed">{recipe.CUISINE} · {recipe.COOKINGTIME}</Text>
+                  </Paper>
+                ))}
+              </div>
+
+              <div className="planner-week">
+                <div className="planner-corner" />
+                {days.map((day) => (
+                  <div key={day.format(DAY_FORMAT)} className="planner-day">
+                    {day.format('ddd D MMM')}
+                  </div>
+                ))}
+                {SLOTS.map((slot) => (
+                  <React.Fragment key={slot}>
+                    <div className="planner-slot-name">{slot}</div>
+                    {days.map((day) => (
+                      <div key={day.format(DAY_FORMAT)} className="planner-slot"
+                        onDragOver={(e) => e.preventDefault()}
+                        onDrop={(e) => handleDrop(e, day, slot)}>
+                        {mealsIn(day, slot).map((meal) => (
+                          <MealCard key={meal.MealID} meal={meal}
+                            onDragStart={(e) => startDrag(e, { MealID: meal.MealID })}
+                            onServings={(Servings) => send(mealUrl(meal), 'PATCH', { Servings })}
+                            onRemove={() => send(mealUrl(meal), 'DELETE')} />
+                        ))}
+                      </div>
+                    ))}
+                  </React.Fragment>
+                ))}
+              </div>
+            </div>
+
+            {needs && (
+              <div className="planner-needs">
+                <Title order={3} mb="xs">Groceries for the week</Title>
+                <Text size="sm" mb="sm">
+                  {needs.recipes.length === 0
+                    ? 'No meals planned this week.'
+                    : `What this week's meals need, less the stock of ${plan.Category ? `the ${plan.Category} pantry` : "the plan owner's pantries"}.`}
+                </Text>
+                {needs.recipes.length > 0 && (
+                  <ShoppingNeeds shoppingList={needs} system={unitSystem(user)}
+                    recipeNames={Object.fromEntries(needs.recipes.map((recipe) => [recipe.RecipeID, recipe.RecipeName]))} />
+                )}
+                {needs.groups.length > 0 && (
+                  <Button mt="md" onClick={saveShoppingList}>Save as shopping list</Button>
+                )}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Planner;
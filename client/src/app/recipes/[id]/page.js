@@ -3,11 +3,17 @@
 import { useState, useEffect } from 'react';
 import { useParams } from 'next/navigation';
 import NavBar from '../../components/NavBar';
+import CookRecipe from '../../components/CookRecipe';
+import NutritionFacts from '../../components/NutritionFacts';
+import useCurrentUser from '../../util/CurrentUser';
+import { formatQuantity, unitSystem } from '../../util/Units';
 
 const RecipeDetails = () => {
   const params = useParams();
   const id = params.id;
+  const { user } = useCurrentUser();
   const [recipe, setRecipe] = useState(null);
+  const [nutrition, setNutrition] = useState(null);
   const [steps, setSteps] = useState([]);
   const [foods, setFoods] = useState([]);
 
@@ -21,6 +27,7 @@ const RecipeDetails = () => {
         }
         const data = await response.json();
         setRecipe(data.data[0]);
+        setNutrition(data.nutrition);
       } catch (error) {
         console.error('Error fetching recipe:', error);
       }
@@ -71,7 +78,13 @@ const RecipeDetails = () => {
       <h1>{recipe[1]}</h1> 
       <p><strong>Cuisine:</strong> {recipe[2]}</p> 
       <p><strong>Cooking Time:</strong> {recipe[3]}</p> 
+      <p><strong>Serves:</strong> {recipe[6]}</p>
       <p><strong>Created By:</strong> {recipe[5]}</p> 
+      <p>
+        <a href={`/api/recipe/${id}?format=jsonld`} download={`recipe-${id}.jsonld`}>
+          Download as schema.org JSON-LD
+        </a>
+      </p>
 
       <div className="recipe-steps">
         <h2>Steps</h2>
@@ -86,10 +99,14 @@ const RecipeDetails = () => {
         <h2>Ingredients</h2>
         <ol>
           {foods.map((fooditem, index) => (
-            <li key={index}>{`${fooditem.QUANTITY}x ${fooditem.FOODNAME}`}</li> 
+            <li key={index}>{`${formatQuantity(fooditem.QUANTITY, fooditem.UNIT, unitSystem(user))} ${fooditem.FOODNAME}`}</li>
           ))}
         </ol>
       </div>
+
+      {nutrition && <NutritionFacts nutrition={nutrition} />}
+
+      {user && <CookRecipe recipeID={id} user={user} />}
     </div>
   );
 };
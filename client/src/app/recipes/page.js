@@ -1,21 +1,86 @@
 'use client';
 
-import { useState, useEffect } from "react";
+import { useState, useEffect, Suspense } from "react";
+import { useRouter, useSearchParams } from "next/navigation";
+import { Pagination } from "@mantine/core";
 import NavBar from '../components/NavBar';
 import RecipeCard from '../components/RecipeCard';
+import RecipeFilters, { FILTER_KEYS, filtersFromParams, filterParams } from '../components/RecipeFilters';
 import GroupRecipes from "../util/GroupRecipes";
+import useCurrentUser from "../util/CurrentUser";
+import useShoppingSelection from "../util/ShoppingSelection";
 
+const PAGE_SIZE = 12;
+
+const SORT_OPTIONS = [
+    { value: 'newest', label: 'Newest' },
+    { value: 'name', label: 'Name' },
+    { value: 'time', label: 'Cooking Time' },
+    { value: 'level', label: 'Level' },
+    { value: '-likes', label: 'Most Liked' },
+    { value: 'calories', label: 'Fewest Calories' },
+    { value: 'health', label: 'Healthiest' },
+];
+
+// Only offered while searching
+const RELEVANCE_OPTION = { value: 'relevance', label: 'Best Match' };
+
+// A number looks up that recipe ID; anything else is a full-text search
+const searchFilter = (query) => {
+    const trimmed = query.trim();
+    if (!trimmed) {
+        return {};
+    }
+    return /^\d+$/.test(trimmed) ? { id: trimmed } : { q: trimmed };
+};
+
+// The search, filters, sort and page live in the URL (?q=...&cuisine=...&page=2)
+// so a filtered view can be shared or bookmarked
 const Recipes = () => {
-    const selectedUser = typeof window !== 'undefined' ? localStorage.getItem('selectedUser') : null;
+    const router = useRouter();
+    const urlParams = useSearchParams();
+    const { user } = useCurrentUser();
+    const shopping = useShoppingSelection();
     const [recipes, setRecipes] = useState([]);
     const [likedByAlRecipes, setLikedByAllRecipes] = useState([]);
     const [displayedRecipes, setDisplayedRecipes] = useState([]);
-    const [searchQuery, setSearchQuery] = useState('');
-    const [cuisineFilter, setCuisineFilter] = useState('');
+    const [searchQuery, setSearchQuery] = useState(urlParams.get('q') || '');
     const [showCaptions, setShowCaptions] = useState(true);
-    const [onlyLiked, setOnlyLiked] = useState(false);
     const [likedRecipes, setLikedRecipes] = useState([]);
     const [cuisineOptions, setCuisineOptions] = useState([]); 
+    const [totalRecipes, setTotalRecipes] = useState(0);
+
+    const filters = filtersFromParams(urlParams);
+    const query = urlParams.get('q') || '';
+    const searching = Boolean(searchFilter(query).q);
+    const sortParam = urlParams.get('sort');
+    // Searches come best match first unless another order is picked
+    const sort = sortParam && (sortParam !== 'relevance' || searching) ? sortParam : (searching ? 'relevance' : 'newest');
+    const page = Number(urlParams.get('page')) || 1;
+
+    // Sets (or, for empty values, removes) URL parameters; any change other
+    // than the page goes back to page 1
+    const updateUrl = (changes) => {
+        const next = new URLSearchParams(urlParams);
+        Object.entries(changes).forEach(([key, value]) => {
+            if (value === '' || value === null || value === undefined) {
+                next.delete(key);
+            } else {
+                next.set(key, value);
+            }
+        });
+        if (!('page' in changes)) {
+            next.delete('page');
+        }
+        router.replace(`/recipes?${next}`, { scroll: false });
+    };
+
+    const setPage = (value) => updateUrl({ page: value > 1 ? String(value) : null });
+    const setSort = (value) => updateUrl({ sort: value });
+    const setFilters = (value) => {
+        const set = filterParams(value);
+        updateUrl(Object.fromEntries(FILTER_KEYS.map((key) => [key, set[key] ?? null])));
+    };
 
     useEffect(() => {
         // Fetch cuisine options from the backend
@@ -42,31 +107,40 @@ const Recipes = () => {
                 const params = new URLSearchParams({
                     img: 'true',
                     captionless: showCaptions ? '0' : '1',
-                    ...(cuisineFilter && { filter: cuisineFilter }),
-                    ...(searchQuery && { id: searchQuery }),
+                    ...filterParams(filters),
+                    ...searchFilter(query),
+                    sort,
+                    limit: PAGE_SIZE,
+                    offset: (page - 1) * PAGE_SIZE,
                 });
 
                 const response = await fetch(`/api/recipes?${params}`);
                 if (!response.ok) {
                     throw new Error('Network response was not ok');
                 }
-                const { data } = await response.json();
+                const { data, total } = await response.json();
                 const groupedRecipes = GroupRecipes(data);
                 setRecipes(groupedRecipes);
                 setDisplayedRecipes(groupedRecipes); // Initially display all recipes
+                setTotalRecipes(total);
             } catch (error) {
                 console.error('Error fetching recipes:', error);
             }
         };
 
         fetchRecipes();
-    }, [cuisineFilter, searchQuery, showCaptions]);
+    }, [urlParams.toString(), showCaptions]);
+
+    // Keep the search box in step with the URL, e.g. after going back
+    useEffect(() => {
+        setSearchQuery(query);
+    }, [query]);
 
     useEffect(() => {
         const getLikedRecipes = async () => {
-            if (selectedUser) {
+            if (user) {
                 try {
-                    const response = await fetch(`/api/recipes/liked/${selectedUser}/`);
+                    const response = await fetch(`/api/recipes/liked/${user.UserID}/`);
                     const data = await response.json();
                     setLikedRecipes(data.data);
                 } catch (error) {
@@ -76,16 +150,7 @@ const Recipes = () => {
         };
 
         getLikedRecipes();
-    }, []);
-
-    useEffect(() => {
-        // Update displayedRecipes whenever likedRecipes or onlyLiked changes
-        if (onlyLiked) {
-            setDisplayedRecipes(recipes.filter(recipe => likedRecipes.includes(recipe.RECIPEID)));
-        } else {
-            setDisplayedRecipes(recipes);
-        }
-    }, [recipes, likedRecipes, onlyLiked]);
+    }, [user]);
 
     const fetchLikedByAllRecipes = async () => {
         try {
@@ -102,7 +167,15 @@ const Recipes = () => {
         }
     };
 
+    const handleSearch = (value) => {
+        setSearchQuery(value);
+        updateUrl({ q: value });
+    };
+
     const likeAction = async (id) => {
+        if (!user) {
+            return;
+        }
         try {
             if (likedRecipes && likedRecipes.includes(id)) {
                 await fetch('api/unlikeRecipe', {
@@ -110,7 +183,7 @@ const Recipes = () => {
                     headers: {
                         'Content-Type': 'application/json'
                     },
-                    body: JSON.stringify({ UserID: selectedUser, RecipeID: id }),
+                    body: JSON.stringify({ RecipeID: id }),
                 });
             } else {
                 await fetch('api/likeRecipe', {
@@ -118,11 +191,11 @@ const Recipes = () => {
                     headers: {
                         'Content-Type': 'application/json'
                     },
-                    body: JSON.stringify({ UserID: selectedUser, RecipeID: id }),
+                    body: JSON.stringify({ RecipeID: id }),
                 });
             }
 
-            const updatedLikes = await fetch(`/api/recipes/liked/${selectedUser}/`);
+            const updatedLikes = await fetch(`/api/recipes/liked/${user.UserID}/`);
             const data = await updatedLikes.json();
             setLikedRecipes(data.data);
             console.log(data.data);
@@ -140,19 +213,18 @@ const Recipes = () => {
                 <div className="search-filter-bar">
                     <input
                         type="text"
-                        placeholder="Search by Recipe Name or ID"
+                        placeholder='Search recipes, ingredients, steps, "phrases", prefix* or ID'
                         value={searchQuery}
-                        onChange={(e) => setSearchQuery(e.target.value)}
+                        onChange={(e) => handleSearch(e.target.value)}
                         className="search-input"
                     />
                     <select
-                        value={cuisineFilter}
-                        onChange={(e) => setCuisineFilter(e.target.value)}
+                        value={sort}
+                        onChange={(e) => setSort(e.target.value)}
                         className="cuisine-select"
                     >
-                        <option value="">All Cuisines</option>
-                        {cuisineOptions.map((cuisine, index) => (
-                            <option key={index} value={cuisine}>{cuisine}</option>
+                        {(searching ? [RELEVANCE_OPTION, ...SORT_OPTIONS] : SORT_OPTIONS).map((option) => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
                         ))}
                     </select>
                     <label className="caption-toggle">
@@ -163,14 +235,6 @@ const Recipes = () => {
                         />
                         Show Captions
                     </label>
-                    <label className="caption-toggle">
-                        <input
-                            type="checkbox"
-                            checked={onlyLiked}
-                            onChange={(e) => setOnlyLiked(e.target.checked)}
-                        />
-                        Liked Recipes
-                    </label>
                     <button onClick={() => setDisplayedRecipes(recipes)}>
                         Show All Recipes
                     </button>
@@ -178,6 +242,12 @@ const Recipes = () => {
                         Recipes Liked by All Users
                     </button>
                 </div>
+                <RecipeFilters
+                    filters={filters}
+                    onChange={setFilters}
+                    cuisineOptions={cuisineOptions}
+                    loggedIn={Boolean(user)}
+                />
                 <div className='recipe-grid'>
                     {displayedRecipes && displayedRecipes.length > 0 ? (
                         displayedRecipes.map((recipe, index) => (
@@ -188,20 +258,40 @@ const Recipes = () => {
                                 cuisine={recipe.CUISINE}
                                 level={recipe.RECIPELEVEL}
                                 time={recipe.COOKINGTIME}
+                                calories={recipe.CALORIESPERSERVING}
+                                partialCalories={recipe.UNCOUNTED > 0}
                                 createdBy={recipe.USERNAME}
                                 imageUrl={recipe.IMAGEURL}
                                 caption={showCaptions ? recipe.CAPTION : ''}
+                                snippet={recipe.SNIPPET}
                                 liked={(likedRecipes ? likedRecipes.includes(recipe.RECIPEID) : false)}
-                                callback={likeAction}
+                                callback={user ? likeAction : null}
+                                onShoppingList={shopping.has(recipe.RECIPEID)}
+                                onShoppingToggle={user ? shopping.toggle : null}
                             />
                         ))
                     ) : (
                         <p>No recipes found.</p>
                     )}
                 </div>
+                {totalRecipes > PAGE_SIZE && (
+                    <Pagination
+                        total={Math.ceil(totalRecipes / PAGE_SIZE)}
+                        value={page}
+                        onChange={setPage}
+                        mt="md"
+                    />
+                )}
             </div>
         </div>
     );
 };
 
-export default Recipes;
+// useSearchParams needs a Suspense boundary when the page is prerendered
+const RecipesPage = () => (
+    <Suspense>
+        <Recipes />
+    </Suspense>
+);
+
+export default RecipesPage;
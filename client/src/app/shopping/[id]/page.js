@@ -0,0 +1,208 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import { useParams, useRouter } from 'next/navigation';
+import Link from 'next/link';
+import { Button, Checkbox, Group, NumberInput, Paper, Select, Text, TextInput, Title } from '@mantine/core';
+import NavBar from '../../components/NavBar';
+import useCurrentUser from '../../util/CurrentUser';
+import FieldErrors from '../../util/FieldErrors';
+import { DEFAULT_UNIT, UNIT_OPTIONS, formatQuantity, unitSystem } from '../../util/Units';
+import '../Shopping.css';
+
+// The items of a list, by food group, in the order the server sends them
+const byFoodGroup = (items) => items.reduce((groups, item) => {
+  const group = item.FoodGroup || 'Other';
+  return { ...groups, [group]: [...(groups[group] || []), item] };
+}, {});
+
+// A saved shopping list. Checking an item off adds it to the list's pantry.
+const ShoppingListDetails = () => {
+  const { id } = useParams();
+  const router = useRouter();
+  const { user } = useCurrentUser();
+  const [list, setList] = useState(null);
+  const [pantries, setPantries] = useState([]);
+  const [foodItems, setFoodItems] = useState([]);
+  const [newItem, setNewItem] = useState({ FoodName: null, Quantity: 1, Unit: DEFAULT_UNIT });
+  const [settings, setSettings] = useState({ ListName: '', PantryID: null });
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const fetchList = async () => {
+    try {
+      const response = await fetch(`/api/shopping-lists/${id}`);
+      const body = await response.json();
+      if (!response.ok) {
+        throw new Error(body.error || 'Failed to fetch the shopping list');
+      }
+      setList(body.data);
+      setSettings({ ListName: body.data.ListName, PantryID: body.data.PantryID ? String(body.data.PantryID) : null });
+      setError(null);
+    } catch (error) {
+      console.error('Error fetching the shopping list:', error);
+      setError(error.message);
+    }
+  };
+
+  useEffect(() => {
+    fetchList();
+  }, [id]);
+
+  useEffect(() => {
+    const fetchOptions = async () => {
+      if (!user) {
+        return;
+      }
+      try {
+        const [pantryResponse, foodResponse] = await Promise.all([
+          fetch(`/api/pantry/${user.UserID}`),
+          fetch('/api/fooditems'),
+        ]);
+        const { data: pantryRows } = await pantryResponse.json();
+        const { data: foodRows } = await foodResponse.json();
+        setPantries(pantryRows || []);
+        setFoodItems((foodRows || []).map((item) => item.FOODNAME));
+      } catch (error) {
+        console.error('Error fetching pantries and food items:', error);
+      }
+    };
+
+    fetchOptions();
+  }, [user]);
+
+  // Sends a change and reloads the list; returns the response body, or null on failure
+  const send = async (url, method, body) => {
+    const response = await fetch(url, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      setFieldErrors(FieldErrors(response, data));
+      setMessage(data.fields ? Object.values(data.fields).join(' ') : data.error);
+      return null;
+    }
+    setFieldErrors({});
+    await fetchList();
+    return data;
+  };
+
+  const itemUrl = (foodName) => `/api/shopping-lists/${id}/items/${encodeURIComponent(foodName)}`;
+
+  const toggleItem = async (item, Checked) => {
+    const data = await send(itemUrl(item.FoodName), 'PATCH', { Checked });
+    if (data) {
+      const { restocked } = data.data;
+      setMessage(restocked
+        ? `Added ${formatQuantity(restocked.Quantity, restocked.Unit, unitSystem(user))} ${restocked.FoodName} to ${list.Category}, expiring ${restocked.ExpiryDate}.`
+        : null);
+    }
+  };
+
+  const addItem = async () => {
+    if (await send(`/api/shopping-lists/${id}/items`, 'POST', newItem)) {
+      setNewItem({ FoodName: null, Quantity: 1, Unit: DEFAULT_UNIT });
+      setMessage(null);
+    }
+  };
+
+  const saveSettings = async () => {
+    if (await send(`/api/shopping-lists/${id}`, 'PUT', {
+      ListName: settings.ListName,
+      PantryID: settings.PantryID ? Number(settings.PantryID) : undefined,
+    })) {
+      setMessage('List saved.');
+    }
+  };
+
+  const deleteList = async () => {
+    const response = await fetch(`/api/shopping-lists/${id}`, { method: 'DELETE' });
+    if (response.ok) {
+      router.push('/shopping');
+    } else {
+      setMessage('Could not delete the list.');
+    }
+  };
+
+  if (error) {
+    return (
+      <div>
+        <NavBar />
+        <p>Error: {error}</p>
+      </div>
+    );
+  }
+  if (!list) {
+    return <NavBar />;
+  }
+
+  const isOwner = user && (user.UserID === list.OwnerID || user.UserRole === 'admin');
+  const groups = byFoodGroup(list.items);
+
+  return (
+    <div>
+      <NavBar />
+      <div className="shopping">
+        <h1>{list.ListName}</h1>
+        <Text size="sm" mb="md">
+          By {list.OwnerName}.{' '}
+          {list.PantryID
+            ? <>Shared with everyone who has the <Link href={`/pantries/${list.PantryID}`}>{list.Category}</Link> pantry; checked items go into it.</>
+            : 'Not linked to a pantry.'}
+        </Text>
+        {message && <Text mb="sm">{message}</Text>}
+
+        {list.items.length === 0 && <Text size="sm">The list is empty.</Text>}
+        {Object.keys(groups).map((group) => (
+          <Paper withBorder p="sm" mb="sm" key={group}>
+            <Title order={4} mb="xs">{group}</Title>
+            {groups[group].map((item) => (
+              <Group key={item.FoodName} justify="space-between" mb={4}>
+                <Checkbox
+                  label={`${formatQuantity(item.Quantity, item.Unit, unitSystem(user))} ${item.FoodName}`}
+                  checked={item.Checked}
+                  onChange={(e) => toggleItem(item, e.currentTarget.checked)}
+                  className={item.Checked ? 'shopping-checked' : undefined}
+                />
+                <Group gap="xs">
+                  <NumberInput aria-label="Quantity" min={0.001} decimalScale={3} w={120} value={item.Quantity}
+                    rightSection={item.Unit === DEFAULT_UNIT ? null : item.Unit} rightSectionWidth={40}
+                    onBlur={(e) => Number(e.currentTarget.value) !== item.Quantity
+                      && send(itemUrl(item.FoodName), 'PATCH', { Quantity: Number(e.currentTarget.value) })} />
+                  <Button variant="subtle" color="red" onClick={() => send(itemUrl(item.FoodName), 'DELETE')}>Remove</Button>
+                </Group>
+              </Group>
+            ))}
+          </Paper>
+        ))}
+
+        <Group align="flex-end" mt="md">
+          <Select label="Add a food" placeholder="Food" data={foodItems} value={newItem.FoodName}
+            onChange={(value) => setNewItem({ ...newItem, FoodName: value })} error={fieldErrors.FoodName} searchable />
+          <NumberInput label="Quantity" min={0.001} decimalScale={3} w={100} value={newItem.Quantity}
+            onChange={(value) => setNewItem({ ...newItem, Quantity: value })} error={fieldErrors.Quantity} />
+          <Select label="Unit" w={110} data={UNIT_OPTIONS} value={newItem.Unit} allowDeselect={false}
+            onChange={(value) => setNewItem({ ...newItem, Unit: value })} error={fieldErrors.Unit} />
+          <Button onClick={addItem} disabled={!newItem.FoodName}>Add</Button>
+        </Group>
+
+        {isOwner && (
+          <Group align="flex-end" mt="xl">
+            <TextInput label="List name" value={settings.ListName} error={fieldErrors.ListName}
+              onChange={(e) => setSettings({ ...settings, ListName: e.currentTarget.value })} />
+            <Select label="Pantry" placeholder="None" clearable error={fieldErrors.PantryID}
+              data={pantries.map((pantry) => ({ value: String(pantry.PANTRYID), label: `${pantry.CATEGORY} (#${pantry.PANTRYID})` }))}
+              value={settings.PantryID} onChange={(value) => setSettings({ ...settings, PantryID: value })} />
+            <Button variant="light" onClick={saveSettings}>Save</Button>
+            <Button variant="outline" color="red" onClick={deleteList}>Delete list</Button>
+          </Group>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ShoppingListDetails;
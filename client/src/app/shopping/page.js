@@ -0,0 +1,222 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import { Button, Group, MultiSelect, NumberInput, Paper, Select, Text, TextInput, Title } from '@mantine/core';
+import NavBar from '../components/NavBar';
+import ShoppingNeeds, { toBuyItems } from '../components/ShoppingNeeds';
+import useCurrentUser from '../util/CurrentUser';
+import useShoppingSelection from '../util/ShoppingSelection';
+import { unitSystem } from '../util/Units';
+import './Shopping.css';
+
+// The user's saved lists, and the ones shared with them through a pantry
+const SavedLists = ({ lists }) => (
+  <div className="shopping-saved">
+    <Title order={3}>Saved lists</Title>
+    {lists.length === 0 && <Text size="sm">No saved lists yet.</Text>}
+    {lists.map((list) => (
+      <Paper withBorder p="sm" mb="xs" key={list.ListID}>
+        <Group justify="space-between">
+          <Link href={`/shopping/${list.ListID}`}>{list.ListName}</Link>
+          <Text size="sm">
+            {list.CheckedCount} of {list.ItemCount} bought
+            {list.Category ? ` · ${list.Category} pantry` : ''} · by {list.OwnerName}
+          </Text>
+        </Group>
+      </Paper>
+    ))}
+  </div>
+);
+
+// Builds a shopping list from recipes picked on the Recipes page (the cart
+// button on each card) or from the user's liked recipes, less what the
+// chosen pantries already hold. The result can be saved as a list.
+const Shopping = () => {
+  const router = useRouter();
+  const { user, loading } = useCurrentUser();
+  const { selection, add, remove, setServings, clear } = useShoppingSelection();
+  const [recipeNames, setRecipeNames] = useState({});
+  const [pantries, setPantries] = useState([]);
+  const [pantryIDs, setPantryIDs] = useState([]);
+  const [shoppingList, setShoppingList] = useState(null);
+  const [error, setError] = useState(null);
+  const [savedLists, setSavedLists] = useState([]);
+  const [newList, setNewList] = useState({ ListName: '', PantryID: null });
+
+  useEffect(() => {
+    const fetchRecipeNames = async () => {
+      try {
+        const response = await fetch('/api/recipes?columns=RecipeID,RecipeName');
+        if (!response.ok) {
+          throw new Error('Failed to fetch recipes');
+        }
+        const { data } = await response.json();
+        setRecipeNames(Object.fromEntries(data.map((recipe) => [recipe.RECIPEID, recipe.RECIPENAME])));
+      } catch (error) {
+        console.error('Error fetching recipes:', error);
+      }
+    };
+
+    fetchRecipeNames();
+  }, []);
+
+  useEffect(() => {
+    const fetchPantries = async () => {
+      if (!user) {
+        return;
+      }
+      try {
+        const response = await fetch(`/api/pantry/${user.UserID}`);
+        const { data } = await response.json();
+        setPantries(data || []);
+        setPantryIDs((data || []).map((pantry) => String(pantry.PANTRYID)));
+      } catch (error) {
+        console.error('Error fetching pantries:', error);
+      }
+    };
+
+    fetchPantries();
+  }, [user]);
+
+  useEffect(() => {
+    const fetchSavedLists = async () => {
+      if (!user) {
+        return;
+      }
+      try {
+        const response = await fetch('/api/shopping-lists');
+        const { data } = await response.json();
+        setSavedLists(data || []);
+      } catch (error) {
+        console.error('Error fetching shopping lists:', error);
+      }
+    };
+
+    fetchSavedLists();
+  }, [user]);
+
+  const addLikedRecipes = async () => {
+    try {
+      const response = await fetch(`/api/recipes/liked/${user.UserID}`);
+      const { data } = await response.json();
+      add(data || []);
+    } catch (error) {
+      console.error('Error fetching liked recipes:', error);
+    }
+  };
+
+  const makeShoppingList = async () => {
+    try {
+      const response = await fetch('/api/shopping-list', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          recipes: selection,
+          pantries: pantryIDs.map(Number),
+        }),
+      });
+      const body = await response.json();
+      if (!response.ok) {
+        throw new Error(body.fields ? Object.values(body.fields).join(' ') : body.error);
+      }
+      setShoppingList(body.data);
+      setError(null);
+    } catch (error) {
+      console.error('Error making the shopping list:', error);
+      setShoppingList(null);
+      setError(error.message);
+    }
+  };
+
+  // Saves what is left to buy, linked to a pantry so checked items restock it
+  const saveList = async () => {
+    try {
+      const response = await fetch('/api/shopping-lists', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ListName: newList.ListName,
+          PantryID: newList.PantryID ? Number(newList.PantryID) : undefined,
+          items: toBuyItems(shoppingList),
+        }),
+      });
+      const body = await response.json();
+      if (!response.ok) {
+        throw new Error(body.fields ? Object.values(body.fields).join(' ') : body.error);
+      }
+      router.push(`/shopping/${body.data.ListID}`);
+    } catch (error) {
+      console.error('Error saving the shopping list:', error);
+      setError(error.message);
+    }
+  };
+
+  if (!loading && !user) {
+    return (
+      <div>
+        <NavBar />
+        <p>Log in to make a shopping list.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <NavBar />
+      <div className="shopping">
+        <h1>Shopping List</h1>
+
+        <Title order={3}>Recipes</Title>
+        <Text size="sm" mb="xs">
+          Pick recipes with the cart button on the <Link href="/recipes">Recipes</Link> page, or add the ones you like.
+        </Text>
+        {selection.length === 0 && <Text size="sm">No recipes picked yet.</Text>}
+        {selection.map((item) => (
+          <Group key={item.RecipeID} mb="xs">
+            <Link href={`/recipes/${item.RecipeID}`} className="shopping-recipe">
+              {recipeNames[item.RecipeID] || `Recipe ${item.RecipeID}`}
+            </Link>
+            <NumberInput aria-label="Servings" suffix=" ×" min={0.1} max={100} step={0.5} decimalScale={2} w={110}
+              value={item.servings} onChange={(value) => setServings(item.RecipeID, value === '' ? 1 : value)} />
+            <Button variant="subtle" color="red" onClick={() => remove(item.RecipeID)}>Remove</Button>
+          </Group>
+        ))}
+        <Group mt="sm">
+          <Button variant="light" onClick={addLikedRecipes}>Add liked recipes</Button>
+          <Button variant="subtle" onClick={clear} disabled={selection.length === 0}>Clear</Button>
+        </Group>
+
+        <Group align="flex-end" mt="md">
+          <MultiSelect label="Subtract what is in" placeholder="No pantries" w={400}
+            data={pantries.map((pantry) => ({ value: String(pantry.PANTRYID), label: pantry.CATEGORY }))}
+            value={pantryIDs} onChange={setPantryIDs} clearable />
+          <Button onClick={makeShoppingList} disabled={selection.length === 0}>Make shopping list</Button>
+        </Group>
+
+        {error && <p>Error: {error}</p>}
+        {shoppingList && (
+          <div className="shopping-list">
+            <Title order={3} mb="sm">To buy</Title>
+            <ShoppingNeeds shoppingList={shoppingList} recipeNames={recipeNames} system={unitSystem(user)} />
+            {shoppingList.groups.length > 0 && (
+              <Group align="flex-end" mt="md">
+                <TextInput label="Save as" placeholder="List name" value={newList.ListName}
+                  onChange={(e) => setNewList({ ...newList, ListName: e.currentTarget.value })} />
+                <Select label="Restock pantry" placeholder="None" clearable
+                  data={pantries.map((pantry) => ({ value: String(pantry.PANTRYID), label: pantry.CATEGORY }))}
+                  value={newList.PantryID} onChange={(value) => setNewList({ ...newList, PantryID: value })} />
+                <Button onClick={saveList} disabled={!newList.ListName.trim()}>Save list</Button>
+              </Group>
+            )}
+          </div>
+        )}
+
+        <SavedLists lists={savedLists} />
+      </div>
+    </div>
+  );
+};
+
+export default Shopping;
@@ -7,7 +7,6 @@ import CountTable from '../components/CountTable';
 import { Grid, NumberInput } from '@mantine/core';
 
 const Stats = () => {
-  const selectedUser = localStorage.getItem('selectedUser');
   const [cuisineCounts, setCuisineCounts] = useState([]);
   const [levelCounts, setLevelCounts] = useState([]);
   const [likedRecipesCounts, setLikedRecipesCounts] = useState([]); 
@@ -0,0 +1,28 @@
+import { useState, useEffect } from 'react';
+
+// Hook returning the logged-in user ({ UserID, UserName }) from the server
+// session, or null when nobody is logged in. `loading` is true until the
+// server has answered.
+export default function useCurrentUser() {
+    const [user, setUser] = useState(null);
+    const [loading, setLoading] = useState(true);
+
+    useEffect(() => {
+        const fetchCurrentUser = async () => {
+            try {
+                const response = await fetch('/api/me');
+                const data = response.ok ? await response.json() : { data: null };
+                setUser(data.data);
+            } catch (error) {
+                console.error('Error fetching the current user:', error);
+                setUser(null);
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        fetchCurrentUser();
+    }, []);
+
+    return { user, loading };
+}
@@ -0,0 +1,9 @@
+// Pulls the per-field messages out of an API error response body, e.g.
+// { UserName: 'Is required', 'steps[1]': 'Must be at most 512 characters' }.
+// Returns {} when the response was not a validation error.
+export default function FieldErrors(response, body) {
+    if (response.status !== 400 || !body || !body.fields) {
+        return {};
+    }
+    return body.fields;
+}
@@ -0,0 +1,46 @@
+import { useState, useEffect } from 'react';
+
+const STORAGE_KEY = 'mealmapper.shoppingRecipes';
+
+const load = () => {
+    try {
+        return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || [];
+    } catch (error) {
+        return [];
+    }
+};
+
+// Hook for the recipes picked for the shopping list, as
+// [{ RecipeID, servings }]. The picks are kept in localStorage so they can be
+// made on the Recipes page and used on the Shopping List page.
+export default function useShoppingSelection() {
+    const [selection, setSelection] = useState([]);
+
+    useEffect(() => {
+        setSelection(load());
+    }, []);
+
+    const save = (next) => {
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+        setSelection(next);
+    };
+
+    const has = (RecipeID) => selection.some((item) => item.RecipeID === RecipeID);
+
+    // Adds the recipes that are not picked yet, once each
+    const add = (recipeIDs) => save([
+        ...selection,
+        ...recipeIDs.filter((RecipeID) => !has(RecipeID)).map((RecipeID) => ({ RecipeID, servings: 1 })),
+    ]);
+
+    const remove = (RecipeID) => save(selection.filter((item) => item.RecipeID !== RecipeID));
+
+    const toggle = (RecipeID) => (has(RecipeID) ? remove(RecipeID) : add([RecipeID]));
+
+    const setServings = (RecipeID, servings) => save(selection
+        .map((item) => (item.RecipeID === RecipeID ? { ...item, servings } : item)));
+
+    const clear = () => save([]);
+
+    return { selection, has, add, remove, toggle, setServings, clear };
+}
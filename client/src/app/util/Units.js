@@ -0,0 +1,71 @@
+// Units of measure as the server knows them (server/utils/units.js), for
+// picking a unit and for showing quantities in the user's preferred system.
+const UNITS = {
+    mg: { dimension: 'mass', factor: 0.001 },
+    g: { dimension: 'mass', factor: 1 },
+    kg: { dimension: 'mass', factor: 1000 },
+    oz: { dimension: 'mass', factor: 28.349523125 },
+    lb: { dimension: 'mass', factor: 453.59237 },
+    ml: { dimension: 'volume', factor: 1 },
+    l: { dimension: 'volume', factor: 1000 },
+    tsp: { dimension: 'volume', factor: 4.92892159375 },
+    tbsp: { dimension: 'volume', factor: 14.78676478125 },
+    'fl oz': { dimension: 'volume', factor: 29.5735295625 },
+    cup: { dimension: 'volume', factor: 236.5882365 },
+    pt: { dimension: 'volume', factor: 473.176473 },
+    qt: { dimension: 'volume', factor: 946.352946 },
+    gal: { dimension: 'volume', factor: 3785.411784 },
+    each: { dimension: 'count', factor: 1 },
+    dozen: { dimension: 'count', factor: 12 },
+};
+
+export const DEFAULT_UNIT = 'each';
+
+// Grouped data for a Mantine Select
+export const UNIT_OPTIONS = [
+    { group: 'Count', items: ['each', 'dozen'] },
+    { group: 'Metric', items: ['mg', 'g', 'kg', 'ml', 'l'] },
+    { group: 'Imperial', items: ['oz', 'lb', 'tsp', 'tbsp', 'fl oz', 'cup', 'pt', 'qt', 'gal'] },
+];
+
+// The unit of each system a base amount (g or ml) reads best in
+const DISPLAY_UNITS = {
+    metric: {
+        mass: (grams) => (grams >= 1000 ? 'kg' : 'g'),
+        volume: (millilitres) => (millilitres >= 1000 ? 'l' : 'ml'),
+    },
+    imperial: {
+        mass: (grams) => (grams >= UNITS.lb.factor ? 'lb' : 'oz'),
+        volume: (millilitres) => {
+            if (millilitres < 3 * UNITS.tsp.factor) {
+                return 'tsp';
+            }
+            return millilitres < 4 * UNITS.tbsp.factor ? 'tbsp' : 'cup';
+        },
+    },
+};
+
+const round = (quantity) => {
+    if (quantity >= 100) {
+        return Math.round(quantity);
+    }
+    const places = quantity >= 10 ? 10 : 100;
+    return Math.round(quantity * places) / places;
+};
+
+// '2 tbsp' shown as '30 ml' for metric users, '1.5 cup' as '354.9 ml', and
+// counts as just the number. Units the system doesn't cover stay as written.
+export function formatQuantity(quantity, unit = DEFAULT_UNIT, system = 'metric') {
+    const source = UNITS[unit];
+    const number = Number(quantity);
+    if (!source || source.dimension === 'count') {
+        return unit === DEFAULT_UNIT || !unit ? String(round(number)) : `${round(number)} ${unit}`;
+    }
+    const base = number * source.factor;
+    const pick = (DISPLAY_UNITS[system] || DISPLAY_UNITS.metric)[source.dimension];
+    const target = pick(base);
+    return `${round(base / UNITS[target].factor)} ${target}`;
+}
+
+// The system a user's quantities are shown in
+export const unitSystem = (user) => (user && user.PreferredUnits) || 'metric';
@@ -1,22 +1,55 @@
 const express = require('express');
 const appService = require('./appService');
+const asyncHandler = require('./utils/asyncHandler');
+const { validate } = require('./utils/validate');
+const schemas = require('./schemas');
+const { requireUser, createSession, setSessionCookie, clearSessionCookie } = require('./utils/auth');
+const authorize = require('./authorization');
+const { recordsFromCsv, prepareImport } = require('./recipeImport');
+const { toSchemaOrgRecipe, fromSchemaOrg } = require('./schemaOrg');
+const { ValidationError, ConflictError, UnauthorizedError } = require('./utils/errors');
 
 const router = express.Router();
 
 // ----------------------------------------------------------
 // API endpoints
 // Modify or extend these routes based on your project's needs.
-
-router.get('/check-db-connection', async (req, res) => {
+//
+// Handlers are wrapped in asyncHandler so errors thrown by appService
+// (see utils/errors.js) reach the error middleware in server.js, which picks
+// the status code and sends { error, code }. Routes only send the success
+// response themselves.
+//
+// Routes that take input are preceded by validate(schemas.<name>), which
+// checks params, query and body against schemas.js and answers 400 with
+// per-field messages in `fields` before the handler runs.
+//
+// The middleware in server.js sets req.user to the logged-in user (see
+// utils/auth.js). Routes that change data are preceded by requireUser, which
+// answers 401 without a login, and act as req.user rather than any UserID
+// in the request. Routes limited to a recipe's author, a pantry's members or
+// admins add a check from authorization.js, which answers 403.
+
+// The paging part of a validated list query, or null for the whole list
+function pageOf(query) {
+    return query.limit ? { limit: query.limit, offset: query.offset } : null;
+}
+
+// Response body for one page of a list. `total` counts the matches on all pages.
+function pageBody({ data, total }, page) {
+    return { data, total, limit: page ? page.limit : null, offset: page ? page.offset : 0 };
+}
+
+router.get('/check-db-connection', asyncHandler(async (req, res) => {
     const isConnect = await appService.testOracleConnection();
     if (isConnect) {
         res.send('connected');
     } else {
         res.send('unable to connect');
     }
-});
+}));
 
-/* 
+/*
 API test endpoint
 */
 router.get('/test', async (req, res) => {
@@ -32,177 +65,219 @@ router.get('/test', async (req, res) => {
 API endpoint to GET recipe and attached images
 Example of usage:
 ...await fetch('/api/recipes?img=<anything>');
-    Fetches recipes with images 
+    Fetches recipes with images
 
 ...await fetch('/api/recipes?img=<anything>&captionless=1');
     Fetches recipes with images but no captions
 
-...await fetch('/api/recipes?columns=r.Username,r.Cuisine&img=<anything>');
-    Fetches recipes but with only username, cuisine attributes and with images
+...await fetch('/api/recipes?columns=RecipeName,UserName,Cuisine&img=<anything>');
+    Fetches recipes but with only recipeID, recipe name, username, cuisine attributes and with images
 
-...await fetch('/api/recipes?columns=r.Username,r.Cuisine&img=<anything>');
-    Fetches recipes but with only recipeID, username, cuisine attributes and with images
-
-...await fetch('/api/recipes?columns=r.RecipeLevels&filter=Greek,img=<anything>');
-    Fetches recipes but with only recipeID, username, cuisine attributes and with images, filtering for Greek cuisine
+...await fetch('/api/recipes?columns=RecipeLevel&filter=Greek&img=<anything>');
+    Fetches recipes but with only recipeID and level attributes and with images, filtering for Greek cuisine
 
 ...await fetch('/api/recipes?id=3');
     Fetches recipe with id 3, no images
 
-TODO: figure out how to apply more than just the cuisine filter
+...await fetch('/api/recipes?q="olive oil" chick*&img=true');
+    Full-text search over names, cuisines, authors, ingredients and steps.
+    Words match other forms of themselves (fried, fries, frying), "quotes"
+    match a phrase and a trailing * matches any word it starts. Every part
+    must match. Results come best match first (sort=relevance) unless
+    another sort is given, each with RELEVANCE and SNIPPET, the part that
+    matched as [{ text, highlight }] for the recipe card.
+
+...await fetch('/api/recipes?cuisine=Italian,Greek&maxTime=0 00:45&minLevel=2&maxLevel=4&include=Chicken&exclude=Potatoes');
+    Filters can be combined, and a recipe has to pass all of them:
+        cuisine      any of these cuisines (comma-separated or repeated)
+        maxTime      cooking time at most this long, as D HH:MM
+        minLevel, maxLevel   RecipeLevel range
+        user         written by this UserID
+        minLikes     liked by at least this many users
+        include      has all of these ingredients
+        exclude      has none of these ingredients
+        liked=true   liked by the logged-in user (401 if not logged in)
+        minCalories, maxCalories   calories per serving range
+        minHealthScore   health score (0-100) at least this
+
+...await fetch('/api/recipes?maxCalories=500&sort=calories');
+    Recipes under 500 kcal per serving, lightest first. Each recipe has its
+    CALORIESPERSERVING and HEALTHSCORE (see server/utils/nutrition.js).
+
+...await fetch('/api/recipes?sort=-time');
+    Fetches recipes sorted by cooking time, longest first.
+    Sort keys: id, name, cuisine, time, level, likes, newest, calories
+    (per serving), health (healthiest first), and relevance with q
+    (prefix with '-' to reverse the order)
+
+...await fetch('/api/recipes?img=true&sort=-likes&limit=12&offset=24');
+    Fetches the third page of 12 recipes, most liked first, with images.
+    The response also has `total`, the number of matching recipes, and the
+    `limit` and `offset` used. Without a limit every recipe is returned.
+
+Unknown columns or sort keys return a 400. No matches is an empty list.
 */
-router.get('/recipes', async (req, res) => {
-    const columns = req.query.columns ? req.query.columns.split(',') : null;
-    const filter = req.query.filter || null;
-    const id = req.query.id || null;
+router.get('/recipes', validate(schemas.listRecipes), asyncHandler(async (req, res) => {
+    const { q, filter, cuisine, id, user, maxTime, minLevel, maxLevel, minLikes, include, exclude, liked,
+        minCalories, maxCalories, minHealthScore } = req.query;
+    if (liked && !req.user) {
+        throw new UnauthorizedError('Log in to see the recipes you liked');
+    }
+    const filters = {
+        cuisines: [...(filter ? [filter] : []), ...(cuisine || [])],
+        searchTerm: id,
+        text: q,
+        user,
+        maxTime,
+        minLevel,
+        maxLevel,
+        minLikes,
+        include,
+        exclude,
+        likedBy: liked ? req.user.UserID : null,
+        minCalories,
+        maxCalories,
+        minHealthScore
+    };
+    const columns = req.query.columns || null;
     const img = req.query.img;
     const captionless = req.query.captionless;
-    const user = req.query.user || null;
-    const recipes = await appService.fetchRecipes(columns, filter, id, img, captionless, user);
-    if (recipes.length === 0) {
-        res.status(404).json({ error: 'No recipes found' });
-    } else {
-        res.json({ data: recipes });
-    }
-});
+    const sort = req.query.sort || null;
+    const page = pageOf(req.query);
+    const recipes = await appService.fetchRecipes(columns, filters, img, captionless, sort, page);
+    res.json(pageBody(recipes, page));
+}));
 
 /*
-API endpoint to GET a single recipe by ID
+API endpoint to GET a single recipe by ID, with its `nutrition`: total and
+per-serving calories, calories by food group and a health score (see
+utils/nutrition.js)
+With ?format=jsonld, or Accept: application/ld+json, the whole recipe comes
+back as schema.org Recipe JSON-LD instead (see schemaOrg.js).
 */
-router.get('/recipe/:id', async (req, res) => {
+router.get('/recipe/:id', validate(schemas.recipeById), asyncHandler(async (req, res) => {
     const RecipeID = req.params.id;
-    const recipe = await appService.fetchRecipeByID(RecipeID);
-    if (recipe.length === 0) {
-        res.status(404).json({ error: 'Recipe not found' });
-    } else {
-        res.json({ data: recipe });
+    res.vary('Accept');
+    const format = req.query.format
+        || (req.accepts(['application/json', 'application/ld+json']) === 'application/ld+json' ? 'jsonld' : 'json');
+    if (format === 'jsonld') {
+        const recipe = await appService.fetchRecipeDocument(RecipeID);
+        res.type('application/ld+json').send(JSON.stringify(toSchemaOrgRecipe(recipe), null, 2));
+        return;
     }
-});
+    const recipe = await appService.fetchRecipeByID(RecipeID);
+    const nutrition = await appService.fetchNutrition(RecipeID);
+    res.json({ data: recipe, nutrition });
+}));
 
 /*
 API endpoint to GET all liked recipes
 */
-router.get('/recipes/liked', async (req, res) => {
+router.get('/recipes/liked', asyncHandler(async (req, res) => {
     const recipes = await appService.fetchLikedRecipes();
-    if (recipes.length === 0) {
-        res.status(404).json({ error: 'No liked recipes found' });
-    } else {
-        res.json({ data: recipes });
-    }
-});
+    res.json({ data: recipes });
+}));
 
 /*
 API endpoint to GET liked recipes liked by user
 */
-router.get('/recipes/liked/:id', async (req, res) => {
+router.get('/recipes/liked/:id', validate(schemas.likedRecipesByUser), asyncHandler(async (req, res) => {
     const UserID = req.params.id;
     const recipes = await appService.fetchUserLikedRecipes(UserID);
-    if (recipes.length === 0) {
-        res.status(404).json({ error: 'No liked recipes found' });
-    } else {
-        res.json({ data: recipes });
-    }
-});
+    res.json({ data: recipes });
+}));
 
 /*
 API endpoint to LIKE a recipe
 */
-router.post('/likeRecipe', async (req, res) => {
-    const info = req.body;
-    const reply = await appService.UserLikedRecipe(info);
-    if (reply.length === 0) {
-        res.status(404).json({ error: 'Liking unsuccessful' });
-    } else {
-        res.json({ data: reply });
-    }
-});
+router.post('/likeRecipe', requireUser, validate(schemas.likeRecipe), asyncHandler(async (req, res) => {
+    const info = { RecipeID: req.body.RecipeID, UserID: req.user.UserID };
+    const reply = await appService.UserLikedRecipe(info, req.user);
+    res.json({ data: reply });
+}));
 
 /*
 API endpoint to UNLIKE a recipe
 */
-router.post('/unlikeRecipe', async (req, res) => {
-    const info = req.body;
-    const reply = await appService.UserUnlikedRecipe(info);
-    if (reply.length === 0) {
-        res.status(404).json({ error: 'Unliking unsuccessful' });
-    } else {
-        res.json({ data: reply });
-    }
-});
+router.post('/unlikeRecipe', requireUser, validate(schemas.unlikeRecipe), asyncHandler(async (req, res) => {
+    const info = { RecipeID: req.body.RecipeID, UserID: req.user.UserID };
+    const reply = await appService.UserUnlikedRecipe(info, req.user);
+    res.json({ data: reply });
+}));
 
 /*
-API endpoint to CREATE a new recipe
-Pass in a dictionary containing necessary inputs
-e.g. {  'RecipeName': 'Pasta Verde', 
-        'Cuisine': 'Italian', 
-        'CookingTime': '00 00:30:00',
-        'UserID': 3}
+API endpoint to CREATE a new recipe, written by the logged-in user
+Pass in the whole recipe document. The recipe, its steps, images and
+ingredients are saved in one transaction: if any part fails nothing is saved.
+e.g. {  'RecipeName': 'Pasta Verde',
+        'Cuisine': 'Italian',
+        'CookingTime': '0 00:30',
+        'steps': ['Boil the pasta', 'Toss with pesto'],
+        'images': [{ 'ImageURL': 'https://...', 'Caption': 'Pasta Verde' }],
+        'ingredients': [{ 'FoodName': 'Uncooked noodles', 'Quantity': 1 }] }
+
+steps, images and ingredients are optional. The new RecipeID is in the response.
+*/
+router.post('/recipe', requireUser, validate(schemas.createRecipe), asyncHandler(async (req, res) => {
+    const recipe = { ...req.body, UserID: req.user.UserID };
+    const response = await appService.createRecipe(recipe, req.user);
+    res.status(201).json({ message: 'Recipe created', response });
+}));
 
-Be sure to retrieve RecipeID in response, use that to call steps endpoint
+/*
+API endpoint to IMPORT a recipe from another site, written by the logged-in
+user. Body: { document: {...} } with schema.org Recipe JSON-LD, or
+{ html: '...' } with a saved recipe page that embeds it (see schemaOrg.js).
+Foods the site uses that are not known yet are added. The new RecipeID is in
+the response.
 */
-router.post('/recipe', async (req, res) => {
-    const recipe = req.body;
-    const response = await appService.createRecipe(recipe);
-    if (response) {
-        res.status(201).json({ message: 'Recipe created', response });
-    } else {
-        res.status(500).json({ error: 'Failed to create recipe' });
+router.post('/recipe/import', requireUser, validate(schemas.importSchemaOrgRecipe), asyncHandler(async (req, res) => {
+    const record = fromSchemaOrg(req.body);
+    const report = await appService.importRecipes(prepareImport([record]), req.user.UserID, false, req.user);
+    const [result] = report.rows;
+    if (result.status === 'skipped') {
+        throw new ConflictError(result.reason);
     }
-});
+    if (result.status === 'rejected') {
+        throw new ValidationError('The recipe could not be imported', result.errors);
+    }
+    const { RecipeID, RecipeName, createdFoodItems } = result;
+    res.status(201).json({ message: 'Recipe imported', response: { RecipeID, RecipeName, createdFoodItems } });
+}));
 
 /*
 API endpoint to GET steps for a specific recipe by ID
 */
-router.get('/recipe/:id/steps', async (req, res) => {
+router.get('/recipe/:id/steps', validate(schemas.recipeSteps), asyncHandler(async (req, res) => {
     const RecipeID = req.params.id;
     const steps = await appService.fetchRecipeSteps(RecipeID);
-    if (steps.length === 0) {
-        res.status(404).json({ error: 'No steps found for this recipe' });
-    } else {
-        res.json({ data: steps });
-    }
-});
+    res.json({ data: steps });
+}));
 
 /*
 API endpoint to GET cuisine options
 */
-router.get('/cuisines', async (req, res) => {
+router.get('/cuisines', asyncHandler(async (req, res) => {
     const cuisines = await appService.fetchCuisineOptions();
-    if (cuisines.length === 0) {
-        res.status(404).json({ error: 'No cuisines found' });
-    } else {
-        res.json({ data: cuisines });
-    }
-});
+    res.json({ data: cuisines });
+}));
 
 
 /*
-API endpoint to aggregate counts across user levels
+API endpoint to count recipes per cuisine, optionally only the cuisines
+with at least `threshold` recipes
 */
-router.get('/cuisine-counts', async (req, res) => {
-    const threshold = req.query.threshold ? parseInt(req.query.threshold) : null;
+router.get('/cuisine-counts', validate(schemas.cuisineCounts), asyncHandler(async (req, res) => {
+    const threshold = req.query.threshold || null;
     const data = await appService.fetchCuisineCounts(threshold);
-    if (data) {
-        res.status(201).json({ message: 'Aggregated data fetched', data });
-    } else {
-        res.status(500).json({ error: 'Failed to fetch data' });
-    }
-});
+    res.json({ message: 'Aggregated data fetched', data });
+}));
 
 // API endpoint to GET count of recipes liked per user level
-router.get('/recipes-liked-per-user-level', async (req, res) => {
-    try {
-        const data = await appService.fetchRecipesLikedPerUserLevel();
-        if (data.length === 0) {
-            res.status(404).json({ error: 'No data found' });
-        } else {
-            res.json({ data });
-        }
-    } catch (error) {
-        console.error('Error fetching data:', error);
-        res.status(500).json({ error: 'Internal server error' });
-    }
-});
+router.get('/recipes-liked-per-user-level', asyncHandler(async (req, res) => {
+    const data = await appService.fetchRecipesLikedPerUserLevel();
+    res.json({ data });
+}));
 
 
 /*================================================
@@ -211,56 +286,33 @@ router.get('/recipes-liked-per-user-level', async (req, res) => {
 /*
 API endpoint to GET all images and captions associated with RecipeID
 */
-router.get('/images/:id', async (req, res) => {
-    const captionless = req.query.captionless == 1;
+router.get('/images/:id', validate(schemas.recipeImages), asyncHandler(async (req, res) => {
+    const captionless = req.query.captionless === true;
     const RecipeID = req.params.id;
     const images = await appService.fetchImagesByID(RecipeID, captionless);
-    if (images.length === 0) {
-        res.status(404).json({ error: 'Images not found' });
-    } else {
-        res.json({ data: images });
-    }
-});
+    res.json({ data: images });
+}));
 
 /*
-API endpoint to insert multiple images associated with a recipe
-
+API endpoint to insert multiple images associated with a recipe. Like every
+change to a recipe, it is saved as a new revision; recipes in the trash 404.
 */
-router.post('/images/:id', async (req, res) => {
+router.post('/images/:id', requireUser, validate(schemas.insertImages), authorize.recipeOwner((req) => req.params.id), asyncHandler(async (req, res) => {
     const RecipeID = req.params.id;
-    const ImageURL = req.body.ImageURL;
-    const Caption = req.body.Caption;
-    let success = true; 
-
-    for (let i = 0; i < ImageURL.length; i++) {
-        const response = await appService.insertImage(RecipeID, ImageURL[i], Caption[i]);
-        console.log(response);
-        if (!response) {
-            success = false;
-            break;
-        }
-    }
-
-    if (success) {
-        res.status(201).json({ message: 'Images inserted successfully' });
-    } else {
-        res.status(500).json({ error: 'Failed to insert all images' });
-    }
-});
+    const images = req.body.ImageURL.map((ImageURL, i) => ({ ImageURL, Caption: req.body.Caption[i] ?? null }));
+    await appService.insertImages(RecipeID, images, req.user);
+    res.status(201).json({ message: 'Images inserted successfully' });
+}));
 
 
 /*
 API endpoint to DELETE all images and captions associated with a recipe
 */
-router.delete('/images/:id', async (req, res) => {
+router.delete('/images/:id', requireUser, validate(schemas.deleteImages), authorize.recipeOwner((req) => req.params.id), asyncHandler(async (req, res) => {
     const RecipeID = req.params.id;
-    const rowsAffected = await appService.deleteImages(RecipeID);
-    if (rowsAffected > 0) {
-        res.json({ message: 'Images deleted' });
-    } else {
-        res.status(404).json({ error: 'Images not found or not deleted' });
-    }
-});
+    await appService.deleteImages(RecipeID, req.user);
+    res.json({ message: 'Images deleted' });
+}));
 
 /*================================================
 ==================STEP ENDPOINTS==================
@@ -268,49 +320,26 @@ router.delete('/images/:id', async (req, res) => {
 /*
 API endpoint to insert steps associated with recipe
 
-Note that this should never be run by itself. First, create a new recipe,
-retrieve the RecipeID returned in the response, then call this endpoint
-with the appropriate RecipeID.
-
-At some point, should probably just fold this into the create recipe endpoint
-as you can't have a recipe without steps, and vice versa...
+Prefer sending the steps with POST /recipe or PUT /recipe/:id. This
+endpoint adds steps after an existing recipe's own. Like every change to a
+recipe, it is saved as a new revision; recipes in the trash 404.
 
 steps value should be a list of strings corresponding to instructions
 e.g., ['Preheat the oven to 350F', ...]
 */
-router.post('/steps/:id', async (req, res) => {
-    const recipeID = req.params.id;
-    const steps = req.body.steps;
-    let success = true; 
-
-    for (let i = 0; i < steps.length; i++) {
-        const response = await appService.insertStep(i + 1, steps[i], recipeID);
-        console.log(response);
-        if (!response) {
-            success = false;
-            break;
-        }
-    }
-
-    if (success) {
-        res.status(201).json({ message: 'Steps inserted successfully' });
-    } else {
-        res.status(500).json({ error: 'Failed to insert all steps' });
-    }
-});
+router.post('/steps/:id', requireUser, validate(schemas.insertSteps), authorize.recipeOwner((req) => req.params.id), asyncHandler(async (req, res) => {
+    await appService.insertSteps(req.params.id, req.body.steps, req.user);
+    res.status(201).json({ message: 'Steps inserted successfully' });
+}));
 
 /*
 API endpoint to DELETE all steps associated with a recipe
 */
-router.delete('/steps/:id', async (req, res) => {
+router.delete('/steps/:id', requireUser, validate(schemas.deleteSteps), authorize.recipeOwner((req) => req.params.id), asyncHandler(async (req, res) => {
     const RecipeID = req.params.id;
-    const rowsAffected = await appService.deleteSteps(RecipeID);
-    if (rowsAffected > 0) {
-        res.json({ message: 'Steps deleted' });
-    } else {
-        res.status(404).json({ error: 'Steps not found or not deleted' });
-    }
-});
+    await appService.deleteSteps(RecipeID, req.user);
+    res.json({ message: 'Steps deleted' });
+}));
 
 
 /*================================================
@@ -318,62 +347,93 @@ router.delete('/steps/:id', async (req, res) => {
 ================================================*/
 /*
 API endpoint to GET a user's UserID, Name, Points, and Rank
+e.g. /api/user/3?columns=UserName,Points
+Unknown columns return a 400.
 */
-router.get('/user/:id', async (req, res) => {
-    const columns = req.query.columns ? req.query.columns.split(',') : null;
+router.get('/user/:id', validate(schemas.userById), asyncHandler(async (req, res) => {
+    const columns = req.query.columns || null;
     const UserID = req.params.id;
     const tableContent = await appService.fetchUser(UserID, columns);
     res.json({data: tableContent});
-});
+}));
 
-/* 
+/*
 API endpoint to GET all users' UserID, Name, Points, and Rank
+e.g. /api/users?columns=UserName&sort=-points&limit=20&offset=0
+Sort keys: id, name, points, newest (prefix with '-' to reverse the order)
+limit and offset are optional and work as for /recipes.
+Unknown columns or sort keys return a 400.
 */
-router.get('/users', async (req, res) => {
-    const columns = req.query.columns ? req.query.columns.split(',') : null;
-    const tableContent = await appService.fetchAllUsers(columns);
-    res.json({data: tableContent});
-});
+router.get('/users', validate(schemas.listUsers), asyncHandler(async (req, res) => {
+    const columns = req.query.columns || null;
+    const sort = req.query.sort || null;
+    const page = pageOf(req.query);
+    const users = await appService.fetchAllUsers(columns, sort, page);
+    res.json(pageBody(users, page));
+}));
 
 /*
-API endpoint to CREATE a new user
-Pass in a dictionary containing the name
-e.g. {  'Username': 'Ford Prefect' }
+API endpoint to CREATE a new user and log them in
+Pass in a dictionary containing the name and a password of at least 8 characters
+e.g. {  'UserName': 'FordPrefect', 'Password': 'dont panic' }
 */
-router.post('/user', async (req, res) => {
-    const Username = req.body.UserName;
-    const response = await appService.createUser(Username);
-    if (response) {
-        res.status(201).json({ message: 'User created', response });
-    } else {
-        res.status(500).json({ error: 'Failed to create new user' });
-    }
-});
+router.post('/user', validate(schemas.createUser), asyncHandler(async (req, res) => {
+    const { UserName, Password } = req.body;
+    const response = await appService.createUser(UserName, Password);
+    setSessionCookie(res, createSession(response));
+    res.status(201).json({ message: 'User created', response });
+}));
+
+/*
+API endpoint to LOG IN
+e.g. {  'UserName': 'FordPrefect', 'Password': 'dont panic' }
+Sets the session cookie and returns the user. The session token is also in
+the response, for clients that send it as an 'Authorization: Bearer' header.
+A wrong name or password is a 401.
+*/
+router.post('/login', validate(schemas.login), asyncHandler(async (req, res) => {
+    const user = await appService.authenticateUser(req.body.UserName, req.body.Password);
+    const token = createSession(user);
+    setSessionCookie(res, token);
+    res.json({ message: 'Logged in', data: user, token });
+}));
+
+// API endpoint to LOG OUT, clearing the session cookie
+router.post('/logout', (req, res) => {
+    clearSessionCookie(res);
+    res.json({ message: 'Logged out' });
+});
+
+// API endpoint to GET the logged-in user, with the unit system they see
+// quantities in; 401 when nobody is logged in
+router.get('/me', requireUser, asyncHandler(async (req, res) => {
+    const PreferredUnits = await appService.fetchPreferredUnits(req.user.UserID);
+    res.json({ data: { ...req.user, PreferredUnits } });
+}));
+
+// API endpoint to choose the unit system a user sees quantities in
+// e.g. { 'PreferredUnits': 'imperial' }
+router.put('/users/:id/preferences', requireUser, validate(schemas.userPreferences), authorize.self((req) => req.params.id), asyncHandler(async (req, res) => {
+    const preferences = await appService.updatePreferredUnits(req.params.id, req.body.PreferredUnits, req.user);
+    res.json({ data: preferences });
+}));
 
 /*
-API endpoint to UPDATE points associated with a user
+API endpoint to UPDATE points associated with a user (admins only)
 */
-router.put('/points/:id', async (req, res) => {
+router.put('/points/:id', requireUser, validate(schemas.addPoints), authorize.admin, asyncHandler(async (req, res) => {
     const UserID = req.params.id;
-    const response = await appService.updatePoints(UserID);
-    if (response === 1) {
-        res.status(201).json({ message: 'Points updated' });
-    } else {
-        res.status(500).json({ error: 'Failed to update points' });
-    }
-});
+    await appService.updatePoints(UserID, req.user);
+    res.json({ message: 'Points updated' });
+}));
 
 /*
 API endpoint to aggregate counts across user levels
 */
-router.get('/level-counts', async (req, res) => {
+router.get('/level-counts', asyncHandler(async (req, res) => {
     const data = await appService.fetchLevelCounts();
-    if (data) {
-        res.status(201).json({ message: 'Aggregated data fetched', data });
-    } else {
-        res.status(500).json({ error: 'Failed to fetch data' });
-    }
-});
+    res.json({ message: 'Aggregated data fetched', data });
+}));
 
 
 /*================================================
@@ -382,212 +442,416 @@ router.get('/level-counts', async (req, res) => {
 /*
 API endpoint to GET all food items of a specific recipe
 */
-router.get('/recipe/:id/fooditems', async (req, res) => {
-    const columns = req.query.columns ? req.query.columns.split(',') : null;
+router.get('/recipe/:id/fooditems', validate(schemas.recipeFoodItems), asyncHandler(async (req, res) => {
+    const columns = req.query.columns || null;
     const recipeID = req.params.id;
     const response = await appService.fetchRecipeFoodItems(columns, recipeID);
-    if (response.length === 0) {
-        res.status(404).json({ error: 'No food items found for this recipe' });
-    } else {
-        res.json({ data: response });
-    }
-});
+    res.json({ data: response });
+}));
 
 /*================================================
 ==================PANTRY ENDPOINTS=================
 ================================================*/
 
-// API endpoint to GET all ingredient instances of a specific pantry
-router.get('/pantry/:id/ingredients', async (req, res) => {
+// API endpoint to GET all ingredient instances of a specific pantry (its members only)
+router.get('/pantry/:id/ingredients', requireUser, validate(schemas.pantryIngredients), authorize.pantryMember((req) => req.params.id), asyncHandler(async (req, res) => {
     const pantryID = req.params.id;
-    try {
-        const ingredientInstances = await appService.fetchIngredientInstances(pantryID);
-        res.status(200).json({ data: ingredientInstances || [] });
-    } catch (error) {
-        console.error('Error in fetching ingredient instances:', error);
-        res.status(500).json({ error: 'Internal server error' });
-    }
-});
+    const ingredientInstances = await appService.fetchIngredientInstances(pantryID);
+    res.json({ data: ingredientInstances });
+}));
+
+
+/*
+"What can I cook?" with what is in a pantry (its members only), or in some
+or all of a user's pantries (the user themselves only):
+e.g. /api/pantry/3/cookable, /api/users/2/cookable?pantries=3,4
+Only unexpired stock counts. Answers { pantries, cookNow, missingFew }: the
+recipes it fully covers, and the ones missing one or two ingredients, each
+with its coverage (0-1) and the missing ingredients and amounts.
+*/
+router.get('/pantry/:id/cookable', requireUser, validate(schemas.pantryCookable), authorize.pantryMember((req) => req.params.id), asyncHandler(async (req, res) => {
+    const matches = await appService.fetchCookableRecipes([req.params.id]);
+    res.json({ data: matches });
+}));
 
+router.get('/users/:id/cookable', requireUser, validate(schemas.userCookable), authorize.self((req) => req.params.id), asyncHandler(async (req, res) => {
+    const pantryIDs = await appService.userPantryIDs(req.params.id, req.query.pantries);
+    const matches = await appService.fetchCookableRecipes(pantryIDs);
+    res.json({ data: matches });
+}));
 
 /*
-API endpoint to GET a user's pantries
+Food in some or all of a user's pantries that has expired or expires within
+?days= days (3 by default, 0 for today only), soonest first, grouped by
+pantry, with up to five recipes that use up what is about to expire:
+e.g. /api/users/2/expiring?days=7&pantries=3
 */
-router.get('/pantry/:id', async (req, res) => {
+router.get('/users/:id/expiring', requireUser, validate(schemas.userExpiring), authorize.self((req) => req.params.id), asyncHandler(async (req, res) => {
+    const pantryIDs = await appService.userPantryIDs(req.params.id, req.query.pantries);
+    const expiring = await appService.fetchExpiringItems(pantryIDs, req.query.days ?? appService.EXPIRING_SOON_DAYS);
+    res.json({ data: expiring });
+}));
+
+/*
+API endpoint to GET a user's pantries (the user themselves only)
+*/
+router.get('/pantry/:id', requireUser, validate(schemas.userPantries), authorize.self((req) => req.params.id), asyncHandler(async (req, res) => {
     const UserID = req.params.id;
     const tableContent = await appService.fetchPantries(UserID);
     res.json({data: tableContent});
-});
+}));
 
 
-// Fetch pantry by ID
-router.get('/savedpantries/:id', async (req, res) => {
+// Fetch a pantry by ID; only its members (and admins) can see it
+router.get('/savedpantries/:id', requireUser, validate(schemas.pantryById), authorize.pantryMember((req) => req.params.id), asyncHandler(async (req, res) => {
     const pantryId = req.params.id;
-    try {
-        const pantry = await appService.fetchPantryById(pantryId);
-
-        if (pantry) {
-            res.json(pantry);
-        } else {
-            res.status(404).json({ error: 'Pantry not found' });
-        }
-    } catch (error) {
-        console.error('Error fetching pantry by ID:', error);
-        res.status(500).json({ error: 'Internal server error' });
-    }
-});
+    const pantry = await appService.fetchPantryById(pantryId);
+    res.json(pantry);
+}));
+
+
+// Share a pantry with another user. Only the pantry's members (and admins)
+// can add someone, so nobody can join a pantry by guessing its ID.
+router.post('/userpantries', requireUser, validate(schemas.addPantryToUser), authorize.pantryMember((req) => req.body.PantryID), asyncHandler(async (req, res) => {
+    const { PantryID, UserID } = req.body;
+    await appService.addPantryToUser(UserID, PantryID, req.user);
+    res.status(201).json({ message: 'Pantry shared' });
+}));
+
+
+// Create a new pantry for the logged-in user
+router.post('/pantry', requireUser, validate(schemas.createPantry), asyncHandler(async (req, res) => {
+    const { Category } = req.body;
+    const response = await appService.createPantry(req.user.UserID, Category, req.user);
+    res.status(201).json({ message: 'Pantry created', response });
+}));
+
+// endpoint to handle adding a new ingredient instance to one of your pantries
+router.post('/ingredient', requireUser, validate(schemas.addIngredient), authorize.pantryMember((req) => req.body.PantryID), asyncHandler(async (req, res) => {
+    const { PantryID, FoodName, Quantity, Unit, ExpiryDate, ShelfLife, Calories, FoodGroup, Density } = req.body;
+    const response = await appService.addIngredient(PantryID, FoodName, Quantity, Unit, ExpiryDate, ShelfLife, Calories, FoodGroup, Density, req.user);
+    res.status(201).json({ message: 'Ingredient added', response });
+}));
 
+/*
+API endpoint to make a SHOPPING LIST for cooking some recipes, less what is
+in stock in the logged-in user's pantries (all of them unless pantries are given)
+Body: { recipes: [{ RecipeID: 3, servings: 2 }, ...], pantries: [1, 4] }
+Only unexpired stock counts. Answers { pantries, recipes, groups, inStock }:
+groups lists what to buy by FoodGroup, as
+{ FoodGroup, items: [{ FoodName, Needed, Have, ToBuy, recipes }] }, and
+inStock the foods needed that are already there.
+*/
+router.post('/shopping-list', requireUser, validate(schemas.shoppingList), asyncHandler(async (req, res) => {
+    const pantryIDs = await appService.userPantryIDs(req.user.UserID, req.body.pantries);
+    const shoppingList = await appService.generateShoppingList(req.body.recipes, pantryIDs);
+    res.json({ data: shoppingList });
+}));
 
-// Add a pantry to a user's collection
-router.post('/userpantries', async (req, res) => {
-    const { UserID, PantryID } = req.body;
+/*
+Saved SHOPPING LISTS. A list belongs to the user who made it and is shared
+with everyone its linked pantry (PantryID) is saved for. Anyone it is shared
+with can change its items; only the owner can rename, relink or delete it.
+A list is { ListID, ListName, OwnerID, OwnerName, PantryID, Category,
+CreatedAt, items: [{ FoodName, Quantity, Checked, FoodGroup }] }.
+*/
 
-    try {
-        const success = await appService.addPantryToUser(UserID, PantryID);
+// API endpoint to list the shopping lists the logged-in user owns or shares
+router.get('/shopping-lists', requireUser, asyncHandler(async (req, res) => {
+    const lists = await appService.fetchShoppingLists(req.user.UserID);
+    res.json({ data: lists });
+}));
+
+// Body: { ListName, PantryID, items: [{ FoodName, Quantity }] }; the pantry must be one of yours
+router.post('/shopping-lists', requireUser, validate(schemas.createShoppingList), asyncHandler(async (req, res) => {
+    const list = await appService.createShoppingList(req.body, req.user);
+    res.status(201).json({ message: 'Shopping list created', data: list });
+}));
+
+router.get('/shopping-lists/:id', requireUser, validate(schemas.shoppingListById), authorize.shoppingListMember((req) => req.params.id), asyncHandler(async (req, res) => {
+    const list = await appService.fetchShoppingList(req.params.id);
+    res.json({ data: list });
+}));
+
+// Body: { ListName, PantryID }; leaving PantryID out unlinks the list
+router.put('/shopping-lists/:id', requireUser, validate(schemas.updateShoppingList), authorize.shoppingListOwner((req) => req.params.id), asyncHandler(async (req, res) => {
+    const list = await appService.updateShoppingList(req.params.id, req.body, req.user);
+    res.json({ message: 'Shopping list updated', data: list });
+}));
+
+router.delete('/shopping-lists/:id', requireUser, validate(schemas.shoppingListById), authorize.shoppingListOwner((req) => req.params.id), asyncHandler(async (req, res) => {
+    await appService.deleteShoppingList(req.params.id, req.user);
+    res.json({ message: 'Shopping list deleted' });
+}));
+
+// Body: { FoodName, Quantity }; more of a food already on the list is added to it
+router.post('/shopping-lists/:id/items', requireUser, validate(schemas.addShoppingListItem), authorize.shoppingListMember((req) => req.params.id), asyncHandler(async (req, res) => {
+    const item = await appService.addShoppingListItem(req.params.id, req.body, req.user);
+    res.status(201).json({ message: 'Item added', data: item });
+}));
 
-        if (success) {
-            res.status(201).json({ message: 'Pantry added successfully' });
-        } else {
-            res.status(400).json({ error: 'Failed to add pantry' });
-        }
-    } catch (error) {
-        console.error('Error adding pantry to user:', error);
-        res.status(500).json({ error: 'Internal server error' });
-    }
-});
+/*
+API endpoint to change an item's quantity or CHECK IT OFF, e.g.
+PATCH /api/shopping-lists/4/items/Chicken with { Checked: true }
+Checking an item off adds it to the list's pantry, expiring ShelfLife days
+from today (or on ExpiryDate), unless restock is false. Answers
+{ item, restocked }, restocked being the IngredientInstance added or null.
+*/
+router.patch('/shopping-lists/:id/items/:food', requireUser, validate(schemas.updateShoppingListItem), authorize.shoppingListMember((req) => req.params.id), asyncHandler(async (req, res) => {
+    const result = await appService.updateShoppingListItem(req.params.id, req.params.food, req.body, req.user);
+    res.json({ message: result.restocked ? 'Item checked off and added to the pantry' : 'Item updated', data: result });
+}));
 
+router.delete('/shopping-lists/:id/items/:food', requireUser, validate(schemas.deleteShoppingListItem), authorize.shoppingListMember((req) => req.params.id), asyncHandler(async (req, res) => {
+    await appService.deleteShoppingListItem(req.params.id, req.params.food, req.user);
+    res.json({ message: 'Item removed' });
+}));
 
-// Add this endpoint to handle the creation of a new pantry
-router.post('/pantry', async (req, res) => {
-    const { UserID, Category } = req.body;
-    const response = await appService.createPantry(UserID, Category);
-    if (response) {
-        res.status(201).json({ message: 'Pantry created', response });
-    } else {
-        res.status(500).json({ error: 'Failed to create pantry' });
-    }
-});
 
-// endpoint to handle adding a new ingredient instance
-router.post('/ingredient', async (req, res) => {
-    const { PantryID, FoodName, Quantity, ExpiryDate, ShelfLife, Calories, FoodGroup } = req.body;
-    const response = await appService.addIngredient(PantryID, FoodName, Quantity, ExpiryDate, ShelfLife, Calories, FoodGroup);
-    if (response) {
-      res.status(201).json({ message: 'Ingredient added', response });
-    } else {
-      res.status(500).json({ error: 'Failed to add ingredient' });
-    }
-  });
-  
 /*
-API endpoint to UPDATE an existing recipe
+MEAL PLANS: recipes in breakfast, lunch and dinner slots on dates. Plans are
+owned and shared like shopping lists: everyone the linked pantry is saved
+for can change the meals, only the owner can rename, relink or delete a
+plan. GET /api/meal-plans/:id?from=2024-07-01&days=7 gives
+{ PlanID, PlanName, OwnerID, OwnerName, PantryID, Category, CreatedAt, from,
+days, meals: [{ MealID, MealDate, Slot, Servings, RecipeID, RecipeName,
+Cuisine, CookingTime, RecipeLevel, ImageURL, Deleted }] }, for the current
+week without from.
+*/
+
+// API endpoint to list the meal plans the logged-in user owns or shares
+router.get('/meal-plans', requireUser, asyncHandler(async (req, res) => {
+    const plans = await appService.fetchMealPlans(req.user.UserID);
+    res.json({ data: plans });
+}));
+
+// Body: { PlanName, PantryID }; the pantry must be one of yours
+router.post('/meal-plans', requireUser, validate(schemas.createMealPlan), asyncHandler(async (req, res) => {
+    const plan = await appService.createMealPlan(req.body, req.user);
+    res.status(201).json({ message: 'Meal plan created', data: plan });
+}));
+
+router.get('/meal-plans/:id', requireUser, validate(schemas.mealPlanById), authorize.mealPlanMember((req) => req.params.id), asyncHandler(async (req, res) => {
+    const plan = await appService.fetchMealPlan(req.params.id, req.query.from, req.query.days);
+    res.json({ data: plan });
+}));
+
+/*
+API endpoint to ADD UP what a plan's meals need, against pantry stock
+Same from and days as above; pantries=1,2 picks your pantries to count,
+otherwise the plan's pantry (or its owner's pantries) counts. Answers
+{ PlanID, from, days, pantries, recipes, groups, inStock } as
+POST /shopping-list does.
 */
-router.put('/recipe/:id', async (req, res) => {
+router.get('/meal-plans/:id/needs', requireUser, validate(schemas.mealPlanNeeds), authorize.mealPlanMember((req) => req.params.id), asyncHandler(async (req, res) => {
+    const pantryIDs = req.query.pantries ? await appService.userPantryIDs(req.user.UserID, req.query.pantries) : undefined;
+    const needs = await appService.fetchMealPlanNeeds(req.params.id, req.query.from, req.query.days, pantryIDs);
+    res.json({ data: needs });
+}));
+
+// Body: { PlanName, PantryID }; leaving PantryID out unlinks the plan
+router.put('/meal-plans/:id', requireUser, validate(schemas.updateMealPlan), authorize.mealPlanOwner((req) => req.params.id), asyncHandler(async (req, res) => {
+    const plan = await appService.updateMealPlan(req.params.id, req.body, req.user);
+    res.json({ message: 'Meal plan updated', data: plan });
+}));
+
+router.delete('/meal-plans/:id', requireUser, validate(schemas.deleteMealPlan), authorize.mealPlanOwner((req) => req.params.id), asyncHandler(async (req, res) => {
+    await appService.deleteMealPlan(req.params.id, req.user);
+    res.json({ message: 'Meal plan deleted' });
+}));
+
+// Body: { MealDate: 'YYYY-MM-DD', Slot: 'breakfast' | 'lunch' | 'dinner', RecipeID, Servings }
+router.post('/meal-plans/:id/meals', requireUser, validate(schemas.addPlannedMeal), authorize.mealPlanMember((req) => req.params.id), asyncHandler(async (req, res) => {
+    const meal = await appService.addPlannedMeal(req.params.id, req.body, req.user);
+    res.status(201).json({ message: 'Meal planned', data: meal });
+}));
+
+// Moves a meal or changes its servings. Body: any of { MealDate, Slot, Servings }
+router.patch('/meal-plans/:id/meals/:mealId', requireUser, validate(schemas.updatePlannedMeal), authorize.mealPlanMember((req) => req.params.id), asyncHandler(async (req, res) => {
+    const meal = await appService.updatePlannedMeal(req.params.id, req.params.mealId, req.body, req.user);
+    res.json({ message: 'Meal updated', data: meal });
+}));
+
+router.delete('/meal-plans/:id/meals/:mealId', requireUser, validate(schemas.deletePlannedMeal), authorize.mealPlanMember((req) => req.params.id), asyncHandler(async (req, res) => {
+    await appService.deletePlannedMeal(req.params.id, req.params.mealId, req.user);
+    res.json({ message: 'Meal removed' });
+}));
+
+/*
+API endpoint to REPLACE an existing recipe
+Takes the same document as POST /recipe. The recipe's steps, images and
+ingredients are replaced by the ones given (missing lists count as empty),
+all in one transaction. The recipe keeps its author.
+Only the author or an admin can change a recipe.
+*/
+router.put('/recipe/:id', requireUser, validate(schemas.replaceRecipe), authorize.recipeOwner((req) => req.params.id), asyncHandler(async (req, res) => {
     const RecipeID = req.params.id;
     const recipe = { ...req.body, RecipeID: RecipeID };
-    const rowsAffected = await appService.updateRecipe(recipe);
-    if (rowsAffected > 0) {
-        res.json({ message: 'Recipe updated' });
-    } else {
-        res.status(404).json({ error: 'Recipe not found or not updated' });
-    }
-});
+    await appService.updateRecipe(recipe, req.user);
+    res.json({ message: 'Recipe updated' });
+}));
 
 /*
-API endpoint to DELETE a recipe
+API endpoint to DELETE a recipe (its author or an admin only)
+The recipe moves to its author's trash, where it can be restored until it
+is purged for good (TRASH_RETENTION_DAYS in .env, 30 days by default).
 */
-router.delete('/recipe/:id', async (req, res) => {
+router.delete('/recipe/:id', requireUser, validate(schemas.deleteRecipe), authorize.recipeOwner((req) => req.params.id), asyncHandler(async (req, res) => {
     const RecipeID = req.params.id;
-    const rowsAffected = await appService.deleteRecipe(RecipeID);
-    if (rowsAffected > 0) {
-        res.json({ message: 'Recipe deleted' });
-    } else {
-        res.status(404).json({ error: 'Recipe not found or not deleted' });
-    }
-});
+    await appService.deleteRecipe(RecipeID, req.user);
+    res.json({ message: 'Recipe moved to trash' });
+}));
+
+/*
+API endpoint to list the logged-in user's deleted recipes, most recently
+deleted first, with the date each one will be purged (PURGEAT).
+limit and offset work as for /recipes.
+*/
+router.get('/trash', requireUser, validate(schemas.trash), asyncHandler(async (req, res) => {
+    const page = pageOf(req.query);
+    const recipes = await appService.fetchDeletedRecipes(req.user.UserID, page);
+    res.json(pageBody(recipes, page));
+}));
+
+/*
+"I cooked this": takes what cooking the recipe `servings` times (1 by
+default) needs out of a pantry the user is a member of, lots expiring
+first, and adds it to the user's cooking history. Food the pantry is short
+of is used up as far as it goes and listed in `shortfalls`.
+Body: { PantryID, servings }
+*/
+router.post('/recipe/:id/cook', requireUser, validate(schemas.cookRecipe), authorize.pantryMember((req) => req.body.PantryID), asyncHandler(async (req, res) => {
+    const cooked = await appService.cookRecipe(req.params.id, req.body.PantryID, req.body.servings, req.user);
+    res.status(201).json({ data: cooked });
+}));
+
+// A user's cooking history, newest first; limit and offset work as for /recipes
+router.get('/users/:id/cooking', requireUser, validate(schemas.cookingHistory), authorize.self((req) => req.params.id), asyncHandler(async (req, res) => {
+    const page = pageOf(req.query);
+    const history = await appService.fetchCookingHistory(req.params.id, page);
+    res.json(pageBody(history, page));
+}));
+
+/*
+API endpoint to list a recipe's revisions, newest first. Every save through
+POST /recipe, PUT /recipe/:id or a rollback adds one.
+limit and offset work as for /recipes. The revision routes 404 while the
+recipe is in the trash, as do its steps and food items; restore it first.
+*/
+router.get('/recipe/:id/revisions', validate(schemas.recipeRevisions), asyncHandler(async (req, res) => {
+    const page = pageOf(req.query);
+    const revisions = await appService.fetchRecipeRevisions(req.params.id, page);
+    res.json(pageBody(revisions, page));
+}));
+
+/*
+API endpoint to compare two revisions of a recipe, field by field and step
+by step, e.g. /api/recipe/3/revisions/diff?from=1&to=4
+*/
+router.get('/recipe/:id/revisions/diff', validate(schemas.recipeDiff), asyncHandler(async (req, res) => {
+    const diff = await appService.diffRecipeRevisions(req.params.id, req.query.from, req.query.to);
+    res.json({ data: diff });
+}));
+
+// API endpoint to fetch one revision of a recipe with its full contents
+router.get('/recipe/:id/revisions/:revision', validate(schemas.recipeRevision), asyncHandler(async (req, res) => {
+    const revision = await appService.fetchRecipeRevision(req.params.id, req.params.revision);
+    res.json({ data: revision });
+}));
+
+/*
+API endpoint to ROLL BACK a recipe to an older revision (its author or an
+admin only). The restored version is saved as a new revision.
+*/
+router.post('/recipe/:id/revisions/:revision/rollback', requireUser, validate(schemas.recipeRevision), authorize.recipeOwner((req) => req.params.id), asyncHandler(async (req, res) => {
+    const revision = await appService.rollbackRecipe(req.params.id, req.params.revision, req.user);
+    res.json({ message: 'Recipe rolled back', data: { Revision: revision } });
+}));
+
+// API endpoint to take a recipe back out of the trash (its author or an admin only)
+router.post('/recipe/:id/restore', requireUser, validate(schemas.restoreRecipe), authorize.recipeOwner((req) => req.params.id), asyncHandler(async (req, res) => {
+    await appService.restoreRecipe(req.params.id, req.user);
+    res.json({ message: 'Recipe restored' });
+}));
 
 
 
 
 // API endpoint to add an image to a recipe
-router.post('/images', async (req, res) => {
+router.post('/images', requireUser, validate(schemas.addImage), authorize.recipeOwner((req) => req.body.recipeID), asyncHandler(async (req, res) => {
     const { recipeID, imageURL, caption } = req.body;
-
-    try {
-        // Call the service function to add image to the database
-        await appService.addImageToRecipe(recipeID, imageURL, caption);
-        res.status(201).json({ message: 'Image added successfully' });
-    } catch (error) {
-        console.error('Error in /api/images endpoint:', error);
-        res.status(500).json({ error: 'Failed to add image' });
-    }
-});
+    await appService.addImageToRecipe(recipeID, imageURL, caption, req.user);
+    res.status(201).json({ message: 'Image added successfully' });
+}));
 
 
 // Get ALL recipes liked by all users (division)
-router.get('/recipes/liked-by-all', async (req, res) => {
-    try {
-      const recipes = await appService.fetchRecipesLikedByAllUsers();
-      res.json({ data: recipes });
-    } catch (error) {
-      console.error('Error fetching recipes liked by all users:', error);
-      res.status(500).json({ error: 'Internal server error' });
-    }
-});
+router.get('/recipes/liked-by-all', asyncHandler(async (req, res) => {
+    const recipes = await appService.fetchRecipesLikedByAllUsers();
+    res.json({ data: recipes });
+}));
 
 /*================================================
 ==================ADMIN ENDPOINTS=================
 ================================================*/
+// Admins only
 
-router.get('/tables', async (req, res) => {
-    try {
-      const tables = await appService.fetchTableNames();
-      res.json({ data: tables });
-    } catch (error) {
-      console.error('Error fetching table names:', error);
-      res.status(500).json({ error: 'Internal server error' });
-    }
-});
+/*
+API endpoint to IMPORT many recipes at once (see recipeImport.js)
+Body: { recipes: [...] } with documents as POST /recipe takes them, or
+{ csv: '...' } with one recipe per row; plus UserID, the recipes' author
+(default: the admin), and dryRun to check the file without saving anything.
+Answers with a report of what was created, skipped or rejected per row.
+*/
+router.post('/recipes/import', requireUser, authorize.admin, validate(schemas.importRecipes), asyncHandler(async (req, res) => {
+    const { recipes, csv, UserID, dryRun } = req.body;
+    const prepared = prepareImport(csv !== undefined ? recordsFromCsv(csv) : recipes);
+    const report = await appService.importRecipes(prepared, UserID || req.user.UserID, dryRun, req.user);
+    res.json({ data: report });
+}));
+
+router.get('/tables', requireUser, authorize.admin, asyncHandler(async (req, res) => {
+    const tables = await appService.fetchTableNames();
+    res.json({ data: tables });
+}));
 
 // Get list of columns for a specific table
-router.get('/table-columns', async (req, res) => {
+router.get('/table-columns', requireUser, authorize.admin, validate(schemas.tableColumns), asyncHandler(async (req, res) => {
     const tableName = req.query.table;
-  
-    try {
-      const columns = await appService.fetchTableColumns(tableName);
-      res.json({ data: columns });
-    } catch (error) {
-      console.error('Error fetching table columns:', error);
-      res.status(500).json({ error: 'Internal server error' });
-    }
-});
-  
-// Get data for a specific table with optional column filtering
-router.get('/table-data', async (req, res) => {
+    const columns = await appService.fetchTableColumns(tableName);
+    res.json({ data: columns });
+}));
+
+/*
+Get data for a specific table with optional column filtering
+e.g. /api/table-data?table=USERS&columns=USERID,USERNAME&sort=-username&limit=25&offset=0
+Any column name is a sort key; limit and offset work as for /recipes.
+*/
+router.get('/table-data', requireUser, authorize.admin, validate(schemas.tableData), asyncHandler(async (req, res) => {
     const tableName = req.query.table;
-    const columns = req.query.columns ? req.query.columns.split(',') : null;
-  
-    try {
-      const data = await appService.fetchTableData(tableName, columns);
-      res.json({ data });
-    } catch (error) {
-      console.error('Error fetching table data:', error);
-      res.status(500).json({ error: 'Internal server error' });
-    }
-});
-  
-// Fetch all food items with their details
-router.get('/fooditems', async (req, res) => {
-    try {
-        const foodItems = await appService.fetchFoodItems();
-        res.json({ data: foodItems });
-    } catch (error) {
-        console.error('Error fetching food items:', error);
-        res.status(500).json({ error: 'Internal server error' });
-    }
-});
+    const columns = req.query.columns || null;
+    const sort = req.query.sort || null;
+    const page = pageOf(req.query);
+    const rows = await appService.fetchTableData(tableName, columns, sort, page);
+    res.json(pageBody(rows, page));
+}));
 
-module.exports = router;
+/*
+Audit log of every change, newest first. Admins only.
+e.g. /api/audit?entity=recipe&action=update&actor=2&key=RecipeID=3&from=2024-01-01&to=2024-01-31&limit=25
+Every filter is optional; limit and offset work as for /recipes.
+*/
+router.get('/audit', requireUser, authorize.admin, validate(schemas.auditLog), asyncHandler(async (req, res) => {
+    const { actor, entity, action, key, from, to, sort } = req.query;
+    const page = pageOf(req.query);
+    const entries = await appService.fetchAuditLog({ actor, entity, action, key, from, to }, sort || null, page);
+    res.json(pageBody(entries, page));
+}));
 
+// Fetch all food items with their details
+router.get('/fooditems', asyncHandler(async (req, res) => {
+    const foodItems = await appService.fetchFoodItems();
+    res.json({ data: foodItems });
+}));
 
-    
\ No newline at end of file
+module.exports = router;
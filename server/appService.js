@@ -1,34 +1,34 @@
-const oracledb = require('oracledb');
+const db = require('./db');
+const ENTITIES = require('./db/entities');
+const { select, InvalidQueryError } = require('./db/queryBuilder');
+const { AppError, NotFoundError, ValidationError, UnauthorizedError, ConflictError, UnavailableError } = require('./utils/errors');
+const { hashPassword, verifyPassword } = require('./utils/auth');
+const { recordChange } = require('./db/audit');
+const { indexRecipe, searchRecipes, recipeSnippet } = require('./db/searchIndex');
+const { fetchRecipeNutrition, updateNutrition } = require('./db/nutrition');
+const { diffRecipes } = require('./utils/recipeDiff');
+const { matchRecipes, useUpRecipes } = require('./utils/pantryMatch');
+const { buildShoppingList } = require('./utils/shoppingList');
+const { DEFAULT_UNIT, convert, roundQuantity } = require('./utils/units');
 const loadEnvFile = require('./utils/envUtil');
 
 const envVariables = loadEnvFile('./.env');
 
-// Database configuration setup. Ensure your .env file has the required database credentials.
-const dbConfig = {
-    user: envVariables.ORACLE_USER,
-    password: envVariables.ORACLE_PASS,
-    connectString: `${envVariables.ORACLE_HOST}:${envVariables.ORACLE_PORT}/${envVariables.ORACLE_DBNAME}`,
-    poolMin: 1,
-    poolMax: 3,
-    poolIncrement: 1,
-    poolTimeout: 60
-};
+// Days a deleted recipe stays in its author's trash before it is purged
+const TRASH_RETENTION_DAYS = Number(envVariables.TRASH_RETENTION_DAYS) || 30;
 
-// initialize connection pool
-async function initializeConnectionPool() {
-    try {
-        await oracledb.createPool(dbConfig);
-        console.log('Connection pool started');
-    } catch (err) {
-        console.error('Initialization error: ' + err.message);
-    }
-}
+// Recipes r that cooking history or a meal plan refers to. They are never
+// purged, so those records keep them (shown as deleted).
+const RECIPE_IN_USE = `(EXISTS (SELECT 1 FROM CookingHistory ch WHERE ch.RecipeID = r.RecipeID)
+    OR EXISTS (SELECT 1 FROM PlannedMeals pm WHERE pm.RecipeID = r.RecipeID))`;
+
+// Start the configured storage backend (see db/index.js)
+db.initialize();
 
 async function closePoolAndExit() {
     console.log('\nTerminating');
     try {
-        await oracledb.getPool().close(10); // 10 seconds grace period for connections to finish
-        console.log('Pool closed');
+        await db.close();
         process.exit(0);
     } catch (err) {
         console.error(err.message);
@@ -36,23 +36,48 @@ async function closePoolAndExit() {
     }
 }
 
-initializeConnectionPool();
-
 process
     .once('SIGTERM', closePoolAndExit)
     .once('SIGINT', closePoolAndExit);
 
 
 // ----------------------------------------------------------
-// Wrapper to manage OracleDB actions, simplifying connection handling.
+// Turns a database driver error into one of the errors in utils/errors.js,
+// using the adapter to recognise constraint violations and lost connections.
+// Errors it doesn't recognise are returned unchanged and end up as a 500.
+function toAppError(err) {
+    if (err instanceof AppError) {
+        return err;
+    }
+    console.error(err);
+    switch (db.classifyError(err)) {
+        case 'conflict':
+            return new ConflictError('A record with the same key already exists, or other records still depend on it');
+        case 'reference':
+            return new ValidationError('The request refers to a record that does not exist');
+        case 'invalid':
+            return new ValidationError('A value is missing or has the wrong type or length');
+        case 'unavailable':
+            return new UnavailableError('The database is unavailable');
+        default:
+            return err;
+    }
+}
+
+// Wrapper to manage database actions, simplifying connection handling.
+// Errors are rethrown as typed errors (see toAppError).
 async function withOracleDB(action) {
     let connection;
     try {
-        connection = await oracledb.getConnection(); // Gets a connection from the default pool 
-        return await action(connection);
+        connection = await db.getConnection(); // Gets a connection from the configured backend
     } catch (err) {
         console.error(err);
-        throw err;
+        throw new UnavailableError('The database is unavailable');
+    }
+    try {
+        return await action(connection);
+    } catch (err) {
+        throw toAppError(err);
     } finally {
         if (connection) {
             try {
@@ -68,6 +93,10 @@ async function withOracleDB(action) {
 // ----------------------------------------------------------
 // Core functions for database operations
 // Modify these functions, especially the SQL queries, based on your project's requirements and design.
+//
+// Functions that change data take the acting user ({ UserID, UserName },
+// usually req.user) as their last argument and record the change in the
+// audit log (see db/audit.js) in the same transaction.
 
 async function testOracleConnection() {
     return await withOracleDB(async (connection) => {
@@ -77,6 +106,23 @@ async function testOracleConnection() {
     });
 }
 
+// Runs a select() query (see db/queryBuilder.js), only the requested page of
+// it when `page` ({ limit, offset }) is given. Returns the result together
+// with the number of matching rows across all pages.
+async function executePage(connection, query, page) {
+    if (page) {
+        query.page(page.limit, page.offset, db.dialect);
+    }
+    const { sql, binds, columns } = query.build();
+    const result = await connection.execute(sql, binds);
+    if (!page) {
+        return { result, columns, total: result.rows.length };
+    }
+    const count = query.buildCount();
+    const counted = await connection.execute(count.sql, count.binds);
+    return { result, columns, total: Number(counted.rows[0][0]) };
+}
+
 // Helper function for turning list of lists into list of dictionaries
 function processResults(result) {
     const colNames = result.metaData.map(column => column.name);
@@ -97,92 +143,232 @@ function processResults(result) {
 =================RECIPE FUNCTIONS=================
 ================================================*/
 
-async function fetchRecipes(columns, filter, searchTerm, img, captionless, user) {
-    return await withOracleDB(async (connection) => {
-        // Sanitize columns
-        const allCols = ['r.RecipeID', 'r.RecipeName', 'r.Cuisine', 'r.CookingTime', 'l.RecipeLevel', 'u.UserName', 'u.UserID'];
-        const pKey = 'r.RecipeID';
-        let selCols = columns ? columns : allCols;
-        if (!selCols.includes(pKey)) {
-            selCols = [pKey, ...selCols];
-        }
-        const cols = selCols.join(', ');
+// '1 02:30' -> 1590
+function cookingMinutes(cookingTime) {
+    const [days, hours, minutes] = cookingTime.split(/[ :]/).map(Number);
+    return days * 1440 + hours * 60 + minutes;
+}
 
-        // Sanitize the filter input
-        const filters = [];
-        if (filter) {
-            filters.push(`r.Cuisine = '${filter}'`);
-        }
-        if (searchTerm) {
-            if (!isNaN(searchTerm)) {
-                // If searchTerm is numeric, assume it's an ID
-                filters.push(`r.RecipeID = ${searchTerm}`);
-            } else {
-                // Otherwise, search by RecipeName
-                filters.push(`LOWER(r.RecipeName) LIKE LOWER('%${searchTerm}%')`);
-            }
+// Binds :<name>0, :<name>1, ... for the values of an IN list
+function listBinds(name, values) {
+    const binds = Object.fromEntries(values.map((value, index) => [`${name}${index}`, value]));
+    return { list: Object.keys(binds).map((bind) => `:${bind}`).join(', '), binds };
+}
+
+/*
+Fetches recipes, optionally with their images. Columns and the sort key are
+checked against the recipe whitelist; an unknown one throws InvalidQueryError.
+
+Every filter is optional, and a recipe has to pass all of them:
+    cuisines     any of these cuisines
+    searchTerm   this RecipeID if numeric, otherwise part of the name
+    text         full-text query (see db/searchIndex.js); results come best
+                 match first unless another sort is asked for, each with
+                 its RELEVANCE and a highlighted SNIPPET of where it matched
+    user         written by this UserID
+    maxTime      cooking time ('D HH:MM') at most this long
+    minLevel, maxLevel   RecipeLevel range
+    minLikes     liked by at least this many users
+    include      has every one of these ingredients (FoodNames)
+    exclude      has none of these ingredients
+    likedBy      liked by this UserID
+    minCalories, maxCalories   calories per serving range; recipes whose
+                 calories aren't known match neither
+    minHealthScore   health score at least this (see utils/nutrition.js)
+
+With `page` ({ limit, offset }) only that page of recipes is returned.
+Returns { data, total }, where total counts the matching recipes on all pages.
+*/
+async function fetchRecipes(columns, filters, img, captionless, sort, page) {
+    const { cuisines, searchTerm, text, user, maxTime, minLevel, maxLevel, minLikes, include, exclude, likedBy,
+        minCalories, maxCalories, minHealthScore } = filters;
+    const query = select(ENTITIES.recipe, columns);
+
+    if (cuisines && cuisines.length > 0) {
+        const { list, binds } = listBinds('cuisine', cuisines);
+        query.where(`r.Cuisine IN (${list})`, binds);
+    }
+    if (searchTerm) {
+        if (!isNaN(searchTerm)) {
+            // If searchTerm is numeric, assume it's an ID
+            query.where('r.RecipeID = :recipeId', { recipeId: Number(searchTerm) });
+        } else {
+            // Otherwise, search by RecipeName
+            query.where('LOWER(r.RecipeName) LIKE :searchPattern', { searchPattern: `%${searchTerm.toLowerCase()}%` });
         }
-        if (user) {
-            filters.push(`u.UserID = ${user}`);
+    }
+    if (user) {
+        query.where('u.UserID = :userId', { userId: user });
+    }
+    if (maxTime) {
+        query.where(`${ENTITIES.COOKING_MINUTES} <= :maxMinutes`, { maxMinutes: cookingMinutes(maxTime) });
+    }
+    if (minLevel !== undefined) {
+        query.where('l.RecipeLevel >= :minLevel', { minLevel });
+    }
+    if (maxLevel !== undefined) {
+        query.where('l.RecipeLevel <= :maxLevel', { maxLevel });
+    }
+    if (minLikes) {
+        query.where('(SELECT COUNT(*) FROM RecipesLiked rl WHERE rl.RecipeID = r.RecipeID) >= :minLikes', { minLikes });
+    }
+    (include || []).forEach((foodName, index) => {
+        query.where(`EXISTS (SELECT 1 FROM FoodsInRecipes fi WHERE fi.RecipeID = r.RecipeID AND fi.FoodName = :include${index})`,
+            { [`include${index}`]: foodName });
+    });
+    if (exclude && exclude.length > 0) {
+        const { list, binds } = listBinds('exclude', exclude);
+        query.where(`NOT EXISTS (SELECT 1 FROM FoodsInRecipes fe WHERE fe.RecipeID = r.RecipeID AND fe.FoodName IN (${list}))`, binds);
+    }
+    if (likedBy) {
+        query.where('EXISTS (SELECT 1 FROM RecipesLiked ml WHERE ml.RecipeID = r.RecipeID AND ml.UserID = :likedBy)', { likedBy });
+    }
+    if (minCalories !== undefined) {
+        query.where('n.CaloriesPerServing >= :minCalories', { minCalories });
+    }
+    if (maxCalories !== undefined) {
+        query.where('n.CaloriesPerServing <= :maxCalories', { maxCalories });
+    }
+    if (minHealthScore !== undefined) {
+        query.where('n.HealthScore >= :minHealthScore', { minHealthScore });
+    }
+    if (sort === 'relevance' && !text) {
+        throw new InvalidQueryError("Sort key 'relevance' needs a search query", 'sort');
+    }
+
+    return await withOracleDB(async (connection) => {
+        if (text) {
+            const { recipes, total } = await searchPage(connection, query, text, sort, page);
+            return { data: img ? await attachImages(connection, recipes, captionless == 1) : recipes, total };
         }
-        const filtString = filters.length > 0 ? `WHERE ${filters.join(' AND ')}` : '';
+        query.orderBy(sort);
+        const { result, total } = await executePage(connection, query, page);
+        const recipes = processResults(result);
+        const data = img ? await attachImages(connection, recipes, captionless == 1) : recipes;
+        return { data, total };
+    });
+}
 
-        if (!img) {
-            // Query without images
-            const query = `
-                SELECT ${cols}
-                FROM RecipeCreated r
-                LEFT JOIN Users u ON r.UserID = u.UserID
-                LEFT JOIN RecipeLevels l ON r.Cuisine = l.Cuisine
-                ${filtString}
-                ORDER BY r.RecipeID`;
+// The recipes of `query` that match a full-text search, ordered by relevance
+// (or `sort`), with RELEVANCE and SNIPPET added to the requested page
+async function searchPage(connection, query, text, sort, page) {
+    const hits = await searchRecipes(connection, text);
+    if (hits.length === 0) {
+        return { recipes: [], total: 0 };
+    }
+    // Oracle allows at most 1000 values in an IN list
+    const lists = [];
+    const binds = {};
+    for (let start = 0; start < hits.length; start += 500) {
+        const chunk = listBinds(`hit${start / 500}_`, hits.slice(start, start + 500).map((hit) => hit.recipeID));
+        lists.push(`r.RecipeID IN (${chunk.list})`);
+        Object.assign(binds, chunk.binds);
+    }
+    query.where(`(${lists.join(' OR ')})`, binds);
+    const byRelevance = !sort || sort === 'relevance';
+    if (!byRelevance) {
+        query.orderBy(sort);
+    }
 
-            // Execute the query
-            const result = await connection.execute(query);
-            const processedResults = processResults(result);
-            return processedResults;
+    const { result } = await executePage(connection, query, null);
+    const hitsByID = new Map(hits.map((hit, rank) => [hit.recipeID, { ...hit, rank }]));
+    const matching = processResults(result);
+    if (byRelevance) {
+        matching.sort((a, b) => hitsByID.get(a.RECIPEID).rank - hitsByID.get(b.RECIPEID).rank);
+    }
 
-        } else {
-            // With images
-            const imgCols = captionless == 1 ? 'i.ImageURL' : 'i.ImageURL, i.Caption';
-            const query = `
-                SELECT ${cols}, ${imgCols}
-                FROM RecipeCreated r
-                LEFT JOIN Users u ON r.UserID = u.UserID
-                LEFT JOIN RecipeLevels l ON r.Cuisine = l.Cuisine
-                LEFT JOIN Images i ON r.RecipeID = i.RecipeID
-                ${filtString}
-                ORDER BY r.RecipeID`;
-
-            // Execute the query
-            const result = await connection.execute(query);
-            const processedResults = processResults(result);
-            return processedResults;
-        }
-    }).catch((err) => {
-        console.error(err);
-        return [];
-    });
+    const recipes = page ? matching.slice(page.offset, page.offset + page.limit) : matching;
+    for (const recipe of recipes) {
+        const hit = hitsByID.get(recipe.RECIPEID);
+        recipe.RELEVANCE = Math.round(hit.relevance * 1000) / 1000;
+        recipe.SNIPPET = await recipeSnippet(connection, hit);
+    }
+    return { recipes, total: matching.length };
 }
 
+// Adds ImageURL (and Caption) to recipe rows, one row per image as a LEFT JOIN
+// on Images would give. The images are fetched separately so that recipes
+// with several images still count once towards a page.
+async function attachImages(connection, recipes, captionless) {
+    const imageColumns = captionless ? ['ImageURL'] : ['ImageURL', 'Caption'];
+    const noImage = Object.fromEntries(imageColumns.map((column) => [column.toUpperCase(), null]));
+    const imagesByRecipe = new Map();
+
+    // Oracle allows at most 1000 values in an IN list
+    for (let start = 0; start < recipes.length; start += 500) {
+        const ids = recipes.slice(start, start + 500).map((recipe) => recipe.RECIPEID);
+        const binds = Object.fromEntries(ids.map((id, index) => [`id${index}`, id]));
+        const { sql } = select(ENTITIES.image, ['RecipeID', ...imageColumns])
+            .where(`RecipeID IN (${Object.keys(binds).map((name) => `:${name}`).join(', ')})`, binds)
+            .build();
+        const result = await connection.execute(sql, binds);
+        processResults(result).forEach(({ RECIPEID, ...image }) => {
+            imagesByRecipe.set(RECIPEID, [...(imagesByRecipe.get(RECIPEID) || []), image]);
+        });
+    }
 
+    return recipes.flatMap((recipe) => (imagesByRecipe.get(recipe.RECIPEID) || [noImage])
+        .map((image) => ({ ...recipe, ...image })));
+}
 
-
-// Fetches recipe by RecipeID
 async function fetchRecipeByID(RecipeID) {
     return await withOracleDB(async (connection) => {
         const result = await connection.execute(`
-            SELECT r.RecipeID, r.RecipeName, r.Cuisine, r.CookingTime, l.RecipeLevel, u.UserName
+            SELECT r.RecipeID, r.RecipeName, r.Cuisine, r.CookingTime, l.RecipeLevel, u.UserName, r.Serves
             FROM RecipeCreated r
             LEFT JOIN Users u ON r.UserID = u.UserID
             LEFT JOIN RecipeLevels l ON r.Cuisine = l.Cuisine
-            WHERE r.RecipeID = :RecipeID`,
+            WHERE r.RecipeID = :RecipeID AND r.DeletedAt IS NULL`,
         [RecipeID]
     );
+        if (result.rows.length === 0) {
+            throw new NotFoundError('Recipe not found');
+        }
         return result.rows;
-    }).catch((err) => {
-        console.error(err);
-        return [];
+    });
+}
+
+// A recipe's calories and health score (see utils/nutrition.js)
+async function fetchNutrition(RecipeID) {
+    return await withOracleDB(async (connection) => {
+        const deletedAt = await fetchDeletedAt(connection, RecipeID);
+        const nutrition = deletedAt ? null : await fetchRecipeNutrition(connection, RecipeID);
+        if (!nutrition) {
+            throw new NotFoundError('Recipe not found');
+        }
+        return nutrition;
+    });
+}
+
+// The whole recipe (see fetchRecipeSnapshot) with its ID and author's name,
+// for exporting it
+async function fetchRecipeDocument(RecipeID) {
+    return await withOracleDB(async (connection) => {
+        const snapshot = await fetchRecipeSnapshot(connection, RecipeID);
+        const deletedAt = snapshot && await fetchDeletedAt(connection, RecipeID);
+        if (!snapshot || deletedAt) {
+            throw new NotFoundError('Recipe not found');
+        }
+        const author = await connection.execute(
+            `SELECT UserName FROM Users WHERE UserID = :UserID`,
+            { UserID: snapshot.UserID }
+        );
+        return { RecipeID, UserName: author.rows.length > 0 ? author.rows[0][0] : null, ...snapshot };
+    });
+}
+
+// Returns the UserID of a recipe's author (null if the author was deleted),
+// including for recipes in the trash
+async function fetchRecipeOwner(RecipeID) {
+    return await withOracleDB(async (connection) => {
+        const result = await connection.execute(
+            `SELECT UserID FROM RecipeCreated WHERE RecipeID = :RecipeID`,
+            { RecipeID }
+        );
+        if (result.rows.length === 0) {
+            throw new NotFoundError('Recipe not found');
+        }
+        return result.rows[0][0];
     });
 }
 
@@ -195,12 +381,10 @@ async function fetchLikedRecipes() {
             JOIN RecipesLiked rl ON r.RecipeID = rl.RecipeID
             LEFT JOIN Users u ON r.UserID = u.UserID
             LEFT JOIN RecipeLevels l ON r.Cuisine = l.Cuisine
+            WHERE r.DeletedAt IS NULL
             ORDER BY r.RecipeID
         `);
         return result.rows;
-    }).catch((err) => {
-        console.error(err);
-        return [];
     });
 }
 
@@ -208,38 +392,40 @@ async function fetchLikedRecipes() {
 async function fetchUserLikedRecipes(UserID) {
     return await withOracleDB(async (connection) => {
         const result = await connection.execute(`
-            SELECT RecipeID
-            FROM RecipesLiked 
-            WHERE UserID=${UserID}
-        `);
+            SELECT rl.RecipeID
+            FROM RecipesLiked rl
+            JOIN RecipeCreated r ON rl.RecipeID = r.RecipeID
+            WHERE rl.UserID = :UserID AND r.DeletedAt IS NULL
+        `, [UserID]);
         return result.rows.flat();
-    }).catch((err) => {
-        console.error(err);
-        return [];
     });
 }
 
-// Make user like a recipe
-async function UserLikedRecipe(info) {
+// Make user like a recipe. NotFoundError if it doesn't exist or is in the trash.
+async function UserLikedRecipe(info, actor) {
     return await withOracleDB(async (connection) => {
+        await checkRecipeExists(connection, info.RecipeID);
         const result = await connection.execute(`
             INSERT INTO RecipesLiked (RecipeID, UserID)
             VALUES (:RecipeID, :UserID)`,
         {
             RecipeID: info.RecipeID,
             UserID: info.UserID
-        },
-        { autoCommit: true}
+        }
     );
+        await recordChange(connection, actor, {
+            action: 'create',
+            entity: 'recipeLike',
+            key: { RecipeID: info.RecipeID, UserID: info.UserID },
+            after: { RecipeID: info.RecipeID, UserID: info.UserID }
+        });
+        await connection.commit();
         return [info.RecipeID, info.UserID];
-    }).catch((err) => {
-        console.error(err);
-        return [];
     });
 }
 
 // Make user unlike a recipe
-async function UserUnlikedRecipe(info) {
+async function UserUnlikedRecipe(info, actor) {
     return await withOracleDB(async (connection) => {
         const result = await connection.execute(`
             DELETE FROM RecipesLiked
@@ -247,538 +433,2038 @@ async function UserUnlikedRecipe(info) {
         {
             RecipeID: info.RecipeID,
             UserID: info.UserID
-        },
-        { autoCommit: true }
+        }
     );
+        if (result.rowsAffected === 0) {
+            throw new NotFoundError('This user has not liked this recipe');
+        }
+        await recordChange(connection, actor, {
+            action: 'delete',
+            entity: 'recipeLike',
+            key: { RecipeID: info.RecipeID, UserID: info.UserID },
+            before: { RecipeID: info.RecipeID, UserID: info.UserID }
+        });
+        await connection.commit();
         return [info.RecipeID, info.UserID];
-    }).catch((err) => {
-        console.error(err);
-        return [];
     });
 }
 
-// Create a new recipe
-async function createRecipe(recipe) {
-    return await withOracleDB(async (connection) => {
-        const result = await connection.execute(
-            `INSERT INTO RecipeCreated (RecipeName, Cuisine, CookingTime, UserID) 
-            VALUES (:RecipeName, :Cuisine, :CookingTime, :UserID)
-            RETURNING RecipeID INTO :RecipeID`,
+// Inserts a recipe's steps, images and ingredients. Runs inside the caller's
+// transaction and does not commit. Throws ValidationError, against
+// ingredients[i].FoodName, for ingredients that aren't known foods.
+async function insertRecipeParts(connection, recipeID, recipe) {
+    const ingredients = recipe.ingredients || [];
+    await checkFoodsExist(connection, ingredients.map((ingredient) => ingredient.FoodName),
+        (index) => `ingredients[${index}].FoodName`);
+
+    const steps = recipe.steps || [];
+    for (let i = 0; i < steps.length; i++) {
+        await connection.execute(
+            `INSERT INTO StepContains (StepNum, InstructionText, RecipeID)
+            VALUES (:StepNum, :InstructionText, :RecipeID)`,
+            { StepNum: i + 1, InstructionText: steps[i], RecipeID: recipeID }
+        );
+    }
+
+    for (const image of recipe.images || []) {
+        await connection.execute(
+            `INSERT INTO Images (ImageURL, Caption, RecipeID)
+            VALUES (:ImageURL, :Caption, :RecipeID)`,
+            { ImageURL: image.ImageURL, Caption: image.Caption, RecipeID: recipeID }
+        );
+    }
+
+    for (const ingredient of ingredients) {
+        await connection.execute(
+            `INSERT INTO FoodsInRecipes (FoodName, RecipeID, Quantity, Unit)
+            VALUES (:FoodName, :RecipeID, :Quantity, :Unit)`,
             {
-                RecipeName: recipe.RecipeName, 
-                Cuisine: recipe.Cuisine, 
-                CookingTime: recipe.CookingTime, 
-                UserID: recipe.UserID,
-                RecipeID: { 
-                    type: oracledb.INTEGER,
-                    dir: oracledb.BIND_OUT
-                }
-            },
-            { autoCommit: true }
+                FoodName: ingredient.FoodName,
+                RecipeID: recipeID,
+                Quantity: roundQuantity(ingredient.Quantity),
+                Unit: ingredient.Unit || DEFAULT_UNIT
+            }
         );
-        return {
-            RecipeID: result.outBinds.RecipeID[0],
-            RecipeName: recipe.RecipeName,
-            Cuisine: recipe.Cuisine,
-            CookingTime: recipe.CookingTime,
-            UserID: recipe.UserID
-        };
-    }).catch(() => {
-        return false;
-    });
+    }
 }
 
-// Delete a recipe
-async function deleteRecipe(recipeID) {
-    return await withOracleDB(async (connection) => {
-        const result = await connection.execute(`
-            DELETE FROM RecipeCreated
-            WHERE RecipeID = :recipeID`,
-            [recipeID],
-            { autoCommit: true}
-        );
-        return result.rowsAffected;
-    }).catch((err) => {
-        console.error(err);
-        return 0;
-    });
+// The whole recipe document, as POST /recipe takes it, for the audit log
+// and revisions.
+// Null if there is no such recipe.
+async function fetchRecipeSnapshot(connection, recipeID) {
+    const recipe = await connection.execute(
+        `SELECT RecipeName, Cuisine, CookingTime, Serves, UserID FROM RecipeCreated WHERE RecipeID = :recipeID`,
+        { recipeID },
+        { outFormat: db.OUT_FORMAT_OBJECT }
+    );
+    if (recipe.rows.length === 0) {
+        return null;
+    }
+    const steps = await connection.execute(
+        `SELECT InstructionText FROM StepContains WHERE RecipeID = :recipeID ORDER BY StepNum`,
+        { recipeID }
+    );
+    const images = await connection.execute(
+        `SELECT ImageURL, Caption FROM Images WHERE RecipeID = :recipeID ORDER BY ImageURL`,
+        { recipeID }
+    );
+    const ingredients = await connection.execute(
+        `SELECT FoodName, Quantity, Unit FROM FoodsInRecipes WHERE RecipeID = :recipeID ORDER BY FoodName`,
+        { recipeID }
+    );
+    const { RECIPENAME, CUISINE, COOKINGTIME, SERVES, USERID } = recipe.rows[0];
+    return {
+        RecipeName: RECIPENAME,
+        Cuisine: CUISINE,
+        CookingTime: COOKINGTIME,
+        Serves: SERVES,
+        UserID: USERID,
+        steps: steps.rows.map(([InstructionText]) => InstructionText),
+        images: images.rows.map(([ImageURL, Caption]) => ({ ImageURL, Caption })),
+        ingredients: ingredients.rows.map(([FoodName, Quantity, Unit]) => ({ FoodName, Quantity, Unit }))
+    };
 }
 
-// Fetch steps for a specific recipe by RecipeID
-async function fetchRecipeSteps(RecipeID) {
+/*
+Create a new recipe together with its steps, images and ingredients
+(FoodsInRecipes rows) in one transaction. Either everything is saved or,
+if any insert fails, nothing is.
+*/
+async function createRecipe(recipe, actor) {
     return await withOracleDB(async (connection) => {
-        const result = await connection.execute(`
-            SELECT StepNum, InstructionText
-            FROM StepContains
-            WHERE RecipeID = :RecipeID
-            ORDER BY StepNum
-        `, [RecipeID]);
-        return result.rows;
-    }).catch((err) => {
-        console.error(err);
-        return [];
+        try {
+            const recipeID = await insertRecipe(connection, recipe, actor);
+            await connection.commit();
+
+            return {
+                RecipeID: recipeID,
+                RecipeName: recipe.RecipeName,
+                Cuisine: recipe.Cuisine,
+                CookingTime: recipe.CookingTime,
+                Serves: recipe.Serves,
+                UserID: recipe.UserID
+            };
+        } catch (err) {
+            await connection.rollback();
+            throw err;
+        }
     });
 }
 
-// Insert a single step associated with a recipe
-async function insertStep(StepNum, InstructionText, RecipeID) {
-    return await withOracleDB(async (connection) => {
-        const result = await connection.execute(
-            `INSERT INTO StepContains (StepNum, InstructionText, RecipeID)
-            VALUES (:StepNum, :InstructionText, :RecipeID)`,
-            [
-                StepNum, 
-                InstructionText, 
-                RecipeID
-            ],
-            { autoCommit: true }
-        );
-        return result.rowsAffected;
-    }).catch(() => {
-        return false;
+// Inserts a recipe document with its parts and first revision, returning the
+// new RecipeID. Does not commit.
+async function insertRecipe(connection, recipe, actor) {
+    const result = await connection.execute(
+        `INSERT INTO RecipeCreated (RecipeName, Cuisine, CookingTime, Serves, UserID) 
+        VALUES (:RecipeName, :Cuisine, :CookingTime, :Serves, :UserID)
+        RETURNING RecipeID INTO :RecipeID`,
+        {
+            RecipeName: recipe.RecipeName, 
+            Cuisine: recipe.Cuisine, 
+            CookingTime: recipe.CookingTime, 
+            Serves: recipe.Serves || 1,
+            UserID: recipe.UserID,
+            RecipeID: { 
+                type: db.INTEGER,
+                dir: db.BIND_OUT
+            }
+        }
+    );
+    const recipeID = result.outBinds.RecipeID[0];
+    await insertRecipeParts(connection, recipeID, recipe);
+    const snapshot = await fetchRecipeSnapshot(connection, recipeID);
+    await recordChange(connection, actor, {
+        action: 'create',
+        entity: 'recipe',
+        key: { RecipeID: recipeID },
+        after: snapshot
     });
+    await saveRevision(connection, recipeID, snapshot, actor, null);
+    await indexRecipe(connection, recipeID);
+    await updateNutrition(connection, recipeID);
+    return recipeID;
 }
 
-// Delete a recipe's steps
-async function deleteSteps(recipeID) {
+/*
+Imports recipes prepared by recipeImport.prepareImport for one author, in a
+single transaction. Each recipe is created with its steps, images and
+ingredients, adding foods that FoodItem doesn't know yet; one that fails is
+rolled back on its own and rejected. A recipe whose author already has one
+with the same name is skipped, so an import can safely be run again. With
+dryRun nothing is saved, but the report is the same.
+Returns { dryRun, created, skipped, rejected, rows }, one row per record.
+*/
+async function importRecipes(prepared, authorID, dryRun, actor) {
     return await withOracleDB(async (connection) => {
-        const result = await connection.execute(`
-            DELETE FROM StepContains
-            WHERE RecipeID = :recipeID`,
-            [recipeID],
-            { autoCommit: true}
-        );
-        return 1;
-    }).catch((err) => {
-        console.error(err);
-        return 0;
+        const author = await connection.execute(`SELECT UserID FROM Users WHERE UserID = :authorID`, { authorID });
+        if (author.rows.length === 0) {
+            throw new NotFoundError('User not found');
+        }
+
+        try {
+            const rows = [];
+            for (const entry of prepared) {
+                rows.push(entry.recipe ? await importRecipe(connection, entry, authorID, dryRun, actor) : entry);
+            }
+            if (dryRun) {
+                await connection.rollback();
+            } else {
+                await connection.commit();
+            }
+
+            const count = (status) => rows.filter((row) => row.status === status).length;
+            return { dryRun, created: count('created'), skipped: count('skipped'), rejected: count('rejected'), rows };
+        } catch (err) {
+            await connection.rollback();
+            throw err;
+        }
     });
 }
 
-/*================================================
-==================IMAGE FUNCTIONS=================
-================================================*/
-// Fetch all images and captions linked to RecipeID
-async function fetchImagesByID(RecipeID, captionless) {
-    return await withOracleDB(async (connection) => {
-        const cols = captionless == 1 ? 'ImageURL, RecipeID' : 'ImageURL, Caption, RecipeID';
-        const result = await connection.execute(`
-            SELECT ${cols}
-            FROM Images
-            WHERE RecipeID = :RecipeID`,
-        [RecipeID]);
-        return processResults(result);
-    }).catch((err) => {
-        console.error(err);
-        return [];
-    });
+async function importRecipe(connection, { row, RecipeName, recipe }, authorID, dryRun, actor) {
+    const existing = await connection.execute(
+        `SELECT COUNT(*) FROM RecipeCreated
+        WHERE UserID = :authorID AND LOWER(RecipeName) = LOWER(:RecipeName) AND DeletedAt IS NULL`,
+        { authorID, RecipeName }
+    );
+    if (Number(existing.rows[0][0]) > 0) {
+        return { row, RecipeName, status: 'skipped', reason: 'The author already has a recipe with this name' };
+    }
+
+    await connection.execute('SAVEPOINT importRow');
+    try {
+        const createdFoodItems = [];
+        for (const ingredient of recipe.ingredients) {
+            if (await insertFoodItemIfMissing(connection, ingredient, actor)) {
+                createdFoodItems.push(ingredient.FoodName);
+            }
+        }
+        const recipeID = await insertRecipe(connection, { ...recipe, UserID: authorID }, actor);
+        return { row, RecipeName, status: 'created', ...(!dryRun && { RecipeID: recipeID }), createdFoodItems };
+    } catch (err) {
+        await connection.execute('ROLLBACK TO SAVEPOINT importRow');
+        const appError = toAppError(err);
+        // Only problems with this row's data reject it; anything else ends the import
+        if (!(appError instanceof ValidationError || appError instanceof ConflictError)) {
+            throw err;
+        }
+        return { row, RecipeName, status: 'rejected', errors: { recipe: appError.message } };
+    }
 }
 
-// Insert a single image associated with a recipe
-async function insertImage(RecipeID, ImageURL, Caption) {
+// Move a recipe to its author's trash. Its steps, images, likes and
+// ingredients are kept until the recipe is purged.
+async function deleteRecipe(recipeID, actor) {
     return await withOracleDB(async (connection) => {
-        const result = await connection.execute(
-            `INSERT INTO Images (ImageURL, Caption, RecipeID)
-            VALUES (:ImageURL, :Caption, :RecipeID)`,
-            [
-                ImageURL, 
-                Caption, 
-                RecipeID
-            ],
-            { autoCommit: true }
+        const result = await connection.execute(`
+            UPDATE RecipeCreated
+            SET DeletedAt = SYSDATE
+            WHERE RecipeID = :recipeID AND DeletedAt IS NULL`,
+            [recipeID]
         );
+        if (result.rowsAffected === 0) {
+            throw new NotFoundError('Recipe not found');
+        }
+        const deleted = await fetchDeletedAt(connection, recipeID);
+        await recordChange(connection, actor, {
+            action: 'update',
+            entity: 'recipe',
+            key: { RecipeID: recipeID },
+            before: { DeletedAt: null },
+            after: { DeletedAt: deleted }
+        });
+        await connection.commit();
         return result.rowsAffected;
-    }).catch(() => {
-        return false;
     });
 }
 
-// Delete a recipe's images and captions
-async function deleteImages(recipeID) {
-    return await withOracleDB(async (connection) => {
-        const result = await connection.execute(`
-            DELETE FROM Images
-            WHERE RecipeID = :recipeID`,
-            [recipeID],
-            { autoCommit: true}
-        );
-        return 1;
-    }).catch((err) => {
-        console.error(err);
-        return 0;
-    })}
+async function fetchDeletedAt(connection, recipeID) {
+    const result = await connection.execute(
+        `SELECT DeletedAt FROM RecipeCreated WHERE RecipeID = :recipeID`,
+        { recipeID }
+    );
+    return result.rows.length > 0 ? result.rows[0][0] : null;
+}
 
+/*
+Returns a user's recipes in the trash, most recently deleted first, as
+{ data, total }. Each one has PURGEAT, when it will be deleted for good, or
+null if cooking history or a meal plan uses it and it is kept.
+*/
+async function fetchDeletedRecipes(UserID, page) {
+    const query = select(ENTITIES.deletedRecipe)
+        .include(`CASE WHEN ${RECIPE_IN_USE} THEN 1 ELSE 0 END AS InUse`)
+        .where('r.UserID = :UserID', { UserID })
+        .orderBy(null);
 
-async function addImageToRecipe(recipeID, imageURL, caption) {
     return await withOracleDB(async (connection) => {
-        // Insert image data into the Images table
-        await connection.execute(
-            `INSERT INTO Images (ImageURL, Caption, RecipeID) VALUES (:imageURL, :caption, :recipeID)`,
-            { imageURL, caption, recipeID },
-            { autoCommit: true }
-        );
-    }).catch((err) => {
-        console.error('Error adding image to recipe:', err);
-        throw new Error('Failed to add image');
+        const { result, total } = await executePage(connection, query, page);
+        const data = processResults(result).map(({ INUSE, ...recipe }) => ({
+            ...recipe,
+            PURGEAT: Number(INUSE) === 1 ? null : addDays(new Date(recipe.DELETEDAT), TRASH_RETENTION_DAYS)
+        }));
+        return { data, total };
     });
 }
 
-// Update an existing recipe
-async function updateRecipe(recipe) {
+// Take a recipe back out of the trash, with everything that was kept with it
+async function restoreRecipe(recipeID, actor) {
     return await withOracleDB(async (connection) => {
+        const deleted = await fetchDeletedAt(connection, recipeID);
         const result = await connection.execute(`
             UPDATE RecipeCreated
-            SET RecipeName = :recipeName,
-                Cuisine = :cuisine,
-                CookingTime = :cookingTime,
-                UserID = :userID
-            WHERE RecipeID = :recipeID
-        `, {
-            recipeName: recipe.RecipeName,
-            cuisine: recipe.Cuisine,
-            cookingTime: recipe.CookingTime,
-            userID: recipe.UserID,
-            recipeID: recipe.RecipeID
+            SET DeletedAt = NULL
+            WHERE RecipeID = :recipeID AND DeletedAt IS NOT NULL`,
+            [recipeID]
+        );
+        if (result.rowsAffected === 0) {
+            throw new NotFoundError('Recipe is not in the trash');
+        }
+        await recordChange(connection, actor, {
+            action: 'update',
+            entity: 'recipe',
+            key: { RecipeID: recipeID },
+            before: { DeletedAt: deleted },
+            after: { DeletedAt: null }
         });
         await connection.commit();
         return result.rowsAffected;
-    }).catch((err) => {
-        console.error(err);
-        return [];
     });
 }
 
-/*================================================
-==================USER FUNCTIONS==================
-================================================*/
 /*
-Given a UserID, returns the User's UserID, Name, points, and corresponding rank
+Deletes recipes that have been in the trash for longer than
+TRASH_RETENTION_DAYS, with their steps, images, likes and ingredients.
+Recipes that cooking history or a meal plan uses are kept. Run on a timer by server.js. Returns the number of recipes purged.
 */
-async function fetchUser(UserID, columns) {
+async function purgeDeletedRecipes() {
+    const cutoff = formatDateTime(addDays(new Date(), -TRASH_RETENTION_DAYS));
     return await withOracleDB(async (connection) => {
-        const allCols = ['u.UserId', 'u.UserName', 'u.Points', 'l.UserLevel'];
-        const selCols = columns ? columns.join(', ') : allCols.join(', ');
+        const expired = await connection.execute(
+            `SELECT r.RecipeID FROM RecipeCreated r
+            WHERE r.DeletedAt < TO_DATE(:cutoff, 'YYYY-MM-DD HH24:MI:SS')
+            AND NOT ${RECIPE_IN_USE}`,
+            { cutoff }
+        );
+        for (const [recipeID] of expired.rows) {
+            const before = await fetchRecipeSnapshot(connection, recipeID);
+            await connection.execute(`DELETE FROM RecipeCreated WHERE RecipeID = :recipeID`, { recipeID });
+            await recordChange(connection, null, {
+                action: 'delete',
+                entity: 'recipe',
+                key: { RecipeID: recipeID },
+                before
+            });
+        }
+        await connection.commit();
+        return expired.rows.length;
+    });
+}
+
+function addDays(date, days) {
+    const result = new Date(date);
+    result.setDate(result.getDate() + days);
+    return result;
+}
+
+// Local time as 'YYYY-MM-DD HH:MM:SS', the way SYSDATE values are compared
+function formatDateTime(date) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} `
+        + `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
 
+// Fetch steps for a specific recipe by RecipeID; NotFoundError if it is in the trash
+async function fetchRecipeSteps(RecipeID) {
+    return await withOracleDB(async (connection) => {
+        await checkRecipeExists(connection, RecipeID);
         const result = await connection.execute(`
-            SELECT ${selCols}
-            FROM Users u
-            JOIN UserLevels l ON u.Points >= l.Points 
-            WHERE u.UserID=${UserID}
-            AND l.Points = (
-                SELECT MAX(Points)
-                FROM UserLevels
-                WHERE u.Points >= Points
-            )`);
+            SELECT StepNum, InstructionText
+            FROM StepContains
+            WHERE RecipeID = :RecipeID
+            ORDER BY StepNum
+        `, [RecipeID]);
         return result.rows;
-    }).catch(() => {    
-        return [];
     });
 }
 
-/*
-Returns UserIDs, Names, points, and corresponding ranks for all users
-*/
-async function fetchAllUsers(columns) {
-    return await withOracleDB(async (connection) => {
-        const allCols = ['u.UserId', 'u.UserName', 'u.Points', 'p.UserLevel'];
-        const selCols = columns ? columns.join(', ') : allCols.join(', ');
+// Add steps after a recipe's existing ones, saved as a new revision
+async function insertSteps(recipeID, steps, actor) {
+    await changeRecipe(recipeID, (recipe) => ({ ...recipe, steps: [...recipe.steps, ...steps] }), actor);
+}
 
-        const result = await connection.execute(`
-            SELECT ${selCols}
-            FROM Users u
-            JOIN UserLevels p ON u.Points >= p.Points 
-            AND p.Points = (
-                SELECT MAX(Points)
-                FROM UserLevels
-                WHERE u.Points >= Points)
-            ORDER BY u.UserId
-            `);
+// Delete a recipe's steps, saved as a new revision
+async function deleteSteps(recipeID, actor) {
+    await changeRecipe(recipeID, (recipe) => ({ ...recipe, steps: [] }), actor);
+}
+
+/*================================================
+==================IMAGE FUNCTIONS=================
+================================================*/
+// Fetch all images and captions linked to RecipeID
+async function fetchImagesByID(RecipeID, captionless) {
+    const columns = captionless == 1 ? ['ImageURL', 'RecipeID'] : ['ImageURL', 'Caption', 'RecipeID'];
+    const { sql, binds } = select(ENTITIES.image, columns)
+        .where('RecipeID = :RecipeID', { RecipeID })
+        .build();
+
+    return await withOracleDB(async (connection) => {
+        const result = await connection.execute(sql, binds);
         return processResults(result);
-    }).catch(() => {    
-        return [];
     });
 }
 
+// Add images ([{ ImageURL, Caption }]) to a recipe, saved as a new revision
+async function insertImages(recipeID, images, actor) {
+    await changeRecipe(recipeID, (recipe) => ({ ...recipe, images: [...recipe.images, ...images] }), actor);
+}
+
+// Delete a recipe's images and captions, saved as a new revision
+async function deleteImages(recipeID, actor) {
+    await changeRecipe(recipeID, (recipe) => ({ ...recipe, images: [] }), actor);
+}
 
+async function addImageToRecipe(recipeID, imageURL, caption, actor) {
+    await insertImages(recipeID, [{ ImageURL: imageURL, Caption: caption ?? null }], actor);
+}
 
-// Create a new user
-async function createUser(UserName) {
+/*
+Replace an existing recipe: its details, steps, images and ingredients are
+all overwritten with the ones given, in one transaction. Missing lists are
+treated as empty. The recipe keeps its author. Throws NotFoundError if there
+is no such recipe. Each save becomes a new revision.
+*/
+async function updateRecipe(recipe, actor) {
     return await withOracleDB(async (connection) => {
-        const result = await connection.execute(
-            `INSERT INTO Users (UserName) 
-            VALUES (:UserName)
-            RETURNING UserID INTO :UserID`,
+        try {
+            await replaceRecipe(connection, recipe, actor, null);
+            await connection.commit();
+            return 1;
+        } catch (err) {
+            await connection.rollback();
+            throw err;
+        }
+    });
+}
+
+/*
+Edits part of a recipe: `change` gets the recipe as fetchRecipeSnapshot
+returns it and gives back the new version, which replaceRecipe saves as a
+revision like any other edit. Throws NotFoundError if there is no such
+recipe or it is in the trash.
+*/
+async function changeRecipe(recipeID, change, actor) {
+    return await withOracleDB(async (connection) => {
+        try {
+            await checkRecipeExists(connection, recipeID);
+            const recipe = change(await fetchRecipeSnapshot(connection, recipeID));
+            await replaceRecipe(connection, { ...recipe, RecipeID: recipeID }, actor, null);
+            await connection.commit();
+        } catch (err) {
+            await connection.rollback();
+            throw err;
+        }
+    });
+}
+
+// Overwrites a recipe with `recipe` and saves the result as a new revision.
+// Runs inside the caller's transaction and does not commit.
+async function replaceRecipe(connection, recipe, actor, restoredFrom) {
+    const before = await fetchRecipeSnapshot(connection, recipe.RecipeID);
+    const result = await connection.execute(`
+        UPDATE RecipeCreated
+        SET RecipeName = :recipeName,
+            Cuisine = :cuisine,
+            CookingTime = :cookingTime,
+            Serves = :serves
+        WHERE RecipeID = :recipeID AND DeletedAt IS NULL
+    `, {
+        recipeName: recipe.RecipeName,
+        cuisine: recipe.Cuisine,
+        cookingTime: recipe.CookingTime,
+        // Revisions saved before recipes had servings made one
+        serves: recipe.Serves || 1,
+        recipeID: recipe.RecipeID
+    });
+    if (result.rowsAffected === 0) {
+        throw new NotFoundError('Recipe not found');
+    }
+
+    // Recipes saved before revisions were kept start their history with
+    // the version this edit replaces
+    if (await latestRevision(connection, recipe.RecipeID) === 0) {
+        await saveRevision(connection, recipe.RecipeID, before, null, null);
+    }
+
+    for (const table of ['StepContains', 'Images', 'FoodsInRecipes']) {
+        await connection.execute(`DELETE FROM ${table} WHERE RecipeID = :recipeID`, { recipeID: recipe.RecipeID });
+    }
+    await insertRecipeParts(connection, recipe.RecipeID, recipe);
+    const after = await fetchRecipeSnapshot(connection, recipe.RecipeID);
+    await recordChange(connection, actor, {
+        action: 'update',
+        entity: 'recipe',
+        key: { RecipeID: recipe.RecipeID },
+        before,
+        after
+    });
+    await indexRecipe(connection, recipe.RecipeID);
+    await updateNutrition(connection, recipe.RecipeID);
+    return await saveRevision(connection, recipe.RecipeID, after, actor, restoredFrom);
+}
+
+/*================================================
+=================REVISION FUNCTIONS===============
+================================================*/
+async function latestRevision(connection, recipeID) {
+    const result = await connection.execute(
+        `SELECT MAX(Revision) FROM RecipeRevisions WHERE RecipeID = :recipeID`,
+        { recipeID }
+    );
+    return result.rows[0][0] || 0;
+}
+
+// Stores a snapshot from fetchRecipeSnapshot as the recipe's next revision
+// and returns its number. Does not commit.
+async function saveRevision(connection, recipeID, snapshot, actor, restoredFrom) {
+    const { UserID, ...content } = snapshot;
+    const revision = await latestRevision(connection, recipeID) + 1;
+    await connection.execute(
+        `INSERT INTO RecipeRevisions (RecipeID, Revision, SavedAt, SavedByID, SavedByName, RestoredFrom, Snapshot)
+        VALUES (:RecipeID, :Revision, SYSDATE, :SavedByID, :SavedByName, :RestoredFrom, :Snapshot)`,
+        {
+            RecipeID: recipeID,
+            Revision: revision,
+            SavedByID: actor ? actor.UserID : null,
+            SavedByName: actor ? actor.UserName : null,
+            RestoredFrom: restoredFrom,
+            Snapshot: JSON.stringify(content)
+        }
+    );
+    return revision;
+}
+
+// Throws NotFoundError unless the recipe exists and is not in the trash
+async function checkRecipeExists(connection, recipeID) {
+    const result = await connection.execute(
+        `SELECT COUNT(*) FROM RecipeCreated WHERE RecipeID = :recipeID AND DeletedAt IS NULL`,
+        { recipeID }
+    );
+    if (Number(result.rows[0][0]) === 0) {
+        throw new NotFoundError('Recipe not found');
+    }
+}
+
+async function fetchRevisionSnapshot(connection, recipeID, revision) {
+    const result = await connection.execute(
+        `SELECT Snapshot FROM RecipeRevisions WHERE RecipeID = :recipeID AND Revision = :revision`,
+        { recipeID, revision }
+    );
+    if (result.rows.length === 0) {
+        throw new NotFoundError(`Recipe has no revision ${revision}`);
+    }
+    return JSON.parse(result.rows[0][0]);
+}
+
+/*
+Lists a recipe's revisions, newest first, as { data, total }: who saved each
+one and when, and which revision a rollback restored (RESTOREDFROM).
+*/
+async function fetchRecipeRevisions(recipeID, page) {
+    const query = select(ENTITIES.recipeRevision)
+        .where('v.RecipeID = :recipeID', { recipeID })
+        .orderBy(null);
+
+    return await withOracleDB(async (connection) => {
+        await checkRecipeExists(connection, recipeID);
+        const { result, total } = await executePage(connection, query, page);
+        return { data: processResults(result), total };
+    });
+}
+
+// One revision of a recipe, with its snapshot
+async function fetchRecipeRevision(recipeID, revision) {
+    return await withOracleDB(async (connection) => {
+        await checkRecipeExists(connection, recipeID);
+        return { Revision: revision, ...await fetchRevisionSnapshot(connection, recipeID, revision) };
+    });
+}
+
+// What changed between two revisions of a recipe (see utils/recipeDiff.js)
+async function diffRecipeRevisions(recipeID, from, to) {
+    return await withOracleDB(async (connection) => {
+        await checkRecipeExists(connection, recipeID);
+        const before = await fetchRevisionSnapshot(connection, recipeID, from);
+        const after = await fetchRevisionSnapshot(connection, recipeID, to);
+        return { from, to, ...diffRecipes(before, after) };
+    });
+}
+
+/*
+Makes an older revision the current recipe again. The rollback is saved as
+a new revision, so it can itself be undone. Returns the new revision number.
+*/
+async function rollbackRecipe(recipeID, revision, actor) {
+    return await withOracleDB(async (connection) => {
+        try {
+            await checkRecipeExists(connection, recipeID);
+            const snapshot = await fetchRevisionSnapshot(connection, recipeID, revision);
+            const saved = await replaceRecipe(connection, { ...snapshot, RecipeID: recipeID }, actor, revision);
+            await connection.commit();
+            return saved;
+        } catch (err) {
+            await connection.rollback();
+            throw err;
+        }
+    });
+}
+
+/*================================================
+==================USER FUNCTIONS==================
+================================================*/
+/*
+Given a UserID, returns the User's UserID, Name, points, and corresponding rank
+*/
+async function fetchUser(UserID, columns) {
+    const { sql, binds } = select(ENTITIES.user, columns)
+        .where('u.UserID = :UserID', { UserID })
+        .build();
+
+    return await withOracleDB(async (connection) => {
+        const result = await connection.execute(sql, binds);
+        if (result.rows.length === 0) {
+            throw new NotFoundError('User not found');
+        }
+        return result.rows;
+    });
+}
+
+/*
+Returns UserIDs, Names, points, and corresponding ranks for all users, or one
+page of them, as { data, total }
+*/
+async function fetchAllUsers(columns, sort, page) {
+    const query = select(ENTITIES.user, columns).orderBy(sort);
+
+    return await withOracleDB(async (connection) => {
+        const { result, total } = await executePage(connection, query, page);
+        return { data: processResults(result), total };
+    });
+}
+
+
+// Create a new user; the password is stored hashed. The new user is the
+// actor of their own sign-up in the audit log.
+async function createUser(UserName, Password) {
+    const PasswordHash = await hashPassword(Password);
+    return await withOracleDB(async (connection) => {
+        const result = await connection.execute(
+            `INSERT INTO Users (UserName, PasswordHash) 
+            VALUES (:UserName, :PasswordHash)
+            RETURNING UserID INTO :UserID`,
             {
                 UserName: UserName,
+                PasswordHash: PasswordHash,
                 UserID: { 
-                    type: oracledb.INTEGER,
-                    dir: oracledb.BIND_OUT
+                    type: db.INTEGER,
+                    dir: db.BIND_OUT
                 }
-            },
-            { autoCommit: true }
+            }
         );
-        return {
+        const user = {
             UserID: result.outBinds.UserID[0],
             UserName: UserName,
-            Points: 0
+            Points: 0,
+            UserRole: 'user'
         };
-    }).catch(() => {
+        await recordChange(connection, user, {
+            action: 'create',
+            entity: 'user',
+            key: { UserID: user.UserID },
+            after: user
+        });
+        await connection.commit();
+        return user;
+    });
+}
+
+/*
+Checks a user name and password, returning the user's { UserID, UserName, UserRole }.
+Unknown names and wrong passwords get the same error.
+*/
+async function authenticateUser(UserName, Password) {
+    const user = await withOracleDB(async (connection) => {
+        const result = await connection.execute(
+            `SELECT UserID, UserName, UserRole, PasswordHash FROM Users WHERE UserName = :UserName`,
+            { UserName },
+            { outFormat: db.OUT_FORMAT_OBJECT }
+        );
+        return result.rows[0];
+    });
+    if (!user || !(await verifyPassword(Password, user.PASSWORDHASH))) {
+        throw new UnauthorizedError('Wrong user name or password');
+    }
+    return { UserID: user.USERID, UserName: user.USERNAME, UserRole: user.USERROLE };
+}
+
+
+// Add 50 points to points associated with UserID
+async function updatePoints(UserID, actor) {
+    return await withOracleDB(async (connection) => {
+        const before = await connection.execute(
+            `SELECT Points FROM Users WHERE UserID = :UserID`,
+            { UserID }
+        );
+        if (before.rows.length === 0) {
+            throw new NotFoundError('User not found');
+        }
+        await connection.execute(`
+            UPDATE Users
+            SET Points = Points+50
+            WHERE UserID = :UserID
+        `, {
+            UserID: UserID
+        });
+        const points = before.rows[0][0];
+        await recordChange(connection, actor, {
+            action: 'update',
+            entity: 'user',
+            key: { UserID },
+            before: { Points: points },
+            after: { Points: points + 50 }
+        });
+        await connection.commit();
+        return 1;
+    });
+
+}
+
+// The system a user's quantities are shown in: 'metric' or 'imperial'
+async function fetchPreferredUnits(UserID) {
+    return await withOracleDB(async (connection) => {
+        const result = await connection.execute(
+            `SELECT PreferredUnits FROM Users WHERE UserID = :UserID`,
+            { UserID }
+        );
+        if (result.rows.length === 0) {
+            throw new NotFoundError('User not found');
+        }
+        return result.rows[0][0];
+    });
+}
+
+async function updatePreferredUnits(UserID, PreferredUnits, actor) {
+    return await withOracleDB(async (connection) => {
+        const before = await connection.execute(
+            `SELECT PreferredUnits FROM Users WHERE UserID = :UserID`,
+            { UserID }
+        );
+        if (before.rows.length === 0) {
+            throw new NotFoundError('User not found');
+        }
+        await connection.execute(
+            `UPDATE Users SET PreferredUnits = :PreferredUnits WHERE UserID = :UserID`,
+            { PreferredUnits, UserID }
+        );
+        await recordChange(connection, actor, {
+            action: 'update',
+            entity: 'user',
+            key: { UserID },
+            before: { PreferredUnits: before.rows[0][0] },
+            after: { PreferredUnits }
+        });
+        await connection.commit();
+        return { UserID, PreferredUnits };
+    });
+}
+
+// Fetch counts of users at each level
+async function fetchLevelCounts() {
+    return await withOracleDB(async (connection) => {
+        const result = await connection.execute(`
+            SELECT agg.UserLevel, COUNT(*) AS UserCount
+            FROM (
+                SELECT u.UserID, (
+                    SELECT MAX(l.UserLevel)
+                    FROM UserLevels l
+                    WHERE u.Points >= l.Points
+                ) AS UserLevel
+                FROM Users u
+            ) agg
+            GROUP BY agg.UserLevel
+            ORDER BY agg.UserLevel
+        `);
+        return processResults(result);
+    });
+}
+
+/*================================================
+==================PANTRIES FUNCTIONS==================
+================================================*/
+/*
+/*
+Returns all pantries associated with UserID
+*/
+async function fetchPantries(UserID) {
+    const { sql, binds } = select(ENTITIES.pantry, ['up.UserID', 'up.PantryID', 'sp.Category'])
+        .where('up.UserID = :UserID', { UserID })
+        .build();
+
+    return await withOracleDB(async (connection) => {
+        const result = await connection.execute(sql, binds);
+        return processResults(result);
+    });
+}
+
+/*
+Returns all pantries associated with all users by UserId
+*/
+async function fetchAllPantries(columns) {
+    const { sql, binds } = select(ENTITIES.pantry, columns).build();
+
+    return await withOracleDB(async (connection) => {
+        const result = await connection.execute(sql, binds, { outFormat: db.OUT_FORMAT_OBJECT });
+        return result.rows;
+    });
+}
+
+// Fetch a recipe's ingredients; NotFoundError if it is in the trash
+async function fetchRecipeFoodItems(columns, recipeID) {
+    const { sql, binds } = select(ENTITIES.recipeFoodItem, columns)
+        .where('f.RecipeID = :recipeID', { recipeID })
+        .build();
+
+    return await withOracleDB(async (connection) => {
+        await checkRecipeExists(connection, recipeID);
+        const result = await connection.execute(sql, binds);
+        return processResults(result);
+    });
+}
+
+
+
+
+// Fetch all ingredient instances for a specific pantry
+async function fetchIngredientInstances(pantryID) {
+    return await withOracleDB(async (connection) => {
+        const result = await connection.execute(`
+            SELECT DateAdded, ExpiryDate, FoodName, Quantity, Unit
+            FROM IngredientInstances
+            WHERE PantryID = :pantryID
+            ORDER BY DateAdded
+        `, [pantryID]);
+        return processResults(result);
+    });
+}
+
+// Recipes missing at most this many ingredients are worth a shopping trip
+const MAX_MISSING_FOR_SUGGESTION = 2;
+
+// The unexpired stock of some pantries, added up per food and unit: Map of
+// FoodName to [{ Quantity, Unit }]
+async function fetchStock(connection, pantryIDs) {
+    if (pantryIDs.length === 0) {
+        return new Map();
+    }
+    const { list, binds } = listBinds('pantry', pantryIDs);
+    const result = await connection.execute(`
+        SELECT FoodName, Unit, SUM(Quantity)
+        FROM IngredientInstances
+        WHERE PantryID IN (${list}) AND ExpiryDate >= TO_DATE(:today, 'YYYY-MM-DD')
+        GROUP BY FoodName, Unit`,
+    { ...binds, today: formatDateTime(new Date()).slice(0, 10) }
+    );
+    const stock = new Map();
+    result.rows.forEach(([FoodName, Unit, Quantity]) => {
+        stock.set(FoodName, [...(stock.get(FoodName) || []), { Quantity: Number(Quantity), Unit }]);
+    });
+    return stock;
+}
+
+// Every recipe that is not in the trash and has ingredients, as
+// [{ RecipeID, RecipeName, Cuisine, CookingTime, ingredients: [{ FoodName, Quantity, Unit, Density }] }]
+async function fetchRecipeIngredients(connection) {
+    const result = await connection.execute(`
+        SELECT r.RecipeID, r.RecipeName, r.Cuisine, r.CookingTime, f.FoodName, f.Quantity, f.Unit, fi.Density
+        FROM RecipeCreated r
+        JOIN FoodsInRecipes f ON f.RecipeID = r.RecipeID
+        LEFT JOIN FoodItem fi ON fi.FoodName = f.FoodName
+        WHERE r.DeletedAt IS NULL
+        ORDER BY r.RecipeID, f.FoodName`
+    );
+    const recipes = new Map();
+    result.rows.forEach(([RecipeID, RecipeName, Cuisine, CookingTime, FoodName, Quantity, Unit, Density]) => {
+        if (!recipes.has(RecipeID)) {
+            recipes.set(RecipeID, { RecipeID, RecipeName, Cuisine, CookingTime, ingredients: [] });
+        }
+        recipes.get(RecipeID).ingredients.push({ FoodName, Quantity: Number(Quantity), Unit, Density });
+    });
+    return [...recipes.values()];
+}
+
+/*
+"What can I cook?" for a set of pantries: their unexpired stock, added up
+per food, matched against every recipe's ingredients (see utils/pantryMatch.js).
+Returns { pantries, cookNow, missingFew }: recipes the stock fully covers,
+and ones that use some of it but are missing one or two ingredients, best
+covered first.
+*/
+async function fetchCookableRecipes(pantryIDs) {
+    if (pantryIDs.length === 0) {
+        return { pantries: [], cookNow: [], missingFew: [] };
+    }
+    return await withOracleDB(async (connection) => {
+        const stock = await fetchStock(connection, pantryIDs);
+        const matches = matchRecipes(await fetchRecipeIngredients(connection), stock);
+
+        return {
+            pantries: pantryIDs,
+            cookNow: matches.filter((match) => match.missing.length === 0),
+            missingFew: matches.filter((match) => match.coverage > 0
+                && match.missing.length > 0 && match.missing.length <= MAX_MISSING_FOR_SUGGESTION)
+        };
+    });
+}
+
+// What to buy for `servings` (Map of RecipeID to servings) given the stock
+// of the pantries: { groups, inStock } as utils/shoppingList.js builds them
+async function shoppingListFor(connection, servings, pantryIDs) {
+    if (servings.size === 0) {
+        return { groups: [], inStock: [] };
+    }
+    const { list, binds } = listBinds('recipe', [...servings.keys()]);
+    const ingredients = await connection.execute(`
+        SELECT f.RecipeID, f.FoodName, f.Quantity, f.Unit, fi.Density, fi.FoodGroup
+        FROM FoodsInRecipes f
+        LEFT JOIN FoodItem fi ON fi.FoodName = f.FoodName
+        WHERE f.RecipeID IN (${list})`,
+    binds
+    );
+    const stock = await fetchStock(connection, pantryIDs);
+    return buildShoppingList(
+        ingredients.rows.map(([RecipeID, FoodName, Quantity, Unit, Density, FoodGroup]) => (
+            { RecipeID, FoodName, Quantity: Number(Quantity), Unit, Density, FoodGroup }
+        )),
+        servings,
+        stock
+    );
+}
+
+/*
+Shopping list for cooking some recipes, less what is in stock in the given
+pantries (see utils/shoppingList.js). `selections` are [{ RecipeID, servings }];
+a recipe chosen twice counts with both servings. Returns
+{ pantries, recipes, groups, inStock }, where recipes are the chosen ones
+with their names. Deleted or unknown recipes are a ValidationError.
+*/
+async function generateShoppingList(selections, pantryIDs) {
+    const servings = new Map();
+    selections.forEach(({ RecipeID, servings: times }) => {
+        servings.set(RecipeID, (servings.get(RecipeID) || 0) + times);
+    });
+    const recipeIDs = [...servings.keys()];
+
+    return await withOracleDB(async (connection) => {
+        const { list, binds } = listBinds('recipe', recipeIDs);
+        const recipes = await connection.execute(`
+            SELECT RecipeID, RecipeName
+            FROM RecipeCreated
+            WHERE RecipeID IN (${list}) AND DeletedAt IS NULL
+            ORDER BY RecipeID`,
+        binds, { outFormat: db.OUT_FORMAT_OBJECT }
+        );
+        const found = recipes.rows.map((recipe) => recipe.RECIPEID);
+        const unknown = recipeIDs.filter((recipeID) => !found.includes(recipeID));
+        if (unknown.length > 0) {
+            throw new ValidationError('Some recipes do not exist', {
+                recipes: `No such recipe: ${unknown.join(', ')}`
+            });
+        }
+
+        const shoppingList = await shoppingListFor(connection, servings, pantryIDs);
+        return {
+            pantries: pantryIDs,
+            recipes: recipes.rows.map((recipe) => ({
+                RecipeID: recipe.RECIPEID,
+                RecipeName: recipe.RECIPENAME,
+                servings: servings.get(recipe.RECIPEID)
+            })),
+            ...shoppingList
+        };
+    });
+}
+
+// Items expiring within this many days count as expiring soon, unless a
+// request asks for another window
+const EXPIRING_SOON_DAYS = 3;
+
+// How many recipes are suggested to use up expiring food
+const MAX_USE_UP_SUGGESTIONS = 5;
+
+/*
+Food in some pantries that has expired or expires within `days` days
+(0: today), soonest first, grouped by pantry, with recipes that use up what
+is about to expire. Returns
+    {
+        today, days, counts: { expired, expiring },
+        pantries: [{ PantryID, Category, items: [{ FoodName, Quantity, Unit, DateAdded, ExpiryDate, DaysLeft, Status }] }],
+        suggestions: [{ RecipeID, RecipeName, ..., uses, coverage, missing }]
+    }
+where Status is 'expired' or 'expiring' and DaysLeft is negative for food
+that has expired. Pantries without such food are left out.
+*/
+async function fetchExpiringItems(pantryIDs, days) {
+    const today = formatDateTime(new Date()).slice(0, 10);
+    const result = { today, days, counts: { expired: 0, expiring: 0 }, pantries: [], suggestions: [] };
+    if (pantryIDs.length === 0) {
+        return result;
+    }
+    return await withOracleDB(async (connection) => {
+        const { list, binds } = listBinds('pantry', pantryIDs);
+        const items = await connection.execute(`
+            SELECT ii.PantryID, sp.Category, ii.FoodName, ii.Quantity, ii.Unit, ii.DateAdded, ii.ExpiryDate
+            FROM IngredientInstances ii
+            JOIN SavedPantry sp ON ii.PantryID = sp.PantryID
+            WHERE ii.PantryID IN (${list}) AND ii.ExpiryDate < TO_DATE(:until, 'YYYY-MM-DD')
+            ORDER BY ii.ExpiryDate, ii.FoodName, ii.PantryID`,
+        { ...binds, until: formatDateTime(addDays(parseDay(today), days + 1)).slice(0, 10) },
+        { outFormat: db.OUT_FORMAT_OBJECT }
+        );
+
+        const pantries = new Map();
+        // Days left of each food that is expiring but still good
+        const expiring = new Map();
+        items.rows.forEach((row) => {
+            const ExpiryDate = toDay(row.EXPIRYDATE);
+            const DaysLeft = Math.round((parseDay(ExpiryDate) - parseDay(today)) / (24 * 60 * 60 * 1000));
+            const Status = DaysLeft < 0 ? 'expired' : 'expiring';
+            result.counts[Status] += 1;
+            if (Status === 'expiring' && !expiring.has(row.FOODNAME)) {
+                expiring.set(row.FOODNAME, DaysLeft);
+            }
+            if (!pantries.has(row.PANTRYID)) {
+                pantries.set(row.PANTRYID, { PantryID: row.PANTRYID, Category: row.CATEGORY, items: [] });
+            }
+            pantries.get(row.PANTRYID).items.push({
+                FoodName: row.FOODNAME,
+                Quantity: row.QUANTITY,
+                Unit: row.UNIT,
+                DateAdded: toDay(row.DATEADDED),
+                ExpiryDate,
+                DaysLeft,
+                Status
+            });
+        });
+        result.pantries = [...pantries.values()].sort((a, b) => a.PantryID - b.PantryID);
+
+        if (expiring.size > 0) {
+            const stock = await fetchStock(connection, pantryIDs);
+            result.suggestions = useUpRecipes(await fetchRecipeIngredients(connection), expiring, stock)
+                .slice(0, MAX_USE_UP_SUGGESTIONS);
+        }
+        return result;
+    });
+}
+
+// Checks that the pantries are saved for the user; all of the user's
+// pantries when none are given. Returns the PantryIDs.
+async function userPantryIDs(UserID, pantryIDs) {
+    const own = (await fetchPantries(UserID)).map((pantry) => pantry.PANTRYID);
+    if (!pantryIDs) {
+        return own;
+    }
+    const others = pantryIDs.filter((pantryID) => !own.includes(pantryID));
+    if (others.length > 0) {
+        throw new ValidationError('Some pantries are not saved for this user', {
+            pantries: `Not saved for this user: ${others.join(', ')}`
+        });
+    }
+    return pantryIDs;
+}
+
+
+// Function to create a new pantry
+async function createPantry(UserID, Category, actor) {
+    return await withOracleDB(async (connection) => {
+        const result = await connection.execute(
+            `INSERT INTO SavedPantry (Category) 
+            VALUES (:Category)
+            RETURNING PantryID INTO :PantryID`,
+            {
+                Category,
+                PantryID: {
+                    type: db.INTEGER,
+                    dir: db.BIND_OUT
+                }
+            }
+        );
+
+        const pantryID = result.outBinds.PantryID[0];
+
+        await connection.execute(
+            `INSERT INTO UserPantries (UserID, PantryID) 
+            VALUES (:UserID, :PantryID)`,
+            {
+                UserID,
+                PantryID: pantryID
+            }
+        );
+        await recordChange(connection, actor, {
+            action: 'create',
+            entity: 'pantry',
+            key: { PantryID: pantryID },
+            after: { PantryID: pantryID, Category, members: [UserID] }
+        });
+        await connection.commit();
+
+        return { PantryID: pantryID, Category };
+    });
+}
+
+
+// Adds a food to FoodItem unless it is already there. Returns whether it was
+// added. Does not commit.
+async function insertFoodItemIfMissing(connection, { FoodName, ShelfLife, Calories, FoodGroup, Density }, actor) {
+    const foodItemExists = await connection.execute(
+        `SELECT COUNT(*) AS COUNT FROM FoodItem WHERE FoodName = :FoodName`,
+        { FoodName },
+        { outFormat: db.OUT_FORMAT_OBJECT }
+    );
+    if (foodItemExists.rows[0].COUNT > 0) {
         return false;
+    }
+
+    const foodItem = {
+        FoodName,
+        ShelfLife: ShelfLife ?? null,
+        Calories: Calories ?? null,
+        FoodGroup: FoodGroup ?? null,
+        Density: Density ?? null
+    };
+    await connection.execute(
+        `INSERT INTO FoodItem (FoodName, ShelfLife, Calories, FoodGroup, Density) 
+        VALUES (:FoodName, :ShelfLife, :Calories, :FoodGroup, :Density)`,
+        foodItem
+    );
+    await recordChange(connection, actor, {
+        action: 'create',
+        entity: 'foodItem',
+        key: { FoodName },
+        after: foodItem
+    });
+    return true;
+}
+
+// ShelfLife, Calories, FoodGroup and Density describe a food that is not a
+// FoodItem yet, and are ignored for known foods
+async function addIngredient(PantryID, FoodName, Quantity, Unit, ExpiryDate, ShelfLife, Calories, FoodGroup, Density, actor) {
+    return await withOracleDB(async (connection) => {
+        await insertFoodItemIfMissing(connection, { FoodName, ShelfLife, Calories, FoodGroup, Density }, actor);
+  
+        // Insert the ingredient instance
+        const result = await connection.execute(
+          `INSERT INTO IngredientInstances (DateAdded, ExpiryDate, FoodName, PantryID, Quantity, Unit) 
+          VALUES (SYSDATE, TO_DATE(:ExpiryDate, 'YYYY-MM-DD'), :FoodName, :PantryID, :Quantity, :Unit)`,
+          {
+            ExpiryDate,
+            FoodName,
+            PantryID,
+            Quantity: roundQuantity(Quantity),
+            Unit
+          }
+        );
+        await recordChange(connection, actor, {
+          action: 'create',
+          entity: 'ingredient',
+          key: { PantryID, FoodName },
+          after: { FoodName, Quantity: roundQuantity(Quantity), Unit, ExpiryDate }
+        });
+        await connection.commit();
+  
+        return result.rowsAffected > 0;
+    });
+  }
+  
+
+
+
+async function fetchCuisineOptions() {
+    return await withOracleDB(async (connection) => {
+        const result = await connection.execute(`
+            SELECT DISTINCT Cuisine FROM RecipeCreated WHERE DeletedAt IS NULL ORDER BY Cuisine
+        `);
+        return result.rows.map(row => row[0]); // Map the rows to an array of cuisine names
+    });
+}
+
+// Fetches number of recipes for each cuisine
+async function fetchCuisineCounts(threshold) {
+    const query = select(ENTITIES.cuisineCount).groupBy('Cuisine');
+    if (threshold) {
+        query.having('COUNT(*) >= :threshold', { threshold });
+    }
+    const { sql, binds } = query.build();
+
+    return await withOracleDB(async (connection) => {
+        const result = await connection.execute(sql, binds);
+        return processResults(result);
+    });
+}
+
+
+/*================================================
+===============SHOPPING LIST FUNCTIONS============
+================================================*/
+// A shopping list is shared with everyone its linked pantry is saved for
+// (see migrations/008_shopping_lists.js). Checking an item off can restock
+// that pantry.
+
+function isAdmin(user) {
+    return Boolean(user) && user.UserRole === 'admin';
+}
+
+function toShoppingList(row) {
+    return {
+        ListID: row.LISTID,
+        ListName: row.LISTNAME,
+        OwnerID: row.OWNERID,
+        OwnerName: row.OWNERNAME,
+        PantryID: row.PANTRYID,
+        Category: row.CATEGORY,
+        CreatedAt: row.CREATEDAT
+    };
+}
+
+function toShoppingListItem(row) {
+    return {
+        FoodName: row.FOODNAME,
+        Quantity: row.QUANTITY,
+        Unit: row.UNIT,
+        Checked: Number(row.CHECKED) === 1,
+        FoodGroup: row.FOODGROUP
+    };
+}
+
+// Who may see a row of a table shared through a linked pantry (shopping
+// lists and meal plans): { OwnerID, PantryID, members }, members being the
+// UserIDs of the owner and of everyone the pantry is saved for. `table` and
+// `key` are the table and its ID column.
+async function fetchSharedAccess(table, key, id, notFoundMessage) {
+    return await withOracleDB(async (connection) => {
+        const result = await connection.execute(`
+            SELECT t.OwnerID, t.PantryID, up.UserID
+            FROM ${table} t
+            LEFT JOIN UserPantries up ON t.PantryID = up.PantryID
+            WHERE t.${key} = :id`,
+        { id }
+        );
+        if (result.rows.length === 0) {
+            throw new NotFoundError(notFoundMessage);
+        }
+        const [OwnerID, PantryID] = result.rows[0];
+        const members = result.rows.map((row) => row[2]).filter((userID) => userID !== null);
+        return { OwnerID, PantryID, members: [OwnerID, ...members.filter((userID) => userID !== OwnerID)] };
+    });
+}
+
+async function fetchShoppingListAccess(ListID) {
+    return await fetchSharedAccess('ShoppingLists', 'ListID', ListID, 'Shopping list not found');
+}
+
+// A list or plan may only be linked to a pantry saved for the user linking it
+async function checkPantryLink(connection, PantryID, actor) {
+    if (PantryID === undefined || PantryID === null || isAdmin(actor)) {
+        return;
+    }
+    const result = await connection.execute(
+        `SELECT COUNT(*) FROM UserPantries WHERE UserID = :UserID AND PantryID = :PantryID`,
+        { UserID: actor.UserID, PantryID }
+    );
+    if (Number(result.rows[0][0]) === 0) {
+        throw new ValidationError('The pantry is not saved for you', { PantryID: 'Not one of your pantries' });
+    }
+}
+
+async function checkFoodsExist(connection, foodNames, field) {
+    if (foodNames.length === 0) {
+        return;
+    }
+    const { list, binds } = listBinds('food', foodNames);
+    const result = await connection.execute(`SELECT FoodName FROM FoodItem WHERE FoodName IN (${list})`, binds);
+    const known = result.rows.map((row) => row[0]);
+    const errors = {};
+    foodNames.forEach((foodName, index) => {
+        if (!known.includes(foodName)) {
+            errors[field(index)] = 'Is not a known food item';
+        }
+    });
+    if (Object.keys(errors).length > 0) {
+        throw new ValidationError('Some foods are not known', errors);
+    }
+}
+
+const SHOPPING_LIST_COLUMNS = `
+    sl.ListID, sl.ListName, sl.OwnerID, u.UserName AS OwnerName, sl.PantryID, sp.Category, sl.CreatedAt`;
+
+const SHOPPING_LIST_FROM = `
+    ShoppingLists sl
+    JOIN Users u ON sl.OwnerID = u.UserID
+    LEFT JOIN SavedPantry sp ON sl.PantryID = sp.PantryID`;
+
+// The lists a user owns or shares through a pantry, newest first, each
+// with how many items it has and how many are checked off
+async function fetchShoppingLists(UserID) {
+    return await withOracleDB(async (connection) => {
+        const result = await connection.execute(`
+            SELECT ${SHOPPING_LIST_COLUMNS},
+                (SELECT COUNT(*) FROM ShoppingListItems i WHERE i.ListID = sl.ListID) AS ItemCount,
+                (SELECT COUNT(*) FROM ShoppingListItems i WHERE i.ListID = sl.ListID AND i.Checked = 1) AS CheckedCount
+            FROM ${SHOPPING_LIST_FROM}
+            WHERE sl.OwnerID = :UserID
+                OR sl.PantryID IN (SELECT PantryID FROM UserPantries WHERE UserID = :UserID)
+            ORDER BY sl.ListID DESC`,
+        { UserID }, { outFormat: db.OUT_FORMAT_OBJECT }
+        );
+        return result.rows.map((row) => ({
+            ...toShoppingList(row),
+            ItemCount: Number(row.ITEMCOUNT),
+            CheckedCount: Number(row.CHECKEDCOUNT)
+        }));
+    });
+}
+
+async function fetchShoppingListIn(connection, ListID) {
+    const list = await connection.execute(`
+        SELECT ${SHOPPING_LIST_COLUMNS}
+        FROM ${SHOPPING_LIST_FROM}
+        WHERE sl.ListID = :ListID`,
+    { ListID }, { outFormat: db.OUT_FORMAT_OBJECT }
+    );
+    if (list.rows.length === 0) {
+        throw new NotFoundError('Shopping list not found');
+    }
+    const items = await connection.execute(`
+        SELECT i.FoodName, i.Quantity, i.Unit, i.Checked, f.FoodGroup
+        FROM ShoppingListItems i
+        JOIN FoodItem f ON i.FoodName = f.FoodName
+        WHERE i.ListID = :ListID
+        ORDER BY f.FoodGroup, i.FoodName`,
+    { ListID }, { outFormat: db.OUT_FORMAT_OBJECT }
+    );
+    return { ...toShoppingList(list.rows[0]), items: items.rows.map(toShoppingListItem) };
+}
+
+// A list with its items, ordered by food group
+async function fetchShoppingList(ListID) {
+    return await withOracleDB(async (connection) => fetchShoppingListIn(connection, ListID));
+}
+
+// Creates a list owned by the actor. `items` are [{ FoodName, Quantity, Unit }],
+// e.g. the foods to buy from generateShoppingList.
+async function createShoppingList({ ListName, PantryID, items }, actor) {
+    return await withOracleDB(async (connection) => {
+        await checkPantryLink(connection, PantryID, actor);
+        await checkFoodsExist(connection, items.map((item) => item.FoodName), (index) => `items[${index}].FoodName`);
+
+        const result = await connection.execute(
+            `INSERT INTO ShoppingLists (ListName, OwnerID, PantryID, CreatedAt)
+            VALUES (:ListName, :OwnerID, :PantryID, SYSDATE)
+            RETURNING ListID INTO :ListID`,
+            {
+                ListName,
+                OwnerID: actor.UserID,
+                PantryID: PantryID ?? null,
+                ListID: { type: db.INTEGER, dir: db.BIND_OUT }
+            }
+        );
+        const listID = result.outBinds.ListID[0];
+        for (const { FoodName, Quantity, Unit } of items) {
+            await connection.execute(
+                `INSERT INTO ShoppingListItems (ListID, FoodName, Quantity, Unit, Checked)
+                VALUES (:ListID, :FoodName, :Quantity, :Unit, 0)`,
+                { ListID: listID, FoodName, Quantity: roundQuantity(Quantity), Unit }
+            );
+        }
+        await recordChange(connection, actor, {
+            action: 'create',
+            entity: 'shoppingList',
+            key: { ListID: listID },
+            after: { ListName, PantryID: PantryID ?? null, items }
+        });
+        await connection.commit();
+
+        return await fetchShoppingListIn(connection, listID);
+    });
+}
+
+// Renames a list and links it to a pantry, or unlinks it when PantryID is not given
+async function updateShoppingList(ListID, { ListName, PantryID }, actor) {
+    return await withOracleDB(async (connection) => {
+        const before = await fetchShoppingListIn(connection, ListID);
+        if (PantryID !== before.PantryID) {
+            await checkPantryLink(connection, PantryID, actor);
+        }
+        await connection.execute(
+            `UPDATE ShoppingLists SET ListName = :ListName, PantryID = :PantryID WHERE ListID = :ListID`,
+            { ListName, PantryID: PantryID ?? null, ListID }
+        );
+        await recordChange(connection, actor, {
+            action: 'update',
+            entity: 'shoppingList',
+            key: { ListID },
+            before: { ListName: before.ListName, PantryID: before.PantryID },
+            after: { ListName, PantryID: PantryID ?? null }
+        });
+        await connection.commit();
+        return await fetchShoppingListIn(connection, ListID);
+    });
+}
+
+async function deleteShoppingList(ListID, actor) {
+    return await withOracleDB(async (connection) => {
+        const before = await fetchShoppingListIn(connection, ListID);
+        await connection.execute(`DELETE FROM ShoppingListItems WHERE ListID = :ListID`, { ListID });
+        await connection.execute(`DELETE FROM ShoppingLists WHERE ListID = :ListID`, { ListID });
+        await recordChange(connection, actor, {
+            action: 'delete',
+            entity: 'shoppingList',
+            key: { ListID },
+            before: {
+                ListName: before.ListName,
+                PantryID: before.PantryID,
+                items: before.items.map(({ FoodName, Quantity, Unit, Checked }) => ({ FoodName, Quantity, Unit, Checked }))
+            }
+        });
+        await connection.commit();
+    });
+}
+
+async function fetchShoppingListItem(connection, ListID, FoodName) {
+    const result = await connection.execute(`
+        SELECT i.FoodName, i.Quantity, i.Unit, i.Checked, f.FoodGroup, f.ShelfLife, f.Density
+        FROM ShoppingListItems i
+        JOIN FoodItem f ON i.FoodName = f.FoodName
+        WHERE i.ListID = :ListID AND i.FoodName = :FoodName`,
+    { ListID, FoodName }, { outFormat: db.OUT_FORMAT_OBJECT }
+    );
+    if (result.rows.length === 0) {
+        throw new NotFoundError('The item is not on this shopping list');
+    }
+    return { ...toShoppingListItem(result.rows[0]), ShelfLife: result.rows[0].SHELFLIFE, Density: result.rows[0].DENSITY };
+}
+
+// Puts a food on a list. A food already on it gets the quantity added, in
+// the unit it is listed in, and is unchecked again; a unit that doesn't
+// convert to that one is a ValidationError.
+async function addShoppingListItem(ListID, { FoodName, Quantity, Unit }, actor) {
+    return await withOracleDB(async (connection) => {
+        await checkFoodsExist(connection, [FoodName], () => 'FoodName');
+        const existing = await connection.execute(
+            `SELECT i.Quantity, i.Unit, f.Density
+            FROM ShoppingListItems i
+            JOIN FoodItem f ON i.FoodName = f.FoodName
+            WHERE i.ListID = :ListID AND i.FoodName = :FoodName`,
+            { ListID, FoodName }
+        );
+        const before = existing.rows.length > 0
+            ? { Quantity: existing.rows[0][0], Unit: existing.rows[0][1] }
+            : undefined;
+        let after;
+        if (before) {
+            const added = convert(Quantity, Unit, before.Unit, existing.rows[0][2]);
+            if (added === null) {
+                throw new ValidationError(`${FoodName} is listed in ${before.Unit}`, { Unit: `Does not convert to ${before.Unit}` });
+            }
+            after = { Quantity: roundQuantity(before.Quantity + added), Unit: before.Unit };
+            await connection.execute(
+                `UPDATE ShoppingListItems SET Quantity = :Quantity, Checked = 0
+                WHERE ListID = :ListID AND FoodName = :FoodName`,
+                { Quantity: after.Quantity, ListID, FoodName }
+            );
+        } else {
+            after = { Quantity: roundQuantity(Quantity), Unit };
+            await connection.execute(
+                `INSERT INTO ShoppingListItems (ListID, FoodName, Quantity, Unit, Checked)
+                VALUES (:ListID, :FoodName, :Quantity, :Unit, 0)`,
+                { ListID, FoodName, ...after }
+            );
+        }
+        await recordChange(connection, actor, {
+            action: before ? 'update' : 'create',
+            entity: 'shoppingListItem',
+            key: { ListID, FoodName },
+            before,
+            after
+        });
+        await connection.commit();
+        const { ShelfLife, Density, ...item } = await fetchShoppingListItem(connection, ListID, FoodName);
+        return item;
     });
 }
 
+// Expiry of food bought today: ShelfLife days from now, as YYYY-MM-DD
+function expiryFromShelfLife(shelfLife) {
+    const days = Number(shelfLife);
+    if (shelfLife === null || shelfLife === undefined || !Number.isInteger(days) || days < 0) {
+        return null;
+    }
+    return formatDateTime(addDays(new Date(), days)).slice(0, 10);
+}
 
-// Add 50 points to points associated with UserID
-async function updatePoints(UserID) {
+/*
+Changes an item's quantity and/or checks it off. Checking an item off puts
+it in the list's pantry as a new IngredientInstance, expiring ShelfLife days
+from today unless ExpiryDate is given. `restock` defaults to whether the
+list has a pantry; false just checks the item off. Returns
+{ item, restocked }, restocked being the ingredient added or null.
+*/
+async function updateShoppingListItem(ListID, FoodName, { Quantity, Checked, restock, ExpiryDate }, actor) {
     return await withOracleDB(async (connection) => {
-        const result = await connection.execute(`
-            UPDATE Users
-            SET Points = Points+50
-            WHERE UserID = :UserID
-        `, {
-            UserID: UserID
+        const list = await fetchShoppingListIn(connection, ListID);
+        const before = await fetchShoppingListItem(connection, ListID, FoodName);
+        const after = {
+            Quantity: Quantity === undefined ? before.Quantity : roundQuantity(Quantity),
+            Checked: Checked ?? before.Checked
+        };
+
+        let restocked = null;
+        if (after.Checked && !before.Checked && (restock ?? list.PantryID !== null)) {
+            if (list.PantryID === null) {
+                throw new ValidationError('The list is not linked to a pantry', { restock: 'The list has no pantry to restock' });
+            }
+            const expiry = ExpiryDate || expiryFromShelfLife(before.ShelfLife);
+            if (!expiry) {
+                throw new ValidationError(`${FoodName} has no shelf life`, { ExpiryDate: 'Is required: the food has no shelf life' });
+            }
+            await connection.execute(
+                `INSERT INTO IngredientInstances (DateAdded, ExpiryDate, FoodName, PantryID, Quantity, Unit)
+                VALUES (SYSDATE, TO_DATE(:ExpiryDate, 'YYYY-MM-DD'), :FoodName, :PantryID, :Quantity, :Unit)`,
+                { ExpiryDate: expiry, FoodName, PantryID: list.PantryID, Quantity: after.Quantity, Unit: before.Unit }
+            );
+            restocked = { PantryID: list.PantryID, FoodName, Quantity: after.Quantity, Unit: before.Unit, ExpiryDate: expiry };
+            await recordChange(connection, actor, {
+                action: 'create',
+                entity: 'ingredient',
+                key: { PantryID: list.PantryID, FoodName },
+                after: { FoodName, Quantity: after.Quantity, Unit: before.Unit, ExpiryDate: expiry }
+            });
+        }
+
+        await connection.execute(
+            `UPDATE ShoppingListItems SET Quantity = :Quantity, Checked = :Checked
+            WHERE ListID = :ListID AND FoodName = :FoodName`,
+            { Quantity: after.Quantity, Checked: after.Checked ? 1 : 0, ListID, FoodName }
+        );
+        await recordChange(connection, actor, {
+            action: 'update',
+            entity: 'shoppingListItem',
+            key: { ListID, FoodName },
+            before: { Quantity: before.Quantity, Checked: before.Checked },
+            after
         });
         await connection.commit();
-        // console.log(result.rowsAffected);
-        return 1;
-    }).catch((err) => {
-        console.error(err);
-        return 0;
-    });
 
+        const { ShelfLife, Density, ...item } = await fetchShoppingListItem(connection, ListID, FoodName);
+        return { item, restocked };
+    });
 }
 
-// Fetch counts of users at each level
-async function fetchLevelCounts() {
+async function deleteShoppingListItem(ListID, FoodName, actor) {
     return await withOracleDB(async (connection) => {
-        const result = await connection.execute(`
-            SELECT agg.UserLevel, COUNT(*) AS UserCount
-            FROM (
-                SELECT u.UserID, (
-                    SELECT MAX(l.UserLevel)
-                    FROM UserLevels l
-                    WHERE u.Points >= l.Points
-                ) AS UserLevel
-                FROM Users u
-            ) agg
-            GROUP BY agg.UserLevel
-            ORDER BY agg.UserLevel
-        `);
-        return processResults(result);
-    }).catch((err) => {
-        console.error(err);
-        return [];
+        const before = await fetchShoppingListItem(connection, ListID, FoodName);
+        await connection.execute(
+            `DELETE FROM ShoppingListItems WHERE ListID = :ListID AND FoodName = :FoodName`,
+            { ListID, FoodName }
+        );
+        await recordChange(connection, actor, {
+            action: 'delete',
+            entity: 'shoppingListItem',
+            key: { ListID, FoodName },
+            before: { Quantity: before.Quantity, Checked: before.Checked }
+        });
+        await connection.commit();
     });
 }
 
+
 /*================================================
-==================PANTRIES FUNCTIONS==================
+=================MEAL PLAN FUNCTIONS==============
 ================================================*/
-/*
-/*
-Returns all pantries associated with UserID
-*/
-async function fetchPantries(UserID) {
+// Meal plans put recipes into breakfast, lunch and dinner slots on dates
+// (see migrations/009_meal_plans.js). They are shared the way shopping
+// lists are, through their linked pantry.
+
+// A DATE column as YYYY-MM-DD: Oracle returns Date objects, SQLite the text stored
+function toDay(value) {
+    return value instanceof Date ? formatDateTime(value).slice(0, 10) : String(value).slice(0, 10);
+}
+
+// 'YYYY-MM-DD' to a local Date
+function parseDay(day) {
+    const [year, month, date] = day.split('-').map(Number);
+    return new Date(year, month - 1, date);
+}
+
+// The Monday of this week, as YYYY-MM-DD
+function currentWeekStart() {
+    const today = new Date();
+    return formatDateTime(addDays(today, -((today.getDay() + 6) % 7))).slice(0, 10);
+}
+
+// The dates from `from` (this week's Monday by default) for `days` days, as
+// { from, to } with `to` the day after the last one
+function planRange(from, days) {
+    const start = from || currentWeekStart();
+    return { from: start, to: formatDateTime(addDays(parseDay(start), days)).slice(0, 10) };
+}
+
+async function fetchMealPlanAccess(PlanID) {
+    return await fetchSharedAccess('MealPlans', 'PlanID', PlanID, 'Meal plan not found');
+}
+
+const MEAL_PLAN_COLUMNS = `
+    p.PlanID, p.PlanName, p.OwnerID, u.UserName AS OwnerName, p.PantryID, sp.Category, p.CreatedAt`;
+
+const MEAL_PLAN_FROM = `
+    MealPlans p
+    JOIN Users u ON p.OwnerID = u.UserID
+    LEFT JOIN SavedPantry sp ON p.PantryID = sp.PantryID`;
+
+// Each meal comes with what a recipe card shows: name, cuisine, time,
+// level and one image
+const PLANNED_MEAL_QUERY = `
+    SELECT m.MealID, m.MealDate, m.Slot, m.Servings, r.RecipeID, r.RecipeName, r.Cuisine, r.CookingTime,
+        l.RecipeLevel, r.DeletedAt,
+        (SELECT MIN(i.ImageURL) FROM Images i WHERE i.RecipeID = r.RecipeID) AS ImageURL
+    FROM PlannedMeals m
+    JOIN RecipeCreated r ON m.RecipeID = r.RecipeID
+    LEFT JOIN RecipeLevels l ON r.Cuisine = l.Cuisine`;
+
+const SLOT_ORDER = `CASE m.Slot WHEN 'breakfast' THEN 1 WHEN 'lunch' THEN 2 ELSE 3 END`;
+
+function toMealPlan(row) {
+    return {
+        PlanID: row.PLANID,
+        PlanName: row.PLANNAME,
+        OwnerID: row.OWNERID,
+        OwnerName: row.OWNERNAME,
+        PantryID: row.PANTRYID,
+        Category: row.CATEGORY,
+        CreatedAt: row.CREATEDAT
+    };
+}
+
+// Deleted is set for recipes that have gone to the trash since they were planned
+function toPlannedMeal(row) {
+    return {
+        MealID: row.MEALID,
+        MealDate: toDay(row.MEALDATE),
+        Slot: row.SLOT,
+        Servings: Number(row.SERVINGS),
+        RecipeID: row.RECIPEID,
+        RecipeName: row.RECIPENAME,
+        Cuisine: row.CUISINE,
+        CookingTime: row.COOKINGTIME,
+        RecipeLevel: row.RECIPELEVEL,
+        ImageURL: row.IMAGEURL,
+        Deleted: row.DELETEDAT !== null
+    };
+}
+
+// The plans a user owns or shares through a pantry, newest first
+async function fetchMealPlans(UserID) {
     return await withOracleDB(async (connection) => {
         const result = await connection.execute(`
-            SELECT u.UserID, u.PantryID, p.Category
-            FROM UserPantries u
-            JOIN SavedPantry p
-            ON u.PantryID = p.PantryID
-            WHERE u.UserID = ${UserID}`);
-        return processResults(result);
-    }).catch(() => {    
-        return [];
+            SELECT ${MEAL_PLAN_COLUMNS},
+                (SELECT COUNT(*) FROM PlannedMeals m WHERE m.PlanID = p.PlanID) AS MealCount
+            FROM ${MEAL_PLAN_FROM}
+            WHERE p.OwnerID = :UserID
+                OR p.PantryID IN (SELECT PantryID FROM UserPantries WHERE UserID = :UserID)
+            ORDER BY p.PlanID DESC`,
+        { UserID }, { outFormat: db.OUT_FORMAT_OBJECT }
+        );
+        return result.rows.map((row) => ({ ...toMealPlan(row), MealCount: Number(row.MEALCOUNT) }));
     });
 }
 
-/*
-Returns all pantries associated with all users by UserId
-*/
-async function fetchAllPantries(columns) {
-    return await withOracleDB(async (connection) => {
-        const allCols = ['up.UserID', 'up.PantryID', 'u.UserName', 'sp.Category'];
-        const selCols = columns ? columns.join(', ') : allCols.join(', ');
+async function fetchMealPlanRow(connection, PlanID) {
+    const result = await connection.execute(`
+        SELECT ${MEAL_PLAN_COLUMNS}
+        FROM ${MEAL_PLAN_FROM}
+        WHERE p.PlanID = :PlanID`,
+    { PlanID }, { outFormat: db.OUT_FORMAT_OBJECT }
+    );
+    if (result.rows.length === 0) {
+        throw new NotFoundError('Meal plan not found');
+    }
+    return toMealPlan(result.rows[0]);
+}
 
-        const query = `
-            SELECT ${selCols}
-            FROM UserPantries up
-            JOIN Users u ON up.UserID = u.UserID
-            JOIN SavedPantry sp ON up.PantryID = sp.PantryID
-            ORDER BY up.UserID
-        `;
+async function fetchPlannedMeals(connection, PlanID, { from, to }) {
+    const result = await connection.execute(`
+        ${PLANNED_MEAL_QUERY}
+        WHERE m.PlanID = :PlanID
+            AND m.MealDate >= TO_DATE(:fromDay, 'YYYY-MM-DD') AND m.MealDate < TO_DATE(:toDay, 'YYYY-MM-DD')
+        ORDER BY m.MealDate, ${SLOT_ORDER}, m.MealID`,
+    { PlanID, fromDay: from, toDay: to }, { outFormat: db.OUT_FORMAT_OBJECT }
+    );
+    return result.rows.map(toPlannedMeal);
+}
 
-        try {
-            const result = await connection.execute(query, [], { outFormat: oracledb.OUT_FORMAT_OBJECT });
-            console.log('Query result:', result.rows); // Debug: Log query results
-            return result.rows;
-        } catch (error) {
-            console.error('Error executing query:', error);
-            return [];
-        }
-    }).catch((error) => {
-        console.error('Error in withOracleDB:', error);
-        return [];
+// A plan with its meals from `from` (this week's Monday by default) for `days` days
+async function fetchMealPlan(PlanID, from, days) {
+    const range = planRange(from, days);
+    return await withOracleDB(async (connection) => {
+        const plan = await fetchMealPlanRow(connection, PlanID);
+        const meals = await fetchPlannedMeals(connection, PlanID, range);
+        return { ...plan, from: range.from, days, meals };
     });
 }
 
-// Fetch all ingredient instances for a specific pantry
-async function fetchRecipeFoodItems(columns, recipeID) {
+/*
+What the plan's meals from `from` for `days` days need, added up, against
+the stock of the given pantries (by default the plan's pantry, or all of
+its owner's pantries when it has none). Returns { PlanID, from, days,
+pantries, recipes, groups, inStock } as generateShoppingList does; recipes
+in the trash are left out.
+*/
+async function fetchMealPlanNeeds(PlanID, from, days, pantryIDs) {
+    const range = planRange(from, days);
     return await withOracleDB(async (connection) => {
-        const allCols = ['f.FoodName', 'r.RecipeID', 'f.Quantity'];
-        const selCols = columns ? columns.join(', ') : allCols.join(', ');
-        console.log(selCols);
+        const plan = await fetchMealPlanRow(connection, PlanID);
+        const meals = (await fetchPlannedMeals(connection, PlanID, range)).filter((meal) => !meal.Deleted);
+
+        let pantries = pantryIDs;
+        if (!pantries && plan.PantryID !== null) {
+            pantries = [plan.PantryID];
+        } else if (!pantries) {
+            const owned = await connection.execute(
+                `SELECT PantryID FROM UserPantries WHERE UserID = :OwnerID ORDER BY PantryID`,
+                { OwnerID: plan.OwnerID }
+            );
+            pantries = owned.rows.map((row) => row[0]);
+        }
 
-        const result = await connection.execute(`
-            SELECT ${selCols}
-            FROM FoodsInRecipes f, RecipeCreated r
-            WHERE f.RecipeID = r.RecipeID
-            AND f.RecipeID = :recipeID
-        `, [recipeID]);
-        return processResults(result);
-    }).catch((err) => {
-        console.error(err);
-        return [];
+        const servings = new Map();
+        const recipes = new Map();
+        meals.forEach(({ RecipeID, RecipeName, Servings }) => {
+            servings.set(RecipeID, (servings.get(RecipeID) || 0) + Servings);
+            recipes.set(RecipeID, { RecipeID, RecipeName, servings: servings.get(RecipeID) });
+        });
+        const shoppingList = await shoppingListFor(connection, servings, pantries);
+        return {
+            PlanID,
+            from: range.from,
+            days,
+            pantries,
+            recipes: [...recipes.values()],
+            ...shoppingList
+        };
     });
 }
 
+async function createMealPlan({ PlanName, PantryID }, actor) {
+    return await withOracleDB(async (connection) => {
+        await checkPantryLink(connection, PantryID, actor);
+        const result = await connection.execute(
+            `INSERT INTO MealPlans (PlanName, OwnerID, PantryID, CreatedAt)
+            VALUES (:PlanName, :OwnerID, :PantryID, SYSDATE)
+            RETURNING PlanID INTO :PlanID`,
+            {
+                PlanName,
+                OwnerID: actor.UserID,
+                PantryID: PantryID ?? null,
+                PlanID: { type: db.INTEGER, dir: db.BIND_OUT }
+            }
+        );
+        const planID = result.outBinds.PlanID[0];
+        await recordChange(connection, actor, {
+            action: 'create',
+            entity: 'mealPlan',
+            key: { PlanID: planID },
+            after: { PlanName, PantryID: PantryID ?? null }
+        });
+        await connection.commit();
+        return await fetchMealPlanRow(connection, planID);
+    });
+}
 
+// Renames a plan and links it to a pantry, or unlinks it when PantryID is not given
+async function updateMealPlan(PlanID, { PlanName, PantryID }, actor) {
+    return await withOracleDB(async (connection) => {
+        const before = await fetchMealPlanRow(connection, PlanID);
+        if (PantryID !== before.PantryID) {
+            await checkPantryLink(connection, PantryID, actor);
+        }
+        await connection.execute(
+            `UPDATE MealPlans SET PlanName = :PlanName, PantryID = :PantryID WHERE PlanID = :PlanID`,
+            { PlanName, PantryID: PantryID ?? null, PlanID }
+        );
+        await recordChange(connection, actor, {
+            action: 'update',
+            entity: 'mealPlan',
+            key: { PlanID },
+            before: { PlanName: before.PlanName, PantryID: before.PantryID },
+            after: { PlanName, PantryID: PantryID ?? null }
+        });
+        await connection.commit();
+        return await fetchMealPlanRow(connection, PlanID);
+    });
+}
 
-
-// Fetch all ingredient instances for a specific pantry
-async function fetchIngredientInstances(pantryID) {
+async function deleteMealPlan(PlanID, actor) {
     return await withOracleDB(async (connection) => {
-        const result = await connection.execute(`
-            SELECT DateAdded, ExpiryDate, FoodName, Quantity
-            FROM IngredientInstances
-            WHERE PantryID = :pantryID
-            ORDER BY DateAdded
-        `, [pantryID]);
-        return processResults(result);
-    }).catch((err) => {
-        console.error(err);
-        return [];
+        const before = await fetchMealPlanRow(connection, PlanID);
+        await connection.execute(`DELETE FROM PlannedMeals WHERE PlanID = :PlanID`, { PlanID });
+        await connection.execute(`DELETE FROM MealPlans WHERE PlanID = :PlanID`, { PlanID });
+        await recordChange(connection, actor, {
+            action: 'delete',
+            entity: 'mealPlan',
+            key: { PlanID },
+            before: { PlanName: before.PlanName, PantryID: before.PantryID }
+        });
+        await connection.commit();
     });
 }
 
+async function fetchPlannedMeal(connection, PlanID, MealID) {
+    const result = await connection.execute(`
+        ${PLANNED_MEAL_QUERY}
+        WHERE m.PlanID = :PlanID AND m.MealID = :MealID`,
+    { PlanID, MealID }, { outFormat: db.OUT_FORMAT_OBJECT }
+    );
+    if (result.rows.length === 0) {
+        throw new NotFoundError('The meal is not in this plan');
+    }
+    return toPlannedMeal(result.rows[0]);
+}
 
-// Function to create a new pantry
-async function createPantry(UserID, Category) {
+// Puts a recipe into a slot. Recipes in the trash can't be planned.
+async function addPlannedMeal(PlanID, { MealDate, Slot, RecipeID, Servings }, actor) {
     return await withOracleDB(async (connection) => {
+        const recipe = await connection.execute(
+            `SELECT COUNT(*) FROM RecipeCreated WHERE RecipeID = :RecipeID AND DeletedAt IS NULL`,
+            { RecipeID }
+        );
+        if (Number(recipe.rows[0][0]) === 0) {
+            throw new ValidationError('The recipe does not exist', { RecipeID: 'No such recipe' });
+        }
         const result = await connection.execute(
-            `INSERT INTO SavedPantry (Category) 
-            VALUES (:Category)
-            RETURNING PantryID INTO :PantryID`,
+            `INSERT INTO PlannedMeals (PlanID, MealDate, Slot, RecipeID, Servings)
+            VALUES (:PlanID, TO_DATE(:MealDate, 'YYYY-MM-DD'), :Slot, :RecipeID, :Servings)
+            RETURNING MealID INTO :MealID`,
             {
-                Category,
-                PantryID: {
-                    type: oracledb.INTEGER,
-                    dir: oracledb.BIND_OUT
-                }
-            },
-            { autoCommit: true }
+                PlanID,
+                MealDate,
+                Slot,
+                RecipeID,
+                Servings,
+                MealID: { type: db.INTEGER, dir: db.BIND_OUT }
+            }
         );
+        const mealID = result.outBinds.MealID[0];
+        await recordChange(connection, actor, {
+            action: 'create',
+            entity: 'plannedMeal',
+            key: { PlanID, MealID: mealID },
+            after: { MealDate, Slot, RecipeID, Servings }
+        });
+        await connection.commit();
+        return await fetchPlannedMeal(connection, PlanID, mealID);
+    });
+}
 
-        const pantryID = result.outBinds.PantryID[0];
-
+// Moves a meal to another date or slot and/or changes its servings
+async function updatePlannedMeal(PlanID, MealID, changes, actor) {
+    return await withOracleDB(async (connection) => {
+        const before = await fetchPlannedMeal(connection, PlanID, MealID);
+        const after = {
+            MealDate: changes.MealDate ?? before.MealDate,
+            Slot: changes.Slot ?? before.Slot,
+            Servings: changes.Servings ?? before.Servings
+        };
         await connection.execute(
-            `INSERT INTO UserPantries (UserID, PantryID) 
-            VALUES (:UserID, :PantryID)`,
-            {
-                UserID,
-                PantryID: pantryID
-            },
-            { autoCommit: true }
+            `UPDATE PlannedMeals
+            SET MealDate = TO_DATE(:MealDate, 'YYYY-MM-DD'), Slot = :Slot, Servings = :Servings
+            WHERE PlanID = :PlanID AND MealID = :MealID`,
+            { ...after, PlanID, MealID }
         );
+        await recordChange(connection, actor, {
+            action: 'update',
+            entity: 'plannedMeal',
+            key: { PlanID, MealID },
+            before: { MealDate: before.MealDate, Slot: before.Slot, Servings: before.Servings },
+            after
+        });
+        await connection.commit();
+        return await fetchPlannedMeal(connection, PlanID, MealID);
+    });
+}
 
-        return { PantryID: pantryID, Category };
-    }).catch((err) => {
-        console.error(err);
-        return false;
+async function deletePlannedMeal(PlanID, MealID, actor) {
+    return await withOracleDB(async (connection) => {
+        const before = await fetchPlannedMeal(connection, PlanID, MealID);
+        await connection.execute(
+            `DELETE FROM PlannedMeals WHERE PlanID = :PlanID AND MealID = :MealID`,
+            { PlanID, MealID }
+        );
+        await recordChange(connection, actor, {
+            action: 'delete',
+            entity: 'plannedMeal',
+            key: { PlanID, MealID },
+            before: { MealDate: before.MealDate, Slot: before.Slot, RecipeID: before.RecipeID, Servings: before.Servings }
+        });
+        await connection.commit();
     });
 }
 
 
-async function addIngredient(PantryID, FoodName, Quantity, ExpiryDate, ShelfLife, Calories, FoodGroup) {
+/*================================================
+==================COOKING FUNCTIONS===============
+================================================*/
+
+// The cooking history entries in a query's result, with their ingredients
+async function fetchCookingEntries(connection, query, page) {
+    const { result, total } = await executePage(connection, query, page);
+    const data = processResults(result).map((row) => ({
+        CookID: row.COOKID,
+        RecipeID: row.RECIPEID,
+        RecipeName: row.RECIPENAME,
+        PantryID: row.PANTRYID,
+        Category: row.CATEGORY,
+        UserID: row.USERID,
+        Servings: Number(row.SERVINGS),
+        CookedAt: row.COOKEDAT,
+        ingredients: []
+    }));
+    if (data.length > 0) {
+        const { list, binds } = listBinds('cook', data.map((entry) => entry.CookID));
+        const ingredients = await connection.execute(
+            `SELECT CookID, FoodName, Unit, Needed, Used FROM CookedIngredients
+            WHERE CookID IN (${list}) ORDER BY FoodName`,
+            binds
+        );
+        const entries = new Map(data.map((entry) => [entry.CookID, entry]));
+        ingredients.rows.forEach(([CookID, FoodName, Unit, Needed, Used]) => {
+            entries.get(CookID).ingredients.push({ FoodName, Unit, Needed, Used, Short: roundQuantity(Needed - Used) });
+        });
+    }
+    return { data, total };
+}
+
+/*
+"I cooked this": takes what cooking a recipe `servings` times needs out of a
+pantry's stock and records it in the cooking history, all in one
+transaction. Each food is taken from the lots expiring first, converted
+from the recipe's unit to the lot's (see utils/units.js); expired lots and
+lots in units that don't convert are left alone, and lots used up are
+removed. Food the pantry doesn't have enough of is taken as far as it goes
+and reported. Returns the history entry, with `shortfalls`: the ingredients
+that were short, as { FoodName, Unit, Needed, Used, Short } in the recipe's unit.
+*/
+async function cookRecipe(RecipeID, PantryID, servings, actor) {
     return await withOracleDB(async (connection) => {
-      try {
-        // Check if FoodName exists in FoodItem table
-        const foodItemExists = await connection.execute(
-          `SELECT COUNT(*) AS COUNT FROM FoodItem WHERE FoodName = :FoodName`,
-          { FoodName },
-          { outFormat: oracledb.OUT_FORMAT_OBJECT }
+        await checkRecipeExists(connection, RecipeID);
+        const ingredients = await connection.execute(
+            `SELECT f.FoodName, f.Quantity, f.Unit, fi.Density
+            FROM FoodsInRecipes f
+            LEFT JOIN FoodItem fi ON fi.FoodName = f.FoodName
+            WHERE f.RecipeID = :RecipeID
+            ORDER BY f.FoodName`,
+            { RecipeID }
         );
-  
-        if (foodItemExists.rows[0].COUNT === 0) {
-          // Insert a new food item if it does not exist
-          console.log('Food item does not exist, inserting:', FoodName);
-          await connection.execute(
-            `INSERT INTO FoodItem (FoodName, ShelfLife, Calories, FoodGroup) 
-            VALUES (:FoodName, :ShelfLife, :Calories, :FoodGroup)`,
+        const today = formatDateTime(new Date()).slice(0, 10);
+
+        const cooked = await connection.execute(
+            `INSERT INTO CookingHistory (RecipeID, PantryID, UserID, Servings, CookedAt)
+            VALUES (:RecipeID, :PantryID, :UserID, :Servings, SYSDATE)
+            RETURNING CookID INTO :CookID`,
             {
-              FoodName,
-              ShelfLife,
-              Calories,
-              FoodGroup
-            },
-            { autoCommit: true }
-          );
-        }
-  
-        // Insert the ingredient instance
-        const result = await connection.execute(
-          `INSERT INTO IngredientInstances (DateAdded, ExpiryDate, FoodName, PantryID, Quantity) 
-          VALUES (SYSDATE, TO_DATE(:ExpiryDate, 'YYYY-MM-DD'), :FoodName, :PantryID, :Quantity)`,
-          {
-            ExpiryDate,
-            FoodName,
-            PantryID,
-            Quantity
-          },
-          { autoCommit: true }
+                RecipeID,
+                PantryID,
+                UserID: actor.UserID,
+                Servings: servings,
+                CookID: { type: db.INTEGER, dir: db.BIND_OUT }
+            }
         );
-  
-        return result.rowsAffected > 0;
-      } catch (err) {
-        console.error('Database error in addIngredient:', err);
-        return false;
-      }
-    }).catch((err) => {
-      console.error('Error in withOracleDB:', err);
-      return false;
-    });
-  }
-  
+        const cookID = cooked.outBinds.CookID[0];
+
+        const used = [];
+        for (const [FoodName, Quantity, Unit, Density] of ingredients.rows) {
+            const needed = roundQuantity(Quantity * servings);
+            const lots = await connection.execute(
+                `SELECT DateAdded, ExpiryDate, Quantity, Unit FROM IngredientInstances
+                WHERE PantryID = :PantryID AND FoodName = :FoodName
+                AND ExpiryDate >= TO_DATE(:today, 'YYYY-MM-DD')
+                ORDER BY ExpiryDate, DateAdded`,
+                { PantryID, FoodName, today },
+                { outFormat: db.OUT_FORMAT_OBJECT }
+            );
+
+            let remaining = needed;
+            for (const lot of lots.rows) {
+                if (remaining <= 0) {
+                    break;
+                }
+                const available = convert(lot.QUANTITY, lot.UNIT, Unit, Density);
+                if (available === null) {
+                    continue;
+                }
+                const take = Math.min(available, remaining);
+                remaining = roundQuantity(remaining - take);
+                const left = take === available ? 0 : roundQuantity(lot.QUANTITY - convert(take, Unit, lot.UNIT, Density));
+                const key = { PantryID, FoodName, DateAdded: lot.DATEADDED };
+                const before = { Quantity: lot.QUANTITY, Unit: lot.UNIT, ExpiryDate: toDay(lot.EXPIRYDATE) };
+                if (left <= 0) {
+                    await connection.execute(
+                        `DELETE FROM IngredientInstances
+                        WHERE PantryID = :PantryID AND FoodName = :FoodName AND DateAdded = :DateAdded`,
+                        key
+                    );
+                } else {
+                    await connection.execute(
+                        `UPDATE IngredientInstances SET Quantity = :Quantity
+                        WHERE PantryID = :PantryID AND FoodName = :FoodName AND DateAdded = :DateAdded`,
+                        { ...key, Quantity: left }
+                    );
+                }
+                await recordChange(connection, actor, {
+                    action: left <= 0 ? 'delete' : 'update',
+                    entity: 'ingredient',
+                    key: { PantryID, FoodName, DateAdded: formatDateTime(new Date(lot.DATEADDED)) },
+                    before,
+                    after: left <= 0 ? undefined : { ...before, Quantity: left }
+                });
+            }
 
+            const cookedIngredient = { FoodName, Unit, Needed: needed, Used: roundQuantity(needed - remaining) };
+            await connection.execute(
+                `INSERT INTO CookedIngredients (CookID, FoodName, Unit, Needed, Used)
+                VALUES (:CookID, :FoodName, :Unit, :Needed, :Used)`,
+                { CookID: cookID, ...cookedIngredient }
+            );
+            used.push(cookedIngredient);
+        }
 
+        await recordChange(connection, actor, {
+            action: 'create',
+            entity: 'cooking',
+            key: { CookID: cookID },
+            after: { RecipeID, PantryID, Servings: servings, ingredients: used }
+        });
+        await connection.commit();
 
-async function fetchCuisineOptions() {
-    return await withOracleDB(async (connection) => {
-        const result = await connection.execute(`
-            SELECT DISTINCT Cuisine FROM RecipeCreated ORDER BY Cuisine
-        `);
-        return result.rows.map(row => row[0]); // Map the rows to an array of cuisine names
-    }).catch((err) => {
-        console.error(err);
-        return [];
+        const query = select(ENTITIES.cooking).where('c.CookID = :cookID', { cookID });
+        const [entry] = (await fetchCookingEntries(connection, query, null)).data;
+        return { ...entry, shortfalls: entry.ingredients.filter((item) => item.Short > 0) };
     });
 }
 
-// Fetches number of recipes for each cuisine
-async function fetchCuisineCounts(threshold) {
+// A user's cooking history, newest first, as { data, total }
+async function fetchCookingHistory(UserID, page) {
+    const query = select(ENTITIES.cooking).where('c.UserID = :UserID', { UserID });
     return await withOracleDB(async (connection) => {
-        const having = threshold ? `HAVING COUNT(*) >= ${threshold}` : '';
-        const query = `
-            SELECT Cuisine, COUNT(*) AS Count
-            FROM RecipeCreated
-            GROUP BY Cuisine
-            ${having}
-        `;
-        const result = await connection.execute(query);
-        return processResults(result);
-    }).catch((err) => {
-        console.error(err);
-        return [];
+        return await fetchCookingEntries(connection, query, page);
     });
 }
 
@@ -789,75 +2475,99 @@ async function fetchCuisineCounts(threshold) {
 
 async function fetchTableNames() {
     return await withOracleDB(async (connection) => {
-      const result = await connection.execute(`
-        SELECT table_name
-        FROM user_tables
-        ORDER BY table_name
-      `);
+      const result = await connection.execute(db.catalog.tableNames);
       return result.rows.map(row => row[0]); 
-    }).catch((err) => {
-      console.error(err);
-      return [];
     });
   }
 
+// Looks a table up in the database catalog and returns its query-builder
+// entity. Unknown tables throw InvalidQueryError.
+async function fetchTableEntity(connection, tableName) {
+    const tables = await connection.execute(db.catalog.tableNames);
+    const match = tables.rows.map((row) => row[0]).find((name) => name === String(tableName).toUpperCase());
+    if (!match) {
+        throw new InvalidQueryError(`Unknown table '${tableName}'`, 'table');
+    }
+    const columns = await connection.execute(db.catalog.tableColumns, { tableName: match });
+    return ENTITIES.tableEntity(match, columns.rows.map((row) => row[0]));
+}
+
 async function fetchTableColumns(tableName) {
     return await withOracleDB(async (connection) => {
-      const query = `SELECT column_name FROM user_tab_columns WHERE table_name = '${tableName.toUpperCase()}'`;
-      const result = await connection.execute(query);
-      return result.rows.map((row) => row[0]);
-    }).catch((err) => {
-      console.error('Error fetching columns:', err);
-      return [];
+      const entity = await fetchTableEntity(connection, tableName);
+      return entity.columns;
     });
   }
 
-async function fetchTableData(tableName, columns) {
+// Returns the rows of a table, or one page of them, as { data, total }
+async function fetchTableData(tableName, columns, sort, page) {
     return await withOracleDB(async (connection) => {
-      const allColsQuery = `SELECT column_name FROM user_tab_columns WHERE table_name = '${tableName.toUpperCase()}'`;
-      const allColsResult = await connection.execute(allColsQuery);
-      const allCols = allColsResult.rows.map((row) => row[0]);
-  
-      const selectedCols = columns && columns.length > 0 ? columns : allCols;
-      const selColsQuery = selectedCols.join(', ');
-  
-      const query = `SELECT ${selColsQuery} FROM ${tableName}`;
-      const result = await connection.execute(query);
-      return result.rows.map((row) => Object.fromEntries(row.map((value, index) => [selectedCols[index], value])));
-    }).catch((err) => {
-      console.error('Error fetching table data:', err);
-      return [];
+      const entity = await fetchTableEntity(connection, tableName);
+      const query = select(entity, columns).orderBy(sort);
+      const { result, columns: selectedCols, total } = await executePage(connection, query, page);
+      const data = result.rows.map((row) => Object.fromEntries(row.map((value, index) => [selectedCols[index], value])));
+      return { data, total };
     });
   }
   
-  // Fetch pantry by ID, returning pantry details and the owner
+// Fetch pantry by ID, returning pantry details and the owner (the first user
+// the pantry was saved for)
 async function fetchPantryById(pantryId) {
     return await withOracleDB(async (connection) => {
         const query = `
-            SELECT PantryID, Category, UserID AS ownerId
-            FROM UserPantries
-            WHERE PantryID = :pantryId
+            SELECT sp.PantryID, sp.Category, MIN(up.UserID) AS ownerId
+            FROM SavedPantry sp
+            JOIN UserPantries up ON sp.PantryID = up.PantryID
+            WHERE sp.PantryID = :pantryId
+            GROUP BY sp.PantryID, sp.Category
         `;
-        const result = await connection.execute(query, [pantryId]);
-        return result.rows.length > 0 ? result.rows[0] : null;
-    }).catch((err) => {
-        console.error('Error fetching pantry by ID:', err);
-        return null;
+        const result = await connection.execute(query, [pantryId], { outFormat: db.OUT_FORMAT_OBJECT });
+        if (result.rows.length === 0) {
+            throw new NotFoundError('Pantry not found');
+        }
+        const pantry = result.rows[0];
+        return { PantryID: pantry.PANTRYID, Category: pantry.CATEGORY, ownerId: pantry.OWNERID };
+    });
+}
+
+// Returns the UserIDs of everyone a pantry is saved for
+async function fetchPantryMembers(PantryID) {
+    return await withOracleDB(async (connection) => {
+        const result = await connection.execute(`
+            SELECT up.UserID
+            FROM SavedPantry sp
+            LEFT JOIN UserPantries up ON sp.PantryID = up.PantryID
+            WHERE sp.PantryID = :PantryID`,
+            { PantryID }
+        );
+        if (result.rows.length === 0) {
+            throw new NotFoundError('Pantry not found');
+        }
+        return result.rows.map((row) => row[0]).filter((userID) => userID !== null);
     });
 }
 
-// Add a pantry to a user's collection
-async function addPantryToUser(userId, pantryId) {
+// Add a pantry to a user's collection. The caller checks that `actor` may
+// share the pantry.
+async function addPantryToUser(userId, pantryId, actor) {
     return await withOracleDB(async (connection) => {
+        const user = await connection.execute(`SELECT COUNT(*) FROM Users WHERE UserID = :userId`, { userId });
+        if (Number(user.rows[0][0]) === 0) {
+            throw new ValidationError('Unknown user', { UserID: 'Is not a known user' });
+        }
         const query = `
             INSERT INTO UserPantries (UserID, PantryID)
             VALUES (:UserID, :PantryID)
         `;
-        await connection.execute(query, { UserID: userId, PantryID: pantryId }, { autoCommit: true });
+        await connection.execute(query, { UserID: userId, PantryID: pantryId });
+        await recordChange(connection, actor, {
+            action: 'create',
+            entity: 'pantryMember',
+            key: { PantryID: pantryId, UserID: userId },
+            after: { PantryID: pantryId, UserID: userId }
+        });
+        await connection.commit();
         return true;
-    }).catch((err) => {
-        console.error('Error adding pantry to user:', err);
-        return false;
     });
 }
 
@@ -871,13 +2581,11 @@ async function fetchRecipesLikedByAllUsers() {
         LEFT JOIN Users u ON r.UserID = u.UserID
         LEFT JOIN RecipeLevels l ON r.Cuisine = l.Cuisine
         LEFT JOIN Images i ON r.RecipeID = i.RecipeID
+        WHERE r.DeletedAt IS NULL
         GROUP BY r.RecipeID, r.RecipeName, r.Cuisine, r.CookingTime, l.RecipeLevel, u.UserName, i.ImageURL, i.Caption
         HAVING COUNT(rl.UserID) = (SELECT COUNT(*) FROM Users)
       `);
       return processResults(result);
-    }).catch((err) => {
-      console.error(err);
-      return [];
     });
   }
 
@@ -896,6 +2604,7 @@ async function fetchRecipesLikedPerUserLevel() {
                     Users u
                 LEFT JOIN 
                     RecipesLiked rl ON u.UserID = rl.UserID
+                    AND rl.RecipeID IN (SELECT RecipeID FROM RecipeCreated WHERE DeletedAt IS NULL)
                 GROUP BY 
                     u.UserID, u.Points
             )
@@ -913,9 +2622,6 @@ async function fetchRecipesLikedPerUserLevel() {
         
         const result = await connection.execute(query);
         return processResults(result);
-    }).catch((err) => {
-        console.error(err);
-        return [];
     });
 }
 
@@ -927,9 +2633,54 @@ async function fetchFoodItems() {
             ORDER BY FoodName
         `);
         return processResults(result);
-    }).catch((err) => {
-        console.error('Error fetching food items:', err);
-        return [];
+    });
+}
+
+/*================================================
+==================AUDIT FUNCTIONS=================
+================================================*/
+// 'YYYY-MM-DD' of the day after `day`
+function nextDay(day) {
+    const date = new Date(`${day}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + 1);
+    return date.toISOString().slice(0, 10);
+}
+
+/*
+Fetches audit log entries, newest first. Every filter is optional:
+actor (UserID), entity, action, key (part of the entity key, e.g.
+'RecipeID=3') and from/to (YYYY-MM-DD, both days included).
+Returns { data, total } with the before/after values parsed back from JSON.
+*/
+async function fetchAuditLog(filters, sort, page) {
+    const query = select(ENTITIES.auditEntry).orderBy(sort);
+    if (filters.actor !== undefined) {
+        query.where('a.ActorID = :actor', { actor: filters.actor });
+    }
+    if (filters.entity !== undefined) {
+        query.where('a.Entity = :entity', { entity: filters.entity });
+    }
+    if (filters.action !== undefined) {
+        query.where('a.Action = :action', { action: filters.action });
+    }
+    if (filters.key !== undefined) {
+        query.where('a.EntityKey LIKE :key', { key: `%${filters.key}%` });
+    }
+    if (filters.from !== undefined) {
+        query.where(`a.ChangedAt >= TO_DATE(:fromDay, 'YYYY-MM-DD')`, { fromDay: filters.from });
+    }
+    if (filters.to !== undefined) {
+        query.where(`a.ChangedAt < TO_DATE(:beforeDay, 'YYYY-MM-DD')`, { beforeDay: nextDay(filters.to) });
+    }
+
+    return await withOracleDB(async (connection) => {
+        const { result, total } = await executePage(connection, query, page);
+        const data = processResults(result).map((entry) => ({
+            ...entry,
+            OLDVALUE: entry.OLDVALUE === null ? null : JSON.parse(entry.OLDVALUE),
+            NEWVALUE: entry.NEWVALUE === null ? null : JSON.parse(entry.NEWVALUE)
+        }));
+        return { data, total };
     });
 }
 
@@ -940,16 +2691,56 @@ module.exports = {
     testOracleConnection,
     fetchRecipes,
     fetchRecipeByID,
+    fetchNutrition,
+    fetchRecipeDocument,
+    fetchRecipeOwner,
     createRecipe,
+    importRecipes,
     updateRecipe,
     deleteRecipe,
+    fetchDeletedRecipes,
+    restoreRecipe,
+    purgeDeletedRecipes,
+    fetchRecipeRevisions,
+    fetchRecipeRevision,
+    diffRecipeRevisions,
+    rollbackRecipe,
     fetchLikedRecipes,
     fetchUserLikedRecipes,
-    insertStep,
+    insertSteps,
     fetchImagesByID,
     fetchRecipeSteps,
     createUser,
+    authenticateUser,
     fetchIngredientInstances,
+    fetchCookableRecipes,
+    fetchExpiringItems,
+    fetchPreferredUnits,
+    updatePreferredUnits,
+    cookRecipe,
+    fetchCookingHistory,
+    EXPIRING_SOON_DAYS,
+    generateShoppingList,
+    fetchShoppingListAccess,
+    fetchShoppingLists,
+    fetchShoppingList,
+    createShoppingList,
+    updateShoppingList,
+    deleteShoppingList,
+    addShoppingListItem,
+    updateShoppingListItem,
+    deleteShoppingListItem,
+    fetchMealPlanAccess,
+    fetchMealPlans,
+    fetchMealPlan,
+    fetchMealPlanNeeds,
+    createMealPlan,
+    updateMealPlan,
+    deleteMealPlan,
+    addPlannedMeal,
+    updatePlannedMeal,
+    deletePlannedMeal,
+    userPantryIDs,
     UserLikedRecipe,
     UserUnlikedRecipe,
     addImageToRecipe,
@@ -960,16 +2751,18 @@ module.exports = {
     fetchAllPantries,
     deleteSteps,
     deleteImages,
-    insertImage,
+    insertImages,
     fetchTableNames,
     fetchTableData,
     fetchTableColumns,
     updatePoints,
     fetchPantryById,
+    fetchPantryMembers,
     addPantryToUser,
     fetchLevelCounts,
     fetchCuisineCounts,
     fetchRecipesLikedByAllUsers,
     fetchRecipesLikedPerUserLevel,
-    fetchFoodItems
+    fetchFoodItems,
+    fetchAuditLog
 };
@@ -0,0 +1,94 @@
+const appService = require('./appService');
+const asyncHandler = require('./utils/asyncHandler');
+const { ForbiddenError } = require('./utils/errors');
+
+// ----------------------------------------------------------
+// Per-route authorization for appController.js. These run after requireUser
+// and validate(...), so req.user is set and ids are already numbers. Each
+// check takes a function that picks the id out of the request.
+//
+//   admin                      admins only
+//   recipeOwner(getRecipeID)   the recipe's author, or an admin
+//   pantryMember(getPantryID)  a user the pantry is saved for, or an admin
+//   self(getUserID)            the user themselves, or an admin
+//   shoppingListMember(getListID)  the list's owner, a user its pantry is
+//                              saved for, or an admin
+//   shoppingListOwner(getListID)   the list's owner, or an admin
+//   mealPlanMember(getPlanID), mealPlanOwner(getPlanID)  the same for meal plans
+//
+// A refused request gets a ForbiddenError (403). A recipe, pantry, shopping
+// list or meal plan that doesn't exist is a 404, as it would be from the
+// route itself.
+
+function isAdmin(user) {
+    return Boolean(user) && user.UserRole === 'admin';
+}
+
+function admin(req, res, next) {
+    next(isAdmin(req.user) ? undefined : new ForbiddenError('Only admins can do this'));
+}
+
+function recipeOwner(getRecipeID) {
+    return asyncHandler(async (req, res, next) => {
+        const ownerID = await appService.fetchRecipeOwner(getRecipeID(req));
+        if (ownerID !== req.user.UserID && !isAdmin(req.user)) {
+            throw new ForbiddenError('Only the author of this recipe can change it');
+        }
+        next();
+    });
+}
+
+function pantryMember(getPantryID) {
+    return asyncHandler(async (req, res, next) => {
+        const members = await appService.fetchPantryMembers(getPantryID(req));
+        if (!members.includes(req.user.UserID) && !isAdmin(req.user)) {
+            throw new ForbiddenError('This pantry is not saved for you');
+        }
+        next();
+    });
+}
+
+// Checks for things shared through a linked pantry (see fetchSharedAccess
+// in appService.js); `fetchAccess` gives { OwnerID, members } for an id
+function sharedMember(fetchAccess, refusal) {
+    return (getID) => asyncHandler(async (req, res, next) => {
+        const { members } = await fetchAccess(getID(req));
+        if (!members.includes(req.user.UserID) && !isAdmin(req.user)) {
+            throw new ForbiddenError(refusal);
+        }
+        next();
+    });
+}
+
+function sharedOwner(fetchAccess, refusal) {
+    return (getID) => asyncHandler(async (req, res, next) => {
+        const { OwnerID } = await fetchAccess(getID(req));
+        if (OwnerID !== req.user.UserID && !isAdmin(req.user)) {
+            throw new ForbiddenError(refusal);
+        }
+        next();
+    });
+}
+
+const shoppingListMember = sharedMember(appService.fetchShoppingListAccess, 'This shopping list is not shared with you');
+const shoppingListOwner = sharedOwner(appService.fetchShoppingListAccess, 'Only the owner of this shopping list can change it');
+const mealPlanMember = sharedMember(appService.fetchMealPlanAccess, 'This meal plan is not shared with you');
+const mealPlanOwner = sharedOwner(appService.fetchMealPlanAccess, 'Only the owner of this meal plan can change it');
+
+function self(getUserID) {
+    return (req, res, next) => {
+        const allowed = getUserID(req) === req.user.UserID || isAdmin(req.user);
+        next(allowed ? undefined : new ForbiddenError('You can only do this for your own account'));
+    };
+}
+
+module.exports = {
+    admin,
+    recipeOwner,
+    pantryMember,
+    shoppingListMember,
+    shoppingListOwner,
+    mealPlanMember,
+    mealPlanOwner,
+    self
+};
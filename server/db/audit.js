@@ -0,0 +1,46 @@
+// ----------------------------------------------------------
+// Audit trail. appService.js calls recordChange() for every create, update
+// and delete, on the same connection and before the same commit as the
+// change itself: a rolled-back change leaves no entry, and a committed one
+// always has one.
+//
+//     await recordChange(connection, actor, {
+//         action: 'update',                   // 'create', 'update' or 'delete'
+//         entity: 'recipe',
+//         key: { RecipeID: 3 },
+//         before: { RecipeName: 'Pasta' },    // omitted for creates
+//         after: { RecipeName: 'Pasta Verde' } // omitted for deletes
+//     });
+//
+// `actor` is the logged-in { UserID, UserName } (req.user), or null for
+// changes made by scripts.
+
+// 'RecipeID=3, UserID=2'
+function formatKey(key) {
+    return Object.keys(key).map((name) => `${name}=${key[name]}`).join(', ');
+}
+
+function toJSON(value) {
+    return value === undefined || value === null ? null : JSON.stringify(value);
+}
+
+async function recordChange(connection, actor, { action, entity, key, before, after }) {
+    await connection.execute(
+        `INSERT INTO AuditLog (ChangedAt, ActorID, ActorName, Action, Entity, EntityKey, OldValue, NewValue)
+        VALUES (SYSDATE, :ActorID, :ActorName, :Action, :Entity, :EntityKey, :OldValue, :NewValue)`,
+        {
+            ActorID: actor ? actor.UserID : null,
+            ActorName: actor ? actor.UserName : null,
+            Action: action,
+            Entity: entity,
+            EntityKey: formatKey(key),
+            OldValue: toJSON(before),
+            NewValue: toJSON(after)
+        }
+    );
+}
+
+module.exports = {
+    recordChange,
+    formatKey
+};
@@ -0,0 +1,220 @@
+// ----------------------------------------------------------
+// Per-entity whitelists for the query builder (see db/queryBuilder.js).
+//
+//   from           FROM clause, including the joins every query needs
+//   where          condition every query needs (optional)
+//   columns        columns a caller may ask for
+//   defaultColumns columns returned when none are requested
+//   keyColumns     columns that are always returned
+//   sortKeys       sort key -> ORDER BY expression, or { expression, descending }
+//                  for keys that sort in descending order by default
+//   defaultSort    sort key used when none is requested
+
+// A recipe's cooking time ('D HH:MM') in minutes, for comparing times
+const COOKING_MINUTES = `(CAST(SUBSTR(r.CookingTime, 1, INSTR(r.CookingTime, ' ') - 1) AS INTEGER) * 1440
+    + CAST(SUBSTR(r.CookingTime, INSTR(r.CookingTime, ' ') + 1, INSTR(r.CookingTime, ':') - INSTR(r.CookingTime, ' ') - 1) AS INTEGER) * 60
+    + CAST(SUBSTR(r.CookingTime, INSTR(r.CookingTime, ':') + 1) AS INTEGER))`;
+
+const recipe = {
+    name: 'recipe',
+    from: `RecipeCreated r
+        LEFT JOIN Users u ON r.UserID = u.UserID
+        LEFT JOIN RecipeLevels l ON r.Cuisine = l.Cuisine
+        LEFT JOIN RecipeNutrition n ON r.RecipeID = n.RecipeID`,
+    // Recipes in the trash are only listed by deletedRecipe below
+    where: 'r.DeletedAt IS NULL',
+    columns: ['r.RecipeID', 'r.RecipeName', 'r.Cuisine', 'r.CookingTime', 'l.RecipeLevel', 'u.UserName', 'u.UserID',
+        'r.Serves', 'n.Calories', 'n.CaloriesPerServing', 'n.HealthScore', 'n.Uncounted'],
+    defaultColumns: ['r.RecipeID', 'r.RecipeName', 'r.Cuisine', 'r.CookingTime', 'l.RecipeLevel', 'u.UserName', 'u.UserID',
+        'r.Serves', 'n.CaloriesPerServing', 'n.HealthScore', 'n.Uncounted'],
+    keyColumns: ['r.RecipeID'],
+    sortKeys: {
+        id: 'r.RecipeID',
+        name: 'r.RecipeName',
+        cuisine: 'r.Cuisine',
+        time: COOKING_MINUTES,
+        level: 'l.RecipeLevel',
+        likes: '(SELECT COUNT(*) FROM RecipesLiked rl WHERE rl.RecipeID = r.RecipeID)',
+        // Recipes with unknown calories go last either way round
+        calories: 'CASE WHEN n.CaloriesPerServing IS NULL THEN 1 ELSE 0 END, n.CaloriesPerServing',
+        // Recipes with no health score go last
+        health: { expression: 'COALESCE(n.HealthScore, -1)', descending: true },
+        // RecipeIDs are handed out in creation order
+        newest: { expression: 'r.RecipeID', descending: true }
+    },
+    defaultSort: 'id'
+};
+
+// A recipe in its author's trash
+const deletedRecipe = {
+    name: 'deleted recipe',
+    from: `RecipeCreated r
+        LEFT JOIN RecipeLevels l ON r.Cuisine = l.Cuisine`,
+    where: 'r.DeletedAt IS NOT NULL',
+    columns: ['r.RecipeID', 'r.RecipeName', 'r.Cuisine', 'r.CookingTime', 'l.RecipeLevel', 'r.UserID', 'r.DeletedAt'],
+    defaultColumns: ['r.RecipeID', 'r.RecipeName', 'r.Cuisine', 'r.CookingTime', 'l.RecipeLevel', 'r.UserID', 'r.DeletedAt'],
+    keyColumns: ['r.RecipeID'],
+    sortKeys: {
+        name: 'r.RecipeName',
+        deleted: { expression: 'r.DeletedAt', descending: true }
+    },
+    defaultSort: 'deleted'
+};
+
+// A saved version of a recipe; the snapshot itself is fetched separately
+const recipeRevision = {
+    name: 'recipe revision',
+    from: 'RecipeRevisions v',
+    columns: ['v.Revision', 'v.SavedAt', 'v.SavedByID', 'v.SavedByName', 'v.RestoredFrom'],
+    defaultColumns: ['v.Revision', 'v.SavedAt', 'v.SavedByID', 'v.SavedByName', 'v.RestoredFrom'],
+    keyColumns: ['v.Revision'],
+    sortKeys: {
+        newest: { expression: 'v.Revision', descending: true },
+        oldest: 'v.Revision'
+    },
+    defaultSort: 'newest'
+};
+
+// A recipe cooked from a pantry (see cookRecipe in appService.js). The
+// pantry is null once it has been deleted.
+const cooking = {
+    name: 'cooking',
+    from: `CookingHistory c
+        JOIN RecipeCreated r ON c.RecipeID = r.RecipeID
+        LEFT JOIN SavedPantry sp ON c.PantryID = sp.PantryID`,
+    columns: ['c.CookID', 'c.RecipeID', 'r.RecipeName', 'c.PantryID', 'sp.Category', 'c.UserID', 'c.Servings', 'c.CookedAt'],
+    defaultColumns: ['c.CookID', 'c.RecipeID', 'r.RecipeName', 'c.PantryID', 'sp.Category', 'c.UserID', 'c.Servings', 'c.CookedAt'],
+    keyColumns: ['c.CookID'],
+    sortKeys: {
+        // CookIDs are handed out in cooking order
+        newest: { expression: 'c.CookID', descending: true },
+        oldest: 'c.CookID'
+    },
+    defaultSort: 'newest'
+};
+
+// A user together with the highest level their points reach
+const user = {
+    name: 'user',
+    from: `Users u
+        JOIN UserLevels l ON u.Points >= l.Points
+        AND l.Points = (
+            SELECT MAX(Points)
+            FROM UserLevels
+            WHERE u.Points >= Points
+        )`,
+    columns: ['u.UserID', 'u.UserName', 'u.Points', 'l.UserLevel'],
+    defaultColumns: ['u.UserID', 'u.UserName', 'u.Points', 'l.UserLevel'],
+    keyColumns: ['u.UserID'],
+    sortKeys: {
+        id: 'u.UserID',
+        name: 'u.UserName',
+        points: 'u.Points',
+        newest: { expression: 'u.UserID', descending: true }
+    },
+    defaultSort: 'id'
+};
+
+const pantry = {
+    name: 'pantry',
+    from: `UserPantries up
+        JOIN Users u ON up.UserID = u.UserID
+        JOIN SavedPantry sp ON up.PantryID = sp.PantryID`,
+    columns: ['up.UserID', 'up.PantryID', 'u.UserName', 'sp.Category'],
+    defaultColumns: ['up.UserID', 'up.PantryID', 'u.UserName', 'sp.Category'],
+    keyColumns: ['up.UserID', 'up.PantryID'],
+    sortKeys: {
+        user: 'up.UserID',
+        pantry: 'up.PantryID'
+    },
+    defaultSort: 'user'
+};
+
+const recipeFoodItem = {
+    name: 'recipe food item',
+    from: `FoodsInRecipes f
+        JOIN RecipeCreated r ON f.RecipeID = r.RecipeID`,
+    where: 'r.DeletedAt IS NULL',
+    columns: ['f.FoodName', 'r.RecipeID', 'f.Quantity', 'f.Unit'],
+    defaultColumns: ['f.FoodName', 'r.RecipeID', 'f.Quantity', 'f.Unit'],
+    keyColumns: ['f.FoodName'],
+    sortKeys: {
+        name: 'f.FoodName'
+    },
+    defaultSort: null
+};
+
+const image = {
+    name: 'image',
+    from: 'Images',
+    columns: ['ImageURL', 'Caption', 'RecipeID'],
+    defaultColumns: ['ImageURL', 'Caption', 'RecipeID'],
+    keyColumns: ['ImageURL'],
+    sortKeys: {},
+    defaultSort: null
+};
+
+const cuisineCount = {
+    name: 'cuisine count',
+    from: 'RecipeCreated',
+    where: 'DeletedAt IS NULL',
+    columns: ['Cuisine', 'COUNT(*) AS Count'],
+    defaultColumns: ['Cuisine', 'COUNT(*) AS Count'],
+    sortKeys: {
+        cuisine: 'Cuisine',
+        count: 'COUNT(*)'
+    },
+    defaultSort: null
+};
+
+// Entries of the audit log written by db/audit.js
+const auditEntry = {
+    name: 'audit entry',
+    from: 'AuditLog a',
+    columns: ['a.AuditID', 'a.ChangedAt', 'a.ActorID', 'a.ActorName', 'a.Action', 'a.Entity', 'a.EntityKey', 'a.OldValue', 'a.NewValue'],
+    defaultColumns: ['a.AuditID', 'a.ChangedAt', 'a.ActorID', 'a.ActorName', 'a.Action', 'a.Entity', 'a.EntityKey', 'a.OldValue', 'a.NewValue'],
+    keyColumns: ['a.AuditID'],
+    sortKeys: {
+        // AuditIDs are handed out in the order changes were made
+        newest: { expression: 'a.AuditID', descending: true },
+        oldest: 'a.AuditID'
+    },
+    defaultSort: 'newest'
+};
+
+/*
+Builds an entity for one of the tables shown on the admin page. The caller
+checks the table name against the database catalog and passes the column
+names the catalog reports, so only real tables and columns can be queried.
+Any column is a sort key under its lowercase name; the first one is the
+default so pages come back in a stable order. Password hashes are never shown.
+*/
+const HIDDEN_TABLE_COLUMNS = ['PASSWORDHASH'];
+
+function tableEntity(tableName, allColumns) {
+    const catalogColumns = allColumns.filter((column) => !HIDDEN_TABLE_COLUMNS.includes(column.toUpperCase()));
+    const sortKeys = Object.fromEntries(catalogColumns.map((column) => [column.toLowerCase(), column]));
+    return {
+        name: tableName.toLowerCase(),
+        from: tableName,
+        columns: catalogColumns,
+        defaultColumns: catalogColumns,
+        sortKeys,
+        defaultSort: catalogColumns.length > 0 ? catalogColumns[0].toLowerCase() : null
+    };
+}
+
+module.exports = {
+    COOKING_MINUTES,
+    recipe,
+    deletedRecipe,
+    recipeRevision,
+    cooking,
+    user,
+    pantry,
+    recipeFoodItem,
+    image,
+    cuisineCount,
+    auditEntry,
+    tableEntity
+};
@@ -0,0 +1,29 @@
+const loadEnvFile = require('../utils/envUtil');
+const createOracleAdapter = require('./oracleAdapter');
+const createSqliteAdapter = require('./sqliteAdapter');
+
+// ----------------------------------------------------------
+// Picks the storage backend from DB_CLIENT in the .env file:
+//   DB_CLIENT=oracle   university Oracle database (default)
+//   DB_CLIENT=sqlite   embedded SQLite database stored in SQLITE_FILE
+//   DB_CLIENT=memory   embedded SQLite database that only lives in memory
+// Every adapter exposes initialize(), close() and getConnection(), and its
+// connections follow the oracledb execute/commit/rollback/close API.
+
+const envVariables = loadEnvFile('./.env');
+
+function createAdapter(env) {
+    const client = (env.DB_CLIENT || 'oracle').trim().toLowerCase();
+    switch (client) {
+        case 'oracle':
+            return createOracleAdapter(env);
+        case 'sqlite':
+            return createSqliteAdapter({ filename: (env.SQLITE_FILE || 'mealmapper.sqlite').trim() });
+        case 'memory':
+            return createSqliteAdapter();
+        default:
+            throw new Error(`Unknown DB_CLIENT '${client}'. Use oracle, sqlite or memory.`);
+    }
+}
+
+module.exports = createAdapter(envVariables);
@@ -0,0 +1,152 @@
+const fs = require('fs');
+const path = require('path');
+
+// ----------------------------------------------------------
+// Versioned schema migrations.
+//
+// Migrations live in server/migrations as NNN_description.js files and are
+// applied in version order. Each one exports up(connection, dialect) and
+// down(connection, dialect), where dialect is 'oracle' or 'sqlite'. Applied
+// versions are recorded in the SchemaMigrations table.
+//
+// Note that Oracle commits DDL implicitly, so a migration that fails halfway
+// on Oracle must be cleaned up by hand. SQLite rolls the whole step back.
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+const CREATE_MIGRATIONS_TABLE = `
+    CREATE TABLE SchemaMigrations(
+        Version INTEGER,
+        Name VARCHAR(100) NOT NULL,
+        AppliedAt VARCHAR(30) NOT NULL,
+        PRIMARY KEY (Version)
+    )`;
+
+// Reads the migration files, sorted by version
+function loadMigrations() {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .filter((file) => /^\d+_.+\.js$/.test(file))
+        .map((file) => ({
+            version: parseInt(file.split('_')[0], 10),
+            name: path.basename(file, '.js'),
+            ...require(path.join(MIGRATIONS_DIR, file))
+        }))
+        .sort((a, b) => a.version - b.version);
+}
+
+async function tableExists(connection, dialect, tableName) {
+    const query = dialect === 'oracle'
+        ? `SELECT COUNT(*) FROM user_tables WHERE table_name = :tableName`
+        : `SELECT COUNT(*) FROM sqlite_master WHERE type = 'table' AND UPPER(name) = :tableName`;
+    const result = await connection.execute(query, { tableName: tableName.toUpperCase() });
+    return result.rows[0][0] > 0;
+}
+
+async function ensureMigrationsTable(connection, dialect) {
+    if (!(await tableExists(connection, dialect, 'SchemaMigrations'))) {
+        await connection.execute(CREATE_MIGRATIONS_TABLE, [], { autoCommit: true });
+    }
+}
+
+// Returns the versions already applied to the database, ascending
+async function appliedVersions(connection, dialect) {
+    await ensureMigrationsTable(connection, dialect);
+    const result = await connection.execute(`SELECT Version FROM SchemaMigrations ORDER BY Version`);
+    return result.rows.map((row) => row[0]);
+}
+
+// Applies every pending migration, or those up to and including `to`
+async function migrateUp(connection, dialect, { to } = {}) {
+    const applied = await appliedVersions(connection, dialect);
+    const pending = loadMigrations().filter((migration) =>
+        !applied.includes(migration.version) && (to === undefined || migration.version <= to));
+
+    for (const migration of pending) {
+        try {
+            await migration.up(connection, dialect);
+            await connection.execute(
+                `INSERT INTO SchemaMigrations (Version, Name, AppliedAt) VALUES (:Version, :Name, :AppliedAt)`,
+                { Version: migration.version, Name: migration.name, AppliedAt: new Date().toISOString() }
+            );
+            await connection.commit();
+            console.log(`Applied migration ${migration.name}`);
+        } catch (err) {
+            await connection.rollback();
+            throw new Error(`Migration ${migration.name} failed: ${err.message}`);
+        }
+    }
+    return pending.map((migration) => migration.name);
+}
+
+// Reverts the most recently applied migrations, one step by default
+async function migrateDown(connection, dialect, { steps = 1 } = {}) {
+    const applied = await appliedVersions(connection, dialect);
+    const migrations = loadMigrations();
+    const toRevert = applied.slice(-steps).reverse();
+    const reverted = [];
+
+    for (const version of toRevert) {
+        const migration = migrations.find((m) => m.version === version);
+        if (!migration) {
+            throw new Error(`No migration file found for applied version ${version}`);
+        }
+        try {
+            await migration.down(connection, dialect);
+            await connection.execute(`DELETE FROM SchemaMigrations WHERE Version = :Version`, { Version: version });
+            await connection.commit();
+            console.log(`Reverted migration ${migration.name}`);
+            reverted.push(migration.name);
+        } catch (err) {
+            await connection.rollback();
+            throw new Error(`Reverting ${migration.name} failed: ${err.message}`);
+        }
+    }
+    return reverted;
+}
+
+// Lists every migration with whether it has been applied
+async function migrationStatus(connection, dialect) {
+    const applied = await appliedVersions(connection, dialect);
+    return loadMigrations().map((migration) => ({
+        version: migration.version,
+        name: migration.name,
+        applied: applied.includes(migration.version)
+    }));
+}
+
+// Statements that make `column` auto-increment. SQLite does this for any
+// INTEGER PRIMARY KEY; Oracle needs the <name>Increment sequence and the
+// <name>Trigger trigger.
+function autoIncrement(dialect, table, column, name) {
+    if (dialect !== 'oracle') {
+        return [];
+    }
+    return [
+        `CREATE SEQUENCE ${name}Increment START WITH 1 INCREMENT BY 1`,
+        `CREATE OR REPLACE TRIGGER ${name}Trigger
+        BEFORE INSERT ON ${table}
+        FOR EACH ROW
+        BEGIN
+            SELECT ${name}Increment.NEXTVAL INTO :NEW.${column} FROM dual;
+        END;`
+    ];
+}
+
+// Undoes autoIncrement(); the trigger goes away with its table
+function dropAutoIncrement(dialect, name) {
+    return dialect === 'oracle' ? [`DROP SEQUENCE ${name}Increment`] : [];
+}
+
+function dropTable(dialect, table) {
+    return dialect === 'oracle' ? `DROP TABLE ${table} CASCADE CONSTRAINTS` : `DROP TABLE ${table}`;
+}
+
+module.exports = {
+    loadMigrations,
+    migrateUp,
+    migrateDown,
+    migrationStatus,
+    autoIncrement,
+    dropAutoIncrement,
+    dropTable
+};
@@ -0,0 +1,74 @@
+const { recipeNutrition } = require('../utils/nutrition');
+
+// ----------------------------------------------------------
+// Recipe nutrition (see utils/nutrition.js). RecipeNutrition keeps each
+// recipe's total and per-serving calories and health score so that recipe
+// lists can filter and sort on them in SQL; the breakdown is worked out when
+// a recipe is shown.
+//
+// appService.js calls updateNutrition() whenever it changes a recipe's
+// servings or ingredients, on the same connection and before the same
+// commit, as it does for the search index.
+
+// Null if there is no such recipe
+async function fetchRecipeNutrition(connection, recipeID) {
+    const recipe = await connection.execute(
+        `SELECT Serves FROM RecipeCreated WHERE RecipeID = :recipeID`,
+        { recipeID }
+    );
+    if (recipe.rows.length === 0) {
+        return null;
+    }
+    const ingredients = await connection.execute(
+        `SELECT fr.FoodName, fr.Quantity, fr.Unit, f.Calories, f.FoodGroup, f.Density
+        FROM FoodsInRecipes fr
+        JOIN FoodItem f ON fr.FoodName = f.FoodName
+        WHERE fr.RecipeID = :recipeID
+        ORDER BY fr.FoodName`,
+        { recipeID }
+    );
+    const levels = await connection.execute(`SELECT FoodGroup, Calories, Healthy FROM HealthyLookup`);
+    return recipeNutrition(
+        ingredients.rows.map(([FoodName, Quantity, Unit, Calories, FoodGroup, Density]) =>
+            ({ FoodName, Quantity, Unit, Calories, FoodGroup, Density })),
+        recipe.rows[0][0],
+        levels.rows.map(([FoodGroup, Calories, Healthy]) => ({ FoodGroup, Calories, Healthy }))
+    );
+}
+
+// Replaces a recipe's RecipeNutrition row with one for its current ingredients
+async function updateNutrition(connection, recipeID) {
+    await connection.execute(`DELETE FROM RecipeNutrition WHERE RecipeID = :recipeID`, { recipeID });
+    const nutrition = await fetchRecipeNutrition(connection, recipeID);
+    if (!nutrition) {
+        return;
+    }
+    await connection.execute(
+        `INSERT INTO RecipeNutrition (RecipeID, Calories, CaloriesPerServing, HealthScore, Uncounted)
+        VALUES (:recipeID, :calories, :perServing, :healthScore, :uncounted)`,
+        {
+            recipeID,
+            calories: nutrition.Calories,
+            perServing: nutrition.CaloriesPerServing,
+            healthScore: nutrition.HealthScore,
+            uncounted: nutrition.uncounted.length
+        }
+    );
+}
+
+// Works out every recipe's nutrition again, e.g. after seeding. Returns how
+// many recipes there were.
+async function rebuildNutrition(connection) {
+    await connection.execute(`DELETE FROM RecipeNutrition`);
+    const recipes = await connection.execute(`SELECT RecipeID FROM RecipeCreated ORDER BY RecipeID`);
+    for (const [recipeID] of recipes.rows) {
+        await updateNutrition(connection, recipeID);
+    }
+    return recipes.rows.length;
+}
+
+module.exports = {
+    fetchRecipeNutrition,
+    updateNutrition,
+    rebuildNutrition
+};
@@ -0,0 +1,81 @@
+// ----------------------------------------------------------
+// Oracle storage adapter. Hands out connections from the default oracledb
+// pool, exactly as appService.js did before the adapters existed.
+
+// ORA- error numbers, grouped by the kind of failure classifyError() reports
+const ERROR_KINDS = {
+    conflict: [1, 2292],                        // unique constraint, child rows exist
+    reference: [2291],                          // parent key not found
+    invalid: [1400, 1407, 1722, 1840, 1841, 1861, 12899],  // NULL, bad number/date, too long
+    unavailable: [3113, 3114, 3135, 12170, 12514, 12541, 12543]  // connection lost or refused
+};
+
+// Says what kind of failure a driver error is: 'conflict', 'reference',
+// 'invalid', 'unavailable', or null if it is none of these
+function classifyError(err) {
+    const kind = Object.keys(ERROR_KINDS).find((name) => ERROR_KINDS[name].includes(err.errorNum));
+    if (kind) {
+        return kind;
+    }
+    // NJS- errors come from node-oracledb itself, e.g. no pool or a pool timeout
+    if (/^NJS-(002|040|047|500|501|503)\b/.test(err.message || '')) {
+        return 'unavailable';
+    }
+    return null;
+}
+
+function createOracleAdapter(envVariables) {
+    const oracledb = require('oracledb');
+
+    // Return CLOB columns (e.g. the JSON in AuditLog) as strings, as SQLite does
+    oracledb.fetchAsString = [oracledb.CLOB];
+
+    // Database configuration setup. Ensure your .env file has the required database credentials.
+    const dbConfig = {
+        user: envVariables.ORACLE_USER,
+        password: envVariables.ORACLE_PASS,
+        connectString: `${envVariables.ORACLE_HOST}:${envVariables.ORACLE_PORT}/${envVariables.ORACLE_DBNAME}`,
+        poolMin: 1,
+        poolMax: 3,
+        poolIncrement: 1,
+        poolTimeout: 60
+    };
+
+    // initialize connection pool
+    async function initialize() {
+        try {
+            await oracledb.createPool(dbConfig);
+            console.log('Connection pool started');
+        } catch (err) {
+            console.error('Initialization error: ' + err.message);
+        }
+    }
+
+    async function close() {
+        await oracledb.getPool().close(10); // 10 seconds grace period for connections to finish
+        console.log('Pool closed');
+    }
+
+    async function getConnection() {
+        return await oracledb.getConnection(); // Gets a connection from the default pool
+    }
+
+    return {
+        name: 'oracle',
+        dialect: 'oracle',
+        initialize,
+        close,
+        getConnection,
+        INTEGER: oracledb.INTEGER,
+        BIND_OUT: oracledb.BIND_OUT,
+        OUT_FORMAT_OBJECT: oracledb.OUT_FORMAT_OBJECT,
+        classifyError,
+        // Data dictionary queries used by the admin pages
+        catalog: {
+            tableNames: `SELECT table_name FROM user_tables ORDER BY table_name`,
+            tableColumns: `SELECT column_name FROM user_tab_columns WHERE table_name = :tableName`
+        }
+    };
+}
+
+module.exports = createOracleAdapter;
@@ -0,0 +1,181 @@
+const { ValidationError } = require('../utils/errors');
+
+// ----------------------------------------------------------
+// Small SELECT builder used by appService.js.
+//
+// Caller-supplied column names and sort keys are only accepted if the entity
+// (see db/entities.js) whitelists them, and every value goes into the bind
+// object instead of the SQL text. Anything else raises InvalidQueryError,
+// a ValidationError, so the routes report it as a 400.
+
+class InvalidQueryError extends ValidationError {
+    constructor(message, field) {
+        super(message, { [field]: message });
+        this.field = field;
+    }
+}
+
+// Name a column is reported under: the alias of 'COUNT(*) AS Count', or the
+// bare name of 'r.RecipeName'
+function columnName(column) {
+    const alias = column.match(/\sAS\s+(\w+)$/i);
+    return (alias ? alias[1] : column.split('.').pop()).toLowerCase();
+}
+
+// Matches a requested column against the whitelist by name, ignoring case
+// and any table alias ('RecipeName', 'r.RecipeName' and 'RECIPENAME' match).
+function resolveColumn(entity, requested) {
+    const wanted = columnName(String(requested).trim());
+    const match = entity.columns.find((column) => columnName(column) === wanted);
+    if (!match) {
+        throw new InvalidQueryError(`Unknown ${entity.name} column '${requested}'`, 'columns');
+    }
+    return match;
+}
+
+// Checks requested columns against the whitelist. Returns the defaults when
+// none are requested, and always includes the entity's key columns.
+function resolveColumns(entity, requested) {
+    if (!requested || requested.length === 0) {
+        return [...entity.defaultColumns];
+    }
+    const resolved = requested.map((column) => resolveColumn(entity, column));
+    const keys = (entity.keyColumns || []).filter((key) => !resolved.includes(key));
+    return [...keys, ...resolved];
+}
+
+// Turns a sort key such as 'name' or '-name' (reversed) into an ORDER BY
+// term. A sort key is either an expression or { expression, descending } for
+// keys like 'newest' that read naturally in descending order. The key columns
+// break ties, so pages of equal values come back in a stable order.
+function resolveSort(entity, sort) {
+    const key = sort || entity.defaultSort;
+    if (!key) {
+        return null;
+    }
+    const reversed = key.startsWith('-');
+    const name = reversed ? key.slice(1) : key;
+    const sortKey = entity.sortKeys[name];
+    if (!sortKey) {
+        const allowed = Object.keys(entity.sortKeys).join(', ');
+        throw new InvalidQueryError(`Unknown ${entity.name} sort key '${name}'. Use one of: ${allowed}`, 'sort');
+    }
+    const { expression, descending = false } = typeof sortKey === 'string' ? { expression: sortKey } : sortKey;
+    const ties = (entity.keyColumns || []).filter((column) => column !== expression);
+    return [`${expression}${descending !== reversed ? ' DESC' : ''}`, ...ties].join(', ');
+}
+
+// Row limiting clause; Oracle (12c and later) and SQLite spell it differently
+function pagingClause(dialect) {
+    return dialect === 'oracle'
+        ? 'OFFSET :pageOffset ROWS FETCH NEXT :pageLimit ROWS ONLY'
+        : 'LIMIT :pageLimit OFFSET :pageOffset';
+}
+
+/*
+Starts a SELECT over an entity. `columns` is the caller's column list (or
+null for the defaults) and is validated immediately.
+
+    const { sql, binds } = select(ENTITIES.recipe, ['RecipeName'])
+        .where('r.Cuisine = :cuisine', { cuisine })
+        .orderBy('-name')
+        .page(20, 40, db.dialect)
+        .build();
+
+buildCount() returns the matching row count for the same query, ignoring
+the order and the page.
+*/
+function select(entity, columns) {
+    const selected = resolveColumns(entity, columns);
+    const extraColumns = [];
+    const joins = [];
+    const conditions = entity.where ? [entity.where] : [];
+    const groupBy = [];
+    const having = [];
+    const binds = {};
+    let order = resolveSort(entity, null);
+    let paging = null;
+
+    const addBinds = (values) => {
+        Object.keys(values || {}).forEach((name) => {
+            if (name in binds && binds[name] !== values[name]) {
+                throw new Error(`Bind variable :${name} is already used`);
+            }
+            binds[name] = values[name];
+        });
+    };
+
+    const builder = {
+        // Adds columns chosen by the service itself, not by the caller
+        include(...expressions) {
+            extraColumns.push(...expressions);
+            return builder;
+        },
+        join(clause) {
+            joins.push(clause);
+            return builder;
+        },
+        where(condition, values) {
+            conditions.push(condition);
+            addBinds(values);
+            return builder;
+        },
+        groupBy(...expressions) {
+            groupBy.push(...expressions);
+            return builder;
+        },
+        having(condition, values) {
+            having.push(condition);
+            addBinds(values);
+            return builder;
+        },
+        orderBy(sort) {
+            order = resolveSort(entity, sort);
+            return builder;
+        },
+        // Returns `limit` rows starting after the first `offset` ones
+        page(limit, offset, dialect) {
+            paging = { dialect, binds: { pageLimit: limit, pageOffset: offset || 0 } };
+            return builder;
+        },
+        build() {
+            const parts = [baseQuery()];
+            if (order) {
+                parts.push(`ORDER BY ${order}`);
+            }
+            if (paging) {
+                parts.push(pagingClause(paging.dialect));
+                return { sql: parts.join('\n'), binds: { ...binds, ...paging.binds }, columns: selected };
+            }
+            return { sql: parts.join('\n'), binds, columns: selected };
+        },
+        buildCount() {
+            return { sql: `SELECT COUNT(*) FROM (\n${baseQuery()}\n) counted`, binds };
+        }
+    };
+
+    function baseQuery() {
+        const parts = [
+            `SELECT ${[...selected, ...extraColumns].join(', ')}`,
+            `FROM ${entity.from}`,
+            ...joins
+        ];
+        if (conditions.length > 0) {
+            parts.push(`WHERE ${conditions.join(' AND ')}`);
+        }
+        if (groupBy.length > 0) {
+            parts.push(`GROUP BY ${groupBy.join(', ')}`);
+        }
+        if (having.length > 0) {
+            parts.push(`HAVING ${having.join(' AND ')}`);
+        }
+        return parts.join('\n');
+    }
+
+    return builder;
+}
+
+module.exports = {
+    select,
+    InvalidQueryError
+};
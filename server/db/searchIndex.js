@@ -0,0 +1,197 @@
+const { tokenize, parseQuery, snippet } = require('../utils/textSearch');
+
+// ----------------------------------------------------------
+// Full-text search over recipes. SearchTerms holds one row per word of a
+// recipe's name, cuisine, author, ingredient names and steps, with its stem
+// (see utils/textSearch.js) and its position, so that stems, prefixes and
+// phrases can all be looked up with plain SQL on either database.
+//
+// appService.js calls indexRecipe() whenever it changes a recipe's name,
+// cuisine, steps or ingredients, on the same connection and before the same
+// commit as the change. Recipes in the trash stay indexed; searches only
+// return the ones that are not deleted.
+//
+// Position is item * ITEM_SPAN + word number, where item is the step (in
+// StepNum order) or ingredient (in FoodName order) the word is in, so a
+// phrase never runs from one step into the next.
+
+const ITEM_SPAN = 1000;
+
+// How much a match in each field counts towards a recipe's relevance
+const FIELD_WEIGHTS = {
+    name: 5,
+    ingredient: 3,
+    cuisine: 3,
+    author: 2,
+    step: 1
+};
+
+// Fields a snippet is taken from, most telling first; the recipe card
+// already shows the name and cuisine
+const SNIPPET_FIELDS = ['step', 'ingredient', 'author', 'name', 'cuisine'];
+
+// Only this many of the best matches are returned (Oracle allows at most
+// 1000 values in an IN list)
+const MAX_RESULTS = 500;
+
+// The text of each field, as lists of items
+async function recipeTexts(connection, recipeID) {
+    const recipe = await connection.execute(
+        `SELECT r.RecipeName, r.Cuisine, u.UserName
+        FROM RecipeCreated r
+        LEFT JOIN Users u ON r.UserID = u.UserID
+        WHERE r.RecipeID = :recipeID`,
+        { recipeID }
+    );
+    if (recipe.rows.length === 0) {
+        return null;
+    }
+    const steps = await connection.execute(
+        `SELECT InstructionText FROM StepContains WHERE RecipeID = :recipeID ORDER BY StepNum`,
+        { recipeID }
+    );
+    const ingredients = await connection.execute(
+        `SELECT FoodName FROM FoodsInRecipes WHERE RecipeID = :recipeID ORDER BY FoodName`,
+        { recipeID }
+    );
+    const [name, cuisine, author] = recipe.rows[0];
+    return {
+        name: [name],
+        cuisine: [cuisine],
+        author: author ? [author] : [],
+        ingredient: ingredients.rows.map(([foodName]) => foodName),
+        step: steps.rows.map(([text]) => text)
+    };
+}
+
+// Replaces a recipe's rows in SearchTerms with ones for its current text
+async function indexRecipe(connection, recipeID) {
+    await connection.execute(`DELETE FROM SearchTerms WHERE RecipeID = :recipeID`, { recipeID });
+    const texts = await recipeTexts(connection, recipeID);
+    if (!texts) {
+        return;
+    }
+    for (const field of Object.keys(texts)) {
+        for (const [item, text] of texts[field].entries()) {
+            for (const [index, token] of tokenize(text).slice(0, ITEM_SPAN).entries()) {
+                await connection.execute(
+                    `INSERT INTO SearchTerms (RecipeID, Field, TokenPos, Word, Term)
+                    VALUES (:recipeID, :field, :position, :word, :term)`,
+                    { recipeID, field, position: item * ITEM_SPAN + index, word: token.word, term: token.term }
+                );
+            }
+        }
+    }
+}
+
+// Indexes every recipe again, e.g. after seeding. Returns how many there were.
+async function rebuildSearchIndex(connection) {
+    await connection.execute(`DELETE FROM SearchTerms`);
+    const recipes = await connection.execute(`SELECT RecipeID FROM RecipeCreated ORDER BY RecipeID`);
+    for (const [recipeID] of recipes.rows) {
+        await indexRecipe(connection, recipeID);
+    }
+    return recipes.rows.length;
+}
+
+async function termPostings(connection, condition, binds) {
+    const result = await connection.execute(
+        `SELECT RecipeID, Field, TokenPos FROM SearchTerms WHERE ${condition}`,
+        binds
+    );
+    return result.rows.map(([recipeID, field, position]) => ({ recipeID, field, position }));
+}
+
+// Where a query clause matches, as [{ recipeID, field, position }]. A phrase
+// matches where its words follow each other; every word of it is returned.
+async function clausePostings(connection, clause) {
+    if (clause.type === 'term') {
+        return termPostings(connection, 'Term = :term', { term: clause.term });
+    }
+    if (clause.type === 'prefix') {
+        return termPostings(connection, 'Word LIKE :prefix', { prefix: `${clause.word}%` });
+    }
+    const words = [];
+    for (const term of clause.terms) {
+        words.push(await termPostings(connection, 'Term = :term', { term }));
+    }
+    const key = ({ recipeID, field, position }) => `${recipeID}|${field}|${position}`;
+    const found = words.map((postings) => new Set(postings.map(key)));
+    return words[0]
+        .filter((start) => clause.terms.every((term, offset) => found[offset].has(key({ ...start, position: start.position + offset }))))
+        .flatMap((start) => clause.terms.map((term, offset) => ({ ...start, position: start.position + offset })));
+}
+
+/*
+Finds the recipes that match every clause of a search query (see
+utils/textSearch.js parseQuery), best match first. Relevance adds up, per
+clause, the field weight times 1 + ln(matches in the field), scaled by how
+rare the clause is across recipes. Returns at most MAX_RESULTS of
+[{ recipeID, relevance, matches: [{ field, position }] }].
+*/
+async function searchRecipes(connection, query) {
+    const clauses = parseQuery(query);
+    if (clauses.length === 0) {
+        return [];
+    }
+    const counted = await connection.execute(`SELECT COUNT(*) FROM RecipeCreated WHERE DeletedAt IS NULL`);
+    const recipeCount = Number(counted.rows[0][0]);
+
+    let hits = null;
+    for (const clause of clauses) {
+        const byRecipe = new Map();
+        (await clausePostings(connection, clause)).forEach(({ recipeID, field, position }) => {
+            byRecipe.set(recipeID, [...(byRecipe.get(recipeID) || []), { field, position }]);
+        });
+        const rarity = Math.log(1 + recipeCount / Math.max(1, byRecipe.size));
+
+        const next = new Map();
+        byRecipe.forEach((matches, recipeID) => {
+            if (hits && !hits.has(recipeID)) {
+                return;
+            }
+            const perField = {};
+            matches.forEach(({ field }) => { perField[field] = (perField[field] || 0) + 1; });
+            const score = Object.keys(perField)
+                .reduce((sum, field) => sum + FIELD_WEIGHTS[field] * (1 + Math.log(perField[field])), 0);
+            const previous = hits ? hits.get(recipeID) : { relevance: 0, matches: [] };
+            next.set(recipeID, {
+                recipeID,
+                relevance: previous.relevance + rarity * score,
+                matches: [...previous.matches, ...matches]
+            });
+        });
+        hits = next;
+    }
+
+    return [...hits.values()]
+        .sort((a, b) => b.relevance - a.relevance || a.recipeID - b.recipeID)
+        .slice(0, MAX_RESULTS);
+}
+
+/*
+The part of a found recipe that matched, with the matching words marked:
+{ field: 'step', parts: [{ text: '… Brown the ' }, { text: 'chicken', highlight: true }, ...] }
+`hit` is one of the results of searchRecipes.
+*/
+async function recipeSnippet(connection, hit) {
+    const field = SNIPPET_FIELDS.find((name) => hit.matches.some((match) => match.field === name));
+    const texts = await recipeTexts(connection, hit.recipeID);
+    if (!field || !texts) {
+        return null;
+    }
+    const inField = hit.matches.filter((match) => match.field === field);
+    const item = Math.min(...inField.map((match) => Math.floor(match.position / ITEM_SPAN)));
+    const positions = new Set(inField
+        .filter((match) => Math.floor(match.position / ITEM_SPAN) === item)
+        .map((match) => match.position % ITEM_SPAN));
+    const parts = texts[field][item] === undefined ? null : snippet(texts[field][item], positions);
+    return parts ? { field, parts } : null;
+}
+
+module.exports = {
+    indexRecipe,
+    rebuildSearchIndex,
+    searchRecipes,
+    recipeSnippet
+};
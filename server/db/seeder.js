@@ -0,0 +1,69 @@
+const FIXTURES = require('../seeds/fixtures');
+const { rebuildSearchIndex } = require('./searchIndex');
+const { rebuildNutrition } = require('./nutrition');
+
+// ----------------------------------------------------------
+// Loads fixture data (see seeds/fixtures.js) into a migrated database.
+// Existing rows in the fixture tables are removed first, and everything runs
+// in one transaction, so a failed seed leaves the database as it was.
+// The search index and recipe nutrition are rebuilt for the new recipes
+// afterwards.
+
+function insertStatement(fixture, columns, dialect) {
+    const values = columns.map((column) => {
+        if (dialect === 'oracle' && fixture.dates && fixture.dates.includes(column)) {
+            return `TO_DATE(:${column}, 'YYYY-MM-DD HH24:MI:SS')`;
+        }
+        return `:${column}`;
+    });
+    const returning = fixture.id ? ` RETURNING ${fixture.id} INTO :newId` : '';
+    return `INSERT INTO ${fixture.table} (${columns.join(', ')}) VALUES (${values.join(', ')})${returning}`;
+}
+
+// `db` is the storage adapter, which supplies the dialect and bind constants
+async function seedDatabase(connection, db, fixtures = FIXTURES) {
+    // Fixture id -> id assigned by the database, per auto-increment table
+    const assignedIds = {};
+
+    try {
+        for (const fixture of [...fixtures].reverse()) {
+            await connection.execute(`DELETE FROM ${fixture.table}`);
+        }
+
+        for (const fixture of fixtures) {
+            assignedIds[fixture.table] = {};
+            const refs = fixture.refs || {};
+
+            for (const row of fixture.rows) {
+                const binds = {};
+                Object.keys(row).forEach((column) => {
+                    if (column === fixture.id) {
+                        return;
+                    }
+                    const refTable = refs[column];
+                    binds[column] = refTable ? assignedIds[refTable][row[column]] : row[column];
+                });
+                const columns = Object.keys(binds);
+                if (fixture.id) {
+                    binds.newId = { type: db.INTEGER, dir: db.BIND_OUT };
+                }
+
+                const result = await connection.execute(insertStatement(fixture, columns, db.dialect), binds);
+                if (fixture.id) {
+                    assignedIds[fixture.table][row[fixture.id]] = result.outBinds.newId[0];
+                }
+            }
+            console.log(`Seeded ${fixture.rows.length} rows into ${fixture.table}`);
+        }
+        const indexed = await rebuildSearchIndex(connection);
+        console.log(`Indexed ${indexed} recipes for search`);
+        await rebuildNutrition(connection);
+
+        await connection.commit();
+    } catch (err) {
+        await connection.rollback();
+        throw err;
+    }
+}
+
+module.exports = { seedDatabase };
@@ -0,0 +1,277 @@
+const fs = require('fs');
+const initSqlJs = require('sql.js');
+const { migrateUp } = require('./migrator');
+const { seedDatabase } = require('./seeder');
+
+// ----------------------------------------------------------
+// Embedded SQLite storage adapter (sql.js, no native build needed).
+//
+// Connections mimic the small part of the oracledb Connection API that
+// appService.js uses: execute(sql, binds, options), commit(), rollback()
+// and close(). Oracle-only syntax used by the service layer is rewritten
+// before it reaches SQLite, result column names are upper-cased the way
+// Oracle reports unquoted identifiers, and uncommitted work is rolled back
+// on close, like a released pool connection.
+//
+// With a filename the database is stored on disk and is migrated and seeded
+// with `npm run migrate` and `npm run seed`, like the Oracle database. With no
+// filename it lives in memory: it is migrated and seeded when opened and is
+// lost on exit.
+
+const BIND_OUT = 'BIND_OUT';
+const INTEGER = 'INTEGER';
+const OUT_FORMAT_OBJECT = 'OUT_FORMAT_OBJECT';
+
+function createSqliteAdapter({ filename } = {}) {
+    let database = null;
+    let ready = null;
+
+    // sql.js is synchronous and has a single connection, so callers take turns:
+    // each getConnection() waits for the previous connection to be closed.
+    let lock = Promise.resolve();
+
+    async function open() {
+        const SQL = await initSqlJs();
+        if (filename && fs.existsSync(filename)) {
+            database = new SQL.Database(fs.readFileSync(filename));
+        } else {
+            database = new SQL.Database();
+        }
+        database.run('PRAGMA foreign_keys = ON');
+
+        if (!filename) {
+            const connection = createConnection(() => {});
+            try {
+                await migrateUp(connection, 'sqlite');
+                await seedDatabase(connection, adapter);
+            } finally {
+                await connection.close();
+            }
+        }
+        console.log(`SQLite database ready (${filename || 'in-memory'})`);
+    }
+
+    // Write the database back to disk. export() reopens the database, which
+    // resets pragmas, so foreign keys are switched back on afterwards.
+    function persist() {
+        if (!filename) {
+            return;
+        }
+        fs.writeFileSync(filename, Buffer.from(database.export()));
+        database.run('PRAGMA foreign_keys = ON');
+    }
+
+    async function initialize() {
+        if (!ready) {
+            ready = open();
+        }
+        try {
+            await ready;
+        } catch (err) {
+            console.error('Initialization error: ' + err.message);
+        }
+    }
+
+    async function close() {
+        await lock;
+        if (database) {
+            persist();
+            database.close();
+            database = null;
+        }
+        console.log('SQLite database closed');
+    }
+
+    async function getConnection() {
+        if (!ready) {
+            ready = open();
+        }
+        await ready;
+
+        let release;
+        const previous = lock;
+        lock = new Promise((resolve) => { release = resolve; });
+        await previous;
+
+        return createConnection(release);
+    }
+
+    function createConnection(release) {
+        let inTransaction = false;
+        let closed = false;
+
+        function begin() {
+            if (!inTransaction) {
+                database.run('BEGIN');
+                inTransaction = true;
+            }
+        }
+
+        async function execute(sql, binds = [], options = {}) {
+            if (closed) {
+                throw new Error('Connection is closed');
+            }
+            const { text, returnInto } = translate(sql);
+            const isQuery = /^\s*(SELECT|WITH|PRAGMA)\b/i.test(text);
+            if (!isQuery) {
+                begin();
+            }
+
+            const stmt = database.prepare(text);
+            const rows = [];
+            let columns;
+            try {
+                stmt.bind(toSqliteBinds(binds));
+                columns = stmt.getColumnNames().map((name) => name.toUpperCase());
+                while (stmt.step()) {
+                    rows.push(stmt.get());
+                }
+            } finally {
+                stmt.free();
+            }
+
+            const result = {};
+            if (isQuery) {
+                result.metaData = columns.map((name) => ({ name }));
+                result.rows = options.outFormat === OUT_FORMAT_OBJECT ? toObjects(columns, rows) : rows;
+            } else {
+                result.rowsAffected = database.getRowsModified();
+                if (returnInto.length > 0) {
+                    result.outBinds = {};
+                    returnInto.forEach((bindName, index) => {
+                        result.outBinds[bindName] = rows.map((row) => row[index]);
+                    });
+                }
+            }
+
+            if (options.autoCommit) {
+                await commit();
+            }
+            return result;
+        }
+
+        async function commit() {
+            if (inTransaction) {
+                database.run('COMMIT');
+                inTransaction = false;
+                persist();
+            }
+        }
+
+        async function rollback() {
+            if (inTransaction) {
+                database.run('ROLLBACK');
+                inTransaction = false;
+            }
+        }
+
+        async function closeConnection() {
+            if (closed) {
+                return;
+            }
+            try {
+                await rollback();
+            } finally {
+                closed = true;
+                release();
+            }
+        }
+
+        return { execute, commit, rollback, close: closeConnection };
+    }
+
+    const adapter = {
+        name: filename ? 'sqlite' : 'memory',
+        dialect: 'sqlite',
+        initialize,
+        close,
+        getConnection,
+        INTEGER,
+        BIND_OUT,
+        OUT_FORMAT_OBJECT,
+        classifyError,
+        // Catalog queries used by the admin pages, shaped like Oracle's data dictionary
+        catalog: {
+            tableNames: `
+                SELECT UPPER(name) AS table_name
+                FROM sqlite_master
+                WHERE type = 'table' AND name NOT LIKE 'sqlite_%'
+                ORDER BY name`,
+            tableColumns: `SELECT UPPER(name) AS column_name FROM pragma_table_info(:tableName)`
+        }
+    };
+    return adapter;
+}
+
+// Rewrites the Oracle-specific pieces of a statement into SQLite syntax.
+// "RETURNING col INTO :bind" becomes a plain RETURNING clause whose values
+// are handed back as outBinds, the way oracledb reports them.
+function translate(sql) {
+    let returnInto = [];
+    let text = sql.replace(/RETURNING\s+([\w\s,]+?)\s+INTO\s+(:\w+(?:\s*,\s*:\w+)*)/i, (match, cols, binds) => {
+        returnInto = binds.split(',').map((bind) => bind.trim().slice(1));
+        return `RETURNING ${cols}`;
+    });
+    text = text.replace(/\bSYSDATE\b/gi, `datetime('now', 'localtime')`);
+    text = text.replace(/TO_DATE\(\s*([^,()]+?)\s*,\s*'[^']*'\s*\)/gi, '$1');
+    return { text, returnInto };
+}
+
+// Says what kind of failure an SQLite error is, using the same names as the
+// Oracle adapter: 'conflict', 'reference', 'invalid', or null. sql.js only
+// reports a message, so the message text is matched.
+function classifyError(err) {
+    const message = err.message || '';
+    if (/UNIQUE constraint failed/.test(message)) {
+        return 'conflict';
+    }
+    if (/FOREIGN KEY constraint failed/.test(message)) {
+        return 'reference';
+    }
+    if (/(NOT NULL|CHECK) constraint failed|datatype mismatch/.test(message)) {
+        return 'invalid';
+    }
+    return null;
+}
+
+function toSqliteValue(value) {
+    if (value === undefined) {
+        return null;
+    }
+    if (typeof value === 'boolean') {
+        return value ? 1 : 0;
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    return value;
+}
+
+// Oracle accepts positional arrays and { name: value } objects. Out binds
+// ({ dir: BIND_OUT }) are dropped because RETURNING produces them instead.
+function toSqliteBinds(binds) {
+    if (Array.isArray(binds)) {
+        return binds.map(toSqliteValue);
+    }
+    const named = {};
+    Object.keys(binds || {}).forEach((key) => {
+        const value = binds[key];
+        if (value && typeof value === 'object' && value.dir === BIND_OUT) {
+            return;
+        }
+        named[`:${key}`] = toSqliteValue(value);
+    });
+    return named;
+}
+
+function toObjects(columns, rows) {
+    return rows.map((row) => {
+        const rowDict = {};
+        row.forEach((value, index) => {
+            rowDict[columns[index]] = value;
+        });
+        return rowDict;
+    });
+}
+
+module.exports = createSqliteAdapter;
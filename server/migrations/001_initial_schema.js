@@ -0,0 +1,240 @@
+const { autoIncrement, dropAutoIncrement, dropTable } = require('../db/migrator');
+
+// Initial schema: every table appService.js queries, in dependency order.
+// Users, RecipeCreated and SavedPantry get auto-increment keys.
+
+const CREATE_USERS = `
+    CREATE TABLE Users(
+        UserID INTEGER,
+        UserName VARCHAR(50) UNIQUE,
+        Points INTEGER DEFAULT 0,
+        PRIMARY KEY (UserID)
+    )`;
+
+const CREATE_USER_LEVELS = `
+    CREATE TABLE UserLevels(
+        Points INTEGER,
+        UserLevel INTEGER,
+        PRIMARY KEY (Points)
+    )`;
+
+const CREATE_RECIPE_CREATED = `
+    CREATE TABLE RecipeCreated(
+        RecipeID INTEGER,
+        RecipeName VARCHAR(50),
+        Cuisine VARCHAR(30),
+        CookingTime VARCHAR(30),
+        UserID INTEGER,
+        PRIMARY KEY (RecipeID),
+        FOREIGN KEY (UserID) REFERENCES Users(UserID)
+            ON DELETE SET NULL
+    )`;
+
+const CREATE_RECIPE_LEVELS = `
+    CREATE TABLE RecipeLevels(
+        Cuisine VARCHAR(30),
+        RecipeLevel INTEGER,
+        PRIMARY KEY (Cuisine)
+    )`;
+
+const CREATE_RECIPES_LIKED = `
+    CREATE TABLE RecipesLiked(
+        RecipeID INTEGER,
+        UserID INTEGER,
+        PRIMARY KEY (RecipeID, UserID),
+        FOREIGN KEY (RecipeID) REFERENCES RecipeCreated(RecipeID)
+            ON DELETE CASCADE,
+        FOREIGN KEY (UserID) REFERENCES Users(UserID)
+            ON DELETE CASCADE
+    )`;
+
+const CREATE_IMAGES = `
+    CREATE TABLE Images(
+        ImageURL VARCHAR(512),
+        Caption VARCHAR(512),
+        RecipeID INTEGER,
+        PRIMARY KEY (ImageURL, RecipeID),
+        FOREIGN KEY (RecipeID) REFERENCES RecipeCreated(RecipeID)
+            ON DELETE CASCADE
+    )`;
+
+const CREATE_STEP_CONTAINS = `
+    CREATE TABLE StepContains(
+        StepNum INTEGER,
+        InstructionText VARCHAR(512) NOT NULL,
+        RecipeID INTEGER,
+        PRIMARY KEY (StepNum, RecipeID),
+        FOREIGN KEY (RecipeID) REFERENCES RecipeCreated(RecipeID)
+            ON DELETE CASCADE
+    )`;
+
+const CREATE_LOCATIONS = `
+    CREATE TABLE Locations(
+        Street VARCHAR(30),
+        City VARCHAR(30),
+        Province VARCHAR(30),
+        LocationType VARCHAR(30),
+        PRIMARY KEY (Street, City, Province)
+    )`;
+
+const CREATE_USER_LOCATIONS = `
+    CREATE TABLE UserLocations(
+        UserID INTEGER,
+        Street VARCHAR(30),
+        City VARCHAR(30),
+        Province VARCHAR(30),
+        PRIMARY KEY (UserID, Street, City, Province),
+        FOREIGN KEY (UserID) REFERENCES Users(UserID)
+            ON DELETE CASCADE,
+        FOREIGN KEY (Street, City, Province) REFERENCES Locations(Street, City, Province)
+            ON DELETE CASCADE
+    )`;
+
+const CREATE_GROCERY_STORE = `
+    CREATE TABLE GroceryStore(
+        Street VARCHAR(30),
+        City VARCHAR(30),
+        Province VARCHAR(30),
+        StoreName VARCHAR(30) NOT NULL,
+        PRIMARY KEY (Street, City, Province)
+    )`;
+
+const CREATE_NEARBY_STORES = `
+    CREATE TABLE NearbyStores(
+        LocationStreet VARCHAR(30),
+        LocationCity VARCHAR(30),
+        LocationProvince VARCHAR(30),
+        GroceryStoreStreet VARCHAR(30),
+        GroceryStoreCity VARCHAR(30),
+        GroceryStoreProvince VARCHAR(30),
+        Distance INTEGER NOT NULL,
+        PRIMARY KEY(LocationStreet, LocationCity, LocationProvince, GroceryStoreStreet, GroceryStoreCity, GroceryStoreProvince),
+        FOREIGN KEY (LocationStreet, LocationCity, LocationProvince) REFERENCES Locations(Street, City, Province)
+            ON DELETE CASCADE,
+        FOREIGN KEY (GroceryStoreStreet, GroceryStoreCity, GroceryStoreProvince) REFERENCES GroceryStore(Street, City, Province)
+            ON DELETE CASCADE
+    )`;
+
+const CREATE_SAVED_PANTRY = `
+    CREATE TABLE SavedPantry(
+        PantryID INTEGER,
+        Category VARCHAR(30),
+        PRIMARY KEY (PantryID)
+    )`;
+
+const CREATE_USER_PANTRIES = `
+    CREATE TABLE UserPantries(
+        UserID INTEGER,
+        PantryID INTEGER,
+        PRIMARY KEY (UserID, PantryID),
+        FOREIGN KEY (UserID) REFERENCES Users(UserID)
+            ON DELETE CASCADE,
+        FOREIGN KEY (PantryID) REFERENCES SavedPantry(PantryID)
+            ON DELETE CASCADE
+    )`;
+
+const CREATE_FOOD_ITEM = `
+    CREATE TABLE FoodItem(
+        FoodName VARCHAR(30),
+        ShelfLife VARCHAR(50),
+        Calories INTEGER,
+        FoodGroup VARCHAR(30),
+        PRIMARY KEY (FoodName)
+    )`;
+
+const CREATE_HEALTHY_LOOKUP = `
+    CREATE TABLE HealthyLookup(
+        Calories INTEGER,
+        FoodGroup VARCHAR(30),
+        Healthy NUMBER(1),
+        PRIMARY KEY (Calories, FoodGroup)
+    )`;
+
+const CREATE_FOODS_IN_RECIPES = `
+    CREATE TABLE FoodsInRecipes(
+        FoodName VARCHAR(30),
+        RecipeID INTEGER,
+        Quantity INTEGER NOT NULL,
+        PRIMARY KEY (FoodName, RecipeID),
+        FOREIGN KEY (FoodName) REFERENCES FoodItem(FoodName)
+            ON DELETE CASCADE,
+        FOREIGN KEY (RecipeID) REFERENCES RecipeCreated(RecipeID)
+            ON DELETE CASCADE
+    )`;
+
+const CREATE_INGREDIENT_INSTANCES = `
+    CREATE TABLE IngredientInstances(
+        DateAdded DATE,
+        ExpiryDate DATE,
+        FoodName VARCHAR(30),
+        PantryID INTEGER,
+        Quantity INTEGER,
+        PRIMARY KEY (DateAdded, FoodName, PantryID),
+        FOREIGN KEY (FoodName) REFERENCES FoodItem(FoodName)
+            ON DELETE CASCADE,
+        FOREIGN KEY (PantryID) REFERENCES SavedPantry(PantryID)
+            ON DELETE CASCADE
+    )`;
+
+async function up(connection, dialect) {
+    const statements = [
+        CREATE_USERS,
+        ...autoIncrement(dialect, 'Users', 'UserID', 'User'),
+        CREATE_USER_LEVELS,
+        CREATE_RECIPE_CREATED,
+        ...autoIncrement(dialect, 'RecipeCreated', 'RecipeID', 'Recipe'),
+        CREATE_RECIPE_LEVELS,
+        CREATE_RECIPES_LIKED,
+        CREATE_IMAGES,
+        CREATE_STEP_CONTAINS,
+        CREATE_LOCATIONS,
+        CREATE_USER_LOCATIONS,
+        CREATE_GROCERY_STORE,
+        CREATE_NEARBY_STORES,
+        CREATE_SAVED_PANTRY,
+        ...autoIncrement(dialect, 'SavedPantry', 'PantryID', 'Pantry'),
+        CREATE_USER_PANTRIES,
+        CREATE_FOOD_ITEM,
+        CREATE_HEALTHY_LOOKUP,
+        CREATE_FOODS_IN_RECIPES,
+        CREATE_INGREDIENT_INSTANCES
+    ];
+    for (const statement of statements) {
+        await connection.execute(statement);
+    }
+}
+
+async function down(connection, dialect) {
+    const tables = [
+        'IngredientInstances',
+        'FoodsInRecipes',
+        'HealthyLookup',
+        'FoodItem',
+        'UserPantries',
+        'SavedPantry',
+        'NearbyStores',
+        'GroceryStore',
+        'UserLocations',
+        'Locations',
+        'StepContains',
+        'Images',
+        'RecipesLiked',
+        'RecipeLevels',
+        'RecipeCreated',
+        'UserLevels',
+        'Users'
+    ];
+    for (const table of tables) {
+        await connection.execute(dropTable(dialect, table));
+    }
+    const sequences = [
+        ...dropAutoIncrement(dialect, 'User'),
+        ...dropAutoIncrement(dialect, 'Recipe'),
+        ...dropAutoIncrement(dialect, 'Pantry')
+    ];
+    for (const statement of sequences) {
+        await connection.execute(statement);
+    }
+}
+
+module.exports = { up, down };
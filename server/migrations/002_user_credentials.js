@@ -0,0 +1,12 @@
+// Password hashes for logging in (see utils/auth.js). Users created before
+// this migration have no password and can't log in until one is set.
+
+async function up(connection) {
+    await connection.execute('ALTER TABLE Users ADD PasswordHash VARCHAR(200)');
+}
+
+async function down(connection) {
+    await connection.execute('ALTER TABLE Users DROP COLUMN PasswordHash');
+}
+
+module.exports = { up, down };
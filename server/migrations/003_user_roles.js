@@ -0,0 +1,14 @@
+// User roles for authorization (see authorization.js): 'user' or 'admin'.
+// Existing users become regular users.
+
+async function up(connection) {
+    await connection.execute(`
+        ALTER TABLE Users ADD UserRole VARCHAR(10) DEFAULT 'user' NOT NULL
+            CHECK (UserRole IN ('user', 'admin'))`);
+}
+
+async function down(connection) {
+    await connection.execute('ALTER TABLE Users DROP COLUMN UserRole');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,44 @@
+const { autoIncrement, dropAutoIncrement, dropTable } = require('../db/migrator');
+
+// Audit trail of every create, update and delete made through appService.js
+// (see db/audit.js). ActorID has no foreign key so entries outlive the user
+// who made them; ActorName keeps the name they had at the time. OldValue and
+// NewValue hold JSON, which can outgrow a VARCHAR on Oracle.
+
+function createAuditLog(dialect) {
+    const json = dialect === 'oracle' ? 'CLOB' : 'TEXT';
+    return `
+    CREATE TABLE AuditLog(
+        AuditID INTEGER,
+        ChangedAt DATE NOT NULL,
+        ActorID INTEGER,
+        ActorName VARCHAR(50),
+        Action VARCHAR(10) NOT NULL CHECK (Action IN ('create', 'update', 'delete')),
+        Entity VARCHAR(30) NOT NULL,
+        EntityKey VARCHAR(200) NOT NULL,
+        OldValue ${json},
+        NewValue ${json},
+        PRIMARY KEY (AuditID)
+    )`;
+}
+
+async function up(connection, dialect) {
+    const statements = [
+        createAuditLog(dialect),
+        ...autoIncrement(dialect, 'AuditLog', 'AuditID', 'Audit'),
+        'CREATE INDEX AuditLogChangedAt ON AuditLog (ChangedAt)',
+        'CREATE INDEX AuditLogEntity ON AuditLog (Entity, EntityKey)'
+    ];
+    for (const statement of statements) {
+        await connection.execute(statement);
+    }
+}
+
+async function down(connection, dialect) {
+    await connection.execute(dropTable(dialect, 'AuditLog'));
+    for (const statement of dropAutoIncrement(dialect, 'Audit')) {
+        await connection.execute(statement);
+    }
+}
+
+module.exports = { up, down };
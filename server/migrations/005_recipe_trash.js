@@ -0,0 +1,17 @@
+// Soft delete for recipes. A deleted recipe keeps its row, steps, images,
+// likes and ingredients, with DeletedAt set, until it is restored or purged
+// (see purgeDeletedRecipes in appService.js).
+
+async function up(connection) {
+    await connection.execute('ALTER TABLE RecipeCreated ADD DeletedAt DATE');
+    await connection.execute('CREATE INDEX RecipeDeletedAt ON RecipeCreated (DeletedAt)');
+}
+
+async function down(connection) {
+    // Recipes in the trash would come back as live ones
+    await connection.execute('DELETE FROM RecipeCreated WHERE DeletedAt IS NOT NULL');
+    await connection.execute('DROP INDEX RecipeDeletedAt');
+    await connection.execute('ALTER TABLE RecipeCreated DROP COLUMN DeletedAt');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,34 @@
+const { dropTable } = require('../db/migrator');
+
+// Numbered revisions of each recipe (see saveRevision in appService.js).
+// Snapshot holds the recipe's name, cuisine, cooking time, steps, images and
+// ingredients as JSON. RestoredFrom is set on revisions made by a rollback.
+// Like AuditLog, SavedByID has no foreign key so revisions outlive their
+// author's account; they go when the recipe itself is purged.
+
+function createRecipeRevisions(dialect) {
+    const json = dialect === 'oracle' ? 'CLOB' : 'TEXT';
+    return `
+    CREATE TABLE RecipeRevisions(
+        RecipeID INTEGER,
+        Revision INTEGER,
+        SavedAt DATE NOT NULL,
+        SavedByID INTEGER,
+        SavedByName VARCHAR(50),
+        RestoredFrom INTEGER,
+        Snapshot ${json} NOT NULL,
+        PRIMARY KEY (RecipeID, Revision),
+        FOREIGN KEY (RecipeID) REFERENCES RecipeCreated(RecipeID)
+            ON DELETE CASCADE
+    )`;
+}
+
+async function up(connection, dialect) {
+    await connection.execute(createRecipeRevisions(dialect));
+}
+
+async function down(connection, dialect) {
+    await connection.execute(dropTable(dialect, 'RecipeRevisions'));
+}
+
+module.exports = { up, down };
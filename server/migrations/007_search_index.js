@@ -0,0 +1,37 @@
+const { dropTable } = require('../db/migrator');
+const { rebuildSearchIndex } = require('../db/searchIndex');
+
+// Full-text index of recipes (see db/searchIndex.js): one row per word of a
+// recipe's name, cuisine, author, ingredients and steps. Word is the word as
+// written (lower case, no accents) for prefix searches, Term its stem.
+// Existing recipes are indexed when the table is created.
+
+const createSearchTerms = `
+    CREATE TABLE SearchTerms(
+        RecipeID INTEGER,
+        Field VARCHAR(20),
+        TokenPos INTEGER,
+        Word VARCHAR(50) NOT NULL,
+        Term VARCHAR(50) NOT NULL,
+        PRIMARY KEY (RecipeID, Field, TokenPos),
+        FOREIGN KEY (RecipeID) REFERENCES RecipeCreated(RecipeID)
+            ON DELETE CASCADE
+    )`;
+
+async function up(connection, dialect) {
+    const statements = [
+        createSearchTerms,
+        'CREATE INDEX SearchTermsTerm ON SearchTerms (Term)',
+        'CREATE INDEX SearchTermsWord ON SearchTerms (Word)'
+    ];
+    for (const statement of statements) {
+        await connection.execute(statement);
+    }
+    await rebuildSearchIndex(connection);
+}
+
+async function down(connection, dialect) {
+    await connection.execute(dropTable(dialect, 'SearchTerms'));
+}
+
+module.exports = { up, down };
@@ -0,0 +1,56 @@
+const { autoIncrement, dropAutoIncrement, dropTable } = require('../db/migrator');
+
+// Saved shopping lists. A list belongs to the user who made it and, when it
+// is linked to a pantry, is shared with everyone that pantry is saved for;
+// items checked off can go straight into that pantry. Deleting the pantry
+// unlinks its lists. Checked is 0 or 1.
+
+const CREATE_SHOPPING_LISTS = `
+    CREATE TABLE ShoppingLists(
+        ListID INTEGER,
+        ListName VARCHAR(50) NOT NULL,
+        OwnerID INTEGER NOT NULL,
+        PantryID INTEGER,
+        CreatedAt DATE NOT NULL,
+        PRIMARY KEY (ListID),
+        FOREIGN KEY (OwnerID) REFERENCES Users(UserID)
+            ON DELETE CASCADE,
+        FOREIGN KEY (PantryID) REFERENCES SavedPantry(PantryID)
+            ON DELETE SET NULL
+    )`;
+
+const CREATE_SHOPPING_LIST_ITEMS = `
+    CREATE TABLE ShoppingListItems(
+        ListID INTEGER,
+        FoodName VARCHAR(30),
+        Quantity INTEGER NOT NULL,
+        Checked INTEGER DEFAULT 0 NOT NULL CHECK (Checked IN (0, 1)),
+        PRIMARY KEY (ListID, FoodName),
+        FOREIGN KEY (ListID) REFERENCES ShoppingLists(ListID)
+            ON DELETE CASCADE,
+        FOREIGN KEY (FoodName) REFERENCES FoodItem(FoodName)
+            ON DELETE CASCADE
+    )`;
+
+async function up(connection, dialect) {
+    const statements = [
+        CREATE_SHOPPING_LISTS,
+        ...autoIncrement(dialect, 'ShoppingLists', 'ListID', 'ShoppingList'),
+        'CREATE INDEX ShoppingListsOwner ON ShoppingLists (OwnerID)',
+        'CREATE INDEX ShoppingListsPantry ON ShoppingLists (PantryID)',
+        CREATE_SHOPPING_LIST_ITEMS
+    ];
+    for (const statement of statements) {
+        await connection.execute(statement);
+    }
+}
+
+async function down(connection, dialect) {
+    await connection.execute(dropTable(dialect, 'ShoppingListItems'));
+    await connection.execute(dropTable(dialect, 'ShoppingLists'));
+    for (const statement of dropAutoIncrement(dialect, 'ShoppingList')) {
+        await connection.execute(statement);
+    }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,61 @@
+const { autoIncrement, dropAutoIncrement, dropTable } = require('../db/migrator');
+
+// Meal plans: recipes put into breakfast, lunch and dinner slots on given
+// dates. Like a shopping list, a plan belongs to the user who made it and
+// is shared with everyone its linked pantry is saved for. A slot can hold
+// several recipes (a main and a side), hence MealID. Servings scales the
+// recipe, e.g. 0.5 for half of it.
+
+const CREATE_MEAL_PLANS = `
+    CREATE TABLE MealPlans(
+        PlanID INTEGER,
+        PlanName VARCHAR(50) NOT NULL,
+        OwnerID INTEGER NOT NULL,
+        PantryID INTEGER,
+        CreatedAt DATE NOT NULL,
+        PRIMARY KEY (PlanID),
+        FOREIGN KEY (OwnerID) REFERENCES Users(UserID)
+            ON DELETE CASCADE,
+        FOREIGN KEY (PantryID) REFERENCES SavedPantry(PantryID)
+            ON DELETE SET NULL
+    )`;
+
+const CREATE_PLANNED_MEALS = `
+    CREATE TABLE PlannedMeals(
+        MealID INTEGER,
+        PlanID INTEGER NOT NULL,
+        MealDate DATE NOT NULL,
+        Slot VARCHAR(10) NOT NULL CHECK (Slot IN ('breakfast', 'lunch', 'dinner')),
+        RecipeID INTEGER NOT NULL,
+        Servings DECIMAL(6, 2) DEFAULT 1 NOT NULL,
+        PRIMARY KEY (MealID),
+        FOREIGN KEY (PlanID) REFERENCES MealPlans(PlanID)
+            ON DELETE CASCADE,
+        FOREIGN KEY (RecipeID) REFERENCES RecipeCreated(RecipeID)
+            ON DELETE CASCADE
+    )`;
+
+async function up(connection, dialect) {
+    const statements = [
+        CREATE_MEAL_PLANS,
+        ...autoIncrement(dialect, 'MealPlans', 'PlanID', 'MealPlan'),
+        'CREATE INDEX MealPlansOwner ON MealPlans (OwnerID)',
+        'CREATE INDEX MealPlansPantry ON MealPlans (PantryID)',
+        CREATE_PLANNED_MEALS,
+        ...autoIncrement(dialect, 'PlannedMeals', 'MealID', 'PlannedMeal'),
+        'CREATE INDEX PlannedMealsDate ON PlannedMeals (PlanID, MealDate)'
+    ];
+    for (const statement of statements) {
+        await connection.execute(statement);
+    }
+}
+
+async function down(connection, dialect) {
+    await connection.execute(dropTable(dialect, 'PlannedMeals'));
+    await connection.execute(dropTable(dialect, 'MealPlans'));
+    for (const statement of [...dropAutoIncrement(dialect, 'PlannedMeal'), ...dropAutoIncrement(dialect, 'MealPlan')]) {
+        await connection.execute(statement);
+    }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,58 @@
+const { autoIncrement, dropAutoIncrement, dropTable } = require('../db/migrator');
+
+// Cooking history: each time a user cooks a recipe from a pantry's stock.
+// CookedIngredients keeps, per food, how much the servings cooked needed
+// and how much the pantry had to give; the difference is what was short.
+// FoodName is kept as written so that the history outlives the food item.
+
+const CREATE_COOKING_HISTORY = `
+    CREATE TABLE CookingHistory(
+        CookID INTEGER,
+        RecipeID INTEGER NOT NULL,
+        PantryID INTEGER,
+        UserID INTEGER NOT NULL,
+        Servings DECIMAL(6, 2) NOT NULL,
+        CookedAt DATE NOT NULL,
+        PRIMARY KEY (CookID),
+        FOREIGN KEY (RecipeID) REFERENCES RecipeCreated(RecipeID)
+            ON DELETE CASCADE,
+        FOREIGN KEY (PantryID) REFERENCES SavedPantry(PantryID)
+            ON DELETE SET NULL,
+        FOREIGN KEY (UserID) REFERENCES Users(UserID)
+            ON DELETE CASCADE
+    )`;
+
+const CREATE_COOKED_INGREDIENTS = `
+    CREATE TABLE CookedIngredients(
+        CookID INTEGER,
+        FoodName VARCHAR(30),
+        Needed INTEGER NOT NULL,
+        Used INTEGER NOT NULL,
+        PRIMARY KEY (CookID, FoodName),
+        FOREIGN KEY (CookID) REFERENCES CookingHistory(CookID)
+            ON DELETE CASCADE
+    )`;
+
+async function up(connection, dialect) {
+    const statements = [
+        CREATE_COOKING_HISTORY,
+        ...autoIncrement(dialect, 'CookingHistory', 'CookID', 'Cooking'),
+        'CREATE INDEX CookingHistoryUser ON CookingHistory (UserID)',
+        'CREATE INDEX CookingHistoryRecipe ON CookingHistory (RecipeID)',
+        'CREATE INDEX CookingHistoryPantry ON CookingHistory (PantryID)',
+        CREATE_COOKED_INGREDIENTS
+    ];
+    for (const statement of statements) {
+        await connection.execute(statement);
+    }
+}
+
+async function down(connection, dialect) {
+    await connection.execute(dropTable(dialect, 'CookedIngredients'));
+    await connection.execute(dropTable(dialect, 'CookingHistory'));
+    for (const statement of dropAutoIncrement(dialect, 'Cooking')) {
+        await connection.execute(statement);
+    }
+}
+
+module.exports = { up, down };
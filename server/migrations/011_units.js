@@ -0,0 +1,45 @@
+// Units of measure (see utils/units.js). Recipe ingredients, pantry stock,
+// shopping list items and cooked ingredients get a Unit, 'each' for the
+// counts they held so far, and their quantities may have decimals. FoodItem
+// gets a Density in grams per millilitre for converting between mass and
+// volume, and Users the system quantities are shown in.
+//
+// SQLite keeps decimals in INTEGER columns as they are, so only Oracle needs
+// the quantity columns widened. Going down drops the units but leaves the
+// Oracle columns wide: Oracle won't narrow a column that holds data.
+
+const UNIT_TABLES = ['FoodsInRecipes', 'IngredientInstances', 'ShoppingListItems', 'CookedIngredients'];
+
+const DECIMAL_COLUMNS = {
+    FoodsInRecipes: ['Quantity'],
+    IngredientInstances: ['Quantity'],
+    ShoppingListItems: ['Quantity'],
+    CookedIngredients: ['Needed', 'Used']
+};
+
+async function up(connection, dialect) {
+    const statements = [
+        'ALTER TABLE FoodItem ADD Density DECIMAL(8, 4)',
+        `ALTER TABLE Users ADD PreferredUnits VARCHAR(10) DEFAULT 'metric' NOT NULL
+            CHECK (PreferredUnits IN ('metric', 'imperial'))`,
+        ...UNIT_TABLES.map((table) => `ALTER TABLE ${table} ADD Unit VARCHAR(10) DEFAULT 'each' NOT NULL`)
+    ];
+    if (dialect === 'oracle') {
+        Object.entries(DECIMAL_COLUMNS).forEach(([table, columns]) => {
+            statements.push(`ALTER TABLE ${table} MODIFY (${columns.map((column) => `${column} NUMBER`).join(', ')})`);
+        });
+    }
+    for (const statement of statements) {
+        await connection.execute(statement);
+    }
+}
+
+async function down(connection) {
+    for (const table of UNIT_TABLES) {
+        await connection.execute(`ALTER TABLE ${table} DROP COLUMN Unit`);
+    }
+    await connection.execute('ALTER TABLE Users DROP COLUMN PreferredUnits');
+    await connection.execute('ALTER TABLE FoodItem DROP COLUMN Density');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,40 @@
+const { dropTable } = require('../db/migrator');
+const { rebuildNutrition } = require('../db/nutrition');
+
+// Recipe nutrition (see db/nutrition.js). RecipeCreated gets Serves, how many
+// servings a recipe makes, for per-serving calories; recipes so far count as
+// one. RecipeNutrition holds the totals recipe lists filter and sort on, and
+// is filled for the existing recipes when it is created. Its calories are
+// null for recipes with no countable ingredients, and Uncounted says how
+// many ingredients the totals leave out.
+
+const CREATE_RECIPE_NUTRITION = `
+    CREATE TABLE RecipeNutrition(
+        RecipeID INTEGER,
+        Calories DECIMAL(10, 1),
+        CaloriesPerServing DECIMAL(10, 1),
+        HealthScore INTEGER,
+        Uncounted INTEGER DEFAULT 0 NOT NULL,
+        PRIMARY KEY (RecipeID),
+        FOREIGN KEY (RecipeID) REFERENCES RecipeCreated(RecipeID)
+            ON DELETE CASCADE
+    )`;
+
+async function up(connection, dialect) {
+    const statements = [
+        `ALTER TABLE RecipeCreated ADD Serves INTEGER DEFAULT 1 NOT NULL CHECK (Serves > 0)`,
+        CREATE_RECIPE_NUTRITION,
+        'CREATE INDEX RecipeNutritionPerServing ON RecipeNutrition (CaloriesPerServing)'
+    ];
+    for (const statement of statements) {
+        await connection.execute(statement);
+    }
+    await rebuildNutrition(connection);
+}
+
+async function down(connection, dialect) {
+    await connection.execute(dropTable(dialect, 'RecipeNutrition'));
+    await connection.execute('ALTER TABLE RecipeCreated DROP COLUMN Serves');
+}
+
+module.exports = { up, down };
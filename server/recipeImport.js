@@ -0,0 +1,120 @@
+const { check } = require('./utils/validate');
+const { parseCsv } = require('./utils/csv');
+const { ValidationError } = require('./utils/errors');
+const schemas = require('./schemas');
+const { parseUnit } = require('./utils/units');
+
+// ----------------------------------------------------------
+// Turns an import file into recipe documents for appService.importRecipes.
+// JSON imports are an array of documents as POST /recipe takes them. CSV
+// imports have a header row and one recipe per row:
+//
+//     RecipeName,Cuisine,CookingTime,Serves,Steps,Ingredients,ImageURLs,ImageCaptions
+//     Dal,Indian,0 00:40,4,Rinse lentils|Simmer 30 minutes,Lentils:200 g|Onion:1,https://...,Dinner
+//
+// Steps, Ingredients, ImageURLs and ImageCaptions hold several values
+// separated by '|', and each ingredient is written FoodName:Quantity, with
+// a unit after the quantity unless it is a count (see utils/units.js). Only
+// RecipeName, Cuisine and CookingTime are required columns; Serves defaults
+// to 1. The header names ignore case and spaces.
+
+const MAX_IMPORT_ROWS = 1000;
+const LIST_SEPARATOR = '|';
+
+const CSV_COLUMNS = {
+    recipename: 'RecipeName',
+    cuisine: 'Cuisine',
+    cookingtime: 'CookingTime',
+    serves: 'Serves',
+    steps: 'Steps',
+    ingredients: 'Ingredients',
+    imageurls: 'ImageURLs',
+    imagecaptions: 'ImageCaptions'
+};
+const REQUIRED_CSV_COLUMNS = ['RecipeName', 'Cuisine', 'CookingTime'];
+
+function splitList(value) {
+    return (value || '').split(LIST_SEPARATOR).map((item) => item.trim()).filter((item) => item !== '');
+}
+
+// 'Olive oil:2 tbsp' -> { FoodName: 'Olive oil', Quantity: '2', Unit: 'tbsp' };
+// validation parses the quantity and reports a missing one or an unknown unit
+function parseIngredient(text) {
+    const separator = text.lastIndexOf(':');
+    if (separator < 0) {
+        return { FoodName: text };
+    }
+    const [, Quantity, unit] = /^(\S*)\s*(.*)$/.exec(text.slice(separator + 1).trim());
+    return {
+        FoodName: text.slice(0, separator).trim(),
+        Quantity,
+        ...(unit && { Unit: parseUnit(unit) || unit })
+    };
+}
+
+function recordsFromCsv(text) {
+    let rows;
+    try {
+        rows = parseCsv(text);
+    } catch (err) {
+        throw new ValidationError('The CSV file could not be read', { csv: err.message });
+    }
+    if (rows.length === 0) {
+        throw new ValidationError('The CSV file is empty', { csv: 'Has no header row' });
+    }
+
+    const columns = rows[0].map((name) => CSV_COLUMNS[name.toLowerCase().replace(/[\s_]/g, '')]);
+    const missing = REQUIRED_CSV_COLUMNS.filter((column) => !columns.includes(column));
+    if (missing.length > 0) {
+        throw new ValidationError('The CSV file is missing columns', { csv: `Needs the columns ${missing.join(', ')}` });
+    }
+
+    return rows.slice(1).map((cells) => {
+        const values = {};
+        columns.forEach((column, index) => {
+            if (column) {
+                values[column] = cells[index];
+            }
+        });
+        const captions = (values.ImageCaptions || '').split(LIST_SEPARATOR).map((caption) => caption.trim());
+        return {
+            RecipeName: values.RecipeName,
+            Cuisine: values.Cuisine,
+            CookingTime: values.CookingTime,
+            ...(values.Serves && { Serves: values.Serves }),
+            steps: splitList(values.Steps),
+            images: splitList(values.ImageURLs).map((ImageURL, index) => ({ ImageURL, Caption: captions[index] })),
+            ingredients: splitList(values.Ingredients).map(parseIngredient)
+        };
+    });
+}
+
+/*
+Checks each record against schemas.importRecipe. Returns one entry per
+record, numbered from 1 in file order: { row, RecipeName, recipe } with the
+cleaned document, or { row, RecipeName, status: 'rejected', errors }.
+*/
+function prepareImport(records) {
+    if (records.length > MAX_IMPORT_ROWS) {
+        throw new ValidationError('Too many recipes', { recipes: `Must have at most ${MAX_IMPORT_ROWS} recipes per import` });
+    }
+    return records.map((record, index) => {
+        const row = index + 1;
+        if (typeof record !== 'object' || record === null || Array.isArray(record)) {
+            return { row, RecipeName: null, status: 'rejected', errors: { recipe: 'Must be an object' } };
+        }
+        const { values, errors } = check(schemas.importRecipe.body, record);
+        if (Object.keys(errors).length === 0) {
+            Object.assign(errors, schemas.importRecipe.check({ body: values }) || {});
+        }
+        if (Object.keys(errors).length > 0) {
+            return { row, RecipeName: record.RecipeName ?? null, status: 'rejected', errors };
+        }
+        return { row, RecipeName: values.RecipeName, recipe: values };
+    });
+}
+
+module.exports = {
+    recordsFromCsv,
+    prepareImport
+};
@@ -0,0 +1,247 @@
+const { ValidationError } = require('./utils/errors');
+const { DEFAULT_UNIT, convert, formatAmount, parseUnit, roundQuantity } = require('./utils/units');
+
+// ----------------------------------------------------------
+// Converts recipes to and from schema.org Recipe JSON-LD
+// (https://schema.org/Recipe), the format recipe sites embed in their pages.
+//
+// Export maps a recipe document (see fetchRecipeDocument in appService.js)
+// to a Recipe: name, recipeCuisine, totalTime as an ISO 8601 duration,
+// recipeYield as '4 servings', recipeIngredient as '2 tbsp Olive oil' (or '2 Chicken' for a count),
+// recipeInstructions as HowToSteps and image as URLs or ImageObjects. Import
+// goes the other way, into a document as POST /recipe takes it. Other sites'
+// ingredients are free text, so the leading amount becomes the Quantity and
+// a unit from utils/units.js after it the Unit; other units (cloves, cans,
+// ...) are counted as each, and notes after a comma are dropped.
+
+const CONTEXT = 'https://schema.org';
+
+// 'D HH:MM' -> 'P1DT2H30M'
+function toDuration(cookingTime) {
+    const match = /^(\d+) (\d+):(\d+)$/.exec(cookingTime || '');
+    if (!match) {
+        return undefined;
+    }
+    const [days, hours, minutes] = match.slice(1).map(Number);
+    const time = `${hours ? `${hours}H` : ''}${minutes ? `${minutes}M` : ''}`;
+    if (!days && !time) {
+        return 'PT0M';
+    }
+    return `P${days ? `${days}D` : ''}${time ? `T${time}` : ''}`;
+}
+
+// 'PT1H30M' -> minutes, or null if it isn't a duration
+function durationMinutes(duration) {
+    const match = /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/i.exec(String(duration || '').trim());
+    if (!match || match.slice(1).every((part) => part === undefined)) {
+        return null;
+    }
+    const [weeks, days, hours, minutes, seconds] = match.slice(1).map((part) => Number(part || 0));
+    return ((weeks * 7 + days) * 24 + hours) * 60 + minutes + Math.ceil(seconds / 60);
+}
+
+// minutes -> 'D HH:MM'
+function toCookingTime(totalMinutes) {
+    const days = Math.floor(totalMinutes / (24 * 60));
+    const hours = Math.floor(totalMinutes / 60) % 24;
+    const minutes = totalMinutes % 60;
+    return `${days} ${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+function toSchemaOrgRecipe(recipe) {
+    return {
+        '@context': CONTEXT,
+        '@type': 'Recipe',
+        identifier: String(recipe.RecipeID),
+        name: recipe.RecipeName,
+        ...(recipe.UserName && { author: { '@type': 'Person', name: recipe.UserName } }),
+        recipeCuisine: recipe.Cuisine,
+        totalTime: toDuration(recipe.CookingTime),
+        ...(recipe.Serves && { recipeYield: `${recipe.Serves} ${recipe.Serves === 1 ? 'serving' : 'servings'}` }),
+        image: recipe.images.map((image) => (image.Caption
+            ? { '@type': 'ImageObject', url: image.ImageURL, caption: image.Caption }
+            : image.ImageURL)),
+        recipeIngredient: recipe.ingredients.map((ingredient) => `${formatAmount(ingredient.Quantity, ingredient.Unit)} ${ingredient.FoodName}`),
+        recipeInstructions: recipe.steps.map((text, index) => ({ '@type': 'HowToStep', position: index + 1, text }))
+    };
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+// Recipe sites often put HTML in text fields
+function plainText(value) {
+    return String(value ?? '')
+        .replace(/<[^>]*>/g, ' ')
+        .replace(/&(#\d+|#x[0-9a-f]+|\w+);/gi, (entity, code) => {
+            if (code[0] === '#') {
+                return String.fromCodePoint(code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10));
+            }
+            return ENTITIES[code.toLowerCase()] ?? entity;
+        })
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function asList(value) {
+    if (value === undefined || value === null) {
+        return [];
+    }
+    return Array.isArray(value) ? value : [value];
+}
+
+function isRecipe(node) {
+    return asList(node['@type']).some((type) => /(^|[/:])Recipe$/.test(String(type)));
+}
+
+// Finds the Recipe in a JSON-LD document: the document itself, an array of
+// nodes, or a node's @graph
+function findRecipe(document) {
+    if (!document || typeof document !== 'object') {
+        return null;
+    }
+    if (Array.isArray(document)) {
+        for (const node of document) {
+            const recipe = findRecipe(node);
+            if (recipe) {
+                return recipe;
+            }
+        }
+        return null;
+    }
+    return isRecipe(document) ? document : findRecipe(document['@graph']);
+}
+
+// Reads the JSON-LD blocks of a saved recipe page and returns its Recipe
+function findRecipeInHtml(html) {
+    const scripts = /<script[^>]*type\s*=\s*["']?application\/ld\+json["']?[^>]*>([\s\S]*?)<\/script>/gi;
+    let match;
+    while ((match = scripts.exec(html)) !== null) {
+        try {
+            const recipe = findRecipe(JSON.parse(match[1]));
+            if (recipe) {
+                return recipe;
+            }
+        } catch (err) {
+            // Not valid JSON; try the next block
+        }
+    }
+    return null;
+}
+
+// HowToStep, HowToSection (with itemListElement), plain strings, or one
+// block of text with a step per line
+function instructionTexts(instructions) {
+    return asList(instructions).flatMap((item) => {
+        if (typeof item === 'string') {
+            return item.split(/\r?\n/).map(plainText);
+        }
+        if (item && item.itemListElement) {
+            return instructionTexts(item.itemListElement);
+        }
+        return [plainText(item && (item.text || item.name))];
+    }).filter((text) => text !== '');
+}
+
+function imageList(image) {
+    return asList(image).map((item) => (typeof item === 'string'
+        ? { ImageURL: item }
+        : { ImageURL: item && (item.url || item.contentUrl), Caption: item && item.caption ? plainText(item.caption) : undefined }))
+        .filter((item) => item.ImageURL);
+}
+
+const VULGAR_FRACTIONS = { '½': 0.5, '¼': 0.25, '¾': 0.75, '⅓': 1 / 3, '⅔': 2 / 3, '⅛': 0.125 };
+const AMOUNT = /^(\d+\s+\d+\/\d+|\d+\/\d+|\d*\s*[½¼¾⅓⅔⅛]|\d+(?:[.,]\d+)?)\s*/;
+const UNIT = /^(fl\.? oz|fluid ounces?|cups?|c|tablespoons?|tbsps?|tbs|teaspoons?|tsps?|milligrams?|mg|grams?|g|kilograms?|kg|millilit(?:er|re)s?|ml|lit(?:er|re)s?|l|ounces?|oz|pounds?|lbs?|pints?|pt|quarts?|qt|gallons?|gal|dozen|cloves?|pinch(?:es)?|cans?|slices?|pieces?|bunch(?:es)?|handfuls?)\.?\s+(?:of\s+)?/i;
+
+// '1 1/2', '1½', '0.5' -> 1.5, 1.5, 0.5
+function parseAmount(text) {
+    return text.replace(/([½¼¾⅓⅔⅛])/, ' $1').trim().split(/\s+/).reduce((total, part) => {
+        if (VULGAR_FRACTIONS[part] !== undefined) {
+            return total + VULGAR_FRACTIONS[part];
+        }
+        const [numerator, denominator] = part.split('/');
+        return total + (denominator ? Number(numerator) / Number(denominator) : Number(numerator.replace(',', '.')));
+    }, 0);
+}
+
+// '2 cups flour, sifted' -> { FoodName: 'Flour', Quantity: 2, Unit: 'cup' }
+function parseIngredient(line) {
+    let text = plainText(line);
+    const amount = AMOUNT.exec(text);
+    const quantity = amount ? Math.max(0.001, roundQuantity(parseAmount(amount[1]))) : 1;
+    text = text.slice(amount ? amount[0].length : 0);
+    const unit = UNIT.exec(text);
+    text = text.slice(unit ? unit[0].length : 0);
+    const name = text.split(/[,(]/)[0].trim();
+    return {
+        FoodName: name.charAt(0).toUpperCase() + name.slice(1),
+        Quantity: quantity,
+        Unit: (unit && parseUnit(unit[1].replace('.', ''))) || DEFAULT_UNIT
+    };
+}
+
+// The same food listed twice (e.g. for the sauce and the filling) becomes one
+// ingredient with the quantities added up in the first one's unit. An amount
+// that doesn't convert to it is dropped, as a recipe lists each food once.
+function ingredientList(lines) {
+    const byName = new Map();
+    asList(lines).map(parseIngredient).filter((ingredient) => ingredient.FoodName !== '').forEach((ingredient) => {
+        const existing = byName.get(ingredient.FoodName);
+        const added = existing && convert(ingredient.Quantity, ingredient.Unit, existing.Unit);
+        if (!existing) {
+            byName.set(ingredient.FoodName, ingredient);
+        } else if (added !== null) {
+            byName.set(ingredient.FoodName, { ...existing, Quantity: roundQuantity(existing.Quantity + added) });
+        }
+    });
+    return [...byName.values()];
+}
+
+// The servings in a recipeYield such as 4, '4 servings', 'Serves 4-6' or
+// ['4', '4 servings'] (the first number given)
+function servings(recipeYield) {
+    for (const value of asList(recipeYield)) {
+        const match = /\d+/.exec(plainText(typeof value === 'object' ? value.value : value));
+        if (match && Number(match[0]) > 0) {
+            return Number(match[0]);
+        }
+    }
+    return undefined;
+}
+
+// totalTime, or prepTime plus cookTime
+function cookingTime(recipe) {
+    const total = durationMinutes(recipe.totalTime);
+    if (total !== null) {
+        return toCookingTime(total);
+    }
+    const parts = [recipe.prepTime, recipe.cookTime].map(durationMinutes).filter((minutes) => minutes !== null);
+    return parts.length > 0 ? toCookingTime(parts.reduce((sum, minutes) => sum + minutes, 0)) : undefined;
+}
+
+/*
+Turns a JSON-LD document (or, with `html`, a saved page containing one) into
+a recipe document for recipeImport.prepareImport. Throws ValidationError if
+there is no Recipe in it.
+*/
+function fromSchemaOrg({ document, html }) {
+    const recipe = html !== undefined ? findRecipeInHtml(html) : findRecipe(document);
+    if (!recipe) {
+        const field = html !== undefined ? 'html' : 'document';
+        throw new ValidationError('No schema.org Recipe found', { [field]: 'Has no JSON-LD node of @type Recipe' });
+    }
+    return {
+        RecipeName: plainText(recipe.name) || undefined,
+        Cuisine: plainText(asList(recipe.recipeCuisine)[0]) || undefined,
+        CookingTime: cookingTime(recipe),
+        Serves: servings(recipe.recipeYield),
+        steps: instructionTexts(recipe.recipeInstructions),
+        images: imageList(recipe.image),
+        ingredients: ingredientList(recipe.recipeIngredient)
+    };
+}
+
+module.exports = {
+    toSchemaOrgRecipe,
+    fromSchemaOrg
+};
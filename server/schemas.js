@@ -0,0 +1,475 @@
+const { string, number, integer, boolean, date, array, list, object, raw } = require('./utils/validate');
+const { UNIT_NAMES, DEFAULT_UNIT, UNIT_SYSTEMS } = require('./utils/units');
+
+// ----------------------------------------------------------
+// Request schemas for the routes in appController.js, checked by
+// utils/validate.js before a request reaches appService. String lengths
+// follow the column sizes in migrations/001_initial_schema.js.
+
+// Cooking times are written D HH:MM, e.g. '0 00:30'
+const COOKING_TIME = /^\d (?:[01]?\d|2[0-3]):[0-5]\d$/;
+
+const id = () => integer({ min: 1 });
+
+// Quantities of food, in one of the units in utils/units.js ('each' when
+// none is given). The database keeps three decimals.
+const quantity = (options = {}) => number({ min: 0.001, max: 1000000, ...options });
+const unit = () => string({ oneOf: UNIT_NAMES, default: DEFAULT_UNIT });
+
+// Grams per millilitre, for converting a food between mass and volume
+const density = () => number({ min: 0.01, max: 25, optional: true });
+
+const withId = { params: { id: id() } };
+
+const recipeDocument = {
+    RecipeName: string({ max: 50 }),
+    Cuisine: string({ max: 30 }),
+    CookingTime: string({ pattern: COOKING_TIME, patternMessage: 'Must take the format D HH:MM' }),
+    // How many servings the recipe makes
+    Serves: integer({ min: 1, max: 100, default: 1 }),
+    steps: array(string({ max: 512 }), { default: [] }),
+    images: array(object({
+        ImageURL: string({ max: 512 }),
+        Caption: string({ max: 512, optional: true })
+    }), { default: [] }),
+    ingredients: array(object({
+        FoodName: string({ max: 30 }),
+        Quantity: quantity(),
+        Unit: unit()
+    }), { default: [] })
+};
+
+// Errors for the foods listed more than once in `items`, found at body[field]
+function duplicateFoods(items, field, message) {
+    const errors = {};
+    const seen = new Set();
+    items.forEach((item, index) => {
+        if (seen.has(item.FoodName)) {
+            errors[`${field}[${index}].FoodName`] = message;
+        }
+        seen.add(item.FoodName);
+    });
+    return errors;
+}
+
+// Each food may appear once per recipe (FoodName is part of the key)
+function checkDuplicateIngredients({ body }) {
+    return duplicateFoods(body.ingredients, 'ingredients', 'Is already in this recipe');
+}
+
+// An imported recipe may bring the details of foods that are not known yet,
+// as POST /ingredient does
+const importedRecipeDocument = {
+    ...recipeDocument,
+    ingredients: array(object({
+        FoodName: string({ max: 30 }),
+        Quantity: quantity(),
+        Unit: unit(),
+        ShelfLife: string({ max: 50, optional: true }),
+        Calories: integer({ min: 0, optional: true }),
+        FoodGroup: string({ max: 30, optional: true }),
+        Density: density()
+    }), { default: [] })
+};
+
+// Optional paging for list endpoints: ?limit=20&offset=40. Without a limit
+// the whole list is returned.
+const MAX_PAGE_SIZE = 100;
+
+const paging = {
+    limit: integer({ min: 1, max: MAX_PAGE_SIZE, optional: true }),
+    offset: integer({ min: 0, default: 0 })
+};
+
+function checkPaging({ query }) {
+    return query.offset > 0 && query.limit === undefined ? { offset: 'Needs a limit' } : null;
+}
+
+// Meal plan slots, in the order of the day
+const MEAL_SLOTS = ['breakfast', 'lunch', 'dinner'];
+
+// How many times a recipe is cooked, e.g. 0.5 for half of it
+const servings = (options = {}) => number({ min: 0.1, max: 100, ...options });
+
+// The dates a meal plan is shown for: ?from=2024-07-01&days=7. Without from,
+// the current week from Monday.
+const planRange = {
+    from: date({ optional: true }),
+    days: integer({ min: 1, max: 31, default: 7 })
+};
+
+// Passwords are kept exactly as typed
+const password = () => string({ min: 8, max: 100, trim: false });
+
+const like = {
+    body: { RecipeID: id() }
+};
+
+module.exports = {
+    // Recipes
+    listRecipes: {
+        query: {
+            columns: list(string(), { optional: true }),
+            filter: string({ max: 30, optional: true }),
+            cuisine: list(string({ max: 30 }), { optional: true }),
+            id: string({ max: 50, optional: true }),
+            // Full-text search query (see db/searchIndex.js)
+            q: string({ max: 200, optional: true }),
+            img: string({ optional: true }),
+            captionless: integer({ min: 0, max: 1, optional: true }),
+            user: integer({ min: 1, optional: true }),
+            maxTime: string({ pattern: COOKING_TIME, patternMessage: 'Must take the format D HH:MM', optional: true }),
+            minLevel: integer({ min: 0, optional: true }),
+            maxLevel: integer({ min: 0, optional: true }),
+            minLikes: integer({ min: 0, optional: true }),
+            include: list(string({ max: 30 }), { optional: true }),
+            exclude: list(string({ max: 30 }), { optional: true }),
+            liked: boolean({ default: false }),
+            // Calories per serving and health score (see utils/nutrition.js)
+            minCalories: number({ min: 0, optional: true }),
+            maxCalories: number({ min: 0, optional: true }),
+            minHealthScore: integer({ min: 0, max: 100, optional: true }),
+            sort: string({ optional: true }),
+            ...paging
+        },
+        check: (req) => {
+            const { minLevel, maxLevel, minCalories, maxCalories, include = [], exclude = [] } = req.query;
+            const both = include.filter((foodName) => exclude.includes(foodName));
+            return {
+                ...checkPaging(req),
+                ...(minLevel !== undefined && maxLevel !== undefined && minLevel > maxLevel ? { maxLevel: 'Must not be below minLevel' } : {}),
+                ...(minCalories !== undefined && maxCalories !== undefined && minCalories > maxCalories ? { maxCalories: 'Must not be below minCalories' } : {}),
+                ...(both.length > 0 ? { exclude: `Can't also be included: ${both.join(', ')}` } : {})
+            };
+        }
+    },
+    recipeById: {
+        params: { id: id() },
+        // jsonld: the recipe as schema.org Recipe JSON-LD (also chosen by
+        // Accept: application/ld+json)
+        query: { format: string({ oneOf: ['json', 'jsonld'], optional: true }) }
+    },
+    likedRecipesByUser: withId,
+    likeRecipe: like,
+    unlikeRecipe: like,
+    createRecipe: {
+        body: recipeDocument,
+        check: checkDuplicateIngredients
+    },
+    replaceRecipe: {
+        params: { id: id() },
+        body: recipeDocument,
+        check: checkDuplicateIngredients
+    },
+    deleteRecipe: withId,
+    restoreRecipe: withId,
+    recipeRevisions: {
+        params: { id: id() },
+        query: { ...paging },
+        check: checkPaging
+    },
+    recipeRevision: {
+        params: { id: id(), revision: id() }
+    },
+    recipeDiff: {
+        params: { id: id() },
+        query: { from: id(), to: id() }
+    },
+    trash: {
+        query: { ...paging },
+        check: checkPaging
+    },
+    recipeSteps: withId,
+    cookRecipe: {
+        params: { id: id() },
+        body: {
+            PantryID: id(),
+            servings: servings({ default: 1 })
+        }
+    },
+    cookingHistory: {
+        params: { id: id() },
+        query: { ...paging },
+        check: checkPaging
+    },
+    cuisineCounts: {
+        query: { threshold: integer({ min: 0, optional: true }) }
+    },
+
+    // Images
+    recipeImages: {
+        params: { id: id() },
+        query: { captionless: boolean({ optional: true }) }
+    },
+    insertImages: {
+        params: { id: id() },
+        body: {
+            ImageURL: array(string({ max: 512 }), { min: 1 }),
+            Caption: array(string({ max: 512, optional: true }), { min: 1 })
+        },
+        check: ({ body }) => (body.ImageURL.length === body.Caption.length ? null : {
+            Caption: 'Must have one caption per image URL'
+        })
+    },
+    addImage: {
+        body: {
+            recipeID: id(),
+            imageURL: string({ max: 512 }),
+            caption: string({ max: 512, optional: true })
+        }
+    },
+    deleteImages: withId,
+
+    // Steps
+    insertSteps: {
+        params: { id: id() },
+        body: { steps: array(string({ max: 512 }), { min: 1 }) }
+    },
+    deleteSteps: withId,
+
+    // Users
+    userById: {
+        params: { id: id() },
+        query: { columns: list(string(), { optional: true }) }
+    },
+    listUsers: {
+        query: {
+            columns: list(string(), { optional: true }),
+            sort: string({ optional: true }),
+            ...paging
+        },
+        check: checkPaging
+    },
+    createUser: {
+        body: {
+            UserName: string({ max: 50 }),
+            Password: password()
+        }
+    },
+    login: {
+        body: {
+            UserName: string({ max: 50 }),
+            Password: string({ max: 100, trim: false })
+        }
+    },
+    addPoints: withId,
+    userPreferences: {
+        params: { id: id() },
+        body: { PreferredUnits: string({ oneOf: UNIT_SYSTEMS }) }
+    },
+
+    // Food items
+    recipeFoodItems: {
+        params: { id: id() },
+        query: { columns: list(string(), { optional: true }) }
+    },
+
+    // Pantries
+    pantryIngredients: withId,
+    pantryCookable: withId,
+    userCookable: {
+        params: { id: id() },
+        // Default: all of the user's pantries
+        query: { pantries: list(id(), { optional: true }) }
+    },
+    userExpiring: {
+        params: { id: id() },
+        // Default days: EXPIRING_SOON_DAYS in appService.js; pantries: all of the user's
+        query: {
+            days: integer({ min: 0, max: 365, optional: true }),
+            pantries: list(id(), { optional: true })
+        }
+    },
+    userPantries: withId,
+    pantryById: withId,
+    addPantryToUser: {
+        // The user the pantry is shared with
+        body: { PantryID: id(), UserID: id() }
+    },
+    createPantry: {
+        body: { Category: string({ max: 30 }) }
+    },
+    addIngredient: {
+        body: {
+            PantryID: id(),
+            FoodName: string({ max: 30 }),
+            Quantity: quantity(),
+            Unit: unit(),
+            ExpiryDate: date(),
+            // Only used when FoodName is not a known food item yet
+            ShelfLife: string({ max: 50, optional: true }),
+            Calories: integer({ min: 0, optional: true }),
+            FoodGroup: string({ max: 30, optional: true }),
+            Density: density()
+        }
+    },
+
+    // Shopping list
+    shoppingList: {
+        body: {
+            recipes: array(object({
+                RecipeID: id(),
+                servings: servings({ default: 1 })
+            }), { min: 1, max: 100 }),
+            // Default: all of the user's pantries
+            pantries: array(id(), { optional: true })
+        }
+    },
+
+    // Saved shopping lists
+    createShoppingList: {
+        body: {
+            ListName: string({ max: 50 }),
+            PantryID: integer({ min: 1, optional: true }),
+            items: array(object({
+                FoodName: string({ max: 30 }),
+                Quantity: quantity(),
+                Unit: unit()
+            }), { default: [], max: 200 })
+        },
+        check: ({ body }) => duplicateFoods(body.items, 'items', 'Is already on this list')
+    },
+    shoppingListById: withId,
+    updateShoppingList: {
+        params: { id: id() },
+        // Without a PantryID the list is unlinked from its pantry
+        body: {
+            ListName: string({ max: 50 }),
+            PantryID: integer({ min: 1, optional: true })
+        }
+    },
+    addShoppingListItem: {
+        params: { id: id() },
+        body: {
+            FoodName: string({ max: 30 }),
+            Quantity: quantity(),
+            Unit: unit()
+        }
+    },
+    updateShoppingListItem: {
+        params: { id: id(), food: string({ max: 30 }) },
+        body: {
+            // In the unit the item is listed in
+            Quantity: quantity({ optional: true }),
+            Checked: boolean({ optional: true }),
+            // Default: restock when the list has a pantry
+            restock: boolean({ optional: true }),
+            // Default: today plus the food's ShelfLife
+            ExpiryDate: date({ optional: true })
+        },
+        check: ({ body }) => (body.Quantity === undefined && body.Checked === undefined ? {
+            Checked: 'Send Quantity, Checked or both'
+        } : null)
+    },
+    deleteShoppingListItem: {
+        params: { id: id(), food: string({ max: 30 }) }
+    },
+
+    // Meal plans
+    createMealPlan: {
+        body: {
+            PlanName: string({ max: 50 }),
+            PantryID: integer({ min: 1, optional: true })
+        }
+    },
+    mealPlanById: {
+        params: { id: id() },
+        query: planRange
+    },
+    mealPlanNeeds: {
+        params: { id: id() },
+        // Default: the plan's pantry, or all of its owner's pantries
+        query: { ...planRange, pantries: list(id(), { optional: true }) }
+    },
+    updateMealPlan: {
+        params: { id: id() },
+        // Without a PantryID the plan is unlinked from its pantry
+        body: {
+            PlanName: string({ max: 50 }),
+            PantryID: integer({ min: 1, optional: true })
+        }
+    },
+    deleteMealPlan: withId,
+    addPlannedMeal: {
+        params: { id: id() },
+        body: {
+            MealDate: date(),
+            Slot: string({ oneOf: MEAL_SLOTS }),
+            RecipeID: id(),
+            Servings: servings({ default: 1 })
+        }
+    },
+    updatePlannedMeal: {
+        params: { id: id(), mealId: id() },
+        body: {
+            MealDate: date({ optional: true }),
+            Slot: string({ oneOf: MEAL_SLOTS, optional: true }),
+            Servings: servings({ optional: true })
+        },
+        check: ({ body }) => (Object.values(body).every((value) => value === undefined) ? {
+            MealDate: 'Send MealDate, Slot or Servings'
+        } : null)
+    },
+    deletePlannedMeal: {
+        params: { id: id(), mealId: id() }
+    },
+
+    // Bulk import. importRecipe checks each imported recipe (see recipeImport.js).
+    importRecipes: {
+        body: {
+            recipes: array(raw(), { optional: true }),
+            csv: string({ optional: true, trim: false }),
+            // Author of the imported recipes; defaults to the admin importing them
+            UserID: integer({ min: 1, optional: true }),
+            dryRun: boolean({ default: false })
+        },
+        check: ({ body }) => ((body.recipes === undefined) === (body.csv === undefined) ? {
+            recipes: 'Send either recipes (a JSON array) or csv'
+        } : null)
+    },
+    importRecipe: {
+        body: importedRecipeDocument,
+        check: checkDuplicateIngredients
+    },
+    // One schema.org Recipe (see schemaOrg.js): the JSON-LD document itself,
+    // or a saved recipe page that contains it
+    importSchemaOrgRecipe: {
+        body: {
+            document: raw({ optional: true }),
+            html: string({ optional: true, trim: false })
+        },
+        check: ({ body }) => ((body.document === undefined) === (body.html === undefined) ? {
+            document: 'Send either document (JSON-LD) or html'
+        } : null)
+    },
+
+    // Admin
+    tableColumns: {
+        query: { table: string({ max: 30 }) }
+    },
+    tableData: {
+        query: {
+            table: string({ max: 30 }),
+            columns: list(string(), { optional: true }),
+            sort: string({ optional: true }),
+            ...paging
+        },
+        check: checkPaging
+    },
+    auditLog: {
+        query: {
+            actor: integer({ min: 1, optional: true }),
+            entity: string({ max: 30, optional: true }),
+            action: string({ oneOf: ['create', 'update', 'delete'], optional: true }),
+            key: string({ max: 200, optional: true }),
+            from: date({ optional: true }),
+            to: date({ optional: true }),
+            sort: string({ optional: true }),
+            ...paging
+        },
+        check: (req) => ({
+            ...checkPaging(req),
+            ...(req.query.from && req.query.to && req.query.from > req.query.to ? { to: 'Must not be before from' } : {})
+        })
+    }
+};
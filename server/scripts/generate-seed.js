@@ -0,0 +1,67 @@
+const fs = require('fs');
+const { generateFixtures } = require('../seeds/generator');
+
+// ----------------------------------------------------------
+// Generates a reproducible synthetic data set (see seeds/generator.js).
+// Run from the server folder:
+//   node scripts/generate-seed.js [--users 50] [--seed 1] [--recipes-per-user 3]
+//                                 [--likes-per-user 10] [--today YYYY-MM-DD] [--out file.json]
+// Without --out the data replaces the contents of the configured database,
+// which must already be migrated. With --out it is written to a JSON file
+// that can be loaded later with: node scripts/seed.js --file file.json
+
+function parseArgs(args) {
+    const options = {};
+    for (let i = 0; i < args.length; i += 2) {
+        const name = args[i].replace(/^--/, '');
+        const value = args[i + 1];
+        if (value === undefined) {
+            throw new Error(`Missing value for --${name}`);
+        }
+        switch (name) {
+            case 'users': options.users = parseInt(value, 10); break;
+            case 'seed': options.seed = parseInt(value, 10); break;
+            case 'recipes-per-user': options.recipesPerUser = parseInt(value, 10); break;
+            case 'likes-per-user': options.likesPerUser = parseInt(value, 10); break;
+            case 'today': options.today = value; break;
+            case 'out': options.out = value; break;
+            default: throw new Error(`Unknown option --${name}`);
+        }
+    }
+    ['users', 'seed', 'recipesPerUser', 'likesPerUser'].forEach((key) => {
+        if (options[key] !== undefined && (isNaN(options[key]) || options[key] < 0)) {
+            throw new Error(`Option ${key} must be a non-negative integer`);
+        }
+    });
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const fixtures = generateFixtures(options);
+    fixtures.forEach((fixture) => console.log(`Generated ${fixture.rows.length} rows for ${fixture.table}`));
+
+    if (options.out) {
+        fs.writeFileSync(options.out, JSON.stringify(fixtures, null, 2));
+        console.log(`Wrote ${options.out}`);
+        return;
+    }
+
+    // Only connect when loading, so --out works without a database
+    const db = require('../db');
+    const { seedDatabase } = require('../db/seeder');
+    await db.initialize();
+    const connection = await db.getConnection();
+    try {
+        await seedDatabase(connection, db, fixtures);
+        console.log('Seed complete');
+    } finally {
+        await connection.close();
+        await db.close();
+    }
+}
+
+main().catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,85 @@
+const fs = require('fs');
+const path = require('path');
+const db = require('../db');
+const appService = require('../appService');
+const { recordsFromCsv, prepareImport } = require('../recipeImport');
+
+// ----------------------------------------------------------
+// Imports recipes from a JSON or CSV file (see recipeImport.js for the
+// formats), as POST /recipes/import does. Run from the server folder:
+//   node scripts/import-recipes.js recipes.csv --user 3 [--dry-run]
+// --user is the UserID of the recipes' author. The file type comes from its
+// extension. Exits with status 1 if any recipe was rejected.
+
+function parseArgs(args) {
+    const options = { dryRun: false };
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--dry-run') {
+            options.dryRun = true;
+        } else if (args[i] === '--user') {
+            options.user = parseInt(args[++i], 10);
+        } else if (args[i].startsWith('--')) {
+            throw new Error(`Unknown option ${args[i]}`);
+        } else {
+            options.file = args[i];
+        }
+    }
+    if (!options.file) {
+        throw new Error('Usage: node scripts/import-recipes.js <file.json|file.csv> --user <UserID> [--dry-run]');
+    }
+    if (!(options.user > 0)) {
+        throw new Error('--user must be the UserID of the recipes\' author');
+    }
+    return options;
+}
+
+function readRecords(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    switch (path.extname(file).toLowerCase()) {
+        case '.csv':
+            return recordsFromCsv(text);
+        case '.json': {
+            const records = JSON.parse(text);
+            if (!Array.isArray(records)) {
+                throw new Error('A JSON import must be an array of recipes');
+            }
+            return records;
+        }
+        default:
+            throw new Error('The file must end in .json or .csv');
+    }
+}
+
+function describe(row) {
+    switch (row.status) {
+        case 'created':
+            return row.createdFoodItems.length > 0 ? `new foods: ${row.createdFoodItems.join(', ')}` : '';
+        case 'skipped':
+            return row.reason;
+        default:
+            return Object.entries(row.errors).map(([field, message]) => `${field}: ${message}`).join('; ');
+    }
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    try {
+        const prepared = prepareImport(readRecords(options.file));
+        const report = await appService.importRecipes(prepared, options.user, options.dryRun, null);
+        report.rows.forEach((row) => {
+            console.log(`${String(row.row).padStart(4)}  ${row.status.padEnd(8)}  ${row.RecipeName ?? ''}  ${describe(row)}`);
+        });
+        console.log(`${options.dryRun ? 'Dry run: would create' : 'Created'} ${report.created}, skipped ${report.skipped}, rejected ${report.rejected}`);
+        if (report.rejected > 0) {
+            process.exitCode = 1;
+        }
+    } finally {
+        await db.close();
+    }
+}
+
+main().catch((err) => {
+    // Validation errors carry the details in `fields`
+    console.error(err.fields ? `${err.message}: ${JSON.stringify(err.fields)}` : err.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,44 @@
+const db = require('../db');
+const { migrateUp, migrateDown, migrationStatus } = require('../db/migrator');
+
+// ----------------------------------------------------------
+// Schema migration command. Run from the server folder:
+//   node scripts/migrate.js up [--to <version>]    apply pending migrations
+//   node scripts/migrate.js down [--steps <n>]     revert the last n migrations (default 1)
+//   node scripts/migrate.js status                 list migrations and whether they are applied
+
+function readOption(args, name) {
+    const index = args.indexOf(name);
+    return index >= 0 ? parseInt(args[index + 1], 10) : undefined;
+}
+
+async function main() {
+    const [command = 'up', ...args] = process.argv.slice(2);
+
+    await db.initialize();
+    const connection = await db.getConnection();
+    try {
+        if (command === 'up') {
+            const applied = await migrateUp(connection, db.dialect, { to: readOption(args, '--to') });
+            console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+        } else if (command === 'down') {
+            const reverted = await migrateDown(connection, db.dialect, { steps: readOption(args, '--steps') || 1 });
+            console.log(`Reverted ${reverted.length} migration(s)`);
+        } else if (command === 'status') {
+            const migrations = await migrationStatus(connection, db.dialect);
+            migrations.forEach((migration) => {
+                console.log(`${migration.applied ? '[x]' : '[ ]'} ${migration.name}`);
+            });
+        } else {
+            throw new Error(`Unknown command '${command}'. Use up, down or status.`);
+        }
+    } finally {
+        await connection.close();
+        await db.close();
+    }
+}
+
+main().catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+});
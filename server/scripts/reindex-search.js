@@ -0,0 +1,29 @@
+const db = require('../db');
+const { rebuildSearchIndex } = require('../db/searchIndex');
+const { rebuildNutrition } = require('../db/nutrition');
+
+// ----------------------------------------------------------
+// Rebuilds the recipe search index (see db/searchIndex.js) and recipe
+// nutrition (db/nutrition.js) from the recipes in the database, for when
+// they were changed without going through the server, e.g. by hand in
+// SQL*Plus.
+// Run from the server folder: node scripts/reindex-search.js
+
+async function main() {
+    await db.initialize();
+    const connection = await db.getConnection();
+    try {
+        const indexed = await rebuildSearchIndex(connection);
+        await rebuildNutrition(connection);
+        await connection.commit();
+        console.log(`Indexed ${indexed} recipes`);
+    } finally {
+        await connection.close();
+        await db.close();
+    }
+}
+
+main().catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,34 @@
+const fs = require('fs');
+const db = require('../db');
+const { migrationStatus } = require('../db/migrator');
+const { seedDatabase } = require('../db/seeder');
+
+// ----------------------------------------------------------
+// Replaces the contents of the fixture tables with seeds/fixtures.js, or with
+// a fixture file written by scripts/generate-seed.js.
+// Run from the server folder after migrating: node scripts/seed.js [--file fixtures.json]
+
+async function main() {
+    const args = process.argv.slice(2);
+    const fileIndex = args.indexOf('--file');
+    const fixtures = fileIndex >= 0 ? JSON.parse(fs.readFileSync(args[fileIndex + 1], 'utf8')) : undefined;
+
+    await db.initialize();
+    const connection = await db.getConnection();
+    try {
+        const pending = (await migrationStatus(connection, db.dialect)).filter((migration) => !migration.applied);
+        if (pending.length > 0) {
+            throw new Error(`Database has ${pending.length} pending migration(s). Run npm run migrate first.`);
+        }
+        await seedDatabase(connection, db, fixtures);
+        console.log('Seed complete');
+    } finally {
+        await connection.close();
+        await db.close();
+    }
+}
+
+main().catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,6 @@
+// Every seeded user logs in with the password 'mealmapper'. It is stored
+// already hashed (see hashPassword in utils/auth.js) so seeding a large
+// generated data set doesn't run scrypt once per user.
+module.exports = {
+    DEMO_PASSWORD_HASH: 'scrypt$8d0388d3a463b2ae9835c1323dca5b6d$b8f5638351a71daa2f3edd959478cb77b5902ff75fc882f8f14542cf0bb85c2defd7b1de6ef9aa14ff44ad926d505ba56c02998b4be57b7bff065c2c5faaf127'
+};
@@ -0,0 +1,344 @@
+// Fixture data loaded by `npm run seed` (see db/seeder.js).
+//
+// Tables are listed in dependency order. `id` names a table's auto-increment
+// key; the ids written below are the ones a fresh database hands out, and
+// `refs` marks the columns that point at such keys so the seeder can follow
+// whatever ids the database actually assigns. `dates` lists DATE columns,
+// written as 'YYYY-MM-DD HH24:MI:SS'.
+
+const { DEMO_PASSWORD_HASH } = require('./demoPassword');
+
+module.exports = [
+    {
+        table: 'Users',
+        id: 'UserID',
+        rows: [
+            { UserID: 1, UserName: 'AliceJohnson', Points: 0, PasswordHash: DEMO_PASSWORD_HASH, UserRole: 'admin' },
+            { UserID: 2, UserName: 'BobSmith', Points: 50, PasswordHash: DEMO_PASSWORD_HASH },
+            { UserID: 3, UserName: 'CharlieBrown', Points: 150, PasswordHash: DEMO_PASSWORD_HASH },
+            { UserID: 4, UserName: 'DianaPrince', Points: 250, PasswordHash: DEMO_PASSWORD_HASH },
+            { UserID: 5, UserName: 'EvanThomas', Points: 350, PasswordHash: DEMO_PASSWORD_HASH },
+            { UserID: 6, UserName: 'FionaGreen', Points: 450, PasswordHash: DEMO_PASSWORD_HASH },
+            { UserID: 7, UserName: 'GeorgeWhite', Points: 550, PasswordHash: DEMO_PASSWORD_HASH },
+            { UserID: 8, UserName: 'HannahBlue', Points: 650, PasswordHash: DEMO_PASSWORD_HASH },
+            { UserID: 9, UserName: 'IsaacGray', Points: 750, PasswordHash: DEMO_PASSWORD_HASH },
+            { UserID: 10, UserName: 'JuliaBlack', Points: 850, PasswordHash: DEMO_PASSWORD_HASH },
+            { UserID: 11, UserName: 'KevinRed', Points: 950, PasswordHash: DEMO_PASSWORD_HASH }
+        ]
+    },
+    {
+        table: 'UserLevels',
+        rows: [
+            { Points: 0, UserLevel: 1 },
+            { Points: 100, UserLevel: 2 },
+            { Points: 200, UserLevel: 3 },
+            { Points: 300, UserLevel: 4 },
+            { Points: 400, UserLevel: 5 },
+            { Points: 500, UserLevel: 6 },
+            { Points: 600, UserLevel: 7 },
+            { Points: 700, UserLevel: 8 },
+            { Points: 800, UserLevel: 9 },
+            { Points: 900, UserLevel: 10 }
+        ]
+    },
+    {
+        table: 'RecipeLevels',
+        rows: [
+            { Cuisine: 'Italian', RecipeLevel: 1 },
+            { Cuisine: 'Chinese', RecipeLevel: 1 },
+            { Cuisine: 'Mexican', RecipeLevel: 2 },
+            { Cuisine: 'Indian', RecipeLevel: 3 },
+            { Cuisine: 'French', RecipeLevel: 4 },
+            { Cuisine: 'Thai', RecipeLevel: 5 },
+            { Cuisine: 'Ethiopian', RecipeLevel: 6 },
+            { Cuisine: 'Brazilian', RecipeLevel: 7 },
+            { Cuisine: 'Japanese', RecipeLevel: 8 },
+            { Cuisine: 'Lebanese', RecipeLevel: 9 },
+            { Cuisine: 'Greek', RecipeLevel: 10 }
+        ]
+    },
+    {
+        table: 'RecipeCreated',
+        id: 'RecipeID',
+        refs: { UserID: 'Users' },
+        rows: [
+            { RecipeID: 1, RecipeName: 'Spaghetti Carbonara', Cuisine: 'Italian', CookingTime: '0 00:20', Serves: 2, UserID: 6 },
+            { RecipeID: 2, RecipeName: 'Sweet and Sour Chicken', Cuisine: 'Chinese', CookingTime: '0 00:30', Serves: 4, UserID: 8 },
+            { RecipeID: 3, RecipeName: 'Tacos Al Pastor', Cuisine: 'Mexican', CookingTime: '0 00:25', Serves: 4, UserID: 9 },
+            { RecipeID: 4, RecipeName: 'Butter Chicken', Cuisine: 'Indian', CookingTime: '0 00:40', Serves: 4, UserID: 9 },
+            { RecipeID: 5, RecipeName: 'Coq au Vin', Cuisine: 'French', CookingTime: '0 01:00', Serves: 6, UserID: 2 },
+            { RecipeID: 6, RecipeName: 'Pad Thai', Cuisine: 'Thai', CookingTime: '0 00:30', Serves: 2, UserID: 4 },
+            { RecipeID: 7, RecipeName: 'Lentil Stew', Cuisine: 'Ethiopian', CookingTime: '0 01:00', Serves: 6, UserID: 5 },
+            { RecipeID: 8, RecipeName: 'Feijoada', Cuisine: 'Brazilian', CookingTime: '0 05:00', Serves: 8, UserID: 11 },
+            { RecipeID: 9, RecipeName: 'Chicken Katsu Don', Cuisine: 'Japanese', CookingTime: '0 00:30', Serves: 2, UserID: 7 },
+            { RecipeID: 10, RecipeName: 'Tabbouleh', Cuisine: 'Lebanese', CookingTime: '0 00:45', Serves: 4, UserID: 9 },
+            { RecipeID: 11, RecipeName: 'Moussaka', Cuisine: 'Greek', CookingTime: '0 02:00', Serves: 6, UserID: 9 },
+            { RecipeID: 12, RecipeName: 'Lasagna', Cuisine: 'Italian', CookingTime: '0 04:00', Serves: 8, UserID: 9 }
+        ]
+    },
+    {
+        table: 'RecipesLiked',
+        refs: { RecipeID: 'RecipeCreated', UserID: 'Users' },
+        rows: [
+            { RecipeID: 1, UserID: 1 },
+            { RecipeID: 2, UserID: 2 },
+            { RecipeID: 3, UserID: 3 },
+            { RecipeID: 4, UserID: 4 },
+            { RecipeID: 5, UserID: 5 },
+            { RecipeID: 6, UserID: 6 },
+            { RecipeID: 7, UserID: 7 },
+            { RecipeID: 8, UserID: 8 },
+            { RecipeID: 9, UserID: 9 },
+            { RecipeID: 10, UserID: 10 },
+            { RecipeID: 11, UserID: 11 },
+            { RecipeID: 12, UserID: 2 },
+            { RecipeID: 12, UserID: 3 },
+            { RecipeID: 12, UserID: 4 },
+            { RecipeID: 12, UserID: 5 },
+            { RecipeID: 12, UserID: 6 },
+            { RecipeID: 12, UserID: 7 },
+            { RecipeID: 12, UserID: 8 },
+            { RecipeID: 12, UserID: 9 },
+            { RecipeID: 12, UserID: 10 },
+            { RecipeID: 12, UserID: 11 }
+        ]
+    },
+    {
+        table: 'Images',
+        refs: { RecipeID: 'RecipeCreated' },
+        rows: [
+            { ImageURL: 'https://static01.nyt.com/images/2021/02/14/dining/carbonara-horizontal/carbonara-horizontal-square640-v2.jpg', Caption: 'A delicious plate of Spaghetti Carbonara', RecipeID: 1 },
+            { ImageURL: 'https://static01.nyt.com/images/2022/05/02/dining/ag-artichoke-carbonara/merlin_205954392_c64254c9-1a95-4d4e-8131-35d928e09a1b-articleLarge.jpg', Caption: 'Carbonanza!', RecipeID: 1 },
+            { ImageURL: 'https://static01.nyt.com/images/2016/09/28/dining/28ALTON6-WEB/28ALTON6-WEB-superJumbo.jpg', Caption: 'You should not pasta up this dish', RecipeID: 1 },
+            { ImageURL: 'https://thecozycook.com/wp-content/uploads/2022/03/Sweet-and-Sour-Chicken-f5.jpg', Caption: 'Sweet and Sour Chicken served with rice', RecipeID: 2 },
+            { ImageURL: 'https://i.pinimg.com/originals/3c/3c/8c/3c3c8c6631dab19dec59043758b5240b.png', Caption: 'Sweet, and sour? Who\'da thunk it?', RecipeID: 2 },
+            { ImageURL: 'https://bittmanproject.com/wp-content/uploads/08CHICKENKETCHUP-articleLarge.jpg', Caption: 'Crisp and tangy dish', RecipeID: 2 },
+            { ImageURL: 'https://iamafoodblog.b-cdn.net/wp-content/uploads/2021/05/al-pastor-3507w.jpg', Caption: 'Traditional Tacos Al Pastor with pineapple', RecipeID: 3 },
+            { ImageURL: 'https://static01.nyt.com/images/2019/06/05/dining/04Camararex2/04Camararex2-verticalTwoByThree735.jpg', Caption: 'Mexican food is amazing!', RecipeID: 3 },
+            { ImageURL: 'https://static01.nyt.com/images/2019/06/05/dining/04Camararex2/merlin_155267136_8a0323b8-1d07-4f62-ae0b-f6dbc82d33c6-superJumbo.jpg', Caption: 'Tacos! Tacos! Tacos!', RecipeID: 3 },
+            { ImageURL: 'https://moribyan.com/wp-content/uploads/2022/05/IMG_4902-scaled-e1609906617281-1.jpg', Caption: 'Butter Chicken with creamy sauce', RecipeID: 4 },
+            { ImageURL: 'https://www.adayinthekitchen.com/wp-content/uploads/2017/10/butter-chicken-2-720x520b.jpg', Caption: 'Delicious tender chicken', RecipeID: 4 },
+            { ImageURL: 'https://foodess.com/wp-content/uploads/2022/10/Foodess-Best-Butter-Chicken-1-2.jpg', Caption: 'Perfectly seasoned', RecipeID: 4 },
+            { ImageURL: 'https://images.services.kitchenstories.io/9GIeqQwpeGj8Te6zRGt07XzEETo=/3840x0/filters:quality(80)/images.kitchenstories.io/wagtailOriginalImages/R23-final-photo-4.jpg', Caption: 'Classic French Coq au Vin', RecipeID: 5 },
+            { ImageURL: 'https://static01.nyt.com/images/2023/08/24/multimedia/MC-Beef-Bourguignon-lpbv/MC-Beef-Bourguignon-lpbv-articleLarge-v4.jpg', Caption: 'Impress your guests!', RecipeID: 5 },
+            { ImageURL: 'https://static01.nyt.com/images/2016/01/23/dining/23COOKING_COQAURIESLING1/23COOKING_COQAURIESLING1-jumbo.jpg', Caption: 'Make it, damnit', RecipeID: 5 },
+            { ImageURL: 'https://inquiringchef.com/wp-content/uploads/2023/02/Authentic-Pad-Thai_square-1908.jpg', Caption: 'Authentic Pad Thai noodles', RecipeID: 6 },
+            { ImageURL: 'https://static01.nyt.com/images/2017/08/09/dining/09COOKING-PADTHAI1/09COOKING-PADTHAI1-superJumbo.jpg', Caption: 'Impress and/or poison your in-laws', RecipeID: 6 },
+            { ImageURL: 'https://static01.nyt.com/images/2022/03/23/dining/17padthairex1/merlin_203116326_32624565-ffae-482d-9a55-043cf31afb0b-verticalTwoByThree735.jpg', Caption: 'Thailand\'s national dish!', RecipeID: 6 },
+            { ImageURL: 'https://holycowvegan.net/wp-content/uploads/2023/02/ethiopian-lentil-stew-recipe-1.jpg', Caption: 'Ethiopian Lentil Stew', RecipeID: 7 },
+            { ImageURL: 'https://www.vegkit.com/wp-content/uploads/sites/2/2021/12/83051_ethiopian_lentils_detail.jpg', Caption: 'Savoury and superb', RecipeID: 7 },
+            { ImageURL: 'https://static01.nyt.com/images/2022/09/06/dining/nd-dal-adas/merlin_212088567_c8f02dc8-a19a-492b-b8ae-9f70eb58a58f-master768.jpg', Caption: 'Utterly appetizing!', RecipeID: 7 },
+            { ImageURL: 'https://www.allrecipes.com/thmb/Cr3iNBwelHE5F_uUqLcbzcaEY18=/1500x0/filters:no_upscale():max_bytes(150000):strip_icc()/351366-feijoada-brazilian-black-bean-stew-Melissa-Goff-4x3-1-0fb041cc43234fedb23d171172e65a10.jpg', Caption: 'Traditional Brazilian Feijoada', RecipeID: 8 },
+            { ImageURL: 'https://www.foodandwine.com/thmb/Jr3H4e5F4_2eHnOGKSm4jdY5bF0=/1500x0/filters:no_upscale():max_bytes(150000):strip_icc()/Feijoada-FT-RECIPE0323-2ed2fbae5e0c4110b5bb522c6d7e0eac.jpg', Caption: 'You won\'t bean-lieve it!', RecipeID: 8 },
+            { ImageURL: 'https://static01.nyt.com/images/2015/05/31/magazine/31eat6/31eat6-articleLarge-v2.jpg', Caption: 'You\'l lose your goddamn MIND', RecipeID: 8 },
+            { ImageURL: 'https://www.justonecookbook.com/wp-content/uploads/2021/04/Chicken-Katsudon-9331.jpg', Caption: 'Japanese Chicken Katsu Don', RecipeID: 9 },
+            { ImageURL: 'https://static01.nyt.com/images/2017/10/22/magazine/22eat/22eat-superJumbo.jpg', Caption: 'Pork cutlets served Japanese style', RecipeID: 9 },
+            { ImageURL: 'https://static01.nyt.com/images/2021/05/23/dining/kc-chicken-katsu/merlin_185308080_a60a6563-292e-4f52-a33b-386113aca0b2-jumbo.jpg', Caption: 'Served with a savoury sauce', RecipeID: 9 },
+            { ImageURL: 'https://feelgoodfoodie.net/wp-content/uploads/2023/09/Lebanese-Tabbouleh-Salad-TIMG.jpg', Caption: 'Fresh Lebanese Tabbouleh', RecipeID: 10 },
+            { ImageURL: 'https://static01.nyt.com/images/2023/05/25/multimedia/MRS-Lebanese-Tabbouleh-wzpk/MRS-Lebanese-Tabbouleh-wzpk-superJumbo.jpg', Caption: 'Delicious salad', RecipeID: 10 },
+            { ImageURL: 'https://static01.nyt.com/images/2014/04/21/dining/Tabbouleh/Tabbouleh-square640.jpg', Caption: 'Your guests will lick their plates clean', RecipeID: 10 },
+            { ImageURL: 'https://www.mygreekdish.com/wp-content/uploads/2013/05/Moussaka-recipe-Traditional-Greek-Moussaka-with-Eggplants.jpg', Caption: 'Layered Greek Moussaka', RecipeID: 11 },
+            { ImageURL: 'https://static01.nyt.com/images/2017/03/27/dining/27COOKING-MOUSSAKA/27COOKING-MOUSSAKA-articleLarge.jpg', Caption: 'A unique dish from the Mediterranean', RecipeID: 11 },
+            { ImageURL: 'https://static01.nyt.com/images/2011/10/26/dining/26APPE_SPAN/26APPE_SPAN-articleLarge-v2.jpg', Caption: 'Like a casserole, except Greek and not horrible', RecipeID: 11 },
+            { ImageURL: 'https://static01.nyt.com/images/2018/01/30/dining/30COOKING-WEEKNIGHT-LASAGNA/30COOKING-WEEKNIGHT-LASAGNA-superJumbo.jpg', Caption: 'The best lasagna you\'ll ever make!', RecipeID: 12 },
+            { ImageURL: 'https://static01.nyt.com/images/2023/08/31/multimedia/RS-Lasagna-hkjl/RS-Lasagna-hkjl-threeByTwoMediumAt2X.jpg', Caption: 'Shove it in your mouth this instant', RecipeID: 12 },
+            { ImageURL: 'https://static01.nyt.com/images/2022/10/16/magazine/16mag-eat-site/16mag-eat-site-superJumbo.jpg', Caption: 'Garfield approved', RecipeID: 12 }
+        ]
+    },
+    {
+        table: 'StepContains',
+        refs: { RecipeID: 'RecipeCreated' },
+        rows: [
+            { StepNum: 1, InstructionText: 'Do stuff1.', RecipeID: 1 },
+            { StepNum: 2, InstructionText: 'Eat1.', RecipeID: 1 },
+            { StepNum: 1, InstructionText: 'Do stuff2.', RecipeID: 2 },
+            { StepNum: 2, InstructionText: 'Eat2.', RecipeID: 2 },
+            { StepNum: 1, InstructionText: 'Do stuff3.', RecipeID: 3 },
+            { StepNum: 2, InstructionText: 'Eat3.', RecipeID: 3 },
+            { StepNum: 1, InstructionText: 'Do stuff4.', RecipeID: 4 },
+            { StepNum: 2, InstructionText: 'Eat4.', RecipeID: 4 },
+            { StepNum: 1, InstructionText: 'Do stuff5.', RecipeID: 5 },
+            { StepNum: 2, InstructionText: 'Eat5.', RecipeID: 5 },
+            { StepNum: 1, InstructionText: 'Do stuff6.', RecipeID: 6 },
+            { StepNum: 2, InstructionText: 'Eat6.', RecipeID: 6 },
+            { StepNum: 1, InstructionText: 'Do stuff7.', RecipeID: 7 },
+            { StepNum: 2, InstructionText: 'Eat7.', RecipeID: 7 },
+            { StepNum: 1, InstructionText: 'Do stuff8.', RecipeID: 8 },
+            { StepNum: 2, InstructionText: 'Eat8.', RecipeID: 8 },
+            { StepNum: 1, InstructionText: 'Do stuff9.', RecipeID: 9 },
+            { StepNum: 2, InstructionText: 'Eat9.', RecipeID: 9 },
+            { StepNum: 1, InstructionText: 'Do stuff10.', RecipeID: 10 },
+            { StepNum: 2, InstructionText: 'Eat10.', RecipeID: 10 },
+            { StepNum: 1, InstructionText: 'Do stuff11.', RecipeID: 11 },
+            { StepNum: 2, InstructionText: 'Eat11.', RecipeID: 11 },
+            { StepNum: 1, InstructionText: 'Do stuff12.', RecipeID: 12 },
+            { StepNum: 2, InstructionText: 'Eat112.', RecipeID: 12 }
+        ]
+    },
+    {
+        table: 'Locations',
+        rows: [
+            { Street: '123 Maple Street', City: 'Vancouver', Province: 'British Columbia', LocationType: 'Residential' },
+            { Street: '456 Oak Avenue', City: 'Toronto', Province: 'Ontario', LocationType: 'Commercial' },
+            { Street: '789 Pine Road', City: 'Montreal', Province: 'Quebec', LocationType: 'Industrial' },
+            { Street: '101 Cedar Lane', City: 'Calgary', Province: 'Alberta', LocationType: 'Residential' },
+            { Street: '202 Birch Boulevard', City: 'Halifax', Province: 'Nova Scotia', LocationType: 'Commercial' },
+            { Street: '1190 Richelieu Ave', City: 'Vancouver', Province: 'British Columbia', LocationType: 'Home' },
+            { Street: '899 W 12th Ave', City: 'Vancouver', Province: 'British Columbia', LocationType: 'Work' },
+            { Street: '2517 Tempe Knoll Dr', City: 'North Vancouver', Province: 'British Columbia', LocationType: 'Home' },
+            { Street: '695 E 19th Ave', City: 'Vancouver', Province: 'British Columbia', LocationType: 'Home' },
+            { Street: '2929 Barnet Hwy', City: 'Coquitlam', Province: 'British Columbia', LocationType: 'Work' },
+            { Street: '31 Gilmore Ave', City: 'Burnaby', Province: 'British Columbia', LocationType: 'Home' },
+            { Street: '809 Robson St', City: 'Vancouver', Province: 'British Columbia', LocationType: 'Work' },
+            { Street: '14156 Melrose Dr', City: 'Surrey', Province: 'British Columbia', LocationType: 'Home' },
+            { Street: '10931 Seaward Gate', City: 'Richmond', Province: 'British Columbia', LocationType: 'Home' },
+            { Street: '1800 W 6th Ave', City: 'Vancouver', Province: 'British Columbia', LocationType: 'Work' },
+            { Street: '3700 W 8th Ave', City: 'Vancouver', Province: 'British Columbia', LocationType: 'Home' },
+            { Street: '1500 W Broadway', City: 'Vancouver', Province: 'British Columbia', LocationType: 'Work' }
+        ]
+    },
+    {
+        table: 'UserLocations',
+        refs: { UserID: 'Users' },
+        rows: [
+            { UserID: 1, Street: '1190 Richelieu Ave', City: 'Vancouver', Province: 'British Columbia' },
+            { UserID: 2, Street: '899 W 12th Ave', City: 'Vancouver', Province: 'British Columbia' },
+            { UserID: 3, Street: '2517 Tempe Knoll Dr', City: 'North Vancouver', Province: 'British Columbia' },
+            { UserID: 4, Street: '695 E 19th Ave', City: 'Vancouver', Province: 'British Columbia' },
+            { UserID: 5, Street: '2929 Barnet Hwy', City: 'Coquitlam', Province: 'British Columbia' },
+            { UserID: 6, Street: '31 Gilmore Ave', City: 'Burnaby', Province: 'British Columbia' },
+            { UserID: 7, Street: '809 Robson St', City: 'Vancouver', Province: 'British Columbia' },
+            { UserID: 8, Street: '14156 Melrose Dr', City: 'Surrey', Province: 'British Columbia' },
+            { UserID: 9, Street: '10931 Seaward Gate', City: 'Richmond', Province: 'British Columbia' },
+            { UserID: 10, Street: '1800 W 6th Ave', City: 'Vancouver', Province: 'British Columbia' },
+            { UserID: 11, Street: '3700 W 8th Ave', City: 'Vancouver', Province: 'British Columbia' },
+            { UserID: 11, Street: '1500 W Broadway', City: 'Vancouver', Province: 'British Columbia' }
+        ]
+    },
+    {
+        table: 'GroceryStore',
+        rows: [
+            { Street: '1500 W Broadway', City: 'Vancouver', Province: 'British Columbia', StoreName: 'Moes Groceries' },
+            { Street: '99 Fraser St', City: 'Vancouver', Province: 'British Columbia', StoreName: 'Safeway' },
+            { Street: '82 Misty Meadow St', City: 'Vancouver', Province: 'British Columbia', StoreName: 'Freshco' },
+            { Street: '980 Victoria Dr', City: 'Vancouver', Province: 'British Columbia', StoreName: 'Walmart' },
+            { Street: '675 Main St', City: 'Vancouver', Province: 'British Columbia', StoreName: 'Whole Foods' },
+            { Street: '309 MacDonald St', City: 'Vancouver', Province: 'British Columbia', StoreName: 'City Avenue Market' },
+            { Street: '9876 Clark Dr', City: 'Vancouver', Province: 'British Columbia', StoreName: 'Fortinos' },
+            { Street: '176 4th St', City: 'Vancouver', Province: 'British Columbia', StoreName: 'Sobeys' },
+            { Street: '8654 Cambie St', City: 'Vancouver', Province: 'British Columbia', StoreName: 'Farm Boy' }
+        ]
+    },
+    {
+        table: 'NearbyStores',
+        rows: [
+            { LocationStreet: '1190 Richelieu Ave', LocationCity: 'Vancouver', LocationProvince: 'British Columbia', GroceryStoreStreet: '8654 Cambie St', GroceryStoreCity: 'Vancouver', GroceryStoreProvince: 'British Columbia', Distance: 4 },
+            { LocationStreet: '899 W 12th Ave', LocationCity: 'Vancouver', LocationProvince: 'British Columbia', GroceryStoreStreet: '99 Fraser St', GroceryStoreCity: 'Vancouver', GroceryStoreProvince: 'British Columbia', Distance: 5 },
+            { LocationStreet: '2517 Tempe Knoll Dr', LocationCity: 'North Vancouver', LocationProvince: 'British Columbia', GroceryStoreStreet: '82 Misty Meadow St', GroceryStoreCity: 'Vancouver', GroceryStoreProvince: 'British Columbia', Distance: 4 },
+            { LocationStreet: '1500 W Broadway', LocationCity: 'Vancouver', LocationProvince: 'British Columbia', GroceryStoreStreet: '980 Victoria Dr', GroceryStoreCity: 'Vancouver', GroceryStoreProvince: 'British Columbia', Distance: 5 },
+            { LocationStreet: '3700 W 8th Ave', LocationCity: 'Vancouver', LocationProvince: 'British Columbia', GroceryStoreStreet: '675 Main St', GroceryStoreCity: 'Vancouver', GroceryStoreProvince: 'British Columbia', Distance: 1 },
+            { LocationStreet: '10931 Seaward Gate', LocationCity: 'Richmond', LocationProvince: 'British Columbia', GroceryStoreStreet: '309 MacDonald St', GroceryStoreCity: 'Vancouver', GroceryStoreProvince: 'British Columbia', Distance: 2 },
+            { LocationStreet: '14156 Melrose Dr', LocationCity: 'Surrey', LocationProvince: 'British Columbia', GroceryStoreStreet: '9876 Clark Dr', GroceryStoreCity: 'Vancouver', GroceryStoreProvince: 'British Columbia', Distance: 4 },
+            { LocationStreet: '695 E 19th Ave', LocationCity: 'Vancouver', LocationProvince: 'British Columbia', GroceryStoreStreet: '176 4th St', GroceryStoreCity: 'Vancouver', GroceryStoreProvince: 'British Columbia', Distance: 3 }
+        ]
+    },
+    {
+        table: 'SavedPantry',
+        id: 'PantryID',
+        rows: [
+            { PantryID: 1, Category: 'Home' },
+            { PantryID: 2, Category: 'Work' },
+            { PantryID: 3, Category: 'Home' },
+            { PantryID: 4, Category: 'Backpack' },
+            { PantryID: 5, Category: 'Pantry' },
+            { PantryID: 6, Category: 'Home' },
+            { PantryID: 7, Category: 'Home' },
+            { PantryID: 8, Category: 'Cupboard' },
+            { PantryID: 9, Category: 'Work' },
+            { PantryID: 10, Category: 'Home' },
+            { PantryID: 11, Category: 'Work' },
+            { PantryID: 12, Category: 'Work' }
+        ]
+    },
+    {
+        table: 'UserPantries',
+        refs: { UserID: 'Users', PantryID: 'SavedPantry' },
+        rows: [
+            { UserID: 1, PantryID: 1 },
+            { UserID: 2, PantryID: 2 },
+            { UserID: 3, PantryID: 3 },
+            { UserID: 4, PantryID: 4 },
+            { UserID: 5, PantryID: 5 },
+            { UserID: 6, PantryID: 6 },
+            { UserID: 7, PantryID: 7 },
+            { UserID: 8, PantryID: 8 },
+            { UserID: 9, PantryID: 9 },
+            { UserID: 10, PantryID: 10 },
+            { UserID: 11, PantryID: 11 },
+            { UserID: 1, PantryID: 12 }
+        ]
+    },
+    {
+        table: 'FoodItem',
+        rows: [
+            { FoodName: 'Chicken', ShelfLife: '3', Calories: 300, FoodGroup: 'Meat' },
+            { FoodName: 'Potatoes', ShelfLife: '14', Calories: 200, FoodGroup: 'Vegetable' },
+            { FoodName: 'Olive oil', ShelfLife: '3650', Calories: 400, FoodGroup: 'Fat', Density: 0.91 },
+            { FoodName: 'Uncooked rice', ShelfLife: '3650', Calories: 400, FoodGroup: 'Carbohydrate', Density: 0.85 },
+            { FoodName: 'Uncooked noodles', ShelfLife: '3650', Calories: 300, FoodGroup: 'Carbohydrate' },
+            { FoodName: 'Butter', ShelfLife: '90', Calories: 500, FoodGroup: 'Fat', Density: 0.96 },
+            { FoodName: 'Ground beef', ShelfLife: '3', Calories: 400, FoodGroup: 'Meat' },
+            { FoodName: 'Sliced ham', ShelfLife: '4', Calories: 300, FoodGroup: 'Meat' }
+        ]
+    },
+    {
+        table: 'HealthyLookup',
+        rows: [
+            { Calories: 300, FoodGroup: 'Meat', Healthy: 0 },
+            { Calories: 0, FoodGroup: 'Meat', Healthy: 1 },
+            { Calories: 1000, FoodGroup: 'Vegetable', Healthy: 0 },
+            { Calories: 0, FoodGroup: 'Vegetable', Healthy: 1 },
+            { Calories: 500, FoodGroup: 'Fat', Healthy: 0 },
+            { Calories: 0, FoodGroup: 'Fat', Healthy: 1 },
+            { Calories: 400, FoodGroup: 'Carbohydrate', Healthy: 0 },
+            { Calories: 0, FoodGroup: 'Carbohydrate', Healthy: 1 }
+        ]
+    },
+    {
+        table: 'FoodsInRecipes',
+        refs: { RecipeID: 'RecipeCreated' },
+        rows: [
+            { FoodName: 'Chicken', RecipeID: 1, Quantity: 1 },
+            { FoodName: 'Potatoes', RecipeID: 2, Quantity: 2 },
+            { FoodName: 'Olive oil', RecipeID: 3, Quantity: 3, Unit: 'tbsp' },
+            { FoodName: 'Uncooked rice', RecipeID: 4, Quantity: 4 },
+            { FoodName: 'Uncooked noodles', RecipeID: 5, Quantity: 5 },
+            { FoodName: 'Butter', RecipeID: 6, Quantity: 6 },
+            { FoodName: 'Ground beef', RecipeID: 7, Quantity: 7 },
+            { FoodName: 'Sliced ham', RecipeID: 8, Quantity: 8 },
+            { FoodName: 'Chicken', RecipeID: 9, Quantity: 9 },
+            { FoodName: 'Potatoes', RecipeID: 10, Quantity: 10 },
+            { FoodName: 'Olive oil', RecipeID: 11, Quantity: 11, Unit: 'tbsp' }
+        ]
+    },
+    {
+        table: 'IngredientInstances',
+        refs: { PantryID: 'SavedPantry' },
+        dates: ['DateAdded', 'ExpiryDate'],
+        rows: [
+            { DateAdded: '2024-07-01 14:30:00', ExpiryDate: '2024-07-04 14:30:00', FoodName: 'Chicken', PantryID: 1, Quantity: 1 },
+            { DateAdded: '2024-07-02 14:30:00', ExpiryDate: '2024-07-05 14:30:00', FoodName: 'Ground beef', PantryID: 1, Quantity: 2 },
+            { DateAdded: '2024-07-03 14:30:00', ExpiryDate: '2024-07-07 14:30:00', FoodName: 'Sliced ham', PantryID: 1, Quantity: 3 },
+            { DateAdded: '2024-07-02 14:30:00', ExpiryDate: '2024-07-05 14:30:00', FoodName: 'Chicken', PantryID: 2, Quantity: 2 },
+            { DateAdded: '2024-07-03 14:30:00', ExpiryDate: '2024-07-06 14:30:00', FoodName: 'Chicken', PantryID: 3, Quantity: 3 },
+            { DateAdded: '2024-07-04 14:30:00', ExpiryDate: '2024-07-07 14:30:00', FoodName: 'Chicken', PantryID: 4, Quantity: 4 },
+            { DateAdded: '2024-07-05 14:30:00', ExpiryDate: '2024-07-08 14:30:00', FoodName: 'Chicken', PantryID: 5, Quantity: 5 },
+            { DateAdded: '2024-07-06 14:30:00', ExpiryDate: '2024-07-09 14:30:00', FoodName: 'Chicken', PantryID: 6, Quantity: 6 },
+            { DateAdded: '2024-07-07 14:30:00', ExpiryDate: '2024-07-10 14:30:00', FoodName: 'Chicken', PantryID: 7, Quantity: 7 },
+            { DateAdded: '2024-07-08 14:30:00', ExpiryDate: '2024-07-11 14:30:00', FoodName: 'Chicken', PantryID: 8, Quantity: 8 },
+            { DateAdded: '2024-07-09 14:30:00', ExpiryDate: '2024-07-12 14:30:00', FoodName: 'Chicken', PantryID: 9, Quantity: 9 },
+            { DateAdded: '2024-07-10 14:30:00', ExpiryDate: '2024-07-13 14:30:00', FoodName: 'Chicken', PantryID: 10, Quantity: 10 },
+            { DateAdded: '2024-07-11 14:30:00', ExpiryDate: '2024-07-14 14:30:00', FoodName: 'Chicken', PantryID: 11, Quantity: 11 }
+        ]
+    }
+];
@@ -0,0 +1,283 @@
+const FIXTURES = require('./fixtures');
+const { DEMO_PASSWORD_HASH } = require('./demoPassword');
+
+// ----------------------------------------------------------
+// Generates a synthetic data set in the fixture format that db/seeder.js
+// loads (see seeds/fixtures.js). Every foreign key points at a generated row,
+// and the same options always produce the same data.
+//
+// The lookup tables (UserLevels, RecipeLevels, HealthyLookup) are copied
+// from the hand-written fixtures.
+
+const FIRST_NAMES = ['Ava', 'Ben', 'Chloe', 'Dev', 'Emma', 'Felix', 'Grace', 'Hiro', 'Iris', 'Jonah',
+    'Kira', 'Liam', 'Maya', 'Noah', 'Olive', 'Priya', 'Quinn', 'Rosa', 'Sam', 'Tariq', 'Uma', 'Vik',
+    'Wren', 'Xin', 'Yara', 'Zane'];
+const LAST_NAMES = ['Adams', 'Bui', 'Chen', 'Diaz', 'Evans', 'Fraser', 'Gill', 'Hall', 'Ito', 'Joshi',
+    'Kaur', 'Lee', 'Mendes', 'Nguyen', 'Okafor', 'Park', 'Reyes', 'Singh', 'Tran', 'Wong'];
+
+// Name, FoodGroup, Calories, ShelfLife (days)
+const FOODS = [
+    ['Chicken', 'Meat', 300, 3], ['Ground beef', 'Meat', 400, 3], ['Sliced ham', 'Meat', 300, 4],
+    ['Pork shoulder', 'Meat', 350, 4], ['Salmon', 'Meat', 250, 2], ['Shrimp', 'Meat', 120, 2],
+    ['Lamb', 'Meat', 380, 3], ['Tofu', 'Meat', 90, 7],
+    ['Potatoes', 'Vegetable', 200, 14], ['Onion', 'Vegetable', 40, 30], ['Garlic', 'Vegetable', 10, 60],
+    ['Tomato', 'Vegetable', 20, 7], ['Carrot', 'Vegetable', 30, 21], ['Broccoli', 'Vegetable', 35, 5],
+    ['Bell pepper', 'Vegetable', 25, 10], ['Eggplant', 'Vegetable', 35, 7], ['Spinach', 'Vegetable', 15, 5],
+    ['Black beans', 'Vegetable', 130, 365], ['Lentils', 'Vegetable', 120, 365],
+    ['Olive oil', 'Fat', 400, 3650], ['Butter', 'Fat', 500, 90], ['Cheese', 'Fat', 400, 30],
+    ['Coconut milk', 'Fat', 230, 365], ['Cream', 'Fat', 340, 10],
+    ['Uncooked rice', 'Carbohydrate', 400, 3650], ['Uncooked noodles', 'Carbohydrate', 300, 3650],
+    ['Spaghetti', 'Carbohydrate', 350, 730], ['Flour', 'Carbohydrate', 360, 365],
+    ['Bread', 'Carbohydrate', 260, 5], ['Tortillas', 'Carbohydrate', 220, 14], ['Bulgur', 'Carbohydrate', 340, 365]
+];
+
+const DISH_WORDS = {
+    first: ['Smoky', 'Crispy', 'Creamy', 'Spicy', 'Golden', 'Herbed', 'Slow-cooked', 'Zesty', 'Rustic', 'Sticky'],
+    last: ['Stew', 'Skillet', 'Bake', 'Curry', 'Noodles', 'Salad', 'Tacos', 'Soup', 'Rice Bowl', 'Casserole']
+};
+const STEP_VERBS = ['Chop', 'Dice', 'Saute', 'Simmer', 'Roast', 'Whisk', 'Season', 'Fold in', 'Marinate', 'Toast'];
+const CAPTIONS = ['Fresh out of the kitchen', 'Plated and ready', 'A weeknight favourite', 'Family style',
+    'Close up', 'Served hot', 'Leftovers never lasted'];
+
+const CITIES = ['Vancouver', 'Burnaby', 'Richmond', 'Surrey', 'Coquitlam', 'North Vancouver', 'Delta'];
+const STREETS = ['Oak St', 'Main St', 'Fraser St', 'Cambie St', 'Granville St', 'Kingsway', 'Hastings St',
+    'Broadway', 'Victoria Dr', 'Knight St', 'Commercial Dr', 'Dunbar St'];
+const STORE_NAMES = ['Safeway', 'Save-On-Foods', 'Freshco', 'Whole Foods', 'T&T Supermarket', 'No Frills',
+    'Choices Market', 'IGA', 'Urban Fare', 'Costco'];
+const PANTRY_CATEGORIES = ['Home', 'Work', 'Cupboard', 'Cottage', 'Garage freezer', 'Backpack'];
+
+// mulberry32: small, fast PRNG that is fully determined by its seed
+function createRandom(seed) {
+    let state = seed >>> 0;
+    const next = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+    const pick = (list) => list[int(0, list.length - 1)];
+    // k distinct items from list, in random order
+    const sample = (list, k) => {
+        const copy = [...list];
+        const count = Math.min(k, copy.length);
+        for (let i = copy.length - 1; i >= copy.length - count; i--) {
+            const j = int(0, i);
+            [copy[i], copy[j]] = [copy[j], copy[i]];
+        }
+        return copy.slice(copy.length - count);
+    };
+    return { next, int, pick, sample };
+}
+
+// Formats a Date as 'YYYY-MM-DD HH24:MI:SS' in UTC
+function formatDate(date) {
+    return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+function lookupFixture(table) {
+    return FIXTURES.find((fixture) => fixture.table === table);
+}
+
+/*
+Options:
+    users             number of users to create (default 50)
+    seed              PRNG seed; the same seed gives the same data (default 1)
+    recipesPerUser    maximum recipes per user, each user gets 0..max (default 3)
+    likesPerUser      maximum likes per user (default 10)
+    today             'YYYY-MM-DD' that pantry dates are relative to (default: current date)
+*/
+function generateFixtures(options = {}) {
+    const {
+        users: userCount = 50,
+        seed = 1,
+        recipesPerUser = 3,
+        likesPerUser = 10,
+        today = new Date().toISOString().slice(0, 10)
+    } = options;
+    const random = createRandom(seed);
+    const todayDate = new Date(`${today}T00:00:00Z`);
+    if (isNaN(todayDate)) {
+        throw new Error(`Invalid date '${today}', expected YYYY-MM-DD`);
+    }
+
+    const cuisines = lookupFixture('RecipeLevels').rows.map((row) => row.Cuisine);
+    const userLevels = lookupFixture('UserLevels').rows;
+    const maxPoints = userLevels[userLevels.length - 1].Points + 100;
+
+    // Users
+    const users = [];
+    for (let i = 1; i <= userCount; i++) {
+        users.push({
+            UserID: i,
+            UserName: `${random.pick(FIRST_NAMES)}${random.pick(LAST_NAMES)}${i}`,
+            Points: random.int(0, maxPoints / 10) * 10,
+            PasswordHash: DEMO_PASSWORD_HASH,
+            // The first user administers the site
+            UserRole: i === 1 ? 'admin' : 'user'
+        });
+    }
+
+    // Food items
+    const foodItems = FOODS.map(([FoodName, FoodGroup, Calories, ShelfLife]) => ({
+        FoodName, ShelfLife: String(ShelfLife), Calories, FoodGroup
+    }));
+    const foodNames = foodItems.map((food) => food.FoodName);
+
+    // Recipes with steps, images and ingredients
+    const recipes = [];
+    const steps = [];
+    const images = [];
+    const foodsInRecipes = [];
+    users.forEach((user) => {
+        const count = random.int(0, recipesPerUser);
+        for (let r = 0; r < count; r++) {
+            const RecipeID = recipes.length + 1;
+            const ingredients = random.sample(foodNames, random.int(1, 5));
+            const cuisine = random.pick(cuisines);
+            recipes.push({
+                RecipeID,
+                RecipeName: `${random.pick(DISH_WORDS.first)} ${cuisine} ${random.pick(DISH_WORDS.last)}`,
+                Cuisine: cuisine,
+                CookingTime: `0 ${String(random.int(0, 4)).padStart(2, '0')}:${String(random.int(0, 11) * 5).padStart(2, '0')}`,
+                UserID: user.UserID
+            });
+
+            const stepCount = random.int(2, 6);
+            for (let s = 1; s <= stepCount; s++) {
+                steps.push({
+                    StepNum: s,
+                    InstructionText: `${random.pick(STEP_VERBS)} the ${random.pick(ingredients).toLowerCase()}.`,
+                    RecipeID
+                });
+            }
+
+            const imageCount = random.int(1, 3);
+            for (let n = 1; n <= imageCount; n++) {
+                images.push({
+                    ImageURL: `https://picsum.photos/seed/mealmapper-${seed}-${RecipeID}-${n}/640/480`,
+                    Caption: random.pick(CAPTIONS),
+                    RecipeID
+                });
+            }
+
+            ingredients.forEach((FoodName) => {
+                foodsInRecipes.push({ FoodName, RecipeID, Quantity: random.int(1, 5) });
+            });
+        }
+    });
+
+    // Likes: distinct (recipe, user) pairs
+    const likes = [];
+    const recipeIds = recipes.map((recipe) => recipe.RecipeID);
+    users.forEach((user) => {
+        random.sample(recipeIds, random.int(0, likesPerUser)).forEach((RecipeID) => {
+            likes.push({ RecipeID, UserID: user.UserID });
+        });
+    });
+
+    // Pantries, shared with a second user now and then, and their contents
+    const pantries = [];
+    const userPantries = [];
+    const ingredientInstances = [];
+    users.forEach((user) => {
+        const count = random.int(1, 2);
+        for (let p = 0; p < count; p++) {
+            const PantryID = pantries.length + 1;
+            pantries.push({ PantryID, Category: random.pick(PANTRY_CATEGORIES) });
+            userPantries.push({ UserID: user.UserID, PantryID });
+            if (users.length > 1 && random.next() < 0.2) {
+                // Any user but the owner
+                const other = users[(user.UserID - 1 + random.int(1, users.length - 1)) % users.length];
+                userPantries.push({ UserID: other.UserID, PantryID });
+            }
+
+            // One lot per food keeps (DateAdded, FoodName, PantryID) unique
+            random.sample(foodItems, random.int(0, 8)).forEach((food) => {
+                const added = new Date(todayDate.getTime() - random.int(0, 30 * 24 * 60) * 60 * 1000);
+                const expiry = new Date(added.getTime() + Number(food.ShelfLife) * 24 * 60 * 60 * 1000);
+                ingredientInstances.push({
+                    DateAdded: formatDate(added),
+                    ExpiryDate: formatDate(expiry),
+                    FoodName: food.FoodName,
+                    PantryID,
+                    Quantity: random.int(1, 6)
+                });
+            });
+        }
+    });
+
+    // Locations, grocery stores, and which stores are near which locations
+    const usedAddresses = new Set();
+    const newAddress = () => {
+        for (;;) {
+            const address = {
+                Street: `${random.int(1, 9999)} ${random.pick(STREETS)}`,
+                City: random.pick(CITIES),
+                Province: 'British Columbia'
+            };
+            const key = `${address.Street}|${address.City}`;
+            if (!usedAddresses.has(key)) {
+                usedAddresses.add(key);
+                return address;
+            }
+        }
+    };
+
+    const stores = [];
+    const storeCount = Math.max(3, Math.ceil(userCount / 5));
+    for (let i = 0; i < storeCount; i++) {
+        stores.push({ ...newAddress(), StoreName: random.pick(STORE_NAMES) });
+    }
+
+    const locations = [];
+    const userLocations = [];
+    const nearbyStores = [];
+    users.forEach((user) => {
+        const count = random.int(1, 2);
+        for (let l = 0; l < count; l++) {
+            const location = { ...newAddress(), LocationType: l === 0 ? 'Home' : 'Work' };
+            locations.push(location);
+            userLocations.push({ UserID: user.UserID, Street: location.Street, City: location.City, Province: location.Province });
+            random.sample(stores, random.int(1, 3)).forEach((store) => {
+                nearbyStores.push({
+                    LocationStreet: location.Street,
+                    LocationCity: location.City,
+                    LocationProvince: location.Province,
+                    GroceryStoreStreet: store.Street,
+                    GroceryStoreCity: store.City,
+                    GroceryStoreProvince: store.Province,
+                    Distance: random.int(1, 10)
+                });
+            });
+        }
+    });
+
+    return [
+        { table: 'Users', id: 'UserID', rows: users },
+        lookupFixture('UserLevels'),
+        lookupFixture('RecipeLevels'),
+        { table: 'RecipeCreated', id: 'RecipeID', refs: { UserID: 'Users' }, rows: recipes },
+        { table: 'RecipesLiked', refs: { RecipeID: 'RecipeCreated', UserID: 'Users' }, rows: likes },
+        { table: 'Images', refs: { RecipeID: 'RecipeCreated' }, rows: images },
+        { table: 'StepContains', refs: { RecipeID: 'RecipeCreated' }, rows: steps },
+        { table: 'Locations', rows: locations },
+        { table: 'UserLocations', refs: { UserID: 'Users' }, rows: userLocations },
+        { table: 'GroceryStore', rows: stores },
+        { table: 'NearbyStores', rows: nearbyStores },
+        { table: 'SavedPantry', id: 'PantryID', rows: pantries },
+        { table: 'UserPantries', refs: { UserID: 'Users', PantryID: 'SavedPantry' }, rows: userPantries },
+        { table: 'FoodItem', rows: foodItems },
+        lookupFixture('HealthyLookup'),
+        { table: 'FoodsInRecipes', refs: { RecipeID: 'RecipeCreated' }, rows: foodsInRecipes },
+        {
+            table: 'IngredientInstances',
+            refs: { PantryID: 'SavedPantry' },
+            dates: ['DateAdded', 'ExpiryDate'],
+            rows: ingredientInstances
+        }
+    ];
+}
+
+module.exports = { generateFixtures };
@@ -1,5 +1,8 @@
 const express = require('express');
 const appController = require('./appController');
+const appService = require('./appService');
+const { AppError, NotFoundError, ValidationError } = require('./utils/errors');
+const { currentUser } = require('./utils/auth');
 
 // Load environment variables from .env file
 // Ensure your .env file has the required database credentials.
@@ -10,11 +13,50 @@ const app = express();
 const PORT = envVariables.PORT || 65534;  // Adjust the PORT if needed (e.g., if you encounter a "port already occupied" error)
 
 // Middleware setup
-app.use(express.json());             // Parse incoming JSON payloads
+app.use(express.json({ limit: '2mb' })); // Parse incoming JSON payloads, with room for recipe imports
+app.use(currentUser);                // Set req.user from the session cookie or bearer token
 
 // mount the router
 app.use('/', appController);
 
+// Anything the router didn't handle
+app.use((req, res, next) => {
+    next(new NotFoundError(`No route for ${req.method} ${req.path}`));
+});
+
+// Error middleware: turns the errors in utils/errors.js into their status code
+// and a { error, code } body. Bad JSON bodies are validation errors; anything
+// else is logged and reported as a 500 without its details.
+app.use((err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') {
+        err = new ValidationError('Request body is not valid JSON');
+    }
+    if (!(err instanceof AppError)) {
+        console.error(err);
+        return res.status(500).json({ error: 'Internal server error', code: 'INTERNAL' });
+    }
+    res.status(err.status).json(err);
+});
+
+
+// ----------------------------------------------------------
+// Purge recipes that have been in the trash too long, at startup and daily
+const PURGE_INTERVAL = 24 * 60 * 60 * 1000;
+
+async function purgeTrash() {
+    try {
+        const purged = await appService.purgeDeletedRecipes();
+        if (purged > 0) {
+            console.log(`Purged ${purged} recipe(s) from the trash`);
+        }
+    } catch (err) {
+        console.error('Trash purge failed:', err);
+    }
+}
+
+setInterval(purgeTrash, PURGE_INTERVAL).unref();
+purgeTrash();
+
 
 // ----------------------------------------------------------
 // Starting the server
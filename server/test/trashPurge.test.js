@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The service reads ./.env when it is loaded, so run it from a directory
+// whose .env picks the in-memory database (migrated and seeded on start)
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mealmapper-test-'));
+fs.writeFileSync(path.join(workDir, '.env'), 'DB_CLIENT=memory\n');
+process.chdir(workDir);
+
+const db = require('../db');
+const appService = require('../appService');
+
+const alice = { UserID: 1, UserName: 'AliceJohnson', Role: 'admin' };
+
+const recipe = (RecipeName) => ({
+    RecipeName,
+    Cuisine: 'Italian',
+    CookingTime: '0 00:10',
+    UserID: alice.UserID,
+    steps: ['Cook it.'],
+    ingredients: [{ FoodName: 'Chicken', Quantity: 1, Unit: 'each' }]
+});
+
+// Puts a recipe in the trash long enough ago to be purged
+async function trashLongAgo(recipeID) {
+    await appService.deleteRecipe(recipeID, alice);
+    const connection = await db.getConnection();
+    try {
+        await connection.execute(
+            `UPDATE RecipeCreated SET DeletedAt = TO_DATE('2000-01-01', 'YYYY-MM-DD') WHERE RecipeID = :recipeID`,
+            { recipeID }
+        );
+        await connection.commit();
+    } finally {
+        await connection.close();
+    }
+}
+
+test.after(async () => {
+    await db.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('purging the trash keeps recipes that cooking history or a meal plan uses', async () => {
+    const { RecipeID: unused } = await appService.createRecipe(recipe('Purged soup'), alice);
+    const { RecipeID: cooked } = await appService.createRecipe(recipe('Cooked stew'), alice);
+    const { RecipeID: planned } = await appService.createRecipe(recipe('Planned pie'), alice);
+
+    await appService.cookRecipe(cooked, 1, 1, alice);
+    const plan = await appService.createMealPlan({ PlanName: 'Test week', PantryID: null }, alice);
+    await appService.addPlannedMeal(plan.PlanID, { MealDate: '2030-01-07', Slot: 'dinner', RecipeID: planned, Servings: 1 }, alice);
+
+    for (const recipeID of [unused, cooked, planned]) {
+        await trashLongAgo(recipeID);
+    }
+    assert.strictEqual(await appService.purgeDeletedRecipes(), 1);
+
+    const trash = (await appService.fetchDeletedRecipes(alice.UserID, null)).data;
+    const trashed = trash.map((entry) => entry.RECIPEID);
+    assert.ok(!trashed.includes(unused));
+    assert.ok(trashed.includes(cooked) && trashed.includes(planned));
+    assert.ok(trash.filter((entry) => [cooked, planned].includes(entry.RECIPEID)).every((entry) => entry.PURGEAT === null));
+
+    const history = (await appService.fetchCookingHistory(alice.UserID, null)).data;
+    assert.ok(history.some((entry) => entry.RecipeID === cooked));
+    const meals = (await appService.fetchMealPlan(plan.PlanID, '2030-01-07', 7)).meals;
+    assert.ok(meals.some((meal) => meal.RecipeID === planned && meal.Deleted));
+});
@@ -0,0 +1,9 @@
+// Express 4 does not catch rejected promises from async route handlers.
+// Wrapping a handler passes its errors to the error middleware in server.js.
+function asyncHandler(handler) {
+    return (req, res, next) => {
+        Promise.resolve(handler(req, res, next)).catch(next);
+    };
+}
+
+module.exports = asyncHandler;
@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const loadEnvFile = require('./envUtil');
+const { UnauthorizedError } = require('./errors');
+
+// ----------------------------------------------------------
+// Passwords and sessions.
+//
+// Passwords are stored as salted scrypt hashes, written 'scrypt$<salt>$<hash>'.
+// A session is a signed token holding the user's id, name and role and when
+// it expires. A changed role takes effect at the user's next login.
+//
+// POST /login sends the token in the httpOnly `session` cookie; scripts can
+// send it as an `Authorization: Bearer <token>` header instead.
+//
+// Tokens are signed with SESSION_SECRET from .env. Without one a random
+// secret is used, so every session ends when the server restarts.
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_COOKIE = 'session';
+const SESSION_DAYS = 7;
+const KEY_LENGTH = 64;
+
+const envVariables = loadEnvFile('./.env');
+const SESSION_SECRET = (envVariables.SESSION_SECRET || '').trim() || randomSecret();
+
+function randomSecret() {
+    console.warn('SESSION_SECRET is not set in .env; sessions will end when the server restarts');
+    return crypto.randomBytes(32).toString('hex');
+}
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+// False for a wrong password, and for users without a stored password
+async function verifyPassword(password, stored) {
+    const [scheme, salt, expected] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !expected) {
+        return false;
+    }
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    const expectedHash = Buffer.from(expected, 'hex');
+    return expectedHash.length === hash.length && crypto.timingSafeEqual(hash, expectedHash);
+}
+
+function sign(payload) {
+    return crypto.createHmac('sha256', SESSION_SECRET).update(payload).digest('base64url');
+}
+
+// Token for a { UserID, UserName, UserRole } user: base64url(JSON payload).signature
+function createSession(user) {
+    const payload = Buffer.from(JSON.stringify({
+        UserID: user.UserID,
+        UserName: user.UserName,
+        UserRole: user.UserRole,
+        expires: Date.now() + SESSION_DAYS * 24 * 60 * 60 * 1000
+    })).toString('base64url');
+    return `${payload}.${sign(payload)}`;
+}
+
+// The user a token was issued for, or null if it is forged, garbled or expired
+function readSession(token) {
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !signature) {
+        return null;
+    }
+    const expected = Buffer.from(sign(payload));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+        return null;
+    }
+    try {
+        const session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        if (!(session.expires > Date.now())) {
+            return null;
+        }
+        return { UserID: session.UserID, UserName: session.UserName, UserRole: session.UserRole };
+    } catch (err) {
+        return null;
+    }
+}
+
+function sessionToken(req) {
+    const header = req.get('Authorization') || '';
+    if (header.startsWith('Bearer ')) {
+        return header.slice('Bearer '.length).trim();
+    }
+    const cookie = (req.get('Cookie') || '')
+        .split(';')
+        .map((part) => part.trim().split('='))
+        .find(([name]) => name === SESSION_COOKIE);
+    return cookie ? decodeURIComponent(cookie.slice(1).join('=')) : null;
+}
+
+// Middleware that sets req.user to the logged-in { UserID, UserName, UserRole }, or null
+function currentUser(req, res, next) {
+    req.user = readSession(sessionToken(req));
+    next();
+}
+
+// Middleware for routes that need a logged-in user
+function requireUser(req, res, next) {
+    next(req.user ? undefined : new UnauthorizedError());
+}
+
+function setSessionCookie(res, token) {
+    res.cookie(SESSION_COOKIE, token, {
+        httpOnly: true,
+        sameSite: 'lax',
+        path: '/',
+        maxAge: SESSION_DAYS * 24 * 60 * 60 * 1000
+    });
+}
+
+function clearSessionCookie(res) {
+    res.clearCookie(SESSION_COOKIE, { httpOnly: true, sameSite: 'lax', path: '/' });
+}
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+    createSession,
+    readSession,
+    currentUser,
+    requireUser,
+    setSessionCookie,
+    clearSessionCookie
+};
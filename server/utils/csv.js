@@ -0,0 +1,59 @@
+// ----------------------------------------------------------
+// Minimal CSV reader (RFC 4180): comma-separated fields, optionally in double
+// quotes, where a quoted field may contain commas, line breaks and doubled
+// quotes (""). Returns the records as arrays of strings; blank lines are
+// skipped.
+
+function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+    let i = text.charCodeAt(0) === 0xFEFF ? 1 : 0; // byte order mark from spreadsheet exports
+
+    const endField = () => {
+        record.push(field);
+        field = '';
+    };
+    const endRecord = () => {
+        endField();
+        if (record.length > 1 || record[0] !== '') {
+            records.push(record);
+        }
+        record = [];
+    };
+
+    for (; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            endField();
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            endRecord();
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) {
+        throw new Error('CSV ends inside a quoted field');
+    }
+    if (field !== '' || record.length > 0) {
+        endRecord();
+    }
+    return records;
+}
+
+module.exports = { parseCsv };
@@ -0,0 +1,77 @@
+// ----------------------------------------------------------
+// Error types thrown by the service layer. The error middleware in server.js
+// turns them into HTTP responses of the form
+//     { error: 'Recipe not found', code: 'NOT_FOUND' }
+// Validation errors may also carry per-field messages in `fields`.
+// Anything that is not an AppError is reported as a 500.
+
+class AppError extends Error {
+    constructor(message, status, code) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+    }
+
+    toJSON() {
+        return { error: this.message, code: this.code };
+    }
+}
+
+// The requested record does not exist
+class NotFoundError extends AppError {
+    constructor(message = 'Not found') {
+        super(message, 404, 'NOT_FOUND');
+    }
+}
+
+// The request is malformed or refers to something that does not exist.
+// `fields` maps a field name to a message about that field.
+class ValidationError extends AppError {
+    constructor(message = 'Invalid request', fields = {}) {
+        super(message, 400, 'VALIDATION');
+        this.fields = fields;
+    }
+
+    toJSON() {
+        return { ...super.toJSON(), fields: this.fields };
+    }
+}
+
+// The request needs a logged-in user, or the login details are wrong
+class UnauthorizedError extends AppError {
+    constructor(message = 'Log in to continue') {
+        super(message, 401, 'UNAUTHORIZED');
+    }
+}
+
+// The logged-in user is not allowed to do this
+class ForbiddenError extends AppError {
+    constructor(message = 'Not allowed') {
+        super(message, 403, 'FORBIDDEN');
+    }
+}
+
+// The request clashes with data already stored, e.g. a duplicate key
+class ConflictError extends AppError {
+    constructor(message = 'Conflicts with existing data') {
+        super(message, 409, 'CONFLICT');
+    }
+}
+
+// The database (or another backing service) could not be reached
+class UnavailableError extends AppError {
+    constructor(message = 'Service unavailable') {
+        super(message, 503, 'UNAVAILABLE');
+    }
+}
+
+module.exports = {
+    AppError,
+    NotFoundError,
+    ValidationError,
+    UnauthorizedError,
+    ForbiddenError,
+    ConflictError,
+    UnavailableError
+};
@@ -0,0 +1,124 @@
+const { UNITS, convert, roundQuantity } = require('./units');
+
+// ----------------------------------------------------------
+// Nutrition of a recipe from its ingredients and the foods' FoodItem rows.
+//
+// FoodItem.Calories is per item for ingredients counted in items (each,
+// dozen) and per 100 g otherwise; volumes are weighed through the food's
+// Density, so an ingredient measured by volume of a food without one has
+// no known calories and is listed as uncounted.
+//
+// Whether a food is healthy comes from HealthyLookup, which gives, per food
+// group, the Healthy flag from each calorie level up: a food takes the flag
+// of the highest level at or below its Calories. The health score is the
+// share of the recipe's calories that come from healthy foods, 0 to 100,
+// counting only foods whose group has levels; null if there are none.
+// A recipe none of whose ingredients can be counted has null calories
+// rather than 0, so it doesn't pass for a light one.
+
+const CALORIES_PER_GRAMS = 100;
+
+// Calories in one ingredient line ({ Quantity, Unit, Calories, Density }),
+// or null if they can't be worked out
+function ingredientCalories({ Quantity, Unit, Calories, Density }) {
+    const unit = UNITS[Unit];
+    if (!unit || Calories === null || Calories === undefined) {
+        return null;
+    }
+    if (unit.dimension === 'count') {
+        return Number(Quantity) * unit.factor * Calories;
+    }
+    const grams = convert(Number(Quantity), Unit, 'g', Density);
+    return grams === null ? null : grams / CALORIES_PER_GRAMS * Calories;
+}
+
+// HealthyLookup rows -> (FoodGroup, Calories) -> true, false or null
+function healthyLookup(levels) {
+    const byGroup = new Map();
+    levels.forEach(({ FoodGroup, Calories, Healthy }) => {
+        byGroup.set(FoodGroup, [...(byGroup.get(FoodGroup) || []), { Calories: Number(Calories), Healthy: Number(Healthy) === 1 }]);
+    });
+    byGroup.forEach((groupLevels) => groupLevels.sort((a, b) => b.Calories - a.Calories));
+    return (FoodGroup, Calories) => {
+        const level = (byGroup.get(FoodGroup) || []).find((candidate) => candidate.Calories <= Number(Calories));
+        return level ? level.Healthy : null;
+    };
+}
+
+const round = (value) => Math.round(value * 10) / 10;
+
+/*
+Works out a recipe's nutrition. `ingredients` are its FoodsInRecipes rows
+joined with FoodItem ({ FoodName, Quantity, Unit, Calories, FoodGroup,
+Density }), `serves` how many servings it makes and `levels` the
+HealthyLookup rows. Returns
+
+    {
+        Serves, Calories, CaloriesPerServing, HealthScore,
+        groups: [{ FoodGroup, Calories, Share }],        most calories first
+        ingredients: [{ FoodName, Quantity, Unit, FoodGroup, Calories, Healthy }],
+        uncounted: ['FoodName', ...]                     calories unknown
+    }
+
+with calories to one decimal and Share a fraction of the total. Calories
+and CaloriesPerServing are null if no ingredient could be counted, and a
+lower bound if only some were (`uncounted` isn't empty).
+*/
+function recipeNutrition(ingredients, serves, levels) {
+    const isHealthy = healthyLookup(levels);
+    const lines = ingredients.map((ingredient) => {
+        const calories = ingredientCalories(ingredient);
+        return {
+            FoodName: ingredient.FoodName,
+            Quantity: roundQuantity(Number(ingredient.Quantity)),
+            Unit: ingredient.Unit,
+            FoodGroup: ingredient.FoodGroup || null,
+            Calories: calories === null ? null : round(calories),
+            Healthy: ingredient.Calories === null || ingredient.Calories === undefined
+                ? null
+                : isHealthy(ingredient.FoodGroup, ingredient.Calories)
+        };
+    });
+
+    const counted = lines.filter((line) => line.Calories !== null);
+    const total = counted.reduce((sum, line) => sum + line.Calories, 0);
+
+    const byGroup = new Map();
+    counted.forEach((line) => {
+        const group = line.FoodGroup || 'Other';
+        byGroup.set(group, (byGroup.get(group) || 0) + line.Calories);
+    });
+    const groups = [...byGroup.entries()]
+        .map(([FoodGroup, calories]) => ({
+            FoodGroup,
+            Calories: round(calories),
+            Share: total > 0 ? Math.round(calories / total * 1000) / 1000 : 0
+        }))
+        .sort((a, b) => b.Calories - a.Calories || a.FoodGroup.localeCompare(b.FoodGroup));
+
+    const rated = counted.filter((line) => line.Healthy !== null);
+    const ratedCalories = rated.reduce((sum, line) => sum + line.Calories, 0);
+    const healthyCalories = rated.filter((line) => line.Healthy).reduce((sum, line) => sum + line.Calories, 0);
+    let healthScore = null;
+    if (rated.length > 0) {
+        // Ingredients with no calories still say whether the recipe is healthy
+        healthScore = ratedCalories > 0
+            ? Math.round(healthyCalories / ratedCalories * 100)
+            : Math.round(rated.filter((line) => line.Healthy).length / rated.length * 100);
+    }
+
+    return {
+        Serves: serves,
+        Calories: counted.length > 0 ? round(total) : null,
+        CaloriesPerServing: counted.length > 0 ? round(total / serves) : null,
+        HealthScore: healthScore,
+        groups,
+        ingredients: lines,
+        uncounted: lines.filter((line) => line.Calories === null).map((line) => line.FoodName)
+    };
+}
+
+module.exports = {
+    CALORIES_PER_GRAMS,
+    recipeNutrition
+};
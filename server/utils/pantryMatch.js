@@ -0,0 +1,65 @@
+const { amountIn, roundQuantity } = require('./units');
+
+// ----------------------------------------------------------
+// Matches recipes against what is in stock ("what can I cook?"). `stock` maps
+// FoodName to the amounts on hand, [{ Quantity, Unit }]; each recipe lists
+// its ingredients as FoodsInRecipes has them, with the food's Density. Stock
+// counts in the ingredient's unit as far as it converts (see units.js).
+// A recipe comes back as
+//
+//     {
+//         RecipeID: 3, RecipeName: 'Tacos Al Pastor', Cuisine: 'Mexican', CookingTime: '0 00:25',
+//         coverage: 0.75,     // share of each ingredient in stock, averaged
+//         missing: [{ FoodName: 'Onion', Unit: 'each', Needed: 2, Have: 1, Short: 1 }]
+//     }
+//
+// ranked by coverage, then by fewest missing ingredients. Recipes without
+// ingredients are left out: there is nothing to match them on.
+
+function matchRecipe({ ingredients, ...recipe }, stock) {
+    let covered = 0;
+    const missing = [];
+    ingredients.forEach(({ FoodName, Quantity, Unit, Density }) => {
+        const have = amountIn(stock.get(FoodName) || [], Unit, Density);
+        covered += Math.min(have / Quantity, 1);
+        if (have < Quantity) {
+            missing.push({ FoodName, Unit, Needed: Quantity, Have: have, Short: roundQuantity(Quantity - have) });
+        }
+    });
+    const coverage = ingredients.length > 0 ? covered / ingredients.length : 0;
+    return { ...recipe, coverage: Math.round(coverage * 1000) / 1000, missing };
+}
+
+function matchRecipes(recipes, stock) {
+    return recipes
+        .filter((recipe) => recipe.ingredients.length > 0)
+        .map((recipe) => matchRecipe(recipe, stock))
+        .sort((a, b) => b.coverage - a.coverage || a.missing.length - b.missing.length || a.RecipeID - b.RecipeID);
+}
+
+/*
+Recipes that use up food about to expire. `expiring` maps FoodName to the
+days it has left (0 for today). A recipe scores 1 / (1 + days left) for
+each expiring food it uses, so the food expiring soonest counts most; ties
+go to the recipe the stock covers best. Each recipe comes back matched as
+above, with `uses: [{ FoodName, DaysLeft }]`.
+*/
+function useUpRecipes(recipes, expiring, stock) {
+    return recipes
+        .map((recipe) => ({
+            recipe,
+            uses: recipe.ingredients
+                .filter(({ FoodName }) => expiring.has(FoodName))
+                .map(({ FoodName }) => ({ FoodName, DaysLeft: expiring.get(FoodName) }))
+        }))
+        .filter(({ uses }) => uses.length > 0)
+        .map(({ recipe, uses }) => ({
+            ...matchRecipe(recipe, stock),
+            uses,
+            urgency: uses.reduce((sum, { DaysLeft }) => sum + 1 / (1 + DaysLeft), 0)
+        }))
+        .sort((a, b) => b.urgency - a.urgency || b.coverage - a.coverage || a.RecipeID - b.RecipeID)
+        .map(({ urgency, ...match }) => match);
+}
+
+module.exports = { matchRecipes, useUpRecipes };
@@ -0,0 +1,96 @@
+const { formatAmount } = require('./units');
+
+// ----------------------------------------------------------
+// Differences between two recipe revisions (snapshots as saved by
+// saveRevision in appService.js):
+//
+//     {
+//         fields: [{ field: 'CookingTime', from: '0 00:30', to: '0 00:45' }],
+//         steps: [
+//             { change: 'unchanged', fromStep: 1, toStep: 1, text: 'Boil water' },
+//             { change: 'removed', fromStep: 2, text: 'Add salt' },
+//             { change: 'added', toStep: 2, text: 'Add pasta' }
+//         ],
+//         images: [{ change: 'changed', ImageURL: '...', from: 'Old caption', to: 'New caption' }],
+//         ingredients: [{ change: 'added', FoodName: 'Garlic', to: '2' }, { change: 'changed', FoodName: 'Milk', from: '1 cup', to: '300 ml' }]
+//     }
+//
+// Only the fields, images and ingredients that differ are listed; steps are
+// listed in full so they read in order. Ingredient amounts are compared as
+// written, quantity and unit together; snapshots saved before units were
+// added count in 'each'.
+
+const FIELDS = ['RecipeName', 'Cuisine', 'CookingTime', 'Serves'];
+
+// Snapshots saved before recipes had servings made one
+const DEFAULTS = { Serves: 1 };
+
+function diffFields(from, to) {
+    const valueOf = (snapshot, field) => snapshot[field] ?? DEFAULTS[field];
+    return FIELDS
+        .filter((field) => valueOf(from, field) !== valueOf(to, field))
+        .map((field) => ({ field, from: valueOf(from, field), to: valueOf(to, field) }));
+}
+
+// Line diff of the step texts, by longest common subsequence
+function diffSteps(from, to) {
+    const common = Array.from({ length: from.length + 1 }, () => new Array(to.length + 1).fill(0));
+    for (let i = from.length - 1; i >= 0; i--) {
+        for (let j = to.length - 1; j >= 0; j--) {
+            common[i][j] = from[i] === to[j]
+                ? common[i + 1][j + 1] + 1
+                : Math.max(common[i + 1][j], common[i][j + 1]);
+        }
+    }
+
+    const changes = [];
+    let i = 0;
+    let j = 0;
+    while (i < from.length || j < to.length) {
+        if (i < from.length && j < to.length && from[i] === to[j]) {
+            changes.push({ change: 'unchanged', fromStep: i + 1, toStep: j + 1, text: from[i] });
+            i++;
+            j++;
+        } else if (i < from.length && (j === to.length || common[i + 1][j] >= common[i][j + 1])) {
+            changes.push({ change: 'removed', fromStep: i + 1, text: from[i] });
+            i++;
+        } else {
+            changes.push({ change: 'added', toStep: j + 1, text: to[j] });
+            j++;
+        }
+    }
+    return changes;
+}
+
+// Compares two lists of records by `key`, reporting changes to `value`: a
+// field name, or a function of the record
+function diffKeyed(from, to, key, value) {
+    const valueOf = typeof value === 'function' ? value : (item) => item[value];
+    const before = new Map(from.map((item) => [item[key], valueOf(item)]));
+    const after = new Map(to.map((item) => [item[key], valueOf(item)]));
+    const changes = [];
+    before.forEach((old, name) => {
+        if (!after.has(name)) {
+            changes.push({ change: 'removed', [key]: name, from: old });
+        } else if (after.get(name) !== old) {
+            changes.push({ change: 'changed', [key]: name, from: old, to: after.get(name) });
+        }
+    });
+    after.forEach((current, name) => {
+        if (!before.has(name)) {
+            changes.push({ change: 'added', [key]: name, to: current });
+        }
+    });
+    return changes;
+}
+
+function diffRecipes(from, to) {
+    return {
+        fields: diffFields(from, to),
+        steps: diffSteps(from.steps, to.steps),
+        images: diffKeyed(from.images, to.images, 'ImageURL', 'Caption'),
+        ingredients: diffKeyed(from.ingredients, to.ingredients, 'FoodName', (item) => formatAmount(item.Quantity, item.Unit))
+    };
+}
+
+module.exports = { diffRecipes };
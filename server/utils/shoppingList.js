@@ -0,0 +1,74 @@
+const { DEFAULT_UNIT, UNITS, amountIn, convert, roundQuantity } = require('./units');
+
+// ----------------------------------------------------------
+// Works out what to buy to cook a set of recipes. `ingredients` are the
+// FoodsInRecipes rows of the chosen recipes, with each food's FoodGroup and
+// Density; `servings` maps a RecipeID to how many times it is cooked (1.5
+// for half as much again); `stock` maps FoodName to the amounts on hand,
+// [{ Quantity, Unit }]. Returns
+//
+//     {
+//         groups: [{
+//             FoodGroup: 'Vegetables',
+//             items: [{ FoodName: 'Onion', Unit: 'each', Needed: 3, Have: 1, ToBuy: 2, recipes: [3, 7] }]
+//         }],
+//         inStock: [{ FoodName: 'Garlic', Unit: 'each', Needed: 2, Have: 5, recipes: [7] }]
+//     }
+//
+// with groups and foods in alphabetical order. A food is added up in the
+// unit the first recipe using it gives, converting the others (see
+// units.js); a recipe whose unit doesn't convert gets an item of its own.
+// Counted foods are bought whole, so a fractional shortfall is rounded up.
+// Foods without a group are listed under OTHER_GROUP, last.
+
+const OTHER_GROUP = 'Other';
+
+function addUpNeeds(ingredients, servings) {
+    const needs = new Map();
+    ingredients.forEach(({ RecipeID, FoodName, Quantity, Unit, Density, FoodGroup }) => {
+        const scaled = Quantity * (servings.get(RecipeID) ?? 1);
+        const sameFood = needs.get(FoodName) || [];
+        let need = sameFood.find((item) => convert(scaled, Unit, item.Unit, Density) !== null);
+        if (!need) {
+            need = { FoodName, Unit: Unit || DEFAULT_UNIT, Density, FoodGroup: FoodGroup || OTHER_GROUP, Needed: 0, recipes: [] };
+            needs.set(FoodName, [...sameFood, need]);
+        }
+        need.Needed += convert(scaled, Unit, need.Unit, Density);
+        if (!need.recipes.includes(RecipeID)) {
+            need.recipes.push(RecipeID);
+        }
+    });
+    return [...needs.values()].flat();
+}
+
+function compareGroups(a, b) {
+    return (a === OTHER_GROUP) - (b === OTHER_GROUP) || a.localeCompare(b);
+}
+
+// How much to buy of a shortfall
+function toBuy(short, unit) {
+    return UNITS[unit].dimension === 'count' ? Math.ceil(short) : Math.ceil(roundQuantity(short) * 100) / 100;
+}
+
+function buildShoppingList(ingredients, servings, stock) {
+    const groups = new Map();
+    const inStock = [];
+    addUpNeeds(ingredients, servings)
+        .sort((a, b) => a.FoodName.localeCompare(b.FoodName))
+        .forEach(({ FoodName, Unit, Density, FoodGroup, Needed, recipes }) => {
+            const have = amountIn(stock.get(FoodName) || [], Unit, Density);
+            const item = { FoodName, Unit, Needed: roundQuantity(Needed), Have: have };
+            if (have >= item.Needed) {
+                inStock.push({ ...item, recipes });
+                return;
+            }
+            groups.set(FoodGroup, [...(groups.get(FoodGroup) || []),
+                { ...item, ToBuy: toBuy(item.Needed - have, Unit), recipes }]);
+        });
+    return {
+        groups: [...groups.keys()].sort(compareGroups).map((FoodGroup) => ({ FoodGroup, items: groups.get(FoodGroup) })),
+        inStock
+    };
+}
+
+module.exports = { buildShoppingList, OTHER_GROUP };
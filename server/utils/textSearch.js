@@ -0,0 +1,160 @@
+// ----------------------------------------------------------
+// Text handling for recipe search (see db/searchIndex.js): splitting text
+// into words, reducing words to a stem so that 'baking', 'baked' and 'bake'
+// match each other, parsing search queries, and cutting highlighted snippets.
+// Indexing and searching must use the same functions here, or stored terms
+// and query terms stop lining up.
+
+// Longest word kept in the index (SearchTerms.Word and Term)
+const MAX_WORD_LENGTH = 50;
+
+// Words too common to search for on their own. They are still indexed, so a
+// phrase like "salt and pepper" matches.
+const STOP_WORDS = new Set(['a', 'an', 'and', 'at', 'by', 'for', 'in', 'into', 'of', 'on', 'or', 'the', 'to', 'with']);
+
+function isVowel(word, index) {
+    return 'aeiou'.includes(word[index]) || (word[index] === 'y' && index > 0 && !'aeiou'.includes(word[index - 1]));
+}
+
+function hasVowel(word) {
+    return [...word].some((letter, index) => isVowel(word, index));
+}
+
+// A light English suffix stripper. It only has to be consistent, not
+// linguistically right: 'potatoes' -> 'potato', 'fried' and 'fries' -> 'fry',
+// 'chopped' and 'chopping' -> 'chop', 'baked' and 'bake' -> 'bak'.
+function stem(word) {
+    if (word.length <= 3 || /\d/.test(word)) {
+        return word;
+    }
+    let result = word;
+    if (/ies$|ied$/.test(result)) {
+        result = `${result.slice(0, -3)}y`;
+    } else if (/sses$/.test(result)) {
+        result = result.slice(0, -2);
+    } else if (/[^su]s$/.test(result)) {
+        result = result.slice(0, -1);
+    }
+    const suffix = /(ing|ed|ly)$/.exec(result);
+    if (suffix && hasVowel(result.slice(0, -suffix[1].length)) && result.length - suffix[1].length >= 3) {
+        result = result.slice(0, -suffix[1].length);
+        // 'chopp' -> 'chop', but not 'fill' or 'dress'
+        if (/([^aeiouylsz])\1$/.test(result)) {
+            result = result.slice(0, -1);
+        }
+    }
+    if (result.length > 3 && result.endsWith('e')) {
+        result = result.slice(0, -1);
+    }
+    return result;
+}
+
+// Lower case without accents: 'Sautéed' -> 'sauteed'
+function normalize(text) {
+    return String(text).normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/*
+Splits text into words with their stems and where they are in the text:
+[{ word: 'chopped', term: 'chop', start: 0, end: 7 }, ...]
+*/
+function tokenize(text) {
+    const source = String(text ?? '');
+    const tokens = [];
+    const words = /[\p{L}\p{N}]+/gu;
+    let match;
+    while ((match = words.exec(source)) !== null) {
+        const word = normalize(match[0]).slice(0, MAX_WORD_LENGTH);
+        if (word) {
+            tokens.push({ word, term: stem(word), start: match.index, end: match.index + match[0].length });
+        }
+    }
+    return tokens;
+}
+
+/*
+Parses a search query into clauses, all of which a recipe must match:
+
+    olive            { type: 'term', term: 'oliv', word: 'olive' }
+    chick*           { type: 'prefix', word: 'chick' }
+    "olive oil"      { type: 'phrase', terms: ['oliv', 'oil'] }
+
+Stop words on their own are dropped unless the query has nothing else.
+*/
+function parseQuery(query) {
+    const clauses = [];
+    const parts = /"([^"]*)"?|(\S+)/g;
+    let match;
+    while ((match = parts.exec(String(query))) !== null) {
+        if (match[1] !== undefined) {
+            const tokens = tokenize(match[1]);
+            if (tokens.length === 1) {
+                clauses.push({ type: 'term', term: tokens[0].term, word: tokens[0].word });
+            } else if (tokens.length > 1) {
+                clauses.push({ type: 'phrase', terms: tokens.map((token) => token.term) });
+            }
+            continue;
+        }
+        const prefix = match[2].endsWith('*');
+        tokenize(match[2]).forEach((token, index, tokens) => {
+            if (prefix && index === tokens.length - 1) {
+                clauses.push({ type: 'prefix', word: token.word });
+            } else {
+                clauses.push({ type: 'term', term: token.term, word: token.word });
+            }
+        });
+    }
+    const meaningful = clauses.filter((clause) => clause.type !== 'term' || !STOP_WORDS.has(clause.word));
+    return meaningful.length > 0 ? meaningful : clauses;
+}
+
+// Words either side of the first match in a snippet
+const SNIPPET_CONTEXT = 8;
+
+/*
+Cuts the part of `text` around its first matching word, as parts the client
+can render with the matches highlighted:
+[{ text: '… Brown the ' }, { text: 'chicken', highlight: true }, { text: ' in oil …' }]
+`matches` is the set of word positions (indexes into tokenize(text)) to
+highlight.
+*/
+function snippet(text, matches) {
+    const tokens = tokenize(text);
+    const positions = [...matches].filter((position) => position < tokens.length).sort((a, b) => a - b);
+    if (positions.length === 0) {
+        return null;
+    }
+    const first = Math.max(0, positions[0] - SNIPPET_CONTEXT);
+    const last = Math.min(tokens.length - 1, positions[0] + SNIPPET_CONTEXT);
+    const start = first === 0 ? 0 : tokens[first].start;
+    const end = last === tokens.length - 1 ? text.length : tokens[last].end;
+
+    const parts = [];
+    let cursor = start;
+    positions.filter((position) => position >= first && position <= last).forEach((position) => {
+        const token = tokens[position];
+        if (token.start > cursor) {
+            parts.push({ text: text.slice(cursor, token.start) });
+        }
+        parts.push({ text: text.slice(token.start, token.end), highlight: true });
+        cursor = token.end;
+    });
+    if (end > cursor) {
+        parts.push({ text: text.slice(cursor, end) });
+    }
+    if (start > 0) {
+        parts.unshift({ text: '… ' });
+    }
+    if (end < text.length) {
+        parts.push({ text: ' …' });
+    }
+    return parts;
+}
+
+module.exports = {
+    MAX_WORD_LENGTH,
+    stem,
+    tokenize,
+    parseQuery,
+    snippet
+};
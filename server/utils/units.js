@@ -0,0 +1,129 @@
+// ----------------------------------------------------------
+// Units of measure for recipe, pantry and shopping list quantities. Every
+// unit measures a mass, a volume or a count, and `factor` is its size in
+// the base unit of that dimension (g, ml or each):
+//
+//     convert(2, 'tbsp', 'ml')            // 29.574
+//     convert(1, 'cup', 'g', 0.85)        // 201.1: a cup of something 0.85 g/ml dense
+//     convert(3, 'each', 'g')             // null: counts don't convert
+//
+// Mass and volume convert into each other through a food's density in grams
+// per millilitre (FoodItem.Density); without one they don't. Quantities are
+// kept to three decimals, as the database stores them.
+
+const UNITS = {
+    mg: { dimension: 'mass', factor: 0.001, system: 'metric' },
+    g: { dimension: 'mass', factor: 1, system: 'metric' },
+    kg: { dimension: 'mass', factor: 1000, system: 'metric' },
+    oz: { dimension: 'mass', factor: 28.349523125, system: 'imperial' },
+    lb: { dimension: 'mass', factor: 453.59237, system: 'imperial' },
+    ml: { dimension: 'volume', factor: 1, system: 'metric' },
+    l: { dimension: 'volume', factor: 1000, system: 'metric' },
+    tsp: { dimension: 'volume', factor: 4.92892159375, system: 'imperial' },
+    tbsp: { dimension: 'volume', factor: 14.78676478125, system: 'imperial' },
+    'fl oz': { dimension: 'volume', factor: 29.5735295625, system: 'imperial' },
+    cup: { dimension: 'volume', factor: 236.5882365, system: 'imperial' },
+    pt: { dimension: 'volume', factor: 473.176473, system: 'imperial' },
+    qt: { dimension: 'volume', factor: 946.352946, system: 'imperial' },
+    gal: { dimension: 'volume', factor: 3785.411784, system: 'imperial' },
+    each: { dimension: 'count', factor: 1 },
+    dozen: { dimension: 'count', factor: 12 }
+};
+
+const UNIT_NAMES = Object.keys(UNITS);
+
+// Quantities written without a unit are counts
+const DEFAULT_UNIT = 'each';
+
+const UNIT_SYSTEMS = ['metric', 'imperial'];
+
+// Other ways recipes write the units, for imports
+const UNIT_ALIASES = {
+    milligram: 'mg', milligrams: 'mg',
+    gram: 'g', grams: 'g', gr: 'g',
+    kilogram: 'kg', kilograms: 'kg', kilo: 'kg', kilos: 'kg',
+    ounce: 'oz', ounces: 'oz',
+    pound: 'lb', pounds: 'lb', lbs: 'lb',
+    milliliter: 'ml', milliliters: 'ml', millilitre: 'ml', millilitres: 'ml',
+    liter: 'l', liters: 'l', litre: 'l', litres: 'l',
+    teaspoon: 'tsp', teaspoons: 'tsp', tsps: 'tsp',
+    tablespoon: 'tbsp', tablespoons: 'tbsp', tbsps: 'tbsp', tbs: 'tbsp',
+    'fluid ounce': 'fl oz', 'fluid ounces': 'fl oz', 'fl. oz': 'fl oz', floz: 'fl oz',
+    cups: 'cup', c: 'cup',
+    pint: 'pt', pints: 'pt',
+    quart: 'qt', quarts: 'qt',
+    gallon: 'gal', gallons: 'gal',
+    ea: 'each', piece: 'each', pieces: 'each', pc: 'each', pcs: 'each', whole: 'each',
+    doz: 'dozen'
+};
+
+// 'Tablespoons' -> 'tbsp'; null for text that is not a unit
+function parseUnit(text) {
+    const name = String(text ?? '').trim().toLowerCase().replace(/\.$/, '');
+    if (UNITS[name]) {
+        return name;
+    }
+    return UNIT_ALIASES[name] || null;
+}
+
+function roundQuantity(quantity) {
+    return Math.round(quantity * 1000) / 1000;
+}
+
+// `quantity` of `from` in `to`, or null if the two don't convert
+function convert(quantity, from, to, density) {
+    const source = UNITS[from];
+    const target = UNITS[to];
+    if (!source || !target) {
+        return null;
+    }
+    if (from === to) {
+        return quantity;
+    }
+    const base = quantity * source.factor;
+    if (source.dimension === target.dimension) {
+        return roundQuantity(base / target.factor);
+    }
+    if (!(density > 0)) {
+        return null;
+    }
+    if (source.dimension === 'volume' && target.dimension === 'mass') {
+        return roundQuantity(base * density / target.factor);
+    }
+    if (source.dimension === 'mass' && target.dimension === 'volume') {
+        return roundQuantity(base / density / target.factor);
+    }
+    return null;
+}
+
+function convertible(from, to, density) {
+    return convert(1, from, to, density) !== null;
+}
+
+// The total of some [{ Quantity, Unit }] in `unit`; amounts that don't convert
+// to it are left out
+function amountIn(amounts, unit, density) {
+    return roundQuantity(amounts.reduce((total, { Quantity, Unit }) => {
+        const converted = convert(Number(Quantity), Unit, unit, density);
+        return converted === null ? total : total + converted;
+    }, 0));
+}
+
+// '2 tbsp', or just '2' for a count of each
+function formatAmount(quantity, unit) {
+    const number = String(roundQuantity(Number(quantity)));
+    return !unit || unit === DEFAULT_UNIT ? number : `${number} ${unit}`;
+}
+
+module.exports = {
+    UNITS,
+    UNIT_NAMES,
+    DEFAULT_UNIT,
+    UNIT_SYSTEMS,
+    parseUnit,
+    roundQuantity,
+    convert,
+    convertible,
+    amountIn,
+    formatAmount
+};
@@ -0,0 +1,206 @@
+const { ValidationError } = require('./errors');
+
+// ----------------------------------------------------------
+// Declarative request validation. A route schema (see schemas.js) lists the
+// rules for its params, query and body:
+//
+//     {
+//         params: { id: integer({ min: 1 }) },
+//         body: { UserName: string({ max: 50 }) },
+//         check: (req) => ({ field: 'message' } or null)   // optional cross-field check
+//     }
+//
+// validate(schema) returns middleware that replaces req.params, req.query
+// and req.body with the cleaned values (numbers parsed, strings trimmed,
+// unknown keys dropped) or, if anything is wrong, passes a ValidationError
+// whose `fields` maps each bad field to a message, e.g.
+//     { 'UserName': 'Is required', 'images[1].ImageURL': 'Must be at most 512 characters' }
+
+// Marker for a value that was not supplied
+const MISSING = Symbol('missing');
+
+function isMissing(value) {
+    return value === undefined || value === null || value === '' || value === MISSING;
+}
+
+// Wraps a check for a present value with handling for missing ones.
+// `check(value, path, errors)` returns the cleaned value; it records
+// problems with errors[path] = message and returns undefined.
+function rule(options, check) {
+    return (value, path, errors) => {
+        if (isMissing(value)) {
+            if (options.optional || options.default !== undefined) {
+                return options.default;
+            }
+            errors[path] = options.requiredMessage || 'Is required';
+            return undefined;
+        }
+        return check(value, path, errors);
+    };
+}
+
+function string(options = {}) {
+    return rule(options, (value, path, errors) => {
+        if (typeof value !== 'string' && typeof value !== 'number') {
+            errors[path] = 'Must be text';
+            return undefined;
+        }
+        const text = options.trim === false ? String(value) : String(value).trim();
+        if (text === '' && !options.optional) {
+            errors[path] = options.requiredMessage || 'Is required';
+        } else if (options.min && text.length < options.min) {
+            errors[path] = `Must be at least ${options.min} characters`;
+        } else if (options.max && text.length > options.max) {
+            errors[path] = `Must be at most ${options.max} characters`;
+        } else if (options.pattern && !options.pattern.test(text)) {
+            errors[path] = options.patternMessage || 'Has the wrong format';
+        } else if (options.oneOf && !options.oneOf.includes(text)) {
+            errors[path] = `Must be one of: ${options.oneOf.join(', ')}`;
+        }
+        return text;
+    });
+}
+
+function number(options = {}) {
+    return rule(options, (value, path, errors) => {
+        const parsed = typeof value === 'string' ? Number(value.trim()) : value;
+        if (typeof parsed !== 'number' || !Number.isFinite(parsed)) {
+            errors[path] = 'Must be a number';
+        } else if (options.integer && !Number.isInteger(parsed)) {
+            errors[path] = 'Must be a whole number';
+        } else if (options.min !== undefined && parsed < options.min) {
+            errors[path] = `Must be at least ${options.min}`;
+        } else if (options.max !== undefined && parsed > options.max) {
+            errors[path] = `Must be at most ${options.max}`;
+        }
+        return parsed;
+    });
+}
+
+function integer(options = {}) {
+    return number({ ...options, integer: true });
+}
+
+// Accepts true/false, 1/0 and 'true'/'false'/'1'/'0'
+function boolean(options = {}) {
+    return rule(options, (value, path, errors) => {
+        if ([true, 1, '1', 'true'].includes(value)) {
+            return true;
+        }
+        if ([false, 0, '0', 'false'].includes(value)) {
+            return false;
+        }
+        errors[path] = 'Must be true or false';
+        return undefined;
+    });
+}
+
+// A calendar date written as YYYY-MM-DD
+function date(options = {}) {
+    return rule(options, (value, path, errors) => {
+        const text = String(value).trim();
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+        const parsed = match && new Date(Date.UTC(match[1], match[2] - 1, match[3]));
+        if (!parsed || parsed.getUTCMonth() !== match[2] - 1 || parsed.getUTCDate() !== Number(match[3])) {
+            errors[path] = 'Must be a date in the format YYYY-MM-DD';
+        }
+        return text;
+    });
+}
+
+function array(itemRule, options = {}) {
+    return rule(options, (value, path, errors) => {
+        if (!Array.isArray(value)) {
+            errors[path] = 'Must be a list';
+            return undefined;
+        }
+        if (options.min && value.length < options.min) {
+            errors[path] = `Must have at least ${options.min} ${options.min === 1 ? 'item' : 'items'}`;
+        } else if (options.max && value.length > options.max) {
+            errors[path] = `Must have at most ${options.max} items`;
+        }
+        return value.map((item, index) => itemRule(item === undefined ? MISSING : item, `${path}[${index}]`, errors));
+    });
+}
+
+// A comma-separated query string value, e.g. ?columns=RecipeName,Cuisine
+function list(itemRule, options = {}) {
+    const listRule = array(itemRule, options);
+    return (value, path, errors) => {
+        const items = typeof value === 'string' && value !== '' ? value.split(',') : value;
+        return listRule(items, path, errors);
+    };
+}
+
+function object(shape, options = {}) {
+    return rule(options, (value, path, errors) => {
+        if (typeof value !== 'object' || Array.isArray(value)) {
+            errors[path] = 'Must be an object';
+            return undefined;
+        }
+        return checkShape(shape, value, path, errors);
+    });
+}
+
+// Any value, passed through as is, for data that is checked later
+// (e.g. the rows of a recipe import, see recipeImport.js)
+function raw(options = {}) {
+    return rule(options, (value) => value);
+}
+
+// Checks every key in `shape` and keeps only those keys
+function checkShape(shape, values, path, errors) {
+    const cleaned = {};
+    Object.keys(shape).forEach((key) => {
+        const fieldPath = path ? `${path}.${key}` : key;
+        const value = shape[key](values[key], fieldPath, errors);
+        if (value !== undefined) {
+            cleaned[key] = value;
+        }
+    });
+    return cleaned;
+}
+
+// Checks a plain object against a shape outside of a request, returning the
+// cleaned values and a field -> message map (empty if everything is fine)
+function check(shape, values) {
+    const errors = {};
+    const cleaned = checkShape(shape, values || {}, '', errors);
+    return { values: cleaned, errors };
+}
+
+function validate(schema) {
+    return (req, res, next) => {
+        const errors = {};
+        const cleaned = {};
+        ['params', 'query', 'body'].forEach((part) => {
+            cleaned[part] = checkShape(schema[part] || {}, req[part] || {}, '', errors);
+        });
+
+        if (Object.keys(errors).length === 0 && schema.check) {
+            Object.assign(errors, schema.check(cleaned) || {});
+        }
+        if (Object.keys(errors).length > 0) {
+            return next(new ValidationError('Some fields are invalid', errors));
+        }
+
+        req.params = cleaned.params;
+        req.query = cleaned.query;
+        req.body = cleaned.body;
+        next();
+    };
+}
+
+module.exports = {
+    validate,
+    check,
+    string,
+    number,
+    integer,
+    boolean,
+    date,
+    array,
+    list,
+    object,
+    raw
+};